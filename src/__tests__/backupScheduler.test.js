@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { backupScheduler } from '../backupScheduler.js';
+import { databaseExports } from '../database/exports.js';
+import { posDatabase } from '../database/db.js';
+import { databaseMigrations } from '../database/migrations.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
+
+describe('BackupScheduler', () => {
+  let dir;
+  let exportTo;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'posa-schedule-'));
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    backupScheduler.destination = path.join(dir, 'usb');
+    backupScheduler.retention = 3;
+    backupScheduler.time = '02:00';
+    process.env.DB_EXPORT_PASSPHRASE = 'correct horse battery';
+    exportTo = vi
+      .spyOn(databaseExports, 'exportTo')
+      .mockResolvedValue({ fileName: 'posawsome-export-a.db.enc' });
+    vi.spyOn(databaseExports, 'pruneExports').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    backupScheduler.stop();
+    delete process.env.DB_EXPORT_PASSPHRASE;
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+    posDatabase.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should run at the configured time today or tomorrow', () => {
+    backupScheduler.time = '02:30';
+
+    const beforeTime = backupScheduler.getNextRunAt(new Date(2026, 2, 1, 1, 0));
+    const afterTime = backupScheduler.getNextRunAt(new Date(2026, 2, 1, 2, 30));
+
+    expect(beforeTime).toEqual(new Date(2026, 2, 1, 2, 30));
+    expect(afterTime).toEqual(new Date(2026, 2, 2, 2, 30));
+  });
+
+  it('should export to the destination and prune old exports', async () => {
+    await backupScheduler.run();
+
+    expect(exportTo).toHaveBeenCalledWith(path.join(dir, 'usb'), 'correct horse battery');
+    expect(databaseExports.pruneExports).toHaveBeenCalledWith(path.join(dir, 'usb'), 3);
+    expect(backupScheduler.getStatus()).toMatchObject({
+      lastFile: 'posawsome-export-a.db.enc',
+      lastError: null,
+      configured: true,
+      passphraseSet: true,
+    });
+  });
+
+  it('should record a failed export', async () => {
+    exportTo.mockRejectedValueOnce(new Error('ENOSPC: no space left on device'));
+
+    await expect(backupScheduler.run()).rejects.toThrow('ENOSPC');
+
+    expect(backupScheduler.getStatus()).toMatchObject({
+      lastError: 'ENOSPC: no space left on device',
+    });
+    expect(backupScheduler.getStatus().lastSuccessAt).toBeUndefined();
+  });
+
+  it('should not export without a passphrase', async () => {
+    delete process.env.DB_EXPORT_PASSPHRASE;
+
+    await expect(backupScheduler.run()).rejects.toThrow(
+      'Set a backup destination and DB_EXPORT_PASSPHRASE first'
+    );
+    expect(exportTo).not.toHaveBeenCalled();
+  });
+
+  it('should catch up on start when the last backup is older than a day', () => {
+    vi.useFakeTimers();
+    const run = vi.spyOn(backupScheduler, 'run').mockResolvedValue(null);
+    posDatabase.setSyncMetadata('backup_schedule_state', {
+      lastSuccessAt: new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString(),
+    });
+
+    backupScheduler.start();
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(backupScheduler.getStatus().nextRunAt).not.toBeNull();
+  });
+
+  it('should wait for the next run when the last backup is recent', () => {
+    vi.useFakeTimers();
+    const run = vi.spyOn(backupScheduler, 'run').mockResolvedValue(null);
+    posDatabase.setSyncMetadata('backup_schedule_state', {
+      lastSuccessAt: new Date().toISOString(),
+    });
+
+    backupScheduler.start();
+    expect(run).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(24 * 60 * 60 * 1000);
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep the old settings when new ones are invalid', () => {
+    expect(() => backupScheduler.updateSettings({ time: '25:00', retention: 5 })).toThrow(
+      'Invalid backup time: 25:00'
+    );
+    expect(() => backupScheduler.updateSettings({ retention: 0 })).toThrow(
+      'Invalid backup retention: 0'
+    );
+    expect(backupScheduler.getSettings()).toMatchObject({ time: '02:00', retention: 3 });
+  });
+
+  it('should persist settings across restarts', () => {
+    backupScheduler.updateSettings({ destination: '/media/usb', time: '23:15', retention: 7 });
+    backupScheduler.stop();
+    backupScheduler.destination = '';
+    backupScheduler.time = '02:00';
+
+    backupScheduler.loadSettings();
+
+    expect(backupScheduler.getSettings()).toEqual({
+      destination: '/media/usb',
+      time: '23:15',
+      retention: 7,
+      passphraseSet: true,
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { barcodeScanner } from '../barcodeScanner.js';
+import { posDatabase } from '../database/db.js';
+import { databaseMigrations } from '../database/migrations.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
+
+const WEIGHT_TEMPLATE = { prefix: '21', itemDigits: 5, valueDigits: 5, valueType: 'weight' };
+const PRICE_TEMPLATE = { prefix: '22', itemDigits: 5, valueDigits: 5, valueType: 'price' };
+
+describe('BarcodeScanner', () => {
+  let coffeeId;
+  let cheeseId;
+
+  beforeEach(async () => {
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    barcodeScanner.templates = [];
+    coffeeId = posDatabase.createItem('Coffee', 'COF-1', 3.5);
+    cheeseId = posDatabase.createItem('Cheese', '00042', 18);
+    posDatabase.setItemBarcodes(coffeeId, [
+      { barcode: '4006381333931', barcodeType: 'EAN', uom: 'Nos' },
+      { barcode: '14006381333938', barcodeType: 'GTIN', uom: 'Box', conversionFactor: 12 },
+      { barcode: '036000291452', barcodeType: 'UPC-A', uom: 'Nos' },
+    ]);
+  });
+
+  afterEach(() => {
+    posDatabase.close();
+    barcodeScanner.templates = [];
+  });
+
+  it('should validate GTIN check digits', () => {
+    expect(barcodeScanner.isValidCheckDigit('4006381333931')).toBe(true);
+    expect(barcodeScanner.isValidCheckDigit('4006381333932')).toBe(false);
+    expect(barcodeScanner.isValidCheckDigit('036000291452')).toBe(true);
+    expect(barcodeScanner.isValidCheckDigit('96385074')).toBe(true);
+    expect(barcodeScanner.isValidCheckDigit('12345')).toBe(false);
+  });
+
+  it('should resolve item barcodes and convert pack units to stock units', () => {
+    expect(barcodeScanner.resolve('4006381333931')).toMatchObject({
+      item: expect.objectContaining({ id: coffeeId, name: 'Coffee' }),
+      qty: 1,
+      uom: 'Nos',
+      conversionFactor: 1,
+      stockQty: 1,
+      scale: null,
+    });
+    expect(barcodeScanner.resolve(' 14006381333938 ', 2)).toMatchObject({
+      item: expect.objectContaining({ id: coffeeId }),
+      qty: 2,
+      uom: 'Box',
+      conversionFactor: 12,
+      stockQty: 24,
+    });
+  });
+
+  it('should match UPC-A codes scanned with or without a leading zero', () => {
+    expect(barcodeScanner.resolve('0036000291452').item.id).toBe(coffeeId);
+
+    posDatabase.setItemBarcodes(cheeseId, [{ barcode: '0012345678905' }]);
+    expect(barcodeScanner.resolve('012345678905').item.id).toBe(cheeseId);
+  });
+
+  it('should reject misread barcodes and unknown codes', () => {
+    expect(() => barcodeScanner.resolve('4006381333932')).toThrow(
+      'Invalid check digit in barcode 4006381333932'
+    );
+    expect(() => barcodeScanner.resolve('96385074')).toThrow('No item found for barcode 96385074');
+    expect(() => barcodeScanner.resolve('  ')).toThrow('Barcode is required');
+  });
+
+  it('should fall back to the item code', () => {
+    expect(barcodeScanner.resolve('COF-1', 3)).toMatchObject({
+      item: expect.objectContaining({ id: coffeeId }),
+      qty: 3,
+    });
+  });
+
+  it('should read the weight or price from a scale label', () => {
+    barcodeScanner.updateSettings({ templates: [WEIGHT_TEMPLATE, PRICE_TEMPLATE] });
+
+    expect(barcodeScanner.resolve('2100042012509')).toMatchObject({
+      item: expect.objectContaining({ id: cheeseId }),
+      qty: 1.25,
+      stockQty: 1.25,
+      scale: { valueType: 'weight', value: 1.25 },
+    });
+    expect(barcodeScanner.resolve('2200042004501')).toMatchObject({
+      item: expect.objectContaining({ id: cheeseId }),
+      qty: 0.25,
+      stockQty: 0.25,
+      scale: { valueType: 'price', value: 4.5 },
+    });
+  });
+
+  it('should find scale items by a barcode registered for their item code digits', () => {
+    const hamId = posDatabase.createItem('Ham', 'HAM-1', 20);
+    posDatabase.setItemBarcodes(hamId, [{ barcode: '00077' }]);
+    barcodeScanner.updateSettings({ templates: [WEIGHT_TEMPLATE] });
+
+    expect(barcodeScanner.resolve('2100077005002')).toMatchObject({
+      item: expect.objectContaining({ id: hamId }),
+      qty: 0.5,
+    });
+    expect(() => barcodeScanner.resolve('2100099005004')).toThrow(
+      'No item found for item code 00099 on scale label 2100099005004'
+    );
+  });
+
+  it('should give scale label quantities in the unit of the item barcode', () => {
+    const hamId = posDatabase.createItem('Ham', 'HAM-1', 0.02);
+    posDatabase.setItemBarcodes(hamId, [{ barcode: '00077', uom: 'Kg', conversionFactor: 1000 }]);
+    barcodeScanner.updateSettings({ templates: [WEIGHT_TEMPLATE, PRICE_TEMPLATE] });
+
+    expect(barcodeScanner.resolve('2100077005002')).toMatchObject({
+      qty: 0.5,
+      uom: 'Kg',
+      conversionFactor: 1000,
+      stockQty: 500,
+    });
+    expect(barcodeScanner.resolve('2200077004507')).toMatchObject({
+      qty: 0.225,
+      uom: 'Kg',
+      conversionFactor: 1000,
+      stockQty: 225,
+    });
+  });
+
+  it('should keep the old templates when a new one is invalid', () => {
+    barcodeScanner.updateSettings({ templates: [WEIGHT_TEMPLATE] });
+
+    expect(() =>
+      barcodeScanner.updateSettings({ templates: [{ ...WEIGHT_TEMPLATE, valueDigits: 3 }] })
+    ).toThrow('Scale barcode template 21 adds up to 11 digits');
+    expect(() =>
+      barcodeScanner.updateSettings({ templates: [{ ...WEIGHT_TEMPLATE, prefix: 'X' }] })
+    ).toThrow('Invalid scale barcode prefix: X');
+    expect(barcodeScanner.getSettings().templates).toEqual([{ ...WEIGHT_TEMPLATE, decimals: 3 }]);
+
+    barcodeScanner.templates = [];
+    barcodeScanner.loadSettings();
+    expect(barcodeScanner.templates).toHaveLength(1);
+  });
+
+  it('should replace the barcodes of an item', () => {
+    posDatabase.setItemBarcodes(coffeeId, [{ barcode: '96385074' }]);
+
+    expect(posDatabase.getItemBarcodes(coffeeId).map((row) => row.barcode)).toEqual(['96385074']);
+    expect(() => posDatabase.setItemBarcodes(coffeeId, [{ barcode: '' }])).toThrow(
+      'Barcode is required'
+    );
+    expect(() =>
+      posDatabase.setItemBarcodes(coffeeId, [{ barcode: '96385074', conversionFactor: 0 }])
+    ).toThrow('Invalid conversion factor for barcode 96385074: 0');
+    expect(posDatabase.getItemBarcodes(coffeeId)).toHaveLength(1);
+  });
+});
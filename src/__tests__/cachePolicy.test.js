@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { cachePolicy } from '../cachePolicy.js';
+import { offlineQueueManager } from '../offlineQueueManager.js';
+import { posDatabase } from '../database/db.js';
+import { databaseMigrations } from '../database/migrations.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
+
+describe('CachePolicy', () => {
+  const BASE = 'http://erp.local';
+
+  beforeEach(async () => {
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    offlineQueueManager.initialize();
+    cachePolicy.updateSettings({
+      defaultPolicy: { ttl: 0, staleWhileRevalidate: 0, noCache: false, maxEntrySize: 1024 },
+      maxTotalSize: 1024 * 1024,
+      rules: [],
+    });
+  });
+
+  afterEach(() => {
+    cachePolicy.stop();
+    offlineQueueManager.close();
+    posDatabase.close();
+  });
+
+  it('should fall back to the default policy', () => {
+    expect(cachePolicy.resolve(`${BASE}/api/resource/Item`)).toEqual({
+      ttl: 0,
+      staleWhileRevalidate: 0,
+      noCache: false,
+      maxEntrySize: 1024,
+    });
+  });
+
+  it('should apply the first matching rule over the defaults', () => {
+    cachePolicy.updateSettings({
+      rules: [
+        { doctypes: ['Item'], ttl: 60000, staleWhileRevalidate: 300000 },
+        { urlPattern: '/api/method/frappe\\.auth', noCache: true },
+        { urlPattern: '/api/', ttl: 1000 },
+      ],
+    });
+
+    expect(cachePolicy.resolve(`${BASE}/api/resource/Item?limit=20`)).toEqual(
+      expect.objectContaining({ ttl: 60000, staleWhileRevalidate: 300000, maxEntrySize: 1024 })
+    );
+    expect(cachePolicy.resolve(`${BASE}/api/method/frappe.auth.get_logged_user`).noCache).toBe(
+      true
+    );
+    expect(cachePolicy.resolve(`${BASE}/api/resource/Customer`).ttl).toBe(1000);
+  });
+
+  it('should classify cached entries by age', () => {
+    const policy = { ttl: 1000, staleWhileRevalidate: 5000 };
+
+    expect(cachePolicy.getFreshness(policy, 500)).toBe('fresh');
+    expect(cachePolicy.getFreshness(policy, 3000)).toBe('stale');
+    expect(cachePolicy.getFreshness(policy, 7000)).toBe('expired');
+  });
+
+  it('should persist settings and load them again', () => {
+    cachePolicy.updateSettings({
+      maxTotalSize: 2048,
+      rules: [{ doctypes: ['Item Price'], ttl: 30000 }],
+    });
+    cachePolicy.rules = [];
+    cachePolicy.maxTotalSize = 0;
+
+    cachePolicy.loadSettings();
+
+    expect(cachePolicy.maxTotalSize).toBe(2048);
+    expect(cachePolicy.resolve(`${BASE}/api/resource/Item Price`).ttl).toBe(30000);
+  });
+
+  it('should round-trip url patterns through the settings', () => {
+    cachePolicy.updateSettings({ rules: [{ urlPattern: '/api/method/.*price', ttl: 5 }] });
+
+    const [rule] = cachePolicy.getSettings().rules;
+    cachePolicy.updateSettings({ rules: [rule] });
+
+    expect(cachePolicy.resolve(`${BASE}/api/method/erpnext.get_item_price`).ttl).toBe(5);
+    expect(cachePolicy.resolve(`${BASE}/api/method/erpnext.get_stock`).ttl).toBe(0);
+  });
+
+  it('should reject rules that match nothing and keep the previous settings', () => {
+    cachePolicy.updateSettings({ rules: [{ doctypes: ['Item'], ttl: 10 }] });
+
+    expect(() => cachePolicy.updateSettings({ rules: [{ ttl: 99 }] })).toThrow(
+      'Cache rule must match on urlPattern or doctypes'
+    );
+    expect(cachePolicy.getSettings().rules).toEqual([
+      expect.objectContaining({ doctypes: ['Item'], ttl: 10 }),
+    ]);
+  });
+
+  it('should evict down to the configured total size', () => {
+    const payload = { value: 'x'.repeat(90) };
+    for (let i = 0; i < 5; i++) {
+      offlineQueueManager.cacheResponse(`hash-${i}`, payload);
+    }
+
+    cachePolicy.updateSettings({ maxTotalSize: 250 });
+
+    expect(offlineQueueManager.getCacheStats().totalSize).toBeLessThanOrEqual(250);
+  });
+});
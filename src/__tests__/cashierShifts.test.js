@@ -0,0 +1,208 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { invoiceCalculator } from '../database/invoiceCalculator.js';
+import { posDatabase } from '../database/db.js';
+import { databaseMigrations } from '../database/migrations.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
+
+function queuedDoctypes() {
+  return posDatabase.db.prepare('SELECT doctype FROM sync_queue ORDER BY id').pluck().all();
+}
+
+describe('Cashier shifts', () => {
+  let itemId;
+
+  function sell(name, qty, payments, status = 'paid') {
+    const invoiceId = posDatabase.createInvoice(name, null);
+    posDatabase.addInvoiceItem(invoiceId, itemId, qty, 10.5);
+    payments.forEach(([mode, amount]) => posDatabase.addInvoicePayment(invoiceId, mode, amount));
+    if (status !== 'draft') {
+      posDatabase.updateInvoiceStatus(invoiceId, status);
+    }
+    return invoiceId;
+  }
+
+  function openShift(openingAmounts = [{ modeOfPayment: 'Cash', amount: 100 }]) {
+    return posDatabase.openShift({
+      posProfile: 'Main Till',
+      cashier: 'cashier@example.com',
+      openingAmounts,
+    });
+  }
+
+  beforeEach(async () => {
+    invoiceCalculator.roundingMethod = 'bankers';
+    invoiceCalculator.smallestCurrencyFraction = 0.01;
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    posDatabase.upsertMasterData('Mode of Payment', { name: 'Cash', type: 'Cash' });
+    posDatabase.upsertMasterData('Mode of Payment', { name: 'Credit Card', type: 'Bank' });
+    posDatabase.upsertMasterData('POS Profile', {
+      name: 'Main Till',
+      company: 'ACME Ltd',
+      payments: [{ mode_of_payment: 'Cash' }, { mode_of_payment: 'Credit Card' }],
+    });
+    itemId = posDatabase.createItem('Coffee', 'COF-1', 10.5);
+  });
+
+  afterEach(() => {
+    posDatabase.close();
+  });
+
+  it('should open a shift with an opening float per mode of payment', () => {
+    const shiftId = openShift();
+
+    expect(posDatabase.getActiveShift()).toMatchObject({
+      id: shiftId,
+      pos_profile: 'Main Till',
+      company: 'ACME Ltd',
+      cashier: 'cashier@example.com',
+      status: 'open',
+    });
+    expect(
+      posDatabase.getShiftPayments(shiftId).map((row) => [row.mode_of_payment, row.opening_amount])
+    ).toEqual([
+      ['Cash', 100],
+      ['Credit Card', 0],
+    ]);
+    expect(queuedDoctypes()).toContain('POS Opening Entry');
+  });
+
+  it('should allow only one open shift', () => {
+    const shiftId = openShift();
+
+    expect(() => openShift()).toThrow(`Shift ${shiftId} has been open since`);
+    expect(() => posDatabase.openShift({ posProfile: 'Main Till' })).toThrow(
+      'A POS Profile and a cashier are required to open a shift'
+    );
+    expect(() => openShift([{ modeOfPayment: 'Cash', amount: -5 }])).toThrow(
+      'Invalid opening amount for Cash: -5'
+    );
+  });
+
+  it('should tie invoices to the active shift', () => {
+    const before = posDatabase.createInvoice('LOCAL-INV-0', null);
+    const shiftId = openShift();
+    const during = sell('LOCAL-INV-1', 1, [['Cash', 10.5]]);
+    posDatabase.closeShift(shiftId, [{ modeOfPayment: 'Cash', amount: 110.5 }]);
+    const after = posDatabase.createInvoice('LOCAL-INV-2', null);
+
+    expect(posDatabase.getInvoice(before).shift_id).toBeNull();
+    expect(posDatabase.getInvoice(during).shift_id).toBe(shiftId);
+    expect(posDatabase.getInvoice(after).shift_id).toBeNull();
+  });
+
+  it('should compare expected and counted amounts when closing', () => {
+    const shiftId = openShift();
+    sell('LOCAL-INV-1', 4, [['Cash', 50]]);
+    sell('LOCAL-INV-2', 2, [['Credit Card', 21]]);
+    sell('LOCAL-INV-3', 1, [['Cash', 10.5]], 'cancelled');
+
+    expect(posDatabase.getShiftSummary(shiftId)).toMatchObject({
+      invoices: 2,
+      draftInvoices: 0,
+      grandTotal: 63,
+      payments: [
+        { modeOfPayment: 'Cash', openingAmount: 100, expectedAmount: 142 },
+        { modeOfPayment: 'Credit Card', openingAmount: 0, expectedAmount: 21 },
+      ],
+    });
+
+    const reconciliation = posDatabase.closeShift(shiftId, [
+      { modeOfPayment: 'Cash', amount: 140 },
+      { modeOfPayment: 'Credit Card', amount: 21 },
+    ]);
+
+    expect(
+      reconciliation.map((row) => [
+        row.mode_of_payment,
+        row.opening_amount,
+        row.expected_amount,
+        row.closing_amount,
+        row.difference,
+      ])
+    ).toEqual([
+      ['Cash', 100, 142, 140, -2],
+      ['Credit Card', 0, 21, 21, 0],
+    ]);
+    expect(posDatabase.getShift(shiftId)).toMatchObject({ status: 'closed' });
+    expect(posDatabase.getShift(shiftId).closed_at).not.toBeNull();
+    expect(posDatabase.getActiveShift()).toBeNull();
+    expect(queuedDoctypes().at(-1)).toBe('POS Closing Entry');
+  });
+
+  it('should not expect the payments of draft invoices in the drawer', () => {
+    const shiftId = openShift();
+    sell('LOCAL-INV-1', 1, [['Cash', 10.5]]);
+    sell('LOCAL-INV-2', 2, [['Cash', 21]], 'draft');
+
+    expect(posDatabase.getShiftSummary(shiftId)).toMatchObject({
+      invoices: 1,
+      draftInvoices: 1,
+      payments: [
+        { modeOfPayment: 'Cash', openingAmount: 100, expectedAmount: 110.5 },
+        { modeOfPayment: 'Credit Card', openingAmount: 0, expectedAmount: 0 },
+      ],
+    });
+  });
+
+  it('should take cash refunds out of the drawer', () => {
+    const shiftId = openShift();
+    const invoiceId = sell('LOCAL-INV-1', 2, [['Cash', 21]]);
+    const [line] = posDatabase.getInvoiceItems(invoiceId);
+    const returnId = posDatabase.createReturnInvoice(invoiceId, [{ lineId: line.id, qty: 1 }], {
+      refundMode: 'Cash',
+    });
+    posDatabase.updateInvoiceStatus(returnId, 'paid');
+
+    expect(posDatabase.getShiftSummary(shiftId).payments[0]).toEqual({
+      modeOfPayment: 'Cash',
+      openingAmount: 100,
+      expectedAmount: 110.5,
+    });
+  });
+
+  it('should record counted amounts of modes nothing was expected for', () => {
+    const shiftId = openShift();
+
+    const reconciliation = posDatabase.closeShift(shiftId, [
+      { modeOfPayment: 'Cash', amount: 100 },
+      { modeOfPayment: 'Voucher', amount: 5 },
+    ]);
+
+    expect(reconciliation.at(-1)).toMatchObject({
+      mode_of_payment: 'Voucher',
+      opening_amount: 0,
+      expected_amount: 0,
+      closing_amount: 5,
+      difference: 5,
+    });
+  });
+
+  it('should not close a shift with draft invoices', () => {
+    const shiftId = openShift();
+    sell('LOCAL-INV-1', 1, [], 'draft');
+
+    expect(() => posDatabase.closeShift(shiftId, [])).toThrow(
+      `Shift ${shiftId} has 1 draft invoices; submit or cancel them before closing`
+    );
+    expect(posDatabase.getShift(shiftId).status).toBe('open');
+
+    posDatabase.updateInvoiceStatus(posDatabase.getAllInvoices()[0].id, 'cancelled');
+    posDatabase.closeShift(shiftId, []);
+    expect(() => posDatabase.closeShift(shiftId, [])).toThrow(`Shift ${shiftId} is already closed`);
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { connectivityMonitor } from '../connectivityMonitor.js';
+import { httpInterceptor } from '../httpInterceptor.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
+
+describe('ConnectivityMonitor', () => {
+  let makeHttpRequest;
+  let changes;
+  const onChange = (data) => changes.push(data);
+
+  beforeEach(() => {
+    changes = [];
+    httpInterceptor.isOnline = true;
+    connectivityMonitor.updateConfiguration({
+      onlineInterval: 30000,
+      offlineInterval: 5000,
+      maxOfflineInterval: 60000,
+      failureThreshold: 3,
+      successThreshold: 2,
+      transportErrorThreshold: 3,
+    });
+    connectivityMonitor.changeStatus(true, 'test_reset');
+    changes = [];
+    connectivityMonitor.on('connectivity-changed', onChange);
+    makeHttpRequest = vi.spyOn(httpInterceptor, 'makeHttpRequest');
+  });
+
+  afterEach(() => {
+    connectivityMonitor.stop();
+    connectivityMonitor.off('connectivity-changed', onChange);
+    vi.restoreAllMocks();
+  });
+
+  it('should probe the ERPNext ping endpoint', async () => {
+    makeHttpRequest.mockResolvedValue({ status: 200, body: { message: 'pong' } });
+
+    await connectivityMonitor.probe();
+
+    expect(makeHttpRequest).toHaveBeenCalledWith(
+      `${httpInterceptor.baseUrl}/api/method/ping`,
+      expect.objectContaining({ method: 'GET', timeout: connectivityMonitor.probeTimeout })
+    );
+  });
+
+  it('should go offline only after the failure threshold is reached', async () => {
+    makeHttpRequest.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    await connectivityMonitor.probe();
+    await connectivityMonitor.probe();
+    expect(httpInterceptor.isOnline).toBe(true);
+
+    await connectivityMonitor.probe();
+    expect(httpInterceptor.isOnline).toBe(false);
+    expect(changes).toEqual([expect.objectContaining({ isOnline: false, reason: 'probe_failed' })]);
+  });
+
+  it('should treat gateway errors as the server being down', async () => {
+    makeHttpRequest.mockResolvedValue({ status: 502, body: 'Bad Gateway' });
+
+    for (let i = 0; i < 3; i++) {
+      await connectivityMonitor.probe();
+    }
+
+    expect(httpInterceptor.isOnline).toBe(false);
+    expect(connectivityMonitor.getStatus().lastProbeError).toBe('HTTP 502');
+  });
+
+  it('should come back online after the success threshold is reached', async () => {
+    connectivityMonitor.changeStatus(false, 'test');
+    changes = [];
+    makeHttpRequest.mockResolvedValue({ status: 200, body: { message: 'pong' } });
+
+    await connectivityMonitor.probe();
+    expect(httpInterceptor.isOnline).toBe(false);
+
+    await connectivityMonitor.probe();
+    expect(httpInterceptor.isOnline).toBe(true);
+    expect(changes).toEqual([
+      expect.objectContaining({ isOnline: true, reason: 'probe_succeeded' }),
+    ]);
+  });
+
+  it('should reset the failure streak on a successful probe', async () => {
+    makeHttpRequest
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockResolvedValueOnce({ status: 200, body: {} })
+      .mockRejectedValueOnce(new Error('timeout'));
+
+    for (let i = 0; i < 4; i++) {
+      await connectivityMonitor.probe();
+    }
+
+    expect(httpInterceptor.isOnline).toBe(true);
+    expect(connectivityMonitor.consecutiveFailures).toBe(1);
+  });
+
+  it('should adapt the probe interval to the connection state', async () => {
+    expect(connectivityMonitor.getNextInterval()).toBe(30000);
+
+    makeHttpRequest.mockRejectedValue(new Error('timeout'));
+    await connectivityMonitor.probe();
+    expect(connectivityMonitor.getNextInterval()).toBe(5000);
+
+    await connectivityMonitor.probe();
+    await connectivityMonitor.probe();
+    expect(httpInterceptor.isOnline).toBe(false);
+    expect(connectivityMonitor.getNextInterval()).toBe(5000);
+
+    await connectivityMonitor.probe();
+    expect(connectivityMonitor.getNextInterval()).toBe(10000);
+
+    for (let i = 0; i < 10; i++) {
+      await connectivityMonitor.probe();
+    }
+    expect(connectivityMonitor.getNextInterval()).toBe(60000);
+  });
+
+  it('should go offline after a run of transport errors from requests', () => {
+    connectivityMonitor.start();
+    makeHttpRequest.mockResolvedValue({ status: 200, body: {} });
+
+    for (let i = 0; i < 2; i++) {
+      httpInterceptor.emit('transport-error', { method: 'POST', url: '/x', error: 'ETIMEDOUT' });
+    }
+    expect(httpInterceptor.isOnline).toBe(true);
+
+    httpInterceptor.emit('transport-success', { method: 'GET', url: '/y' });
+    httpInterceptor.emit('transport-error', { method: 'POST', url: '/x', error: 'ETIMEDOUT' });
+    expect(httpInterceptor.isOnline).toBe(true);
+
+    httpInterceptor.emit('transport-error', { method: 'POST', url: '/x', error: 'ETIMEDOUT' });
+    httpInterceptor.emit('transport-error', { method: 'POST', url: '/x', error: 'ETIMEDOUT' });
+    expect(httpInterceptor.isOnline).toBe(false);
+    expect(changes).toEqual([
+      expect.objectContaining({ isOnline: false, reason: 'transport_errors' }),
+    ]);
+  });
+
+  it('should stop listening for transport errors when stopped', () => {
+    connectivityMonitor.start();
+    connectivityMonitor.stop();
+
+    for (let i = 0; i < 5; i++) {
+      httpInterceptor.emit('transport-error', { method: 'POST', url: '/x', error: 'ETIMEDOUT' });
+    }
+
+    expect(httpInterceptor.isOnline).toBe(true);
+  });
+});
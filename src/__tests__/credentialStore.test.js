@@ -1,5 +1,29 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
 import CryptoJS from 'crypto-js';
+import fs from 'fs';
+import path from 'path';
+import { app } from 'electron';
+import { credentialStore } from '../credentialStore.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', async () => {
+  const os = await import('os');
+  const nodePath = await import('path');
+  const userDataDir = nodePath.join(os.tmpdir(), `posawsome-credentials-${process.pid}`);
+  return {
+    app: {
+      getPath: vi.fn(() => userDataDir),
+    },
+  };
+});
 
 describe('CredentialStore', () => {
   it('should encrypt and decrypt data', () => {
@@ -42,3 +66,133 @@ describe('CredentialStore', () => {
     expect(decrypted).toBe('');
   });
 });
+
+describe('CredentialStore persistence', () => {
+  const userDataDir = app.getPath('userData');
+
+  const restart = () => {
+    credentialStore.initialized = false;
+    credentialStore.credentials = {};
+    return credentialStore.initialize();
+  };
+
+  beforeEach(() => {
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+    expect(restart()).toBe(true);
+  });
+
+  afterAll(() => {
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+  });
+
+  it('should keep credentials across restarts', () => {
+    expect(credentialStore.storeCredentials('api-key', 'api-secret')).toBe(true);
+
+    expect(restart()).toBe(true);
+
+    expect(credentialStore.getCredentials()).toEqual({ token: 'api-key', secret: 'api-secret' });
+  });
+
+  it('should not write credentials in plain text', () => {
+    credentialStore.storeCredentials('api-key', 'api-secret');
+
+    const contents = fs.readFileSync(credentialStore.credentialsPath, 'utf8');
+    expect(contents).not.toContain('api-key');
+    expect(contents).not.toContain('api-secret');
+  });
+
+  it('should reuse the same installation key on every start', () => {
+    const keyBefore = fs.readFileSync(credentialStore.keyPath, 'utf8');
+
+    restart();
+
+    expect(fs.readFileSync(credentialStore.keyPath, 'utf8')).toBe(keyBefore);
+  });
+
+  it('should remove the credentials file when credentials are cleared', () => {
+    credentialStore.storeCredentials('api-key', 'api-secret');
+    expect(credentialStore.clearCredentials()).toBe(true);
+
+    expect(fs.existsSync(credentialStore.credentialsPath)).toBe(false);
+    restart();
+    expect(credentialStore.getCredentials()).toBeNull();
+  });
+
+  it('should re-encrypt credentials when the key is rotated', () => {
+    credentialStore.storeCredentials('api-key', 'api-secret');
+    const oldKeyId = credentialStore.keyring.activeKeyId;
+    const oldEnvelope = fs.readFileSync(credentialStore.credentialsPath, 'utf8');
+
+    expect(credentialStore.rotateKey()).toBe(true);
+
+    const keyring = JSON.parse(fs.readFileSync(credentialStore.keyPath, 'utf8'));
+    expect(keyring.activeKeyId).not.toBe(oldKeyId);
+    expect(keyring.keys).toHaveLength(1);
+    expect(fs.readFileSync(credentialStore.credentialsPath, 'utf8')).not.toBe(oldEnvelope);
+
+    restart();
+    expect(credentialStore.getCredentials()).toEqual({ token: 'api-key', secret: 'api-secret' });
+  });
+
+  it('should finish an interrupted key rotation on the next start', () => {
+    credentialStore.storeCredentials('api-key', 'api-secret');
+
+    // Simulate a crash after the new key was added but before re-encryption.
+    const keyring = JSON.parse(fs.readFileSync(credentialStore.keyPath, 'utf8'));
+    const newKey = credentialStore.generateKey();
+    keyring.keys.push(newKey);
+    keyring.activeKeyId = newKey.id;
+    fs.writeFileSync(credentialStore.keyPath, JSON.stringify(keyring));
+
+    restart();
+
+    expect(credentialStore.getCredentials()).toEqual({ token: 'api-key', secret: 'api-secret' });
+    const envelope = JSON.parse(fs.readFileSync(credentialStore.credentialsPath, 'utf8'));
+    expect(envelope.keyId).toBe(newKey.id);
+    expect(credentialStore.keyring.keys).toHaveLength(1);
+  });
+
+  it('should recover from a corrupted credentials file', () => {
+    credentialStore.storeCredentials('api-key', 'api-secret');
+    fs.writeFileSync(credentialStore.credentialsPath, '{not valid json');
+
+    expect(restart()).toBe(true);
+
+    expect(credentialStore.getCredentials()).toBeNull();
+    expect(fs.existsSync(credentialStore.credentialsPath)).toBe(false);
+    const quarantined = fs
+      .readdirSync(userDataDir)
+      .filter((file) =>
+        file.startsWith(`${path.basename(credentialStore.credentialsPath)}.corrupt-`)
+      );
+    expect(quarantined).toHaveLength(1);
+
+    expect(credentialStore.storeCredentials('new-key', 'new-secret')).toBe(true);
+    restart();
+    expect(credentialStore.getCredentials()).toEqual({ token: 'new-key', secret: 'new-secret' });
+  });
+
+  it('should identify the user by a hash of the API key', () => {
+    expect(credentialStore.getIdentity()).toBe('anonymous');
+
+    credentialStore.storeCredentials('api-key', 'api-secret');
+    const identity = credentialStore.getIdentity();
+    credentialStore.storeCredentials('api-key', 'rotated-secret');
+
+    expect(identity).toMatch(/^[0-9a-f]{32}$/);
+    expect(credentialStore.getIdentity()).toBe(identity);
+
+    credentialStore.storeCredentials('other-key', 'api-secret');
+    expect(credentialStore.getIdentity()).not.toBe(identity);
+  });
+
+  it('should recover when the installation key no longer matches', () => {
+    credentialStore.storeCredentials('api-key', 'api-secret');
+    fs.rmSync(credentialStore.keyPath);
+
+    expect(restart()).toBe(true);
+
+    expect(credentialStore.getCredentials()).toBeNull();
+    expect(fs.existsSync(credentialStore.keyPath)).toBe(true);
+  });
+});
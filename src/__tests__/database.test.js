@@ -594,11 +594,11 @@ describe('Database Schema Validation', () => {
     db.close();
   });
 
-  it('should verify schema.sql contains all required tables', () => {
+  it('should verify the initial schema migration contains all required tables', () => {
     const fs = require('fs');
     const path = require('path');
     
-    const schemaPath = path.join(__dirname, '../../src/database/schema.sql');
+    const schemaPath = path.join(__dirname, '../../src/database/migrations/001_initial_database_schema.sql');
     const schemaContent = fs.readFileSync(schemaPath, 'utf8');
     
     const requiredTables = [
@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { posDatabase } from '../database/db.js';
+import { databaseBackups } from '../database/backups.js';
+import { databaseMigrations } from '../database/migrations.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
+
+const customerNames = () => posDatabase.getAllCustomers().map((customer) => customer.name);
+
+describe('DatabaseBackups', () => {
+  let dir;
+
+  const reopen = async () => {
+    posDatabase.close();
+    return databaseMigrations.initialize();
+  };
+
+  const backupAt = (time, reason = 'manual') => {
+    vi.setSystemTime(new Date(time));
+    return databaseBackups.createBackup(reason);
+  };
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-03-01T09:00:00.000Z'));
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'posa-backups-'));
+    posDatabase.dbPath = path.join(dir, 'posawsome.db');
+    databaseBackups.retention = 5;
+    await databaseMigrations.initialize();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+    posDatabase.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should not back up a fresh database', () => {
+    expect(databaseBackups.listBackups()).toEqual([]);
+  });
+
+  it('should back up the database before running pending migrations', async () => {
+    await databaseMigrations.migrateTo('004');
+    posDatabase.db.prepare('INSERT INTO customers (name) VALUES (?)').run('Ada');
+
+    vi.setSystemTime(new Date('2026-03-01T10:00:00.000Z'));
+    expect(await reopen()).toBe(true);
+
+    const [latest] = databaseBackups.listBackups();
+    expect(latest).toMatchObject({
+      fileName: 'posawsome-2026-03-01T10-00-00-000Z-pre-migration-004.db',
+      reason: 'pre-migration-004',
+      createdAt: '2026-03-01T10:00:00.000Z',
+      schemaVersion: '004',
+    });
+
+    const backup = new Database(path.join(dir, 'backups', latest.fileName), { readonly: true });
+    expect(backup.prepare('SELECT name FROM customers').all()).toEqual([{ name: 'Ada' }]);
+    backup.close();
+    expect(fs.readdirSync(path.join(dir, 'backups')).every((file) => file.endsWith('.db'))).toBe(
+      true
+    );
+  });
+
+  it('should not migrate when the backup fails', async () => {
+    await databaseMigrations.migrateTo('004');
+    vi.spyOn(databaseBackups, 'createBackup').mockRejectedValue(new Error('disk full'));
+
+    expect(await reopen()).toBe(false);
+    expect(databaseMigrations.getCurrentVersion()).toBe('004');
+  });
+
+  it('should keep only the newest backups', async () => {
+    databaseBackups.retention = 2;
+
+    await backupAt('2026-03-02T09:00:00.000Z');
+    await backupAt('2026-03-03T09:00:00.000Z');
+    await backupAt('2026-03-04T09:00:00.000Z');
+
+    expect(databaseBackups.listBackups().map((backup) => backup.createdAt)).toEqual([
+      '2026-03-04T09:00:00.000Z',
+      '2026-03-03T09:00:00.000Z',
+    ]);
+  });
+
+  it('should restore a backup and keep the replaced database', async () => {
+    posDatabase.createCustomer('Ada');
+    const backup = await backupAt('2026-03-02T09:00:00.000Z');
+    posDatabase.createCustomer('Grace');
+
+    vi.setSystemTime(new Date('2026-03-02T10:00:00.000Z'));
+    const result = await databaseBackups.restoreBackup(backup.fileName);
+
+    expect(result).toEqual({
+      restored: backup.fileName,
+      safetyBackup: 'posawsome-2026-03-02T10-00-00-000Z-pre-restore.db',
+    });
+    expect(posDatabase.initialized).toBe(true);
+    expect(customerNames()).toEqual(['Ada']);
+
+    const safety = new Database(path.join(dir, 'backups', result.safetyBackup), {
+      readonly: true,
+    });
+    expect(safety.prepare('SELECT name FROM customers ORDER BY id').all()).toEqual([
+      { name: 'Ada' },
+      { name: 'Grace' },
+    ]);
+    safety.close();
+  });
+
+  it('should undo a restore from its safety backup', async () => {
+    posDatabase.createCustomer('Ada');
+    const backup = await backupAt('2026-03-02T09:00:00.000Z');
+    posDatabase.createCustomer('Grace');
+
+    vi.setSystemTime(new Date('2026-03-02T10:00:00.000Z'));
+    const { safetyBackup } = await databaseBackups.restoreBackup(backup.fileName);
+    databaseBackups.undoRestore(safetyBackup);
+
+    expect(posDatabase.initialized).toBe(true);
+    expect(customerNames()).toEqual(['Ada', 'Grace']);
+  });
+
+  it('should reject a corrupt backup without touching the database', async () => {
+    posDatabase.createCustomer('Ada');
+    const fileName = 'posawsome-2026-03-02T09-00-00-000Z-manual.db';
+    fs.mkdirSync(path.join(dir, 'backups'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'backups', fileName), 'not a database');
+
+    await expect(databaseBackups.restoreBackup(fileName)).rejects.toThrow(
+      `Backup ${fileName} failed the integrity check`
+    );
+    expect(posDatabase.initialized).toBe(true);
+    expect(customerNames()).toEqual(['Ada']);
+    expect(databaseBackups.listBackups().map((backup) => backup.reason)).toEqual(['manual']);
+  });
+
+  it('should put the database back when the restored copy fails the integrity check', async () => {
+    const backup = await backupAt('2026-03-02T09:00:00.000Z');
+    posDatabase.createCustomer('Ada');
+    const verifyIntegrity = databaseBackups.verifyIntegrity.bind(databaseBackups);
+    vi.spyOn(databaseBackups, 'verifyIntegrity').mockImplementation((db, label) => {
+      if (label === 'Restored database') {
+        throw new Error('Restored database failed the integrity check: row 3 missing from index');
+      }
+      return verifyIntegrity(db, label);
+    });
+
+    await expect(databaseBackups.restoreBackup(backup.fileName)).rejects.toThrow(
+      'Restored database failed the integrity check'
+    );
+    expect(posDatabase.initialized).toBe(true);
+    expect(customerNames()).toEqual(['Ada']);
+  });
+
+  it('should only restore backups by name', async () => {
+    await expect(databaseBackups.restoreBackup('../posawsome.db')).rejects.toThrow(
+      'Invalid backup name: ../posawsome.db'
+    );
+    await expect(
+      databaseBackups.restoreBackup('posawsome-2026-03-02T09-00-00-000Z-manual.db')
+    ).rejects.toThrow('Backup not found');
+  });
+
+  it('should skip backups of an in-memory database', async () => {
+    posDatabase.close();
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+
+    expect(await databaseBackups.createBackup('manual')).toBeNull();
+  });
+});
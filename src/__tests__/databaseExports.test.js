@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { posDatabase } from '../database/db.js';
+import { databaseBackups } from '../database/backups.js';
+import { databaseExports } from '../database/exports.js';
+import { databaseMigrations } from '../database/migrations.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
+
+const PASSPHRASE = 'correct horse battery';
+
+const customerNames = () => posDatabase.getAllCustomers().map((customer) => customer.name);
+
+describe('DatabaseExports', () => {
+  let dir;
+  let destination;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'posa-exports-'));
+    destination = path.join(dir, 'usb');
+    posDatabase.dbPath = path.join(dir, 'posawsome.db');
+    await databaseMigrations.initialize();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+    posDatabase.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should export an encrypted copy of the database', async () => {
+    posDatabase.createCustomer('Ada Lovelace');
+
+    const result = await databaseExports.exportTo(destination, PASSPHRASE);
+
+    expect(result.fileName).toMatch(/^posawsome-export-.+\.db\.enc$/);
+    expect(fs.readdirSync(destination)).toEqual([result.fileName]);
+    expect(fs.readdirSync(dir).filter((file) => file.endsWith('.export'))).toEqual([]);
+
+    const contents = fs.readFileSync(result.path);
+    expect(contents.includes('SQLite format 3')).toBe(false);
+    expect(contents.includes('Ada Lovelace')).toBe(false);
+  });
+
+  it('should refuse a short passphrase', async () => {
+    await expect(databaseExports.exportTo(destination, 'short')).rejects.toThrow(
+      'Backup passphrase must be at least 8 characters long'
+    );
+  });
+
+  it('should show the schema version and row counts of a backup', async () => {
+    posDatabase.createCustomer('Ada');
+    posDatabase.createItem('Coffee', 'COF-1', 3.5);
+    const { path: exportPath, createdAt } = await databaseExports.exportTo(destination, PASSPHRASE);
+
+    const manifest = await databaseExports.inspectExport(exportPath, PASSPHRASE);
+
+    expect(manifest).toMatchObject({
+      fileName: path.basename(exportPath),
+      createdAt,
+      schemaVersion: databaseMigrations.getCurrentVersion(),
+      stats: expect.objectContaining({ customers: 1, items: 1, sales_invoices: 0, sync_queue: 2 }),
+    });
+    expect(fs.existsSync(`${posDatabase.dbPath}.import`)).toBe(false);
+  });
+
+  it('should reject a wrong passphrase', async () => {
+    const { path: exportPath } = await databaseExports.exportTo(destination, PASSPHRASE);
+
+    await expect(databaseExports.inspectExport(exportPath, 'wrong passphrase')).rejects.toThrow(
+      'Wrong passphrase or damaged backup file'
+    );
+    expect(fs.existsSync(`${posDatabase.dbPath}.import`)).toBe(false);
+  });
+
+  it('should reject a backup that was tampered with', async () => {
+    const { path: exportPath } = await databaseExports.exportTo(destination, PASSPHRASE);
+    const contents = fs.readFileSync(exportPath);
+    contents[contents.length - 100] ^= 0xff;
+    fs.writeFileSync(exportPath, contents);
+
+    await expect(databaseExports.inspectExport(exportPath, PASSPHRASE)).rejects.toThrow(
+      'Wrong passphrase or damaged backup file'
+    );
+  });
+
+  it('should reject files that are not backups', async () => {
+    const filePath = path.join(dir, 'notes.db.enc');
+    fs.writeFileSync(filePath, 'just some notes');
+
+    await expect(databaseExports.inspectExport(filePath, PASSPHRASE)).rejects.toThrow(
+      'notes.db.enc is not a POSAwesome backup'
+    );
+  });
+
+  it('should refuse backups from a newer schema', async () => {
+    const { path: exportPath } = await databaseExports.exportTo(destination, PASSPHRASE);
+    vi.spyOn(databaseMigrations, 'getMigrations').mockReturnValue([{ version: '001' }]);
+
+    await expect(databaseExports.importExport(exportPath, PASSPHRASE)).rejects.toThrow(
+      'was made by a newer version of POSAwesome'
+    );
+  });
+
+  it('should import a backup and keep the replaced database', async () => {
+    posDatabase.createCustomer('Ada');
+    const { path: exportPath } = await databaseExports.exportTo(destination, PASSPHRASE);
+    posDatabase.createCustomer('Grace');
+
+    const result = await databaseExports.importExport(exportPath, PASSPHRASE);
+
+    expect(result.stats.customers).toBe(1);
+    expect(result.safetyBackup).toMatch(/-pre-restore\.db$/);
+    expect(posDatabase.initialized).toBe(true);
+    expect(customerNames()).toEqual(['Ada']);
+    expect(databaseBackups.listBackups().map((backup) => backup.reason)).toEqual(['pre-restore']);
+    expect(fs.existsSync(`${posDatabase.dbPath}.import`)).toBe(false);
+  });
+
+  it('should keep only the newest exports in the destination', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    for (const day of ['02', '03', '04']) {
+      vi.setSystemTime(new Date(`2026-03-${day}T02:00:00.000Z`));
+      await databaseExports.exportTo(destination, PASSPHRASE);
+    }
+    fs.writeFileSync(path.join(destination, 'readme.txt'), 'audit copies');
+
+    expect(databaseExports.pruneExports(destination, 2)).toBe(1);
+    expect(fs.readdirSync(destination).sort()).toEqual([
+      'posawsome-export-2026-03-03T02-00-00-000Z.db.enc',
+      'posawsome-export-2026-03-04T02-00-00-000Z.db.enc',
+      'readme.txt',
+    ]);
+  });
+});
@@ -0,0 +1,296 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { posDatabase } from '../database/db.js';
+import { databaseMigrations } from '../database/migrations.js';
+import { invoiceCalculator } from '../database/invoiceCalculator.js';
+import { outboxDispatcher } from '../outboxDispatcher.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
+
+function serverCard(name, balance, fields = {}) {
+  return { name, code: name, balance, status: 'Active', modified: '2026-01-01', ...fields };
+}
+
+function pendingEntry(localTable, localId) {
+  return posDatabase
+    .getPendingSyncEntries()
+    .find((row) => row.local_table === localTable && row.local_id === localId);
+}
+
+function conflicts() {
+  return posDatabase.db
+    .prepare('SELECT resource_id, resource_type, conflict_type, local_data FROM sync_conflicts')
+    .all()
+    .map((row) => ({ ...row, local_data: JSON.parse(row.local_data) }));
+}
+
+describe('Gift cards', () => {
+  let coffeeId;
+
+  function sell(name, qty, status = 'draft') {
+    const invoiceId = posDatabase.createInvoice(name);
+    posDatabase.addInvoiceItem(invoiceId, coffeeId, qty, 10);
+    if (status !== 'draft') {
+      posDatabase.updateInvoiceStatus(invoiceId, status);
+    }
+    return invoiceId;
+  }
+
+  function markSynced(invoiceId, name) {
+    posDatabase.linkServerRecord('sales_invoices', invoiceId, name);
+    posDatabase.db.prepare('UPDATE sync_queue SET status = ?').run('completed');
+  }
+
+  beforeEach(async () => {
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    invoiceCalculator.roundingMethod = 'bankers';
+    invoiceCalculator.smallestCurrencyFraction = 0.01;
+    posDatabase.stockWarehouse = '';
+    posDatabase.tillId = 'TILL-A';
+
+    coffeeId = posDatabase.createItem('Coffee', 'COF-1', 10);
+  });
+
+  afterEach(() => {
+    posDatabase.close();
+  });
+
+  it('should redeem part of a card and keep its history', () => {
+    posDatabase.issueGiftCard('GC-1', 50, { expiryDate: '2099-12-31' });
+    const invoiceId = sell('LOCAL-INV-1', 2);
+
+    posDatabase.redeemGiftCard(invoiceId, 'GC-1', 15);
+
+    expect(posDatabase.getInvoicePayments(invoiceId)).toEqual([
+      expect.objectContaining({
+        mode_of_payment: 'Gift Card',
+        amount: 15,
+        reference: 'GC-1',
+        gift_card: 'GC-1',
+      }),
+    ]);
+    expect(posDatabase.getInvoice(invoiceId).outstanding_amount).toBe(5);
+    expect(posDatabase.getGiftCardByCode('GC-1')).toMatchObject({
+      balance: 50,
+      pending_amount: 0,
+      reserved_amount: 15,
+      available: 35,
+      locked_by: 'TILL-A',
+    });
+
+    posDatabase.addInvoicePayment(invoiceId, 'Cash', 5);
+    posDatabase.updateInvoiceStatus(invoiceId, 'paid');
+
+    expect(posDatabase.getGiftCardByCode('GC-1')).toMatchObject({
+      pending_amount: -15,
+      reserved_amount: 0,
+      available: 35,
+    });
+    expect(
+      posDatabase
+        .getGiftCardHistory('GC-1')
+        .map((entry) => [entry.transaction_type, entry.amount, entry.invoice_name])
+    ).toEqual([
+      ['Issue', 50, null],
+      ['Redeem', -15, 'LOCAL-INV-1'],
+    ]);
+  });
+
+  it('should refuse redemptions the card or the invoice cannot cover', () => {
+    posDatabase.issueGiftCard('GC-1', 12);
+    posDatabase.issueGiftCard('GC-OLD', 10, { expiryDate: '2000-01-31' });
+    posDatabase.upsertGiftCardFromServer(serverCard('GC-OFF', 10, { status: 'Disabled' }));
+    const invoiceId = sell('LOCAL-INV-1', 1);
+
+    expect(() => posDatabase.redeemGiftCard(invoiceId, 'GC-1', 10)).not.toThrow();
+    expect(() => posDatabase.redeemGiftCard(invoiceId, 'GC-1', 1)).toThrow(
+      '1 is more than the 0 outstanding on LOCAL-INV-1'
+    );
+    const otherId = sell('LOCAL-INV-2', 1);
+    expect(() => posDatabase.redeemGiftCard(otherId, 'GC-1', 2.5)).toThrow(
+      'Gift card GC-1 has 2 left, 2.5 requested'
+    );
+    expect(() => posDatabase.redeemGiftCard(otherId, 'GC-OLD', 1)).toThrow(
+      'Gift card GC-OLD expired on 2000-01-31'
+    );
+    expect(() => posDatabase.redeemGiftCard(otherId, 'GC-OFF', 1)).toThrow(
+      'Gift card GC-OFF is disabled'
+    );
+    expect(() => posDatabase.redeemGiftCard(otherId, 'GC-NONE', 1)).toThrow(
+      'Gift card GC-NONE not found'
+    );
+    expect(() => posDatabase.addInvoicePayment(otherId, 'Gift Card', 1)).toThrow(
+      'Gift cards are redeemed with redeemGiftCard'
+    );
+
+    const submittedId = sell('LOCAL-INV-3', 1, 'submitted');
+    expect(() => posDatabase.redeemGiftCard(submittedId, 'GC-1', 1)).toThrow(
+      'Cannot change the payments of submitted invoice LOCAL-INV-3'
+    );
+  });
+
+  it('should refuse cards locked by another till and release its own lock', () => {
+    posDatabase.upsertGiftCardFromServer(serverCard('GC-1', 40, { locked_by: 'TILL-B' }));
+    posDatabase.upsertGiftCardFromServer(serverCard('GC-2', 40));
+    const invoiceId = sell('LOCAL-INV-1', 2);
+
+    expect(() => posDatabase.redeemGiftCard(invoiceId, 'GC-1', 5)).toThrow(
+      'Gift card GC-1 is in use on till TILL-B'
+    );
+
+    const paymentId = posDatabase.redeemGiftCard(invoiceId, 'GC-2', 5);
+    const card = posDatabase.getGiftCardByCode('GC-2');
+    expect(card.locked_by).toBe('TILL-A');
+    expect(outboxDispatcher.buildDocument(pendingEntry('gift_cards', card.id))).toEqual({
+      locked_by: 'TILL-A',
+    });
+
+    // A pull before the lock reached ERPNext keeps it.
+    posDatabase.upsertGiftCardFromServer(serverCard('GC-2', 40, { modified: '2026-01-02' }));
+    expect(posDatabase.getGiftCardByCode('GC-2').locked_by).toBe('TILL-A');
+
+    posDatabase.removeInvoicePayment(invoiceId, paymentId);
+    expect(posDatabase.getGiftCardByCode('GC-2')).toMatchObject({
+      locked_by: null,
+      available: 40,
+    });
+  });
+
+  it('should release the lock once ERPNext has booked the redemption', () => {
+    posDatabase.upsertGiftCardFromServer(serverCard('GC-1', 40));
+    const invoiceId = sell('LOCAL-INV-1', 3);
+    posDatabase.redeemGiftCard(invoiceId, 'GC-1', 30);
+    posDatabase.updateInvoiceStatus(invoiceId, 'submitted');
+    markSynced(invoiceId, 'SINV-0001');
+
+    // The pull started before the invoice reached ERPNext.
+    expect(posDatabase.reconcileGiftCardLedger(new Date(Date.now() - 60000))).toBe(0);
+    expect(posDatabase.getGiftCardByCode('GC-1').locked_by).toBe('TILL-A');
+
+    posDatabase.upsertGiftCardFromServer(
+      serverCard('GC-1', 10, { locked_by: 'TILL-A', modified: '2026-01-02' })
+    );
+    expect(posDatabase.reconcileGiftCardLedger(new Date(Date.now() + 1000))).toBe(1);
+
+    const card = posDatabase.getGiftCardByCode('GC-1');
+    expect(card).toMatchObject({ balance: 10, pending_amount: 0, available: 10, locked_by: null });
+    expect(outboxDispatcher.buildDocument(pendingEntry('gift_cards', card.id))).toEqual({
+      locked_by: null,
+    });
+    expect(conflicts()).toEqual([]);
+  });
+
+  it('should record a conflict when two tills redeem the same card offline', () => {
+    posDatabase.upsertGiftCardFromServer(serverCard('GC-1', 40));
+    const invoiceId = sell('LOCAL-INV-1', 3);
+    posDatabase.redeemGiftCard(invoiceId, 'GC-1', 30);
+    posDatabase.updateInvoiceStatus(invoiceId, 'submitted');
+
+    // TILL-B spent 30 as well, and its lock reached ERPNext first.
+    posDatabase.upsertGiftCardFromServer(
+      serverCard('GC-1', 10, { locked_by: 'TILL-B', modified: '2026-01-02' })
+    );
+    posDatabase.reconcileGiftCardLedger(new Date());
+    posDatabase.reconcileGiftCardLedger(new Date());
+
+    expect(conflicts()).toEqual([
+      {
+        resource_id: 'GC-1',
+        resource_type: 'Gift Card',
+        conflict_type: 'gift_card_locked',
+        local_data: {
+          till: 'TILL-A',
+          pending_amount: -30,
+          reserved_amount: 0,
+          available: -20,
+          invoices: ['LOCAL-INV-1'],
+        },
+      },
+    ]);
+    expect(posDatabase.getGiftCardByCode('GC-1').locked_by).toBe('TILL-B');
+  });
+
+  it('should record a conflict when the card no longer covers what was spent', () => {
+    posDatabase.upsertGiftCardFromServer(serverCard('GC-1', 40));
+    const invoiceId = sell('LOCAL-INV-1', 3);
+    posDatabase.redeemGiftCard(invoiceId, 'GC-1', 30);
+
+    // TILL-B spent 30 and has already released its lock.
+    posDatabase.upsertGiftCardFromServer(serverCard('GC-1', 10, { modified: '2026-01-02' }));
+    posDatabase.reconcileGiftCardLedger(new Date());
+
+    expect(conflicts()).toEqual([
+      expect.objectContaining({
+        resource_id: 'GC-1',
+        conflict_type: 'gift_card_overdrawn',
+        local_data: expect.objectContaining({ reserved_amount: 30, invoices: ['LOCAL-INV-1'] }),
+      }),
+    ]);
+  });
+
+  it('should refund returns as store credit and give cancelled redemptions back', () => {
+    const saleId = sell('LOCAL-INV-1', 2);
+    posDatabase.addInvoicePayment(saleId, 'Cash', 20);
+    posDatabase.updateInvoiceStatus(saleId, 'paid');
+    const [line] = posDatabase.getInvoiceItems(saleId);
+    const returnId = posDatabase.createReturnInvoice(saleId, [{ lineId: line.id, qty: 2 }]);
+
+    posDatabase.issueStoreCredit(returnId, 'SC-1');
+
+    expect(posDatabase.getInvoice(returnId).outstanding_amount).toBe(0);
+    expect(posDatabase.getGiftCardByCode('SC-1')).toMatchObject({ balance: 0, available: 0 });
+    expect(() => posDatabase.issueStoreCredit(returnId, 'SC-2')).toThrow(
+      'Return LOCAL-INV-1-RET-1 has nothing left to refund'
+    );
+
+    posDatabase.updateInvoiceStatus(returnId, 'paid');
+    expect(posDatabase.getGiftCardByCode('SC-1').available).toBe(20);
+
+    const invoiceId = sell('LOCAL-INV-2', 1);
+    posDatabase.redeemGiftCard(invoiceId, 'SC-1', 10);
+    posDatabase.updateInvoiceStatus(invoiceId, 'submitted');
+    posDatabase.updateInvoiceStatus(invoiceId, 'cancelled');
+
+    expect(
+      posDatabase.getGiftCardHistory('SC-1').map((entry) => [entry.transaction_type, entry.amount])
+    ).toEqual([
+      ['Refund', 20],
+      ['Redeem', -10],
+      ['Reversal', 10],
+    ]);
+    expect(posDatabase.getGiftCardByCode('SC-1')).toMatchObject({
+      available: 20,
+      locked_by: 'TILL-A',
+    });
+  });
+
+  it('should send issued cards with their balance and lock', () => {
+    const cardId = posDatabase.issueGiftCard('GC-1', 50, { currency: 'EUR' });
+    const invoiceId = sell('LOCAL-INV-1', 1);
+    posDatabase.redeemGiftCard(invoiceId, 'GC-1', 10);
+
+    expect(outboxDispatcher.buildDocument(pendingEntry('gift_cards', cardId))).toEqual({
+      code: 'GC-1',
+      balance: 50,
+      currency: 'EUR',
+      expiry_date: null,
+      locked_by: 'TILL-A',
+    });
+    expect(
+      outboxDispatcher.buildDocument(pendingEntry('sales_invoices', invoiceId)).payments
+    ).toEqual([{ mode_of_payment: 'Gift Card', amount: 10, reference_no: 'GC-1' }]);
+  });
+});
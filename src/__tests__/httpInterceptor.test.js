@@ -1,5 +1,26 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import crypto from 'crypto';
+import { httpInterceptor } from '../httpInterceptor.js';
+import { offlineQueueManager } from '../offlineQueueManager.js';
+import { cachePolicy } from '../cachePolicy.js';
+import { credentialStore } from '../credentialStore.js';
+import { posDatabase } from '../database/db.js';
+import { databaseMigrations } from '../database/migrations.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
 
 describe('HTTPInterceptor', () => {
   it('should validate HTTP methods', () => {
@@ -74,3 +95,274 @@ describe('HTTPInterceptor', () => {
     expect(cached.data).toBeDefined();
   });
 });
+
+describe('HTTPInterceptor response cache', () => {
+  const URL_ITEMS = 'http://erp.local/api/resource/Item';
+  let makeHttpRequest;
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ now: new Date('2024-05-01T10:00:00.000Z') });
+    vi.spyOn(credentialStore, 'getIdentity').mockReturnValue('anonymous');
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    offlineQueueManager.initialize();
+    cachePolicy.updateSettings({
+      defaultPolicy: { ttl: 0, staleWhileRevalidate: 0, noCache: false, maxEntrySize: 1024 },
+      rules: [{ doctypes: ['Item'], ttl: 60000, staleWhileRevalidate: 60000 }],
+    });
+    httpInterceptor.isOnline = true;
+    makeHttpRequest = vi.spyOn(httpInterceptor, 'makeHttpRequest');
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    offlineQueueManager.close();
+    posDatabase.close();
+    httpInterceptor.isOnline = true;
+  });
+
+  it('should serve fresh entries without going to the network', async () => {
+    makeHttpRequest.mockResolvedValue({ status: 200, body: { data: ['first'] } });
+    await httpInterceptor.executeRequest('GET', URL_ITEMS);
+
+    vi.advanceTimersByTime(30000);
+    const response = await httpInterceptor.executeRequest('GET', URL_ITEMS);
+
+    expect(makeHttpRequest).toHaveBeenCalledTimes(1);
+    expect(response).toEqual(
+      expect.objectContaining({
+        cached: true,
+        stale: false,
+        cacheAge: 30,
+        data: { data: ['first'] },
+      })
+    );
+  });
+
+  it('should serve stale entries while revalidating in the background', async () => {
+    makeHttpRequest.mockResolvedValueOnce({ status: 200, body: { data: ['first'] } });
+    await httpInterceptor.executeRequest('GET', URL_ITEMS);
+
+    vi.advanceTimersByTime(90000);
+    makeHttpRequest.mockResolvedValueOnce({ status: 200, body: { data: ['second'] } });
+    const response = await httpInterceptor.executeRequest('GET', URL_ITEMS);
+
+    expect(response).toEqual(expect.objectContaining({ stale: true, data: { data: ['first'] } }));
+    await vi.waitFor(() => expect(httpInterceptor.revalidating.size).toBe(0));
+
+    const refreshed = await httpInterceptor.executeRequest('GET', URL_ITEMS);
+    expect(refreshed).toEqual(
+      expect.objectContaining({ stale: false, cacheAge: 0, data: { data: ['second'] } })
+    );
+  });
+
+  it('should go to the network once an entry has expired', async () => {
+    makeHttpRequest.mockResolvedValue({ status: 200, body: { data: [] } });
+    await httpInterceptor.executeRequest('GET', URL_ITEMS);
+
+    vi.advanceTimersByTime(121000);
+    const response = await httpInterceptor.executeRequest('GET', URL_ITEMS);
+
+    expect(makeHttpRequest).toHaveBeenCalledTimes(2);
+    expect(response.cached).toBeUndefined();
+  });
+
+  it('should never cache routes marked no-cache', async () => {
+    cachePolicy.updateSettings({ rules: [{ doctypes: ['Item'], noCache: true }] });
+    makeHttpRequest.mockResolvedValue({ status: 200, body: { data: [] } });
+
+    await httpInterceptor.executeRequest('GET', URL_ITEMS);
+
+    expect(offlineQueueManager.getCacheStats().entries).toBe(0);
+  });
+
+  it('should skip responses larger than the maximum entry size', async () => {
+    makeHttpRequest.mockResolvedValue({ status: 200, body: { data: 'x'.repeat(2048) } });
+
+    await httpInterceptor.executeRequest('GET', URL_ITEMS);
+
+    expect(offlineQueueManager.getCacheStats().entries).toBe(0);
+  });
+
+  it('should only cache GET responses', async () => {
+    makeHttpRequest.mockResolvedValue({ status: 200, body: { data: { name: 'ITEM-1' } } });
+
+    await httpInterceptor.executeRequest('POST', URL_ITEMS, { body: '{}' });
+
+    expect(offlineQueueManager.getCacheStats().entries).toBe(0);
+  });
+
+  it('should report the age of cached responses served offline', async () => {
+    cachePolicy.updateSettings({ rules: [] });
+    makeHttpRequest.mockResolvedValue({ status: 200, body: { data: ['cached'] } });
+    await httpInterceptor.executeRequest('GET', URL_ITEMS);
+
+    httpInterceptor.isOnline = false;
+    vi.advanceTimersByTime(3600000);
+    const response = await httpInterceptor.executeRequest('GET', URL_ITEMS);
+
+    expect(response).toEqual({
+      ok: true,
+      status: 200,
+      data: { data: ['cached'] },
+      cached: true,
+      stale: true,
+      cachedAt: '2024-05-01T10:00:00.000Z',
+      cacheAge: 3600,
+    });
+  });
+});
+
+describe('HTTPInterceptor cache partitioning', () => {
+  const URL_LIST = 'http://erp.local/api/method/frappe.client.get_list';
+  let identity;
+  let makeHttpRequest;
+
+  const fetchOnline = (headers = {}) =>
+    httpInterceptor.executeRequest('GET', URL_LIST, { headers });
+  const fetchOffline = async (headers = {}) => {
+    httpInterceptor.isOnline = false;
+    const response = await httpInterceptor.executeRequest('GET', URL_LIST, { headers });
+    httpInterceptor.isOnline = true;
+    return response;
+  };
+
+  beforeEach(async () => {
+    identity = 'cashier-a';
+    vi.spyOn(credentialStore, 'getIdentity').mockImplementation(() => identity);
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    offlineQueueManager.initialize();
+    cachePolicy.updateSettings({
+      defaultPolicy: { ttl: 0, staleWhileRevalidate: 0, noCache: false, maxEntrySize: 1024 },
+      varyHeaders: ['Accept', 'Accept-Language', 'X-Company'],
+      rules: [],
+    });
+    httpInterceptor.isOnline = true;
+    makeHttpRequest = vi.spyOn(httpInterceptor, 'makeHttpRequest');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    offlineQueueManager.close();
+    posDatabase.close();
+    httpInterceptor.isOnline = true;
+  });
+
+  it('should not serve one user cached responses to another', async () => {
+    makeHttpRequest.mockResolvedValue({ status: 200, body: { message: ['restricted'] } });
+    await fetchOnline();
+
+    identity = 'cashier-b';
+    const response = await fetchOffline();
+
+    expect(response.status).toBe(503);
+    identity = 'cashier-a';
+    expect((await fetchOffline()).data).toEqual({ message: ['restricted'] });
+  });
+
+  it('should keep separate entries for each value of a varying header', async () => {
+    makeHttpRequest
+      .mockResolvedValueOnce({ status: 200, body: { message: 'Company A' } })
+      .mockResolvedValueOnce({ status: 200, body: { message: 'Company B' } });
+
+    await fetchOnline({ 'X-Company': 'A' });
+    await fetchOnline({ 'X-Company': 'B' });
+
+    expect((await fetchOffline({ 'x-company': 'A' })).data).toEqual({ message: 'Company A' });
+    expect((await fetchOffline({ 'X-Company': 'B' })).data).toEqual({ message: 'Company B' });
+    expect((await fetchOffline({ 'X-Company': 'C' })).status).toBe(503);
+  });
+
+  it('should ignore headers that are not configured to vary', async () => {
+    makeHttpRequest.mockResolvedValue({ status: 200, body: { message: [] } });
+
+    await fetchOnline({ 'X-Request-Id': '1' });
+
+    expect((await fetchOffline({ 'X-Request-Id': '2' })).cached).toBe(true);
+  });
+
+  it('should tag entries with the identity that cached them', async () => {
+    makeHttpRequest.mockResolvedValue({ status: 200, body: { message: [] } });
+    await fetchOnline();
+    identity = 'cashier-b';
+    await fetchOnline();
+
+    expect(offlineQueueManager.clearCachePartition('cashier-a')).toBe(1);
+    expect(offlineQueueManager.getCacheStats().entries).toBe(1);
+  });
+});
+
+describe('HTTPInterceptor idempotency keys', () => {
+  const URL_INVOICES = 'http://erp.local/api/resource/Sales%20Invoice';
+  let makeHttpRequest;
+
+  const queuedRows = () => posDatabase.db.prepare('SELECT * FROM offline_requests').all();
+
+  beforeEach(async () => {
+    vi.spyOn(credentialStore, 'getIdentity').mockReturnValue('anonymous');
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    offlineQueueManager.initialize();
+    httpInterceptor.isOnline = true;
+    makeHttpRequest = vi.spyOn(httpInterceptor, 'makeHttpRequest');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    offlineQueueManager.close();
+    posDatabase.close();
+  });
+
+  it('should send online writes with an idempotency key', async () => {
+    makeHttpRequest.mockResolvedValue({ status: 200, body: { data: { name: 'ACC-SINV-1' } } });
+
+    await httpInterceptor.executeRequest('POST', URL_INVOICES, { body: '{"customer":"Ada"}' });
+
+    const [, { headers, body }] = makeHttpRequest.mock.calls[0];
+    expect(headers['X-Idempotency-Key']).toEqual(expect.any(String));
+    expect(JSON.parse(body)).toEqual({
+      customer: 'Ada',
+      posa_idempotency_key: headers['X-Idempotency-Key'],
+    });
+  });
+
+  it('should queue an online POST that timed out with its key, flagged for verification', async () => {
+    makeHttpRequest.mockRejectedValue(new Error('Request timeout'));
+
+    const response = await httpInterceptor.executeRequest('POST', URL_INVOICES, {
+      body: '{"customer":"Ada"}',
+    });
+
+    const [, { headers }] = makeHttpRequest.mock.calls[0];
+    expect(response).toMatchObject({ status: 202, queued: true });
+    expect(queuedRows()).toEqual([
+      expect.objectContaining({
+        body: '{"customer":"Ada"}',
+        idempotency_key: headers['X-Idempotency-Key'],
+        needs_verification: 1,
+      }),
+    ]);
+  });
+
+  it('should flag gateway errors but not requests that never left the till', async () => {
+    makeHttpRequest
+      .mockResolvedValueOnce({ status: 502, body: 'Bad Gateway' })
+      .mockRejectedValueOnce(
+        Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })
+      )
+      .mockResolvedValueOnce({ status: 417, body: { exception: 'ValidationError' } });
+
+    await httpInterceptor.executeRequest('POST', URL_INVOICES, { body: '{"customer":"Ada"}' });
+    await httpInterceptor.executeRequest('POST', URL_INVOICES, { body: '{"customer":"Bo"}' });
+    await httpInterceptor.executeRequest('POST', URL_INVOICES, { body: '{"customer":"Cy"}' });
+
+    const keys = makeHttpRequest.mock.calls.map(([, { headers }]) => headers['X-Idempotency-Key']);
+    expect(queuedRows().map((row) => [row.idempotency_key, row.needs_verification])).toEqual([
+      [keys[0], 1],
+      [keys[1], 0],
+      [keys[2], 0],
+    ]);
+  });
+});
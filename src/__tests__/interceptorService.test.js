@@ -1,4 +1,28 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { interceptorService } from '../interceptorService.js';
+import { credentialStore } from '../credentialStore.js';
+import { offlineQueueManager } from '../offlineQueueManager.js';
+import { syncEngine } from '../syncEngine.js';
+import { masterDataSync } from '../masterDataSync.js';
+import { outboxDispatcher } from '../outboxDispatcher.js';
+import { backupScheduler } from '../backupScheduler.js';
+import { posDatabase } from '../database/db.js';
+import { databaseMigrations } from '../database/migrations.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
 
 describe('InterceptorService', () => {
   it('should validate service states', () => {
@@ -77,3 +101,111 @@ describe('InterceptorService', () => {
     expect(responses.stats).toHaveProperty('pending');
   });
 });
+
+describe('InterceptorService credentials', () => {
+  beforeEach(async () => {
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    offlineQueueManager.initialize();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    offlineQueueManager.close();
+    posDatabase.close();
+  });
+
+  it('should drop the cached responses of a user whose credentials are cleared', () => {
+    vi.spyOn(credentialStore, 'getIdentity').mockReturnValue('cashier-a');
+    vi.spyOn(credentialStore, 'clearCredentials').mockReturnValue(true);
+    offlineQueueManager.cacheResponse('a-1', {}, { partition: 'cashier-a' });
+    offlineQueueManager.cacheResponse('b-1', {}, { partition: 'cashier-b' });
+
+    expect(interceptorService.clearCredentials()).toBe(true);
+
+    expect(offlineQueueManager.getCachedEntry('a-1')).toBeNull();
+    expect(offlineQueueManager.getCachedEntry('b-1')).not.toBeNull();
+  });
+
+  it('should keep the cache when clearing credentials fails', () => {
+    vi.spyOn(credentialStore, 'getIdentity').mockReturnValue('cashier-a');
+    vi.spyOn(credentialStore, 'clearCredentials').mockReturnValue(false);
+    offlineQueueManager.cacheResponse('a-1', {}, { partition: 'cashier-a' });
+
+    expect(interceptorService.clearCredentials()).toBe(false);
+
+    expect(offlineQueueManager.getCachedEntry('a-1')).not.toBeNull();
+  });
+});
+
+describe('InterceptorService shutdown', () => {
+  afterEach(() => {
+    masterDataSync.currentRun = null;
+    outboxDispatcher.currentDispatch = null;
+    vi.restoreAllMocks();
+  });
+
+  it('should wait for a master data run and an outbox dispatch in progress', async () => {
+    vi.spyOn(syncEngine, 'safeShutdown').mockResolvedValue();
+    vi.spyOn(backupScheduler, 'stop').mockImplementation(() => {});
+    const close = vi.spyOn(offlineQueueManager, 'close').mockImplementation(() => {});
+    let finishRun;
+    let finishDispatch;
+    masterDataSync.currentRun = new Promise((resolve) => {
+      finishRun = resolve;
+    });
+    outboxDispatcher.currentDispatch = new Promise((resolve) => {
+      finishDispatch = resolve;
+    });
+
+    const shutdown = interceptorService.shutdown();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(close).not.toHaveBeenCalled();
+
+    finishRun(true);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(close).not.toHaveBeenCalled();
+
+    finishDispatch(2);
+    await shutdown;
+    expect(close).toHaveBeenCalled();
+  });
+});
+
+describe('InterceptorService master data', () => {
+  beforeEach(() => {
+    vi.spyOn(syncEngine, 'forceSync').mockImplementation(() => {});
+    vi.spyOn(outboxDispatcher, 'dispatch').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should dispatch the outbox when the connection returns', () => {
+    vi.spyOn(masterDataSync, 'hasUnfinishedRun').mockReturnValue(false);
+
+    interceptorService.handleConnectivityChanged({ isOnline: true });
+
+    expect(outboxDispatcher.dispatch).toHaveBeenCalled();
+  });
+
+  it('should resume an unfinished master data run when the connection returns', () => {
+    vi.spyOn(masterDataSync, 'hasUnfinishedRun').mockReturnValue(true);
+    const run = vi.spyOn(masterDataSync, 'run').mockResolvedValue(true);
+
+    interceptorService.handleConnectivityChanged({ isOnline: true });
+
+    expect(run).toHaveBeenCalled();
+  });
+
+  it('should not start a master data run when the last one finished', () => {
+    vi.spyOn(masterDataSync, 'hasUnfinishedRun').mockReturnValue(false);
+    const run = vi.spyOn(masterDataSync, 'run').mockResolvedValue(true);
+
+    interceptorService.handleConnectivityChanged({ isOnline: true });
+    interceptorService.handleConnectivityChanged({ isOnline: false });
+
+    expect(run).not.toHaveBeenCalled();
+  });
+});
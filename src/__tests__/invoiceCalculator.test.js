@@ -0,0 +1,305 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { invoiceCalculator } from '../database/invoiceCalculator.js';
+import { posDatabase } from '../database/db.js';
+import { databaseMigrations } from '../database/migrations.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
+
+const onNetTotal = (rate, includedInPrintRate = false) => ({
+  chargeType: 'On Net Total',
+  rate,
+  includedInPrintRate,
+});
+
+const discountedLines = [
+  { qty: 3, priceListRate: 10, discountPercentage: 10 },
+  { qty: 1, priceListRate: 4.99, discountAmount: 0.5 },
+];
+
+describe('InvoiceCalculator', () => {
+  beforeEach(() => {
+    invoiceCalculator.precision = 2;
+    invoiceCalculator.roundingMethod = 'bankers';
+    invoiceCalculator.smallestCurrencyFraction = 0.01;
+  });
+
+  it('should apply line discounts and exclusive taxes', () => {
+    const result = invoiceCalculator.calculate({
+      items: discountedLines,
+      taxes: [onNetTotal(10)],
+    });
+
+    expect(result.items.map((item) => [item.rate, item.amount, item.discountAmount])).toEqual([
+      [9, 27, 1],
+      [4.49, 4.49, 0.5],
+    ]);
+    expect(result.taxes[0]).toMatchObject({ taxAmount: 3.15, total: 34.64 });
+    expect(result).toMatchObject({
+      total: 31.49,
+      netTotal: 31.49,
+      totalTaxesAndCharges: 3.15,
+      grandTotal: 34.64,
+      roundingAdjustment: 0,
+      roundedTotal: 34.64,
+    });
+  });
+
+  it('should take included taxes out of the net total', () => {
+    const result = invoiceCalculator.calculate({
+      items: [{ qty: 1, priceListRate: 100 }],
+      taxes: [onNetTotal(9, true), onNetTotal(9, true)],
+    });
+
+    expect(result.items[0]).toMatchObject({ amount: 100, netAmount: 84.75 });
+    expect(result.taxes.map((tax) => [tax.taxAmount, tax.total])).toEqual([
+      [7.63, 92.38],
+      [7.63, 100.01],
+    ]);
+    expect(result).toMatchObject({
+      netTotal: 84.75,
+      totalTaxesAndCharges: 15.26,
+      grandTotal: 100,
+    });
+  });
+
+  it('should charge taxes on previous rows', () => {
+    const invoice = {
+      items: [{ qty: 2, priceListRate: 25 }],
+      taxes: [
+        onNetTotal(10),
+        { chargeType: 'On Previous Row Amount', rate: 5, rowId: 1 },
+        { chargeType: 'On Previous Row Total', rate: 2, rowId: 2 },
+      ],
+    };
+
+    const result = invoiceCalculator.calculate(invoice);
+
+    expect(result.taxes.map((tax) => tax.taxAmount)).toEqual([5, 0.25, 1.1]);
+    expect(result.grandTotal).toBe(56.35);
+
+    invoiceCalculator.roundingMethod = 'commercial';
+    expect(invoiceCalculator.calculate(invoice).taxes[2].taxAmount).toBe(1.11);
+  });
+
+  it('should spread a discount on the grand total over items and taxes', () => {
+    const result = invoiceCalculator.calculate({
+      items: [
+        { qty: 1, priceListRate: 100 },
+        { qty: 1, priceListRate: 50 },
+      ],
+      taxes: [onNetTotal(10)],
+      additionalDiscountPercentage: 10,
+    });
+
+    expect(result.items.map((item) => item.netAmount)).toEqual([90, 45]);
+    expect(result.taxes[0]).toMatchObject({ taxAmount: 15, taxAmountAfterDiscountAmount: 13.5 });
+    expect(result).toMatchObject({ discountAmount: 16.5, netTotal: 135, grandTotal: 148.5 });
+  });
+
+  it('should put the rounding loss of a discount on the last item', () => {
+    const result = invoiceCalculator.calculate({
+      items: [
+        { qty: 1, priceListRate: 10 },
+        { qty: 1, priceListRate: 10 },
+        { qty: 1, priceListRate: 10 },
+      ],
+      applyDiscountOn: 'Net Total',
+      discountAmount: 10,
+    });
+
+    expect(result.items.map((item) => item.netAmount)).toEqual([6.67, 6.67, 6.66]);
+    expect(result).toMatchObject({ total: 30, netTotal: 20, grandTotal: 20 });
+  });
+
+  it('should put the rounding loss of a grand total discount on the last tax', () => {
+    const result = invoiceCalculator.calculate({
+      items: [
+        { qty: 1, priceListRate: 33.33 },
+        { qty: 2, priceListRate: 13.37 },
+        { qty: 1, priceListRate: 9.99 },
+      ],
+      taxes: [onNetTotal(7.5)],
+      discountAmount: 5,
+    });
+
+    expect(result.items.map((item) => item.netAmount)).toEqual([31.12, 24.96, 9.33]);
+    expect(result.taxes[0]).toMatchObject({ taxAmount: 5.25, taxAmountAfterDiscountAmount: 4.9 });
+    expect(result).toMatchObject({ netTotal: 65.41, grandTotal: 70.31 });
+  });
+
+  it('should round the grand total to the smallest currency fraction', () => {
+    const invoice = { items: discountedLines, taxes: [onNetTotal(10)] };
+
+    invoiceCalculator.smallestCurrencyFraction = 0.05;
+    expect(invoiceCalculator.calculate(invoice)).toMatchObject({
+      roundedTotal: 34.65,
+      roundingAdjustment: 0.01,
+    });
+
+    invoiceCalculator.smallestCurrencyFraction = 0;
+    expect(invoiceCalculator.calculate(invoice)).toMatchObject({
+      roundedTotal: 35,
+      roundingAdjustment: 0.36,
+    });
+
+    expect(invoiceCalculator.calculate({ ...invoice, disableRoundedTotal: true })).toMatchObject({
+      grandTotal: 34.64,
+      roundedTotal: 0,
+      roundingAdjustment: 0,
+    });
+  });
+
+  it('should round half values to even unless commercial rounding is set', () => {
+    expect(invoiceCalculator.round(0.125)).toBe(0.12);
+    expect(invoiceCalculator.round(0.135)).toBe(0.14);
+    expect(invoiceCalculator.round(-0.125)).toBe(-0.12);
+
+    invoiceCalculator.roundingMethod = 'commercial';
+    expect(invoiceCalculator.round(0.125)).toBe(0.13);
+    expect(invoiceCalculator.round(-0.125)).toBe(-0.13);
+  });
+
+  it('should reject invalid tax rows and discounts', () => {
+    const items = [{ qty: 1, priceListRate: 10 }];
+
+    expect(() =>
+      invoiceCalculator.calculate({
+        items,
+        taxes: [{ chargeType: 'On Previous Row Total', rate: 5, rowId: 1 }],
+      })
+    ).toThrow('Tax row 1 cannot use charge type');
+    expect(() =>
+      invoiceCalculator.calculate({
+        items,
+        taxes: [onNetTotal(5), { chargeType: 'On Previous Row Amount', rate: 5, rowId: 2 }],
+      })
+    ).toThrow('Tax row 2 must refer to an earlier row');
+    expect(() =>
+      invoiceCalculator.calculate({
+        items,
+        taxes: [
+          onNetTotal(5),
+          { ...onNetTotal(5, true), chargeType: 'On Previous Row Total', rowId: 1 },
+        ],
+      })
+    ).toThrow('the taxes it refers to must also be included');
+    expect(() =>
+      invoiceCalculator.calculate({ items: [{ qty: 1, priceListRate: 10, discountAmount: 11 }] })
+    ).toThrow('Invalid discount amount on item row 1');
+    expect(() => invoiceCalculator.calculate({ items, discountAmount: 20 })).toThrow(
+      'Discount 20 exceeds the Grand Total'
+    );
+  });
+});
+
+describe('POSDatabase invoice totals', () => {
+  let invoiceId;
+  let itemId;
+
+  beforeEach(async () => {
+    invoiceCalculator.roundingMethod = 'bankers';
+    invoiceCalculator.smallestCurrencyFraction = 0.01;
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    itemId = posDatabase.createItem('Coffee', 'COF-1', 10);
+    invoiceId = posDatabase.createInvoice('LOCAL-INV-1', null);
+  });
+
+  afterEach(() => {
+    posDatabase.close();
+  });
+
+  it('should store discounted lines and recompute totals as items are added', () => {
+    posDatabase.addInvoiceItem(invoiceId, itemId, 3, 10, { discountPercentage: 10 });
+
+    expect(posDatabase.getInvoiceItems(invoiceId)[0]).toMatchObject({
+      price_list_rate: 10,
+      discount_percentage: 10,
+      discount_amount: 1,
+      rate: 9,
+      amount: 27,
+      net_amount: 27,
+    });
+    expect(posDatabase.getInvoice(invoiceId)).toMatchObject({ total: 27, grand_total: 27 });
+  });
+
+  it('should persist taxes, discounts and rounding', () => {
+    posDatabase.addInvoiceItem(invoiceId, itemId, 1, 100);
+    posDatabase.addInvoiceItem(invoiceId, itemId, 1, 50);
+
+    posDatabase.setInvoiceTaxes(invoiceId, [
+      { chargeType: 'On Net Total', accountHead: 'VAT - C', rate: 10 },
+    ]);
+    posDatabase.setInvoiceDiscount(invoiceId, { percentage: 10 });
+
+    expect(posDatabase.getInvoiceTaxes(invoiceId)[0]).toMatchObject({
+      idx: 1,
+      account_head: 'VAT - C',
+      tax_amount: 15,
+      tax_amount_after_discount_amount: 13.5,
+      total: 148.5,
+    });
+    expect(posDatabase.getInvoice(invoiceId)).toMatchObject({
+      total: 150,
+      net_total: 135,
+      discount_amount: 16.5,
+      total_taxes_and_charges: 13.5,
+      grand_total: 148.5,
+      rounded_total: 148.5,
+    });
+
+    posDatabase.setInvoiceRounding(invoiceId, true);
+    expect(posDatabase.getInvoice(invoiceId)).toMatchObject({
+      disable_rounded_total: 1,
+      rounded_total: 0,
+    });
+  });
+
+  it('should apply a synced tax template', () => {
+    posDatabase.upsertMasterData('Sales Taxes and Charges Template', {
+      name: 'Sales Tax',
+      taxes: [
+        { charge_type: 'On Net Total', account_head: 'VAT - C', rate: 10 },
+        { charge_type: 'On Previous Row Amount', account_head: 'Levy - C', rate: 5, row_id: '1' },
+      ],
+    });
+    posDatabase.addInvoiceItem(invoiceId, itemId, 2, 25);
+
+    posDatabase.applyInvoiceTaxTemplate(invoiceId, 'Sales Tax');
+
+    expect(posDatabase.getInvoiceTaxes(invoiceId).map((tax) => tax.tax_amount)).toEqual([5, 0.25]);
+    expect(posDatabase.getInvoice(invoiceId)).toMatchObject({
+      taxes_and_charges: 'Sales Tax',
+      grand_total: 55.25,
+    });
+    expect(() => posDatabase.applyInvoiceTaxTemplate(invoiceId, 'Missing')).toThrow(
+      'Sales Taxes and Charges Template Missing not found'
+    );
+  });
+
+  it('should leave the invoice unchanged when the taxes are invalid', () => {
+    posDatabase.addInvoiceItem(invoiceId, itemId, 1, 10);
+
+    expect(() =>
+      posDatabase.setInvoiceTaxes(invoiceId, [
+        { chargeType: 'On Previous Row Total', rate: 5, rowId: 1 },
+      ])
+    ).toThrow('Tax row 1 cannot use charge type');
+
+    expect(posDatabase.getInvoiceTaxes(invoiceId)).toEqual([]);
+    expect(posDatabase.getInvoice(invoiceId).grand_total).toBe(10);
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { invoiceCalculator } from '../database/invoiceCalculator.js';
+import { posDatabase } from '../database/db.js';
+import { databaseMigrations } from '../database/migrations.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
+
+describe('Invoice payments', () => {
+  let invoiceId;
+  let itemId;
+
+  beforeEach(async () => {
+    invoiceCalculator.roundingMethod = 'bankers';
+    invoiceCalculator.smallestCurrencyFraction = 0.01;
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    posDatabase.upsertMasterData('Mode of Payment', { name: 'Cash', type: 'Cash' });
+    posDatabase.upsertMasterData('Mode of Payment', { name: 'Credit Card', type: 'Bank' });
+    posDatabase.upsertMasterData('Mode of Payment', { name: 'M-Pesa', type: 'Phone' });
+    itemId = posDatabase.createItem('Coffee', 'COF-1', 10);
+    invoiceId = posDatabase.createInvoice('LOCAL-INV-1', null);
+    posDatabase.addInvoiceItem(invoiceId, itemId, 4, 10.5);
+  });
+
+  afterEach(() => {
+    posDatabase.close();
+  });
+
+  it('should track the outstanding amount of a split payment', () => {
+    posDatabase.addInvoicePayment(invoiceId, 'Credit Card', 20, 'SLIP-0042');
+
+    expect(posDatabase.getInvoice(invoiceId)).toMatchObject({
+      paid_amount: 20,
+      change_amount: 0,
+      outstanding_amount: 22,
+    });
+
+    posDatabase.addInvoicePayment(invoiceId, 'M-Pesa', 22, 'QK7H2LM9XZ');
+
+    expect(posDatabase.getInvoicePayments(invoiceId)).toEqual([
+      expect.objectContaining({
+        mode_of_payment: 'Credit Card',
+        type: 'Bank',
+        amount: 20,
+        reference: 'SLIP-0042',
+      }),
+      expect.objectContaining({ mode_of_payment: 'M-Pesa', type: 'Phone', amount: 22 }),
+    ]);
+    expect(posDatabase.getInvoice(invoiceId)).toMatchObject({
+      paid_amount: 42,
+      outstanding_amount: 0,
+    });
+  });
+
+  it('should give change from a cash payment', () => {
+    posDatabase.addInvoicePayment(invoiceId, 'Credit Card', 30);
+    posDatabase.addInvoicePayment(invoiceId, 'Cash', 20);
+
+    expect(posDatabase.getInvoice(invoiceId)).toMatchObject({
+      paid_amount: 50,
+      change_amount: 8,
+      outstanding_amount: 0,
+    });
+  });
+
+  it('should refuse an overpayment without cash', () => {
+    expect(() => posDatabase.addInvoicePayment(invoiceId, 'Credit Card', 50)).toThrow(
+      'Paid amount 50 exceeds the invoice total 42'
+    );
+
+    expect(posDatabase.getInvoicePayments(invoiceId)).toEqual([]);
+    expect(posDatabase.getInvoice(invoiceId).outstanding_amount).toBe(42);
+  });
+
+  it('should only treat the default mode as cash when modes were never synced', () => {
+    expect(posDatabase.getPaymentType('Cash')).toBe('Cash');
+    expect(posDatabase.getPaymentType('Voucher')).toBe('General');
+  });
+
+  it('should pay the rounded total', () => {
+    invoiceCalculator.smallestCurrencyFraction = 0.05;
+    posDatabase.addInvoiceItem(invoiceId, itemId, 1, 0.99);
+
+    posDatabase.addInvoicePayment(invoiceId, 'Cash', 43);
+
+    expect(posDatabase.getInvoice(invoiceId)).toMatchObject({
+      grand_total: 42.99,
+      rounded_total: 43,
+      paid_amount: 43,
+      change_amount: 0,
+      outstanding_amount: 0,
+    });
+  });
+
+  it('should recompute the outstanding amount when the invoice changes', () => {
+    posDatabase.addInvoicePayment(invoiceId, 'Cash', 42);
+
+    posDatabase.addInvoiceItem(invoiceId, itemId, 1, 10);
+    expect(posDatabase.getInvoice(invoiceId).outstanding_amount).toBe(10);
+
+    posDatabase.setInvoiceDiscount(invoiceId, { amount: 12 });
+    expect(posDatabase.getInvoice(invoiceId)).toMatchObject({
+      change_amount: 2,
+      outstanding_amount: 0,
+    });
+  });
+
+  it('should mark an invoice paid only when nothing is outstanding', () => {
+    const paymentId = posDatabase.addInvoicePayment(invoiceId, 'Cash', 40);
+
+    expect(() => posDatabase.updateInvoiceStatus(invoiceId, 'paid')).toThrow(
+      'Invoice LOCAL-INV-1 is not fully paid: 2 outstanding'
+    );
+    expect(posDatabase.getInvoice(invoiceId).status).toBe('draft');
+
+    expect(posDatabase.removeInvoicePayment(invoiceId, paymentId)).toBe(true);
+    posDatabase.addInvoicePayment(invoiceId, 'Cash', 50);
+    posDatabase.updateInvoiceStatus(invoiceId, 'paid');
+
+    expect(posDatabase.getInvoice(invoiceId)).toMatchObject({ status: 'paid', change_amount: 8 });
+    expect(() => posDatabase.addInvoicePayment(invoiceId, 'Cash', 1)).toThrow(
+      'Cannot change the payments of paid invoice LOCAL-INV-1'
+    );
+  });
+
+  it('should only change the payments of draft invoices', () => {
+    const paymentId = posDatabase.addInvoicePayment(invoiceId, 'Card', 20);
+    posDatabase.updateInvoiceStatus(invoiceId, 'submitted');
+
+    expect(() => posDatabase.addInvoicePayment(invoiceId, 'Cash', 22)).toThrow(
+      'Cannot change the payments of submitted invoice LOCAL-INV-1'
+    );
+    expect(() => posDatabase.removeInvoicePayment(invoiceId, paymentId)).toThrow(
+      'Cannot change the payments of submitted invoice LOCAL-INV-1'
+    );
+    expect(posDatabase.getInvoicePayments(invoiceId)).toHaveLength(1);
+  });
+
+  it('should reject invalid payments', () => {
+    expect(() => posDatabase.addInvoicePayment(invoiceId, 'Cash', 0)).toThrow(
+      'Invalid payment amount: 0'
+    );
+    expect(() => posDatabase.addInvoicePayment(invoiceId, '', 10)).toThrow(
+      'Mode of payment is required'
+    );
+    expect(() => posDatabase.addInvoicePayment(999, 'Cash', 10)).toThrow(
+      'Invoice with id 999 not found'
+    );
+  });
+});
@@ -0,0 +1,231 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { posDatabase } from '../database/db.js';
+import { databaseMigrations } from '../database/migrations.js';
+import { invoiceCalculator } from '../database/invoiceCalculator.js';
+import { outboxDispatcher } from '../outboxDispatcher.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
+
+const PROGRAM = {
+  name: 'Coffee Club',
+  loyalty_program_type: 'Multiple Tier Program',
+  conversion_factor: 0.5,
+  expiry_duration: 30,
+  expense_account: 'Loyalty - C',
+  cost_center: 'Main - C',
+  collection_rules: [
+    { tier_name: 'Silver', min_spent: 0, collection_factor: 10 },
+    { tier_name: 'Gold', min_spent: 100, collection_factor: 5 },
+  ],
+  modified: '2026-01-01',
+};
+
+function pointEntry(name, points, fields = {}) {
+  return {
+    name,
+    customer: 'CUST-1',
+    loyalty_program: 'Coffee Club',
+    loyalty_points: points,
+    purchase_amount: 0,
+    expiry_date: '2099-12-31',
+    posting_date: '2026-01-01',
+    modified: '2026-01-01',
+    ...fields,
+  };
+}
+
+describe('Loyalty points', () => {
+  let coffeeId;
+  let adaId;
+
+  function sell(name, qty, status = 'submitted') {
+    const invoiceId = posDatabase.createInvoice(name, adaId);
+    posDatabase.addInvoiceItem(invoiceId, coffeeId, qty, 10);
+    if (status !== 'draft') {
+      posDatabase.updateInvoiceStatus(invoiceId, status);
+    }
+    return invoiceId;
+  }
+
+  beforeEach(async () => {
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    invoiceCalculator.roundingMethod = 'bankers';
+    invoiceCalculator.smallestCurrencyFraction = 0.01;
+    posDatabase.stockWarehouse = '';
+
+    coffeeId = posDatabase.createItem('Coffee', 'COF-1', 10);
+    posDatabase.upsertLoyaltyProgram(PROGRAM);
+    posDatabase.upsertCustomerFromServer({
+      name: 'CUST-1',
+      customer_name: 'Ada',
+      loyalty_program: 'Coffee Club',
+    });
+    adaId = posDatabase.getAllCustomers().find((row) => row.erpnext_name === 'CUST-1').id;
+    posDatabase.upsertLoyaltyPointEntry(pointEntry('LPE-1', 40, { purchase_amount: 400 }));
+    posDatabase.upsertLoyaltyPointEntry(
+      pointEntry('LPE-2', 25, { purchase_amount: 50, expiry_date: '2000-01-31' })
+    );
+  });
+
+  afterEach(() => {
+    posDatabase.close();
+  });
+
+  it('should count the unexpired points ERPNext booked', () => {
+    expect(posDatabase.getLoyaltyBalance(adaId)).toEqual({
+      loyaltyProgram: 'Coffee Club',
+      tier: 'Gold',
+      points: 40,
+      serverPoints: 40,
+      provisionalPoints: 0,
+      reservedPoints: 0,
+      conversionFactor: 0.5,
+      amount: 20,
+    });
+  });
+
+  it('should earn points provisionally when an invoice is submitted', () => {
+    const invoiceId = sell('LOCAL-INV-1', 2);
+
+    const [entry] = posDatabase.getLoyaltyLedger(invoiceId);
+    const expiry = new Date();
+    expiry.setDate(expiry.getDate() + 30);
+    expect(entry).toMatchObject({
+      loyalty_program: 'Coffee Club',
+      loyalty_program_tier: 'Gold',
+      points: 4,
+      purchase_amount: 20,
+      expiry_date: expiry.toLocaleDateString('sv-SE'),
+      reconciled: 0,
+    });
+    expect(posDatabase.getLoyaltyBalance(adaId)).toMatchObject({
+      points: 44,
+      provisionalPoints: 4,
+    });
+
+    posDatabase.updateInvoiceStatus(invoiceId, 'cancelled');
+    expect(posDatabase.getLoyaltyBalance(adaId).points).toBe(40);
+  });
+
+  it('should redeem points as a payment with offline balance checks', () => {
+    const invoiceId = sell('LOCAL-INV-1', 2, 'draft');
+
+    posDatabase.redeemLoyaltyPoints(invoiceId, 10);
+
+    expect(posDatabase.getInvoicePayments(invoiceId)).toEqual([
+      expect.objectContaining({ mode_of_payment: 'Loyalty Points', amount: 5, loyalty_points: 10 }),
+    ]);
+    expect(posDatabase.getInvoice(invoiceId).outstanding_amount).toBe(15);
+    expect(posDatabase.getLoyaltyBalance(adaId)).toMatchObject({ points: 30, reservedPoints: 10 });
+    expect(() => posDatabase.redeemLoyaltyPoints(invoiceId, 31)).toThrow(
+      'Only 30 loyalty points available, 31 requested'
+    );
+    expect(() => posDatabase.addInvoicePayment(invoiceId, 'Loyalty Points', 5)).toThrow(
+      'Loyalty points are redeemed with redeemLoyaltyPoints'
+    );
+
+    const smallId = sell('LOCAL-INV-2', 1, 'draft');
+    expect(() => posDatabase.redeemLoyaltyPoints(smallId, 22)).toThrow(
+      '22 loyalty points are worth 11, more than the 10 outstanding'
+    );
+
+    // Points are earned on what was not paid in points.
+    posDatabase.addInvoicePayment(invoiceId, 'Cash', 15);
+    posDatabase.updateInvoiceStatus(invoiceId, 'paid');
+    expect(posDatabase.getLoyaltyLedger(invoiceId).map((entry) => entry.points)).toEqual([-10, 3]);
+    expect(posDatabase.getLoyaltyBalance(adaId)).toMatchObject({ points: 33, reservedPoints: 0 });
+  });
+
+  it('should not redeem points on submitted invoices or for customers without a program', () => {
+    const submittedId = sell('LOCAL-INV-1', 1);
+    expect(() => posDatabase.redeemLoyaltyPoints(submittedId, 1)).toThrow(
+      'Cannot change the payments of submitted invoice LOCAL-INV-1'
+    );
+
+    const graceId = posDatabase.createCustomer('Grace');
+    const invoiceId = posDatabase.createInvoice('LOCAL-INV-2', graceId);
+    posDatabase.addInvoiceItem(invoiceId, coffeeId, 1, 10);
+    expect(() => posDatabase.redeemLoyaltyPoints(invoiceId, 1)).toThrow(
+      'The customer of invoice LOCAL-INV-2 is not in a loyalty program'
+    );
+  });
+
+  it('should enrol customers in the only auto opt-in program of their group', () => {
+    posDatabase.upsertCustomerFromServer({
+      name: 'CUST-2',
+      customer_name: 'Grace',
+      customer_group: 'Retail',
+    });
+    const graceId = posDatabase.getAllCustomers().find((row) => row.erpnext_name === 'CUST-2').id;
+    posDatabase.upsertLoyaltyProgram({
+      name: 'Welcome',
+      auto_opt_in: 1,
+      customer_group: 'Retail',
+      collection_rules: [{ tier_name: 'Base', min_spent: 0, collection_factor: 1 }],
+    });
+    expect(posDatabase.getLoyaltyBalance(graceId).loyaltyProgram).toBe('Welcome');
+
+    posDatabase.upsertLoyaltyProgram({ name: 'Everyone', auto_opt_in: 1 });
+    expect(posDatabase.getLoyaltyBalance(graceId).loyaltyProgram).toBeNull();
+  });
+
+  it('should reconcile provisional points against the entries from ERPNext', () => {
+    const syncedId = sell('LOCAL-INV-1', 2);
+    const pendingId = sell('LOCAL-INV-2', 2);
+    posDatabase.linkServerRecord('sales_invoices', syncedId, 'SINV-0001');
+    posDatabase.db.prepare('UPDATE sync_queue SET status = ?').run('completed');
+    posDatabase.enqueueSync('sales_invoices', pendingId, 'UPDATE');
+
+    // A pull that started before the invoice reached ERPNext cannot hold its points.
+    expect(posDatabase.reconcileLoyaltyLedger(new Date(Date.now() - 60000))).toBe(0);
+
+    posDatabase.upsertLoyaltyPointEntry(
+      pointEntry('LPE-3', 5, { purchase_amount: 20, invoice: 'SINV-0001' })
+    );
+    expect(posDatabase.reconcileLoyaltyLedger(new Date(Date.now() + 1000))).toBe(1);
+    expect(posDatabase.getLoyaltyBalance(adaId)).toMatchObject({
+      points: 49,
+      serverPoints: 45,
+      provisionalPoints: 4,
+    });
+  });
+
+  it('should send redeemed points as the loyalty redemption of the invoice', () => {
+    const invoiceId = sell('LOCAL-INV-1', 2, 'draft');
+    posDatabase.redeemLoyaltyPoints(invoiceId, 10);
+    posDatabase.addInvoicePayment(invoiceId, 'Cash', 15);
+    const entry = posDatabase
+      .getPendingSyncEntries()
+      .find((row) => row.local_table === 'sales_invoices' && row.local_id === invoiceId);
+
+    const document = outboxDispatcher.buildDocument(entry);
+
+    expect(document).toMatchObject({
+      customer: 'CUST-1',
+      redeem_loyalty_points: 1,
+      loyalty_program: 'Coffee Club',
+      loyalty_points: 10,
+      loyalty_amount: 5,
+      loyalty_redemption_account: 'Loyalty - C',
+      loyalty_redemption_cost_center: 'Main - C',
+      is_pos: 1,
+    });
+    expect(document.payments).toEqual([
+      { mode_of_payment: 'Cash', amount: 15, reference_no: null },
+    ]);
+  });
+});
@@ -0,0 +1,429 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { masterDataSync } from '../masterDataSync.js';
+import { httpInterceptor } from '../httpInterceptor.js';
+import { posDatabase } from '../database/db.js';
+import { databaseMigrations } from '../database/migrations.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
+
+let serverData;
+
+function createServerData() {
+  return {
+    Item: [
+      {
+        name: 'ITEM-001',
+        item_code: 'ITEM-001',
+        item_name: 'Coffee',
+        stock_uom: 'Nos',
+        barcodes: [
+          { barcode: '4006381333931', barcode_type: 'EAN', uom: 'Nos' },
+          { barcode: '14006381333938', barcode_type: 'GTIN', uom: 'Box' },
+        ],
+        uoms: [
+          { uom: 'Nos', conversion_factor: 1 },
+          { uom: 'Box', conversion_factor: 12 },
+        ],
+        modified: '2026-01-01',
+      },
+      { name: 'ITEM-002', item_code: 'ITEM-002', item_name: 'Tea', modified: '2026-01-01' },
+      { name: 'ITEM-003', item_code: 'ITEM-003', item_name: 'Cake', modified: '2026-01-02' },
+    ],
+    'Item Price': [
+      {
+        name: 'IP-1',
+        item_code: 'ITEM-001',
+        price_list: 'Standard Selling',
+        price_list_rate: 3.5,
+        modified: '2026-01-01',
+      },
+      {
+        name: 'IP-2',
+        item_code: 'ITEM-001',
+        price_list: 'Wholesale',
+        price_list_rate: 2,
+        modified: '2026-01-01',
+      },
+    ],
+    'Pricing Rule': [
+      {
+        name: 'PRLE-0001',
+        apply_on: 'Item Code',
+        items: [{ item_code: 'ITEM-001' }],
+        selling: 1,
+        rate_or_discount: 'Discount Percentage',
+        discount_percentage: 10,
+        min_qty: 5,
+        modified: '2026-01-01',
+      },
+    ],
+    Customer: [
+      {
+        name: 'CUST-001',
+        customer_name: 'Ada',
+        email_id: 'ada@example.com',
+        mobile_no: '123',
+        customer_group: 'Retail',
+        loyalty_program: 'Coffee Club',
+        modified: '2026-01-01',
+      },
+    ],
+    'Loyalty Program': [
+      {
+        name: 'Coffee Club',
+        conversion_factor: 0.5,
+        collection_rules: [{ tier_name: 'Silver', min_spent: 0, collection_factor: 10 }],
+        modified: '2026-01-01',
+      },
+    ],
+    'Loyalty Point Entry': [
+      {
+        name: 'LPE-1',
+        customer: 'CUST-001',
+        loyalty_program: 'Coffee Club',
+        loyalty_points: 12,
+        purchase_amount: 120,
+        invoice: 'ACC-SINV-0001',
+        modified: '2026-01-01',
+      },
+    ],
+    'Gift Card': [
+      { name: 'GC-1', code: 'GC-1', balance: 25, status: 'Active', modified: '2026-01-01' },
+    ],
+    'POS Profile': [{ name: 'Main Till', modified: '2026-01-01' }],
+    'Mode of Payment': [{ name: 'Cash', type: 'Cash', enabled: 1, modified: '2026-01-01' }],
+    'Sales Taxes and Charges Template': [],
+    Bin: [
+      {
+        name: 'BIN-1',
+        item_code: 'ITEM-001',
+        warehouse: 'Stores - C',
+        actual_qty: 12,
+        modified: '2026-01-01',
+      },
+    ],
+    'Deleted Document': [
+      { name: 'DEL-001', deleted_doctype: 'Item', deleted_name: 'OLD', creation: '2025-12-01' },
+    ],
+  };
+}
+
+function matches(record, [field, operator, value]) {
+  if (operator === '>') return record[field] > value;
+  if (operator === '>=') return record[field] >= value;
+  if (operator === 'in') return value.includes(record[field]);
+  throw new Error(`Unsupported operator ${operator}`);
+}
+
+function serve(url) {
+  const parsed = new URL(url);
+
+  if (parsed.pathname === '/api/method/frappe.client.get_count') {
+    const doctype = parsed.searchParams.get('doctype');
+    return { ok: true, status: 200, data: { message: serverData[doctype].length } };
+  }
+
+  const [doctype, name] = parsed.pathname
+    .replace('/api/resource/', '')
+    .split('/')
+    .map(decodeURIComponent);
+
+  if (name) {
+    const doc = serverData[doctype].find((record) => record.name === name);
+    return { ok: true, status: 200, data: { data: { ...doc, payments: [{ mode: 'Cash' }] } } };
+  }
+
+  const filters = JSON.parse(parsed.searchParams.get('filters') || '[]');
+  const orFilters = JSON.parse(parsed.searchParams.get('or_filters') || '[]');
+  const [order] = parsed.searchParams.get('order_by').split(',');
+  const [orderField, direction] = order.trim().split(' ');
+  const limit = parseInt(parsed.searchParams.get('limit_page_length'));
+
+  const records = serverData[doctype]
+    .filter((record) => filters.every((filter) => matches(record, filter)))
+    .filter((record) => !orFilters.length || orFilters.some((filter) => matches(record, filter)))
+    .sort((a, b) => {
+      const key = (record) => `${record[orderField]}|${record.name}`;
+      const result = key(a) < key(b) ? -1 : 1;
+      return direction === 'desc' ? -result : result;
+    })
+    .slice(0, limit);
+  return { ok: true, status: 200, data: { data: records } };
+}
+
+function requestedUrls(replayRequest, pathname) {
+  return replayRequest.mock.calls
+    .map(([, url]) => new URL(url))
+    .filter((url) => url.pathname === pathname);
+}
+
+describe('MasterDataSync', () => {
+  let replayRequest;
+
+  beforeEach(async () => {
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    httpInterceptor.isOnline = true;
+    masterDataSync.pageSize = 2;
+    masterDataSync.progress = null;
+    serverData = createServerData();
+    replayRequest = vi
+      .spyOn(httpInterceptor, 'replayRequest')
+      .mockImplementation(async (method, url) => serve(url));
+  });
+
+  afterEach(() => {
+    masterDataSync.stop();
+    masterDataSync.removeAllListeners('progress');
+    posDatabase.close();
+    vi.restoreAllMocks();
+  });
+
+  it('should page through doctypes by modified timestamp and name', async () => {
+    expect(await masterDataSync.run()).toBe(true);
+
+    const itemPages = requestedUrls(replayRequest, '/api/resource/Item');
+    expect(itemPages).toHaveLength(2);
+    expect(itemPages[0].searchParams.get('filters')).toBeNull();
+    expect(itemPages[0].searchParams.get('order_by')).toBe('modified asc, name asc');
+    expect(itemPages[1].searchParams.get('filters')).toBe('[["modified",">=","2026-01-01"]]');
+    expect(itemPages[1].searchParams.get('or_filters')).toBe(
+      '[["modified",">","2026-01-01"],["name",">","ITEM-002"]]'
+    );
+    expect(masterDataSync.getWatermark('Item')).toEqual({
+      modified: '2026-01-02',
+      name: 'ITEM-003',
+    });
+  });
+
+  it('should store items, customers and other master data locally', async () => {
+    await masterDataSync.run();
+
+    expect(posDatabase.getItemBySKU('ITEM-003')).toMatchObject({
+      name: 'Cake',
+      erpnext_name: 'ITEM-003',
+    });
+    expect(posDatabase.getItemBySKU('ITEM-001').price).toBe(3.5);
+    expect(posDatabase.getItemByBarcode('14006381333938')).toMatchObject({
+      sku: 'ITEM-001',
+      stock_uom: 'Nos',
+      barcode_uom: 'Box',
+      conversion_factor: 12,
+    });
+    expect(posDatabase.getAllCustomers()).toEqual([
+      expect.objectContaining({
+        name: 'Ada',
+        email: 'ada@example.com',
+        erpnext_name: 'CUST-001',
+        customer_group: 'Retail',
+      }),
+    ]);
+    expect(posDatabase.getItemPrices('ITEM-001')).toHaveLength(2);
+    expect(posDatabase.getLoyaltyBalance(posDatabase.getAllCustomers()[0].id)).toMatchObject({
+      loyaltyProgram: 'Coffee Club',
+      tier: 'Silver',
+      points: 12,
+      amount: 6,
+    });
+    expect(posDatabase.getGiftCardByCode('GC-1')).toMatchObject({
+      erpnext_name: 'GC-1',
+      balance: 25,
+      available: 25,
+    });
+    expect(posDatabase.getPricingRules(posDatabase.getItemBySKU('ITEM-001'))).toEqual([
+      expect.objectContaining({ name: 'PRLE-0001', min_qty: 5, targets: ['ITEM-001'] }),
+    ]);
+    expect(posDatabase.getMasterData('Mode of Payment')).toEqual([
+      expect.objectContaining({ name: 'Cash', type: 'Cash' }),
+    ]);
+    expect(posDatabase.getStockAvailability('ITEM-001')).toEqual([
+      expect.objectContaining({ warehouse: 'Stores - C', actual_qty: 12, available_qty: 12 }),
+    ]);
+  });
+
+  it('should fetch full documents for doctypes with child tables', async () => {
+    await masterDataSync.run();
+
+    expect(replayRequest).toHaveBeenCalledWith(
+      'GET',
+      `${httpInterceptor.baseUrl}/api/resource/POS%20Profile/Main%20Till`
+    );
+    expect(posDatabase.getMasterData('POS Profile')[0].payments).toEqual([{ mode: 'Cash' }]);
+  });
+
+  it('should only fetch records modified after the watermark', async () => {
+    await masterDataSync.run();
+    serverData.Item[0] = { ...serverData.Item[0], item_name: 'Espresso', modified: '2026-01-05' };
+    serverData.Customer.push({ name: 'CUST-002', customer_name: 'Grace', modified: '2026-01-05' });
+    replayRequest.mockClear();
+
+    expect(await masterDataSync.run()).toBe(true);
+
+    const itemPages = requestedUrls(replayRequest, '/api/resource/Item');
+    expect(itemPages).toHaveLength(1);
+    expect(itemPages[0].searchParams.get('filters')).toBe('[["modified",">=","2026-01-02"]]');
+    expect(posDatabase.getItemBySKU('ITEM-001')).toMatchObject({ name: 'Espresso', price: 3.5 });
+    expect(posDatabase.getAllItems()).toHaveLength(3);
+    expect(posDatabase.getAllCustomers().map((customer) => customer.name)).toEqual([
+      'Ada',
+      'Grace',
+    ]);
+    expect(masterDataSync.getWatermark('Item')).toEqual({
+      modified: '2026-01-05',
+      name: 'ITEM-001',
+    });
+  });
+
+  it('should not count records on delta pulls', async () => {
+    await masterDataSync.run();
+    replayRequest.mockClear();
+
+    await masterDataSync.run();
+
+    const counts = requestedUrls(replayRequest, '/api/method/frappe.client.get_count');
+    expect(counts.map((url) => url.searchParams.get('doctype'))).not.toContain('Item');
+  });
+
+  it('should apply deletions recorded after the first pull', async () => {
+    await masterDataSync.run();
+    expect(requestedUrls(replayRequest, '/api/resource/Deleted%20Document')).toHaveLength(1);
+    expect(masterDataSync.getWatermark('Deleted Document')).toEqual({
+      modified: '2025-12-01',
+      name: 'DEL-001',
+    });
+
+    serverData.Item = serverData.Item.filter((item) => item.name !== 'ITEM-002');
+    serverData.Customer = [];
+    serverData['Item Price'] = serverData['Item Price'].filter((price) => price.name !== 'IP-1');
+    serverData['Deleted Document'].push(
+      {
+        name: 'DEL-002',
+        deleted_doctype: 'Item',
+        deleted_name: 'ITEM-002',
+        creation: '2026-02-01',
+      },
+      {
+        name: 'DEL-003',
+        deleted_doctype: 'Customer',
+        deleted_name: 'CUST-001',
+        creation: '2026-02-01',
+      },
+      {
+        name: 'DEL-004',
+        deleted_doctype: 'Item Price',
+        deleted_name: 'IP-1',
+        creation: '2026-02-01',
+      },
+      {
+        name: 'DEL-005',
+        deleted_doctype: 'Sales Invoice',
+        deleted_name: 'SINV-1',
+        creation: '2026-02-02',
+      }
+    );
+
+    await masterDataSync.run();
+
+    expect(posDatabase.getItemBySKU('ITEM-002')).toBeUndefined();
+    expect(posDatabase.getItemBySKU('ITEM-001').price).toBe(0);
+    expect(posDatabase.getAllCustomers()).toEqual([]);
+    expect(posDatabase.getItemPrices('ITEM-001').map((price) => price.name)).toEqual(['IP-2']);
+    expect(masterDataSync.getWatermark('Deleted Document')).toEqual({
+      modified: '2026-02-01',
+      name: 'DEL-004',
+    });
+  });
+
+  it('should keep deleted items that appear on local invoices', async () => {
+    await masterDataSync.run();
+    const item = posDatabase.getItemBySKU('ITEM-002');
+    const invoiceId = posDatabase.createInvoice('SINV-LOCAL-1', null, 2);
+    posDatabase.addInvoiceItem(invoiceId, item.id, 1, 2);
+    serverData['Deleted Document'].push({
+      name: 'DEL-002',
+      deleted_doctype: 'Item',
+      deleted_name: 'ITEM-002',
+      creation: '2026-02-01',
+    });
+
+    expect(await masterDataSync.run()).toBe(true);
+
+    expect(posDatabase.getItemBySKU('ITEM-002')).toMatchObject({ id: item.id, erpnext_name: null });
+  });
+
+  it('should continue after the last stored page when a pull is interrupted', async () => {
+    replayRequest.mockImplementation(async (method, url) => {
+      if (url.includes('/api/resource/Item?') && url.includes('or_filters')) {
+        throw new Error('socket hang up');
+      }
+      return serve(url);
+    });
+
+    expect(await masterDataSync.run()).toBe(false);
+    expect(masterDataSync.hasUnfinishedRun()).toBe(true);
+    expect(posDatabase.getAllItems()).toHaveLength(2);
+    expect(masterDataSync.getWatermark('Item')).toEqual({
+      modified: '2026-01-01',
+      name: 'ITEM-002',
+    });
+
+    replayRequest.mockClear();
+    replayRequest.mockImplementation(async (method, url) => serve(url));
+
+    expect(await masterDataSync.run()).toBe(true);
+    expect(masterDataSync.hasUnfinishedRun()).toBe(false);
+    expect(posDatabase.getAllItems()).toHaveLength(3);
+
+    const itemPages = requestedUrls(replayRequest, '/api/resource/Item');
+    expect(itemPages[0].searchParams.get('or_filters')).toBe(
+      '[["modified",">","2026-01-01"],["name",">","ITEM-002"]]'
+    );
+  });
+
+  it('should emit progress for each page', async () => {
+    const events = [];
+    masterDataSync.on('progress', (progress) => events.push(progress));
+
+    await masterDataSync.run();
+
+    expect(events).toContainEqual(
+      expect.objectContaining({ state: 'syncing', doctype: 'Item', fetched: 2, total: 3 })
+    );
+    expect(events).toContainEqual(
+      expect.objectContaining({ state: 'syncing', doctype: 'Item', fetched: 3, total: 3 })
+    );
+    expect(events[events.length - 1]).toMatchObject({ state: 'completed' });
+  });
+
+  it('should skip runs while offline', async () => {
+    httpInterceptor.isOnline = false;
+
+    expect(await masterDataSync.run()).toBe(false);
+    expect(replayRequest).not.toHaveBeenCalled();
+  });
+
+  it('should share a run that is already in progress', async () => {
+    const first = masterDataSync.run();
+    const second = masterDataSync.run();
+
+    expect(second).toBe(first);
+    await first;
+    expect(masterDataSync.getStatus()).toMatchObject({
+      running: false,
+      lastRun: expect.objectContaining({ finishedAt: expect.any(String) }),
+    });
+  });
+});
@@ -0,0 +1,499 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { posDatabase } from '../database/db.js';
+import { databaseMigrations } from '../database/migrations.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
+
+const tableNames = () =>
+  posDatabase.db
+    .prepare('SELECT name FROM sqlite_master WHERE type = ?')
+    .all('table')
+    .map((table) => table.name);
+
+describe('DatabaseMigrations', () => {
+  beforeEach(async () => {
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+  });
+
+  afterEach(() => {
+    posDatabase.close();
+  });
+
+  it('should apply every migration to a new database', () => {
+    const status = databaseMigrations.getMigrationStatus();
+
+    expect(status.pending).toBe(0);
+    expect(tableNames()).toEqual(
+      expect.arrayContaining(['customers', 'offline_requests', 'request_cache', 'sync_conflicts'])
+    );
+  });
+
+  it('should reset a migrated database that holds data', async () => {
+    const customerId = posDatabase.createCustomer('Ada');
+    const itemId = posDatabase.createItem('Coffee', 'COF-1', 3.5);
+    const invoiceId = posDatabase.createInvoice('LOCAL-INV-1', customerId);
+    posDatabase.addInvoiceItem(invoiceId, itemId, 2, 3.5);
+    posDatabase.addInvoicePayment(invoiceId, 'Cash', 7);
+    posDatabase.issueGiftCard('GC-1', 25);
+
+    await databaseMigrations.resetDatabase();
+
+    expect(databaseMigrations.getMigrationStatus().pending).toBe(0);
+    expect(tableNames()).toEqual(
+      expect.arrayContaining(['payments', 'items_fts', 'gift_card_ledger', 'sync_queue'])
+    );
+    expect(posDatabase.getAllInvoices()).toHaveLength(0);
+    expect(posDatabase.db.prepare('SELECT COUNT(*) FROM gift_cards').pluck().get()).toBe(0);
+    expect(posDatabase.searchItems('coffee').items).toEqual([]);
+  });
+
+  it('should drop the unused conflict log', () => {
+    expect(tableNames()).not.toContain('conflict_log');
+  });
+
+  it('should replace the old sync queue with the outbox', () => {
+    const columns = posDatabase.db
+      .prepare('SELECT name FROM pragma_table_info(?)')
+      .all('sync_queue')
+      .map((column) => column.name);
+
+    expect(columns).toEqual(
+      expect.arrayContaining(['doctype', 'local_table', 'local_id', 'next_attempt_at'])
+    );
+    expect(tableNames()).toContain('sync_log');
+  });
+
+  it('should keep the updated_at triggers', () => {
+    const id = posDatabase.createCustomer('Ada');
+    posDatabase.db
+      .prepare('UPDATE customers SET updated_at = ? WHERE id = ?')
+      .run('2000-01-01', id);
+    posDatabase.updateCustomer(id, 'Ada Lovelace');
+
+    expect(posDatabase.getCustomer(id).updated_at).not.toBe('2000-01-01');
+  });
+});
+
+describe('DatabaseMigrations conflict log', () => {
+  beforeEach(() => {
+    posDatabase.dbPath = ':memory:';
+    posDatabase.initialize();
+    databaseMigrations.createMigrationTable();
+    databaseMigrations.appliedMigrations.clear();
+  });
+
+  afterEach(() => {
+    posDatabase.close();
+  });
+
+  it('should move conflict_log rows into sync_conflicts', async () => {
+    await databaseMigrations.migrateTo('004');
+    const insert = posDatabase.db.prepare(`
+      INSERT INTO conflict_log (table_name, record_id, local_data, remote_data, resolution)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    insert.run('customers', 7, '{"name":"a"}', '{"name":"b"}', 'remote_wins');
+    insert.run('items', 3, '{}', '{}', null);
+
+    await databaseMigrations.runPendingMigrations();
+
+    const conflicts = posDatabase.db
+      .prepare('SELECT * FROM sync_conflicts ORDER BY id')
+      .all()
+      .map(({ resource_id, resource_type, server_data, conflict_type, resolution_status }) => ({
+        resource_id,
+        resource_type,
+        server_data,
+        conflict_type,
+        resolution_status,
+      }));
+    expect(conflicts).toEqual([
+      {
+        resource_id: '7',
+        resource_type: 'customers',
+        server_data: '{"name":"b"}',
+        conflict_type: 'legacy',
+        resolution_status: 'server_wins',
+      },
+      {
+        resource_id: '3',
+        resource_type: 'items',
+        server_data: '{}',
+        conflict_type: 'legacy',
+        resolution_status: 'pending',
+      },
+    ]);
+  });
+});
+
+describe('DatabaseMigrations versions', () => {
+  const migrationsDir = databaseMigrations.migrationsDir;
+  let dir;
+
+  const copyMigrations = () => {
+    const copy = path.join(dir, 'migrations');
+    fs.cpSync(migrationsDir, copy, { recursive: true });
+    databaseMigrations.migrationsDir = copy;
+    return copy;
+  };
+
+  const reopen = async () => {
+    posDatabase.close();
+    return databaseMigrations.initialize();
+  };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'posa-migrations-'));
+    posDatabase.dbPath = path.join(dir, 'posawsome.db');
+    await databaseMigrations.initialize();
+  });
+
+  afterEach(() => {
+    databaseMigrations.migrationsDir = migrationsDir;
+    posDatabase.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should load versioned files with up and down sections', () => {
+    const [first, , , , , outbox] = databaseMigrations.getMigrations();
+
+    expect(first).toMatchObject({
+      version: '001',
+      file: '001_initial_database_schema.sql',
+      description: 'Initial database schema',
+    });
+    expect(databaseMigrations.splitStatements(outbox.down)).toEqual([
+      'DROP TABLE IF EXISTS sync_log;',
+      'DROP TABLE IF EXISTS sync_queue;',
+    ]);
+  });
+
+  it('should record the checksum of every applied migration', () => {
+    const stored = posDatabase.db
+      .prepare('SELECT version, checksum FROM schema_migrations ORDER BY version')
+      .all();
+
+    expect(stored).toEqual(
+      databaseMigrations.getMigrations().map(({ version, checksum }) => ({ version, checksum }))
+    );
+  });
+
+  it('should refuse to start when an applied migration was changed', async () => {
+    const copy = copyMigrations();
+    fs.appendFileSync(path.join(copy, '003_add_updated_at_triggers.sql'), '\n-- edited\n');
+
+    expect(await reopen()).toBe(false);
+    await expect(databaseMigrations.migrateTo('006')).rejects.toThrow(
+      '003_add_updated_at_triggers.sql was changed after it was applied'
+    );
+  });
+
+  it('should refuse to start when an applied migration has no file', async () => {
+    posDatabase.db.prepare('INSERT INTO schema_migrations (version) VALUES (?)').run('099');
+
+    expect(await reopen()).toBe(false);
+  });
+
+  it('should adopt the current files for migrations applied before checksums', async () => {
+    posDatabase.db.exec('UPDATE schema_migrations SET checksum = NULL');
+
+    expect(await reopen()).toBe(true);
+    expect(
+      posDatabase.db
+        .prepare('SELECT COUNT(*) AS count FROM schema_migrations WHERE checksum IS NULL')
+        .get().count
+    ).toBe(0);
+  });
+
+  it('should ignore line endings when comparing checksums', async () => {
+    const copy = copyMigrations();
+    const file = path.join(copy, '002_add_indexes_for_better_performance.sql');
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace(/\n/g, '\r\n'));
+
+    expect(await reopen()).toBe(true);
+  });
+
+  it('should report the planned statements without running them in a dry run', async () => {
+    const plan = await databaseMigrations.migrateTo('004', { dryRun: true });
+
+    expect(plan).toMatchObject({ from: '020', to: '004', dryRun: true });
+    expect(plan.steps.map(({ version, direction, hook }) => [version, direction, hook])).toEqual([
+      ['020', 'down', false],
+      ['019', 'down', false],
+      ['018', 'down', false],
+      ['017', 'down', false],
+      ['016', 'down', false],
+      ['015', 'down', false],
+      ['014', 'down', false],
+      ['013', 'down', false],
+      ['012', 'down', false],
+      ['011', 'down', false],
+      ['010', 'down', false],
+      ['009', 'down', false],
+      ['008', 'down', false],
+      ['007', 'down', false],
+      ['006', 'down', false],
+      ['005', 'down', true],
+    ]);
+    expect(plan.steps[15].statements).toContain(
+      [
+        'CREATE TRIGGER sync_queue_updated_at',
+        '  AFTER UPDATE ON sync_queue',
+        '  BEGIN',
+        '    UPDATE sync_queue SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;',
+        '  END;',
+      ].join('\n')
+    );
+    expect(tableNames()).toContain('offline_requests');
+    expect(databaseMigrations.getCurrentVersion()).toBe('020');
+  });
+
+  it('should roll back to an earlier version and migrate forward again', async () => {
+    posDatabase.db
+      .prepare(
+        'INSERT INTO sync_conflicts (resource_id, resource_type, local_data, server_data, conflict_type, resolution_status) VALUES (?, ?, ?, ?, ?, ?)'
+      )
+      .run('7', 'customers', '{}', '{}', 'legacy', 'server_wins');
+
+    await databaseMigrations.migrateTo('004');
+
+    expect(tableNames()).not.toContain('offline_requests');
+    expect(posDatabase.db.prepare('SELECT record_id, resolution FROM conflict_log').all()).toEqual([
+      { record_id: 7, resolution: 'remote_wins' },
+    ]);
+    expect(databaseMigrations.getMigrationStatus()).toMatchObject({ current: '004', pending: 16 });
+
+    await databaseMigrations.migrateTo('020');
+
+    expect(tableNames()).toEqual(
+      expect.arrayContaining([
+        'offline_requests',
+        'sync_conflicts',
+        'invoice_taxes',
+        'payments',
+        'stock_ledger',
+        'item_barcodes',
+        'items_fts',
+        'item_prices',
+        'pricing_rules',
+        'loyalty_ledger',
+        'gift_cards',
+      ])
+    );
+    expect(databaseMigrations.getMigrationStatus()).toMatchObject({ current: '020', pending: 0 });
+  });
+
+  it('should roll back every migration to version 0', async () => {
+    await databaseMigrations.migrateTo('0');
+
+    expect(tableNames()).not.toContain('customers');
+    expect(tableNames()).not.toContain('master_data');
+    expect(databaseMigrations.getCurrentVersion()).toBeNull();
+  });
+
+  it('should not roll back a migration without a down section', async () => {
+    const copy = copyMigrations();
+    fs.writeFileSync(
+      path.join(copy, '021_add_notes.sql'),
+      '-- migrate:up\nCREATE TABLE notes (id INTEGER PRIMARY KEY);\n'
+    );
+    await databaseMigrations.migrateTo('021');
+
+    await expect(databaseMigrations.migrateTo('020')).rejects.toThrow(
+      'Migration 021_add_notes.sql cannot be rolled back'
+    );
+    expect(tableNames()).toContain('notes');
+  });
+
+  it('should reject unknown versions', async () => {
+    await expect(databaseMigrations.migrateTo('042')).rejects.toThrow(
+      'Unknown migration version: 042'
+    );
+  });
+});
+
+describe('DatabaseMigrations legacy offline queue', () => {
+  let dir;
+
+  // The queue schema as shipped before priorities, idempotency keys and
+  // cache partitions were added.
+  const createLegacyQueue = ({ partitioned = false } = {}) => {
+    const legacy = new Database(path.join(dir, 'offline-queue.db'));
+    legacy.exec(`
+      CREATE TABLE offline_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        method TEXT NOT NULL,
+        url TEXT NOT NULL,
+        headers TEXT,
+        body TEXT,
+        request_hash TEXT UNIQUE,
+        status TEXT DEFAULT 'pending',
+        retry_count INTEGER DEFAULT 0,
+        next_retry_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        error_message TEXT,
+        resource_id TEXT,
+        resource_type TEXT,
+        resource_version TEXT
+      );
+      CREATE TABLE request_cache (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        request_hash TEXT UNIQUE NOT NULL,
+        response_data TEXT,
+        cached_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        ${partitioned ? ', size INTEGER DEFAULT 0, last_accessed_at DATETIME, partition TEXT' : ''}
+      );
+      CREATE TABLE sync_conflicts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        resource_id TEXT NOT NULL,
+        resource_type TEXT NOT NULL,
+        local_request_id INTEGER,
+        local_data TEXT,
+        server_data TEXT,
+        server_version TEXT,
+        conflict_type TEXT,
+        resolution_status TEXT DEFAULT 'pending',
+        resolved_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE offline_request_dependencies (
+        request_id INTEGER NOT NULL,
+        depends_on_id INTEGER NOT NULL,
+        source TEXT DEFAULT 'explicit',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (request_id, depends_on_id)
+      );
+      CREATE TABLE sync_metadata (
+        key TEXT PRIMARY KEY,
+        value TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    return legacy;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'posa-migrations-'));
+    posDatabase.dbPath = path.join(dir, 'posawsome.db');
+  });
+
+  afterEach(() => {
+    posDatabase.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should import queued requests with their ids and dependencies', async () => {
+    const legacy = createLegacyQueue();
+    const insert = legacy.prepare(
+      'INSERT INTO offline_requests (id, method, url, body, request_hash, status) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+    insert.run(4, 'POST', '/api/resource/Customer', '{}', 'h4', 'pending');
+    insert.run(9, 'PUT', '/api/resource/Customer/C-1', '{}', 'h9', 'pending');
+    legacy.prepare('INSERT INTO offline_request_dependencies VALUES (9, 4, ?, ?)').run('x', 'now');
+    legacy.prepare('INSERT INTO offline_request_dependencies VALUES (9, 99, ?, ?)').run('x', 'now');
+    legacy
+      .prepare(
+        'INSERT INTO sync_conflicts (id, resource_id, resource_type, local_request_id) VALUES (?, ?, ?, ?)'
+      )
+      .run(1, 'C-1', 'Customer', 42);
+    legacy
+      .prepare('INSERT INTO sync_metadata (key, value) VALUES (?, ?)')
+      .run('cache_policy', '{}');
+    legacy.close();
+
+    expect(await databaseMigrations.initialize()).toBe(true);
+
+    const requests = posDatabase.db
+      .prepare('SELECT id, priority, needs_verification FROM offline_requests ORDER BY id')
+      .all();
+    expect(requests).toEqual([
+      { id: 4, priority: 'normal', needs_verification: 0 },
+      { id: 9, priority: 'normal', needs_verification: 0 },
+    ]);
+    expect(
+      posDatabase.db
+        .prepare('SELECT request_id, depends_on_id FROM offline_request_dependencies')
+        .all()
+    ).toEqual([{ request_id: 9, depends_on_id: 4 }]);
+    expect(
+      posDatabase.db.prepare('SELECT resource_id, local_request_id FROM sync_conflicts').get()
+    ).toEqual({ resource_id: 'C-1', local_request_id: null });
+    expect(posDatabase.getSyncMetadata('cache_policy')).toEqual({});
+  });
+
+  it('should drop cache entries from before per-user partitions', async () => {
+    const legacy = createLegacyQueue();
+    legacy
+      .prepare('INSERT INTO request_cache (request_hash, response_data) VALUES (?, ?)')
+      .run('old', '{}');
+    legacy.close();
+
+    await databaseMigrations.initialize();
+
+    expect(posDatabase.db.prepare('SELECT COUNT(*) AS count FROM request_cache').get().count).toBe(
+      0
+    );
+  });
+
+  it('should keep partitioned cache entries', async () => {
+    const legacy = createLegacyQueue({ partitioned: true });
+    legacy
+      .prepare(
+        'INSERT INTO request_cache (request_hash, response_data, partition) VALUES (?, ?, ?)'
+      )
+      .run('kept', '{}', 'cashier-a');
+    legacy.close();
+
+    await databaseMigrations.initialize();
+
+    expect(posDatabase.db.prepare('SELECT partition FROM request_cache').all()).toEqual([
+      { partition: 'cashier-a' },
+    ]);
+  });
+
+  it('should leave the legacy file untouched', async () => {
+    createLegacyQueue().close();
+
+    await databaseMigrations.initialize();
+
+    expect(fs.existsSync(path.join(dir, 'offline-queue.db'))).toBe(true);
+  });
+
+  it('should copy the queue back to the legacy file when 005 is rolled back', async () => {
+    createLegacyQueue().close();
+    await databaseMigrations.initialize();
+    posDatabase.db
+      .prepare('INSERT INTO offline_requests (method, url, request_hash) VALUES (?, ?, ?)')
+      .run('POST', '/api/resource/Sales%20Invoice', 'queued-after-upgrade');
+
+    await databaseMigrations.migrateTo('004');
+
+    const legacy = new Database(path.join(dir, 'offline-queue.db'), { readonly: true });
+    try {
+      expect(legacy.prepare('SELECT request_hash FROM offline_requests').all()).toEqual([
+        { request_hash: 'queued-after-upgrade' },
+      ]);
+    } finally {
+      legacy.close();
+    }
+  });
+});
@@ -1,5 +1,23 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import crypto from 'crypto';
+import { offlineQueueManager } from '../offlineQueueManager.js';
+import { posDatabase } from '../database/db.js';
+import { databaseMigrations } from '../database/migrations.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
 
 describe('OfflineQueueManager', () => {
   it('should generate request hash', () => {
@@ -52,3 +70,545 @@ describe('OfflineQueueManager', () => {
     expect(stats.total).toBe(stats.pending + stats.completed + stats.failed);
   });
 });
+
+describe('OfflineQueueManager priority lanes', () => {
+  let counter = 0;
+  const enqueue = (url, priority) => {
+    counter++;
+    return offlineQueueManager.addRequest('POST', url, {}, '{}', `hash-${counter}`, { priority });
+  };
+
+  beforeEach(async () => {
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    expect(offlineQueueManager.initialize()).toBe(true);
+  });
+
+  afterEach(() => {
+    offlineQueueManager.close();
+    posDatabase.close();
+  });
+
+  it('should default queued requests to the normal lane', () => {
+    const id = offlineQueueManager.addRequest('POST', '/api/resource/Customer', {}, '{}', 'h1');
+
+    const [request] = offlineQueueManager.getQueuedRequests();
+    expect(request.id).toBe(id);
+    expect(request.priority).toBe('normal');
+  });
+
+  it('should return ready requests ordered by lane, then age', () => {
+    enqueue('/background-1', 'background');
+    enqueue('/normal-1', 'normal');
+    enqueue('/critical-1', 'critical');
+    enqueue('/normal-2', 'normal');
+
+    const urls = offlineQueueManager.getRequestsReadyForRetry().map((r) => r.url);
+    expect(urls).toEqual(['/critical-1', '/normal-1', '/normal-2', '/background-1']);
+  });
+
+  it('should filter ready requests by lane', () => {
+    enqueue('/background-1', 'background');
+    enqueue('/critical-1', 'critical');
+    enqueue('/critical-2', 'critical');
+
+    const critical = offlineQueueManager.getRequestsReadyForRetry({ lane: 'critical', limit: 1 });
+    expect(critical.map((r) => r.url)).toEqual(['/critical-1']);
+  });
+
+  it('should queue requests with an unknown lane in the default lane', () => {
+    enqueue('/urgent-1', 'urgent');
+
+    const [request] = offlineQueueManager.getRequestsReadyForRetry();
+    expect(request).toMatchObject({ url: '/urgent-1', priority: 'normal' });
+  });
+
+  it('should move requests queued without a known lane to the default lane', async () => {
+    await databaseMigrations.migrateTo('017');
+    const insert = posDatabase.db.prepare(
+      'INSERT INTO offline_requests (method, url, request_hash, priority) VALUES (?, ?, ?, ?)'
+    );
+    insert.run('POST', '/legacy-1', 'legacy-1', null);
+    insert.run('POST', '/legacy-2', 'legacy-2', 'high');
+
+    await databaseMigrations.migrateTo('018');
+
+    const requests = offlineQueueManager.getRequestsReadyForRetry();
+    expect(requests.map((r) => [r.url, r.priority])).toEqual([
+      ['/legacy-1', 'normal'],
+      ['/legacy-2', 'normal'],
+    ]);
+    expect(offlineQueueManager.getPendingLaneCounts()).toEqual({
+      critical: 0,
+      normal: 2,
+      background: 0,
+    });
+  });
+
+  it('should report pending counts per lane', () => {
+    enqueue('/critical-1', 'critical');
+    enqueue('/background-1', 'background');
+    const done = enqueue('/background-2', 'background');
+    offlineQueueManager.updateRequestStatus(done, 'completed');
+
+    const stats = offlineQueueManager.getQueueStats();
+    expect(stats.lanes).toEqual({ critical: 1, normal: 0, background: 1 });
+    expect(stats.total).toBe(3);
+  });
+});
+
+describe('OfflineQueueManager dependencies', () => {
+  const BASE = 'http://erp.local/api/resource';
+  let counter = 0;
+  const enqueue = (method, url, body = {}, options = {}) => {
+    counter++;
+    return offlineQueueManager.addRequest(
+      method,
+      url,
+      {},
+      JSON.stringify(body),
+      `dep-hash-${counter}`,
+      options
+    );
+  };
+  const readyIds = () => offlineQueueManager.getRequestsReadyForRetry().map((r) => r.id);
+  const statusOf = (id) =>
+    offlineQueueManager.db
+      .prepare('SELECT status, error_message FROM offline_requests WHERE id = ?')
+      .get(id);
+
+  beforeEach(async () => {
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    expect(offlineQueueManager.initialize()).toBe(true);
+  });
+
+  afterEach(() => {
+    offlineQueueManager.close();
+    posDatabase.close();
+  });
+
+  it('should hold back a request until its explicit parent completes', () => {
+    const customer = enqueue('POST', `${BASE}/Customer`, { customer_name: 'Walk-in' });
+    const invoice = enqueue('POST', `${BASE}/Sales Invoice`, {}, { dependsOn: [customer] });
+
+    expect(readyIds()).toEqual([customer]);
+
+    offlineQueueManager.updateRequestStatus(customer, 'completed');
+    expect(readyIds()).toEqual([invoice]);
+  });
+
+  it('should infer dependencies from document URLs in request bodies', () => {
+    const customer = enqueue('POST', `${BASE}/Customer`, { name: 'CUST-LOCAL-1' });
+    const unrelated = enqueue('POST', `${BASE}/Customer`, { name: 'CUST-LOCAL-2' });
+    const invoice = enqueue('POST', `${BASE}/Sales Invoice`, {
+      customer_link: '/api/resource/Customer/CUST-LOCAL-1',
+    });
+
+    expect(offlineQueueManager.getRequestDependencies(invoice)).toEqual([
+      expect.objectContaining({ id: customer, source: 'inferred' }),
+    ]);
+    expect(readyIds()).toEqual([customer, unrelated]);
+  });
+
+  it('should chain updates to a document behind the request that created it', () => {
+    const create = enqueue('POST', `${BASE}/Sales%20Invoice`, { name: 'SINV-LOCAL-1' });
+    const submit = enqueue('PUT', `${BASE}/Sales Invoice/SINV-LOCAL-1`, { docstatus: 1 });
+    const payment = enqueue('POST', `${BASE}/Payment Entry`, {
+      reference: `${BASE}/Sales%20Invoice/SINV-LOCAL-1`,
+    });
+
+    expect(offlineQueueManager.getRequestDependencies(submit).map((d) => d.id)).toEqual([create]);
+    expect(offlineQueueManager.getRequestDependencies(payment).map((d) => d.id)).toEqual([submit]);
+  });
+
+  it('should ignore references to documents with no pending request', () => {
+    const invoice = enqueue('POST', `${BASE}/Sales Invoice`, {
+      customer_link: '/api/resource/Customer/CUST-0001',
+    });
+
+    expect(offlineQueueManager.getRequestDependencies(invoice)).toEqual([]);
+    expect(readyIds()).toEqual([invoice]);
+  });
+
+  it('should block all descendants when a parent fails permanently', () => {
+    const customer = enqueue('POST', `${BASE}/Customer`, { name: 'CUST-LOCAL-1' });
+    const invoice = enqueue(
+      'POST',
+      `${BASE}/Sales Invoice`,
+      { name: 'SINV-LOCAL-1' },
+      {
+        dependsOn: [customer],
+      }
+    );
+    const submit = enqueue('PUT', `${BASE}/Sales Invoice/SINV-LOCAL-1`, { docstatus: 1 });
+
+    offlineQueueManager.updateRequestStatus(customer, 'failed', 'Max retries exceeded');
+
+    expect(statusOf(invoice).status).toBe('blocked');
+    expect(statusOf(invoice).error_message).toBe(
+      `Blocked: depends on request #${customer} which failed: Max retries exceeded`
+    );
+    expect(statusOf(submit).status).toBe('blocked');
+    expect(offlineQueueManager.getQueueStats().blocked).toBe(2);
+  });
+
+  it('should block a new request whose parent has already failed', () => {
+    const customer = enqueue('POST', `${BASE}/Customer`);
+    offlineQueueManager.updateRequestStatus(customer, 'failed', 'HTTP 417');
+
+    const invoice = enqueue('POST', `${BASE}/Sales Invoice`, {}, { dependsOn: [customer] });
+
+    expect(statusOf(invoice).status).toBe('blocked');
+  });
+
+  it('should unblock dependents when a failed parent is retried', () => {
+    const customer = enqueue('POST', `${BASE}/Customer`);
+    const invoice = enqueue('POST', `${BASE}/Sales Invoice`, {}, { dependsOn: [customer] });
+    offlineQueueManager.updateRequestStatus(customer, 'failed', 'HTTP 500');
+
+    expect(offlineQueueManager.retryRequest(customer)).toBe(true);
+
+    expect(statusOf(customer).status).toBe('pending');
+    expect(statusOf(invoice)).toEqual({ status: 'pending', error_message: null });
+    expect(readyIds()).toEqual([customer]);
+  });
+
+  it('should block dependents when a parent is removed from the queue', () => {
+    const customer = enqueue('POST', `${BASE}/Customer`);
+    const invoice = enqueue('POST', `${BASE}/Sales Invoice`, {}, { dependsOn: [customer] });
+
+    offlineQueueManager.removeRequest(customer);
+
+    expect(statusOf(invoice).status).toBe('blocked');
+    expect(offlineQueueManager.getRequestDependencies(invoice)).toEqual([]);
+  });
+
+  it('should return the existing id when a duplicate request is queued', () => {
+    const first = offlineQueueManager.addRequest('POST', `${BASE}/Customer`, {}, '{}', 'same');
+    enqueue('POST', `${BASE}/Item`);
+    const second = offlineQueueManager.addRequest('POST', `${BASE}/Customer`, {}, '{}', 'same');
+
+    expect(second).toBe(first);
+  });
+
+  it('should list blocked requests with their parents', () => {
+    const customer = enqueue('POST', `${BASE}/Customer`);
+    const invoice = enqueue('POST', `${BASE}/Sales Invoice`, {}, { dependsOn: [customer] });
+    offlineQueueManager.updateRequestStatus(customer, 'failed', 'HTTP 500');
+
+    const queued = offlineQueueManager.getQueuedRequests();
+    expect(queued).toEqual([
+      expect.objectContaining({ id: invoice, status: 'blocked', depends_on: [customer] }),
+    ]);
+  });
+});
+
+describe('OfflineQueueManager document name remapping', () => {
+  const BASE = 'http://erp.local/api/resource';
+  let counter = 0;
+  const enqueue = (method, url, body) => {
+    counter++;
+    return offlineQueueManager.addRequest(
+      method,
+      url,
+      {},
+      typeof body === 'string' ? body : JSON.stringify(body),
+      `name-hash-${counter}`
+    );
+  };
+  const requestById = (id) =>
+    offlineQueueManager.db.prepare('SELECT url, body FROM offline_requests WHERE id = ?').get(id);
+
+  beforeEach(async () => {
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    expect(offlineQueueManager.initialize()).toBe(true);
+  });
+
+  afterEach(() => {
+    offlineQueueManager.close();
+    posDatabase.close();
+  });
+
+  it('should rewrite raw and encoded resource paths', () => {
+    const raw = enqueue('PUT', `${BASE}/Sales Invoice/SINV LOCAL 1`, {});
+    const encoded = enqueue('GET', `${BASE}/Sales%20Invoice/SINV%20LOCAL%201?fields=["name"]`, {});
+
+    const rewritten = offlineQueueManager.remapDocumentName(
+      'Sales Invoice',
+      'SINV LOCAL 1',
+      'ACC-SINV-0001'
+    );
+
+    expect(rewritten).toBe(2);
+    expect(requestById(raw).url).toBe(`${BASE}/Sales Invoice/ACC-SINV-0001`);
+    expect(requestById(encoded).url).toBe(`${BASE}/Sales%20Invoice/ACC-SINV-0001?fields=["name"]`);
+  });
+
+  it('should not touch names that only share a prefix', () => {
+    const other = enqueue('PUT', `${BASE}/Sales Invoice/SINV-LOCAL-10`, {});
+
+    offlineQueueManager.remapDocumentName('Sales Invoice', 'SINV-LOCAL-1', 'ACC-SINV-0001');
+
+    expect(requestById(other).url).toBe(`${BASE}/Sales Invoice/SINV-LOCAL-10`);
+  });
+
+  it('should rewrite links to the doctype in a JSON body', () => {
+    const payment = enqueue('POST', `${BASE}/Payment Entry`, {
+      remarks: 'Payment for SINV-LOCAL-1',
+      references: [
+        {
+          reference_doctype: 'Sales Invoice',
+          reference_name: 'SINV-LOCAL-1',
+          allocated_amount: 10,
+        },
+      ],
+      link: '/api/resource/Sales Invoice/SINV-LOCAL-1',
+    });
+    const invoice = enqueue('POST', `${BASE}/Sales Invoice`, {
+      name: 'SINV-LOCAL-2',
+      is_return: 1,
+      return_against: 'SINV-LOCAL-1',
+    });
+
+    offlineQueueManager.remapDocumentName('Sales Invoice', 'SINV-LOCAL-1', 'ACC-SINV-0001');
+
+    expect(JSON.parse(requestById(payment).body)).toEqual({
+      remarks: 'Payment for SINV-LOCAL-1',
+      references: [
+        {
+          reference_doctype: 'Sales Invoice',
+          reference_name: 'ACC-SINV-0001',
+          allocated_amount: 10,
+        },
+      ],
+      link: '/api/resource/Sales Invoice/ACC-SINV-0001',
+    });
+    expect(JSON.parse(requestById(invoice).body).return_against).toBe('ACC-SINV-0001');
+  });
+
+  it('should keep values of unrelated fields equal to the placeholder', () => {
+    const invoice = enqueue('POST', `${BASE}/Sales Invoice`, {
+      customer: 'CUST-LOCAL-1',
+      customer_name: 'CUST-LOCAL-1',
+      remarks: 'CUST-LOCAL-1',
+      items: [{ item_code: 'CUST-LOCAL-1', description: 'CUST-LOCAL-1' }],
+      references: [{ reference_doctype: 'Supplier', reference_name: 'CUST-LOCAL-1' }],
+    });
+
+    offlineQueueManager.remapDocumentName('Customer', 'CUST-LOCAL-1', 'CUST-00077');
+
+    expect(JSON.parse(requestById(invoice).body)).toEqual({
+      customer: 'CUST-00077',
+      customer_name: 'CUST-LOCAL-1',
+      remarks: 'CUST-LOCAL-1',
+      items: [{ item_code: 'CUST-LOCAL-1', description: 'CUST-LOCAL-1' }],
+      references: [{ reference_doctype: 'Supplier', reference_name: 'CUST-LOCAL-1' }],
+    });
+  });
+
+  it('should rewrite resource paths in bodies that are not JSON', () => {
+    const form = enqueue('POST', `${BASE}/Comment`, 'ref=/api/resource/Customer/CUST-LOCAL-1&x=1');
+
+    offlineQueueManager.remapDocumentName('Customer', 'CUST-LOCAL-1', 'CUST-00077');
+
+    expect(requestById(form).body).toBe('ref=/api/resource/Customer/CUST-00077&x=1');
+  });
+
+  it('should skip completed requests and the create request itself', () => {
+    const create = enqueue('POST', `${BASE}/Customer`, { name: 'CUST-LOCAL-1' });
+    const done = enqueue('PUT', `${BASE}/Customer/CUST-LOCAL-1`, { mobile_no: '1' });
+    offlineQueueManager.updateRequestStatus(done, 'completed');
+
+    const rewritten = offlineQueueManager.remapDocumentName(
+      'Customer',
+      'CUST-LOCAL-1',
+      'CUST-00077',
+      create
+    );
+
+    expect(rewritten).toBe(0);
+    expect(JSON.parse(requestById(create).body).name).toBe('CUST-LOCAL-1');
+    expect(requestById(done).url).toBe(`${BASE}/Customer/CUST-LOCAL-1`);
+  });
+});
+
+describe('OfflineQueueManager idempotency keys', () => {
+  const keyOf = (id) =>
+    offlineQueueManager.db
+      .prepare('SELECT idempotency_key FROM offline_requests WHERE id = ?')
+      .get(id).idempotency_key;
+
+  beforeEach(async () => {
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    expect(offlineQueueManager.initialize()).toBe(true);
+  });
+
+  afterEach(() => {
+    offlineQueueManager.close();
+    posDatabase.close();
+  });
+
+  it('should assign a unique key to every mutating request', () => {
+    const post = offlineQueueManager.addRequest('POST', 'http://erp/a', {}, '{}', 'k-1');
+    const put = offlineQueueManager.addRequest('PUT', 'http://erp/a/1', {}, '{}', 'k-2');
+    const del = offlineQueueManager.addRequest('delete', 'http://erp/a/2', {}, null, 'k-3');
+
+    const keys = [post, put, del].map(keyOf);
+    keys.forEach((key) => expect(key).toMatch(/^[0-9a-f-]{36}$/));
+    expect(new Set(keys).size).toBe(3);
+  });
+
+  it('should keep the key when the same request is queued again', () => {
+    const first = offlineQueueManager.addRequest('POST', 'http://erp/a', {}, '{}', 'same');
+    const key = keyOf(first);
+
+    offlineQueueManager.addRequest('POST', 'http://erp/a', {}, '{}', 'same');
+
+    expect(keyOf(first)).toBe(key);
+  });
+
+  it('should not assign keys to read requests', () => {
+    const get = offlineQueueManager.addRequest('GET', 'http://erp/a', {}, null, 'k-get');
+
+    expect(keyOf(get)).toBeNull();
+  });
+});
+
+describe('OfflineQueueManager response cache', () => {
+  beforeEach(async () => {
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    expect(offlineQueueManager.initialize()).toBe(true);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    offlineQueueManager.close();
+    posDatabase.close();
+  });
+
+  it('should record when and how large each entry is', () => {
+    vi.useFakeTimers({ now: new Date('2024-05-01T10:00:00.000Z') });
+
+    offlineQueueManager.cacheResponse('hash-a', { data: [1, 2, 3] });
+
+    expect(offlineQueueManager.getCachedEntry('hash-a')).toEqual({
+      data: { data: [1, 2, 3] },
+      cachedAt: '2024-05-01T10:00:00.000Z',
+      size: JSON.stringify({ data: [1, 2, 3] }).length,
+    });
+  });
+
+  it('should refuse entries larger than the size limit', () => {
+    expect(
+      offlineQueueManager.cacheResponse(
+        'hash-big',
+        { value: 'x'.repeat(100) },
+        {
+          maxEntrySize: 50,
+        }
+      )
+    ).toBe(false);
+    expect(offlineQueueManager.getCachedEntry('hash-big')).toBeNull();
+  });
+
+  it('should read entries cached before timestamps were stored as ISO strings', () => {
+    offlineQueueManager.db
+      .prepare(
+        'INSERT INTO request_cache (request_hash, response_data, cached_at) VALUES (?, ?, ?)'
+      )
+      .run('legacy', '{"ok":true}', '2024-01-02 03:04:05');
+
+    expect(offlineQueueManager.getCachedEntry('legacy').cachedAt).toBe('2024-01-02T03:04:05Z');
+  });
+
+  it('should evict the least recently used entries first', () => {
+    vi.useFakeTimers({ now: new Date('2024-05-01T10:00:00.000Z') });
+    ['a', 'b', 'c'].forEach((key) => {
+      offlineQueueManager.cacheResponse(key, { value: 'x'.repeat(40) });
+      vi.advanceTimersByTime(1000);
+    });
+    offlineQueueManager.getCachedEntry('a');
+
+    const { totalSize } = offlineQueueManager.getCacheStats();
+    const evicted = offlineQueueManager.evictCache(totalSize - 1);
+
+    expect(evicted).toBe(1);
+    expect(offlineQueueManager.getCachedEntry('b')).toBeNull();
+    expect(offlineQueueManager.getCachedEntry('a')).not.toBeNull();
+    expect(offlineQueueManager.getCachedEntry('c')).not.toBeNull();
+  });
+
+  it('should size legacy rows before evicting', () => {
+    offlineQueueManager.db
+      .prepare('INSERT INTO request_cache (request_hash, response_data) VALUES (?, ?)')
+      .run('legacy', JSON.stringify({ value: 'x'.repeat(100) }));
+
+    expect(offlineQueueManager.evictCache(50)).toBe(1);
+    expect(offlineQueueManager.getCacheStats()).toEqual({ entries: 0, totalSize: 0 });
+  });
+});
+
+describe('OfflineQueueManager shared database', () => {
+  beforeEach(async () => {
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    expect(offlineQueueManager.initialize()).toBe(true);
+  });
+
+  afterEach(() => {
+    offlineQueueManager.close();
+    posDatabase.close();
+  });
+
+  it('should use the POS database connection', () => {
+    expect(offlineQueueManager.db).toBe(posDatabase.db);
+  });
+
+  it('should roll back queued requests with the business writes they belong to', () => {
+    expect(() =>
+      posDatabase.transaction(() => {
+        posDatabase.createInvoice('SINV-LOCAL-1', null, 10);
+        offlineQueueManager.addRequest('POST', '/api/resource/Sales Invoice', {}, '{}', 'inv');
+        throw new Error('payment declined');
+      })
+    ).toThrow('payment declined');
+
+    expect(posDatabase.getAllInvoices()).toEqual([]);
+    expect(offlineQueueManager.getQueuedRequests()).toEqual([]);
+  });
+
+  it('should join queued requests against local documents', () => {
+    posDatabase.createInvoice('SINV-LOCAL-1', null, 10);
+    offlineQueueManager.addRequest(
+      'POST',
+      '/api/resource/Sales Invoice',
+      {},
+      JSON.stringify({ name: 'SINV-LOCAL-1' }),
+      'inv'
+    );
+
+    const row = posDatabase.db
+      .prepare(
+        `SELECT si.total, r.status FROM sales_invoices si
+         JOIN offline_requests r ON json_extract(r.body, '$.name') = si.name`
+      )
+      .get();
+    expect(row).toEqual({ total: 10, status: 'pending' });
+  });
+
+  it('should clean up dependencies and conflicts of cleared requests', () => {
+    const parent = offlineQueueManager.addRequest('POST', '/api/resource/Customer', {}, '{}', 'p');
+    offlineQueueManager.addRequest('PUT', '/x', {}, '{}', 'c', { dependsOn: [parent] });
+    const conflictId = offlineQueueManager.addConflict('C-1', 'Customer', parent, {}, {}, '1', 'x');
+    offlineQueueManager.db.prepare('UPDATE offline_requests SET created_at = ?').run('2000-01-01');
+
+    expect(offlineQueueManager.clearOldRequests(7)).toBe(true);
+
+    expect(offlineQueueManager.getQueuedRequests()).toEqual([]);
+    expect(offlineQueueManager.getConflictById(conflictId).local_request_id).toBeNull();
+  });
+});
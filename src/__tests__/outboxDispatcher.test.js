@@ -0,0 +1,620 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { outboxDispatcher } from '../outboxDispatcher.js';
+import { httpInterceptor } from '../httpInterceptor.js';
+import { posDatabase } from '../database/db.js';
+import { databaseMigrations } from '../database/migrations.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
+
+function queueRows() {
+  return posDatabase.db.prepare('SELECT * FROM sync_queue ORDER BY id').all();
+}
+
+function created(name) {
+  return { ok: true, status: 200, data: { data: { name, modified: '2026-02-01 10:00:00' } } };
+}
+
+describe('POSDatabase outbox', () => {
+  beforeEach(async () => {
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+  });
+
+  afterEach(() => {
+    posDatabase.close();
+  });
+
+  it('should queue business writes with their local record', () => {
+    const customerId = posDatabase.createCustomer('Ada', 'ada@example.com');
+    const itemId = posDatabase.createItem('Coffee', 'COF-1', 3.5);
+    const invoiceId = posDatabase.createInvoice('LOCAL-INV-1', customerId);
+    posDatabase.addInvoiceItem(invoiceId, itemId, 1, 3.5);
+
+    expect(queueRows()).toEqual([
+      expect.objectContaining({
+        doctype: 'Customer',
+        local_table: 'customers',
+        local_id: customerId,
+        operation: 'CREATE',
+        status: 'pending',
+      }),
+      expect.objectContaining({ doctype: 'Item', local_id: itemId, operation: 'CREATE' }),
+      expect.objectContaining({
+        doctype: 'Sales Invoice',
+        local_id: invoiceId,
+        operation: 'CREATE',
+      }),
+    ]);
+  });
+
+  it('should not keep the local write when queueing it fails', () => {
+    posDatabase.db.exec('DROP TABLE sync_log; DROP TABLE sync_queue');
+
+    expect(() => posDatabase.createInvoice('LOCAL-INV-1')).toThrow();
+    expect(posDatabase.getAllInvoices()).toHaveLength(0);
+  });
+
+  it('should queue an invoice for creation with its first line', () => {
+    const invoiceId = posDatabase.createInvoice('LOCAL-INV-1');
+    posDatabase.setInvoiceDiscount(invoiceId, { percentage: 10 });
+    expect(queueRows()).toEqual([]);
+
+    const itemId = posDatabase.createItem('Coffee', 'COF-1', 3.5);
+    posDatabase.addInvoiceItem(invoiceId, itemId, 1, 3.5);
+    expect(queueRows().map((row) => [row.local_table, row.operation])).toEqual([
+      ['items', 'CREATE'],
+      ['sales_invoices', 'CREATE'],
+    ]);
+  });
+
+  it('should fold changes into a pending entry for the same record', () => {
+    const invoiceId = posDatabase.createInvoice('LOCAL-INV-1');
+    const itemId = posDatabase.createItem('Coffee', 'COF-1', 3.5);
+    posDatabase.addInvoiceItem(invoiceId, itemId, 2, 3.5);
+    posDatabase.updateInvoiceStatus(invoiceId, 'submitted');
+
+    const invoiceRows = queueRows().filter((row) => row.local_table === 'sales_invoices');
+    expect(invoiceRows).toHaveLength(1);
+    expect(invoiceRows[0].operation).toBe('CREATE');
+  });
+
+  it('should drop pending entries of a record deleted before it was sent', () => {
+    const customerId = posDatabase.createCustomer('Ada');
+    posDatabase.updateCustomer(customerId, 'Ada Lovelace');
+    posDatabase.deleteCustomer(customerId);
+
+    expect(queueRows()).toHaveLength(0);
+  });
+
+  it('should queue a delete by server name for records known to ERPNext', () => {
+    const customerId = posDatabase.createCustomer('Ada');
+    posDatabase.db.prepare('UPDATE sync_queue SET status = ?').run('completed');
+    posDatabase.linkServerRecord('customers', customerId, 'CUST-0001');
+
+    posDatabase.deleteCustomer(customerId);
+
+    const [, deletion] = queueRows();
+    expect(deletion).toMatchObject({ operation: 'DELETE', status: 'pending' });
+    expect(JSON.parse(deletion.payload)).toEqual({ name: 'CUST-0001' });
+  });
+});
+
+describe('OutboxDispatcher', () => {
+  let replayRequest;
+
+  beforeEach(async () => {
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    httpInterceptor.isOnline = true;
+    outboxDispatcher.maxRetries = 3;
+    outboxDispatcher.baseRetryDelay = 1000;
+    replayRequest = vi.spyOn(httpInterceptor, 'replayRequest');
+  });
+
+  afterEach(() => {
+    outboxDispatcher.stop();
+    outboxDispatcher.posProfile = '';
+    posDatabase.close();
+    vi.restoreAllMocks();
+  });
+
+  it('should create records in ERPNext and link the server names', async () => {
+    const customerId = posDatabase.createCustomer('Ada', 'ada@example.com', '123');
+    const itemId = posDatabase.createItem('Coffee', 'COF-1', 3.5);
+    const invoiceId = posDatabase.createInvoice('LOCAL-INV-1', customerId);
+    posDatabase.addInvoiceItem(invoiceId, itemId, 2, 3.5);
+    replayRequest
+      .mockResolvedValueOnce(created('CUST-0001'))
+      .mockResolvedValueOnce(created('COF-1'))
+      .mockResolvedValueOnce(created('ACC-SINV-0001'));
+
+    expect(await outboxDispatcher.dispatch()).toBe(3);
+
+    expect(
+      replayRequest.mock.calls.map(([method, url]) => [method, new URL(url).pathname])
+    ).toEqual([
+      ['POST', '/api/resource/Customer'],
+      ['POST', '/api/resource/Item'],
+      ['POST', '/api/resource/Sales%20Invoice'],
+    ]);
+    expect(replayRequest.mock.calls[0][2].body).toEqual({
+      customer_name: 'Ada',
+      email_id: 'ada@example.com',
+      mobile_no: '123',
+      posa_idempotency_key: queueRows()[0].idempotency_key,
+    });
+    expect(replayRequest.mock.calls[2][2].body).toEqual({
+      customer: 'CUST-0001',
+      docstatus: 0,
+      items: [
+        {
+          item_code: 'COF-1',
+          qty: 2,
+          price_list_rate: 3.5,
+          discount_percentage: 0,
+          discount_amount: 0,
+          rate: 3.5,
+        },
+      ],
+      taxes: [],
+      apply_discount_on: 'Grand Total',
+      additional_discount_percentage: 0,
+      discount_amount: 0,
+      disable_rounded_total: 0,
+      posa_idempotency_key: expect.any(String),
+    });
+
+    expect(posDatabase.getCustomer(customerId).erpnext_name).toBe('CUST-0001');
+    expect(posDatabase.getItem(itemId).erpnext_name).toBe('COF-1');
+    expect(posDatabase.getInvoice(invoiceId)).toMatchObject({ name: 'ACC-SINV-0001' });
+    expect(posDatabase.getInvoice(invoiceId).synced_at).not.toBeNull();
+    expect(queueRows().every((row) => row.status === 'completed')).toBe(true);
+  });
+
+  it('should update records by their server name', async () => {
+    const customerId = posDatabase.createCustomer('Ada');
+    replayRequest.mockResolvedValueOnce(created('CUST-0001'));
+    await outboxDispatcher.dispatch();
+
+    posDatabase.updateCustomer(customerId, 'Ada Lovelace');
+    replayRequest.mockResolvedValueOnce(created('CUST-0001'));
+    await outboxDispatcher.dispatch();
+
+    const [method, url, options] = replayRequest.mock.calls[1];
+    expect(method).toBe('PUT');
+    expect(new URL(url).pathname).toBe('/api/resource/Customer/CUST-0001');
+    expect(options.body.customer_name).toBe('Ada Lovelace');
+  });
+
+  it('should submit a draft invoice and not resend it once paid', async () => {
+    const itemId = posDatabase.createItem('Coffee', 'COF-1', 3.5);
+    const invoiceId = posDatabase.createInvoice('LOCAL-INV-1', null);
+    posDatabase.addInvoiceItem(invoiceId, itemId, 2, 3.5);
+    replayRequest
+      .mockResolvedValueOnce(created('COF-1'))
+      .mockResolvedValueOnce(created('ACC-SINV-0001'));
+    await outboxDispatcher.dispatch();
+    expect(posDatabase.getInvoice(invoiceId).server_docstatus).toBe(0);
+
+    posDatabase.addInvoicePayment(invoiceId, 'Cash', 7);
+    posDatabase.updateInvoiceStatus(invoiceId, 'submitted');
+    replayRequest.mockResolvedValueOnce(created('ACC-SINV-0001'));
+    await outboxDispatcher.dispatch();
+
+    const [method, url, options] = replayRequest.mock.calls[2];
+    expect([method, new URL(url).pathname]).toEqual([
+      'PUT',
+      '/api/resource/Sales%20Invoice/ACC-SINV-0001',
+    ]);
+    expect(options.body).toMatchObject({ docstatus: 1, is_pos: 1 });
+    expect(posDatabase.getInvoice(invoiceId).server_docstatus).toBe(1);
+
+    posDatabase.updateInvoiceStatus(invoiceId, 'paid');
+    expect(await outboxDispatcher.dispatch()).toBe(1);
+
+    expect(replayRequest).toHaveBeenCalledTimes(3);
+    expect(queueRows().every((row) => row.status === 'completed')).toBe(true);
+  });
+
+  it('should only send the docstatus when a submitted invoice is cancelled', async () => {
+    const itemId = posDatabase.createItem('Coffee', 'COF-1', 3.5);
+    const invoiceId = posDatabase.createInvoice('LOCAL-INV-1', null);
+    posDatabase.addInvoiceItem(invoiceId, itemId, 2, 3.5);
+    posDatabase.updateInvoiceStatus(invoiceId, 'submitted');
+    replayRequest
+      .mockResolvedValueOnce(created('COF-1'))
+      .mockResolvedValueOnce(created('ACC-SINV-0001'));
+    await outboxDispatcher.dispatch();
+
+    posDatabase.updateInvoiceStatus(invoiceId, 'cancelled');
+    replayRequest.mockResolvedValueOnce(created('ACC-SINV-0001'));
+    await outboxDispatcher.dispatch();
+
+    const [method, url, options] = replayRequest.mock.calls[2];
+    expect([method, new URL(url).pathname]).toEqual([
+      'PUT',
+      '/api/resource/Sales%20Invoice/ACC-SINV-0001',
+    ]);
+    expect(options.body).toEqual({ docstatus: 2 });
+    expect(posDatabase.getInvoice(invoiceId).server_docstatus).toBe(2);
+  });
+
+  it('should delete a draft invoice cancelled after it was sent', async () => {
+    const itemId = posDatabase.createItem('Coffee', 'COF-1', 3.5);
+    const invoiceId = posDatabase.createInvoice('LOCAL-INV-1', null);
+    posDatabase.addInvoiceItem(invoiceId, itemId, 2, 3.5);
+    replayRequest
+      .mockResolvedValueOnce(created('COF-1'))
+      .mockResolvedValueOnce(created('ACC-SINV-0001'));
+    await outboxDispatcher.dispatch();
+
+    posDatabase.updateInvoiceStatus(invoiceId, 'cancelled');
+    replayRequest.mockResolvedValueOnce({ ok: true, status: 202, data: { message: 'ok' } });
+    await outboxDispatcher.dispatch();
+
+    const [method, url] = replayRequest.mock.calls[2];
+    expect([method, new URL(url).pathname]).toEqual([
+      'DELETE',
+      '/api/resource/Sales%20Invoice/ACC-SINV-0001',
+    ]);
+    expect(posDatabase.getInvoice(invoiceId).server_docstatus).toBe(2);
+  });
+
+  it('should send the payments of an invoice paid at the till', async () => {
+    const itemId = posDatabase.createItem('Coffee', 'COF-1', 3.5);
+    const invoiceId = posDatabase.createInvoice('LOCAL-INV-1', null);
+    posDatabase.addInvoiceItem(invoiceId, itemId, 2, 3.5);
+    posDatabase.addInvoicePayment(invoiceId, 'Credit Card', 5, 'SLIP-0042');
+    posDatabase.addInvoicePayment(invoiceId, 'Cash', 5);
+    outboxDispatcher.posProfile = 'Main Till';
+    replayRequest
+      .mockResolvedValueOnce(created('COF-1'))
+      .mockResolvedValueOnce(created('ACC-SINV-0001'));
+
+    await outboxDispatcher.dispatch();
+
+    expect(replayRequest.mock.calls[1][2].body).toMatchObject({
+      customer: 'Walk-in Customer',
+      is_pos: 1,
+      pos_profile: 'Main Till',
+      payments: [
+        { mode_of_payment: 'Credit Card', amount: 5, reference_no: 'SLIP-0042' },
+        { mode_of_payment: 'Cash', amount: 5, reference_no: null },
+      ],
+    });
+  });
+
+  it('should send a return against the server name of the original invoice', async () => {
+    const itemId = posDatabase.createItem('Coffee', 'COF-1', 3.5);
+    posDatabase.upsertStockBin({
+      name: 'BIN-1',
+      item_code: 'COF-1',
+      warehouse: 'Stores - C',
+      actual_qty: 2,
+    });
+    const invoiceId = posDatabase.createInvoice('LOCAL-INV-1', null);
+    posDatabase.addInvoiceItem(invoiceId, itemId, 2, 3.5, { warehouse: 'Stores - C' });
+    posDatabase.updateInvoiceStatus(invoiceId, 'submitted');
+    replayRequest
+      .mockResolvedValueOnce(created('COF-1'))
+      .mockResolvedValueOnce(created('ACC-SINV-0001'));
+    await outboxDispatcher.dispatch();
+
+    const [line] = posDatabase.getInvoiceItems(invoiceId);
+    posDatabase.createReturnInvoice(invoiceId, [{ lineId: line.id, qty: 1 }], {
+      refundMode: 'Cash',
+    });
+    replayRequest.mockResolvedValueOnce(created('ACC-SINV-0002'));
+    await outboxDispatcher.dispatch();
+
+    const [method, url, options] = replayRequest.mock.calls[2];
+    expect([method, new URL(url).pathname]).toEqual(['POST', '/api/resource/Sales%20Invoice']);
+    expect(options.body).toMatchObject({
+      is_return: 1,
+      return_against: 'ACC-SINV-0001',
+      items: [
+        expect.objectContaining({
+          item_code: 'COF-1',
+          qty: -1,
+          rate: 3.5,
+          warehouse: 'Stores - C',
+        }),
+      ],
+      update_stock: 1,
+      is_pos: 1,
+      payments: [{ mode_of_payment: 'Cash', amount: -3.5, reference_no: null }],
+    });
+  });
+
+  it('should send the opening and closing entries of a shift', async () => {
+    posDatabase.upsertMasterData('POS Profile', { name: 'Main Till', company: 'ACME Ltd' });
+    const itemId = posDatabase.createItem('Coffee', 'COF-1', 3.5);
+    const shiftId = posDatabase.openShift({
+      posProfile: 'Main Till',
+      cashier: 'cashier@example.com',
+      openingAmounts: [{ modeOfPayment: 'Cash', amount: 50 }],
+    });
+    const invoiceId = posDatabase.createInvoice('LOCAL-INV-1', null);
+    posDatabase.addInvoiceItem(invoiceId, itemId, 2, 3.5);
+    posDatabase.addInvoicePayment(invoiceId, 'Cash', 10);
+    posDatabase.updateInvoiceStatus(invoiceId, 'paid');
+    posDatabase.closeShift(shiftId, [{ modeOfPayment: 'Cash', amount: 57 }]);
+    replayRequest
+      .mockResolvedValueOnce(created('COF-1'))
+      .mockResolvedValueOnce(created('POS-OPE-0001'))
+      .mockResolvedValueOnce(created('ACC-SINV-0001'))
+      .mockResolvedValueOnce(created('POS-CLO-0001'));
+
+    expect(await outboxDispatcher.dispatch()).toBe(4);
+
+    const shift = posDatabase.getShift(shiftId);
+    const [, opening, , closing] = replayRequest.mock.calls;
+    expect(new URL(opening[1]).pathname).toBe('/api/resource/POS%20Opening%20Entry');
+    expect(opening[2].body).toEqual({
+      company: 'ACME Ltd',
+      pos_profile: 'Main Till',
+      user: 'cashier@example.com',
+      period_start_date: shift.opened_at,
+      posting_date: shift.opened_at.slice(0, 10),
+      balance_details: [{ mode_of_payment: 'Cash', opening_amount: 50 }],
+      docstatus: 1,
+      posa_idempotency_key: expect.any(String),
+    });
+    expect(new URL(closing[1]).pathname).toBe('/api/resource/POS%20Closing%20Entry');
+    expect(closing[2].body).toMatchObject({
+      pos_opening_entry: 'POS-OPE-0001',
+      period_end_date: shift.closed_at,
+      sales_invoice_transactions: [
+        expect.objectContaining({
+          sales_invoice: 'ACC-SINV-0001',
+          customer: 'Walk-in Customer',
+          grand_total: 7,
+        }),
+      ],
+      payment_reconciliation: [
+        {
+          mode_of_payment: 'Cash',
+          opening_amount: 50,
+          expected_amount: 57,
+          closing_amount: 57,
+          difference: 0,
+        },
+      ],
+      docstatus: 1,
+    });
+    expect(shift.erpnext_name).toBe('POS-OPE-0001');
+  });
+
+  it('should write a sync log entry for every attempt', async () => {
+    posDatabase.createCustomer('Ada');
+    replayRequest
+      .mockResolvedValueOnce({ ok: false, status: 503, data: 'Service Unavailable' })
+      .mockResolvedValueOnce(created('CUST-0001'));
+
+    await outboxDispatcher.dispatch();
+    posDatabase.db.prepare('UPDATE sync_queue SET next_attempt_at = NULL').run();
+    await outboxDispatcher.dispatch();
+
+    const logs = posDatabase.getSyncLogs().sort((a, b) => a.id - b.id);
+    expect(logs.map((log) => [log.status, log.http_status])).toEqual([
+      ['error', 503],
+      ['success', 200],
+    ]);
+  });
+
+  it('should back off and hold later entries after a retryable failure', async () => {
+    posDatabase.createCustomer('Ada');
+    posDatabase.createItem('Coffee', 'COF-1', 3.5);
+    replayRequest.mockRejectedValueOnce(new Error('socket hang up'));
+
+    expect(await outboxDispatcher.dispatch()).toBe(0);
+
+    const [customerEntry, itemEntry] = queueRows();
+    expect(customerEntry).toMatchObject({
+      status: 'pending',
+      retry_count: 1,
+      error_message: 'socket hang up',
+    });
+    expect(new Date(customerEntry.next_attempt_at).getTime()).toBeGreaterThan(Date.now());
+    expect(itemEntry.status).toBe('pending');
+    expect(replayRequest).toHaveBeenCalledTimes(1);
+
+    await outboxDispatcher.dispatch();
+    expect(replayRequest).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fail an entry after the maximum number of retries', async () => {
+    posDatabase.createCustomer('Ada');
+    replayRequest.mockResolvedValue({ ok: false, status: 503, data: null });
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      posDatabase.db.prepare('UPDATE sync_queue SET next_attempt_at = NULL').run();
+      await outboxDispatcher.dispatch();
+    }
+
+    expect(queueRows()[0]).toMatchObject({ status: 'failed', error_message: 'HTTP 503' });
+  });
+
+  it('should send every entry with its idempotency key', async () => {
+    const customerId = posDatabase.createCustomer('Ada');
+    replayRequest.mockResolvedValueOnce(created('CUST-0001'));
+    await outboxDispatcher.dispatch();
+    posDatabase.updateCustomer(customerId, 'Ada Lovelace');
+    replayRequest.mockResolvedValueOnce(created('CUST-0001'));
+    await outboxDispatcher.dispatch();
+
+    const [createEntry, updateEntry] = queueRows();
+    expect(createEntry.idempotency_key).toBeTruthy();
+    expect(updateEntry.idempotency_key).not.toBe(createEntry.idempotency_key);
+    expect(replayRequest.mock.calls[0][2].headers['X-Idempotency-Key']).toBe(
+      createEntry.idempotency_key
+    );
+    expect(replayRequest.mock.calls[1][2].headers['X-Idempotency-Key']).toBe(
+      updateEntry.idempotency_key
+    );
+    expect(replayRequest.mock.calls[1][2].body).not.toHaveProperty('posa_idempotency_key');
+  });
+
+  it('should link a create applied before its response was lost', async () => {
+    const customerId = posDatabase.createCustomer('Ada');
+    replayRequest.mockRejectedValueOnce(new Error('socket hang up'));
+    await outboxDispatcher.dispatch();
+
+    const [entry] = queueRows();
+    expect(entry.needs_verification).toBe(1);
+
+    posDatabase.db.prepare('UPDATE sync_queue SET next_attempt_at = NULL').run();
+    replayRequest.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      data: { data: [{ name: 'CUST-0001', modified: '2026-02-01 10:00:00' }] },
+    });
+    expect(await outboxDispatcher.dispatch()).toBe(1);
+
+    expect(replayRequest).toHaveBeenCalledTimes(2);
+    const [method, url] = replayRequest.mock.calls[1];
+    expect(method).toBe('GET');
+    const lookup = new URL(url);
+    expect(lookup.pathname).toBe('/api/resource/Customer');
+    expect(JSON.parse(lookup.searchParams.get('filters'))).toEqual([
+      ['posa_idempotency_key', '=', entry.idempotency_key],
+    ]);
+    expect(posDatabase.getCustomer(customerId).erpnext_name).toBe('CUST-0001');
+    expect(queueRows()[0].status).toBe('completed');
+  });
+
+  it('should resend a create not found after an ambiguous failure', async () => {
+    posDatabase.createCustomer('Ada');
+    replayRequest.mockResolvedValueOnce({ ok: false, status: 504, data: null });
+    await outboxDispatcher.dispatch();
+    expect(queueRows()[0].needs_verification).toBe(1);
+
+    posDatabase.db.prepare('UPDATE sync_queue SET next_attempt_at = NULL').run();
+    replayRequest
+      .mockResolvedValueOnce({ ok: true, status: 200, data: { data: [] } })
+      .mockResolvedValueOnce(created('CUST-0001'));
+    await outboxDispatcher.dispatch();
+
+    expect(replayRequest.mock.calls.map(([method]) => method)).toEqual(['POST', 'GET', 'POST']);
+    expect(replayRequest.mock.calls[2][2].body.posa_idempotency_key).toBe(
+      replayRequest.mock.calls[0][2].body.posa_idempotency_key
+    );
+    expect(queueRows()[0]).toMatchObject({ status: 'completed', needs_verification: 0 });
+  });
+
+  it('should hold a create whose lookup fails without resending it', async () => {
+    posDatabase.createCustomer('Ada');
+    replayRequest.mockResolvedValueOnce({ ok: false, status: 502, data: null });
+    await outboxDispatcher.dispatch();
+
+    posDatabase.db.prepare('UPDATE sync_queue SET next_attempt_at = NULL').run();
+    replayRequest.mockResolvedValueOnce({ ok: false, status: 503, data: null });
+    await outboxDispatcher.dispatch();
+
+    expect(replayRequest.mock.calls.map(([method]) => method)).toEqual(['POST', 'GET']);
+    expect(queueRows()[0]).toMatchObject({
+      status: 'pending',
+      needs_verification: 1,
+      error_message: 'Could not verify whether Customer 1 was created: HTTP 503',
+    });
+  });
+
+  it('should not verify a create that never reached the server', async () => {
+    posDatabase.createCustomer('Ada');
+    replayRequest.mockRejectedValueOnce(
+      Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })
+    );
+    await outboxDispatcher.dispatch();
+
+    expect(queueRows()[0]).toMatchObject({ status: 'pending', needs_verification: 0 });
+  });
+
+  it('should not send an invoice before it has lines', async () => {
+    const invoiceId = posDatabase.createInvoice('LOCAL-INV-1', null);
+
+    expect(await outboxDispatcher.dispatch()).toBe(0);
+    expect(replayRequest).not.toHaveBeenCalled();
+
+    const itemId = posDatabase.createItem('Coffee', 'COF-1', 3.5);
+    posDatabase.addInvoiceItem(invoiceId, itemId, 1, 3.5);
+    replayRequest
+      .mockResolvedValueOnce(created('COF-1'))
+      .mockResolvedValueOnce(created('ACC-SINV-0001'));
+
+    expect(await outboxDispatcher.dispatch()).toBe(2);
+    expect(
+      replayRequest.mock.calls.map(([method, url]) => [method, new URL(url).pathname])
+    ).toEqual([
+      ['POST', '/api/resource/Item'],
+      ['POST', '/api/resource/Sales%20Invoice'],
+    ]);
+    expect(replayRequest.mock.calls[1][2].body.items).toHaveLength(1);
+    expect(posDatabase.getInvoice(invoiceId).name).toBe('ACC-SINV-0001');
+  });
+
+  it('should fail rejected entries and move on to the next one', async () => {
+    posDatabase.createCustomer('Ada');
+    posDatabase.createItem('Coffee', 'COF-1', 3.5);
+    replayRequest
+      .mockResolvedValueOnce({
+        ok: false,
+        status: 417,
+        data: { exception: 'ValidationError: Customer Group is mandatory' },
+      })
+      .mockResolvedValueOnce(created('COF-1'));
+
+    expect(await outboxDispatcher.dispatch()).toBe(2);
+
+    const [customerEntry, itemEntry] = queueRows();
+    expect(customerEntry).toMatchObject({
+      status: 'failed',
+      error_message: 'HTTP 417: ValidationError: Customer Group is mandatory',
+    });
+    expect(itemEntry.status).toBe('completed');
+  });
+
+  it('should delete records from ERPNext and accept ones already gone', async () => {
+    const customerId = posDatabase.createCustomer('Ada');
+    replayRequest.mockResolvedValueOnce(created('CUST-0001'));
+    await outboxDispatcher.dispatch();
+
+    posDatabase.deleteCustomer(customerId);
+    replayRequest.mockResolvedValueOnce({ ok: false, status: 404, data: null });
+    await outboxDispatcher.dispatch();
+
+    const [method, url] = replayRequest.mock.calls[1];
+    expect(method).toBe('DELETE');
+    expect(new URL(url).pathname).toBe('/api/resource/Customer/CUST-0001');
+    expect(queueRows()[1].status).toBe('completed');
+  });
+
+  it('should resend entries interrupted while processing', () => {
+    posDatabase.createCustomer('Ada');
+    posDatabase.db.prepare('UPDATE sync_queue SET status = ?').run('processing');
+
+    outboxDispatcher.start();
+
+    expect(queueRows()[0].status).toBe('pending');
+  });
+
+  it('should not dispatch while offline', async () => {
+    posDatabase.createCustomer('Ada');
+    httpInterceptor.isOnline = false;
+
+    expect(await outboxDispatcher.dispatch()).toBe(0);
+    expect(replayRequest).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,240 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { posDatabase } from '../database/db.js';
+import { databaseMigrations } from '../database/migrations.js';
+import { invoiceCalculator } from '../database/invoiceCalculator.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
+
+function price(name, rate, fields = {}) {
+  return {
+    name,
+    item_code: 'COF-1',
+    price_list: 'Standard Selling',
+    price_list_rate: rate,
+    modified: '2026-01-01',
+    ...fields,
+  };
+}
+
+function rule(name, fields = {}) {
+  return {
+    name,
+    apply_on: 'Item Code',
+    items: [{ item_code: 'COF-1' }],
+    selling: 1,
+    rate_or_discount: 'Discount Percentage',
+    modified: '2026-01-01',
+    ...fields,
+  };
+}
+
+function customerId(erpnextName) {
+  return posDatabase.getAllCustomers().find((row) => row.erpnext_name === erpnextName).id;
+}
+
+describe('Pricing', () => {
+  let coffeeId;
+
+  beforeEach(async () => {
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    invoiceCalculator.roundingMethod = 'bankers';
+    invoiceCalculator.smallestCurrencyFraction = 0.01;
+    posDatabase.stockWarehouse = '';
+
+    posDatabase.upsertItemFromServer({
+      name: 'COF-1',
+      item_name: 'Coffee',
+      item_group: 'Beverages',
+      brand: 'Acme',
+      modified: '2026-01-01',
+    });
+    coffeeId = posDatabase.getItemBySKU('COF-1').id;
+    posDatabase.setItemPrice('COF-1', 5);
+    posDatabase.upsertCustomerFromServer({ name: 'CUST-1', customer_name: 'Ada' });
+    posDatabase.upsertCustomerFromServer({
+      name: 'CUST-2',
+      customer_name: 'Grace',
+      customer_group: 'Wholesale',
+      default_price_list: 'Wholesale',
+    });
+    posDatabase.upsertItemPrice(price('IP-1', 4));
+    posDatabase.upsertItemPrice(price('IP-2', 3, { price_list: 'Wholesale' }));
+  });
+
+  afterEach(() => {
+    posDatabase.close();
+  });
+
+  it('should take the rate from the price list of the customer', () => {
+    expect(posDatabase.getItemPricing(coffeeId)).toMatchObject({
+      priceList: 'Standard Selling',
+      priceListRate: 4,
+      rate: 4,
+      itemPrice: 'IP-1',
+      pricingRule: null,
+      explanation: '4 from Item Price IP-1 on Standard Selling; No pricing rule applies',
+    });
+    expect(
+      posDatabase.getItemPricing(coffeeId, { customerId: customerId('CUST-2') })
+    ).toMatchObject({ priceList: 'Wholesale', priceListRate: 3, itemPrice: 'IP-2' });
+    expect(posDatabase.getItemPricing(coffeeId, { priceList: 'Export' })).toMatchObject({
+      priceListRate: 5,
+      itemPrice: null,
+      explanation: 'No price for COF-1 on Export, using the item price 5; No pricing rule applies',
+    });
+  });
+
+  it('should prefer prices for the customer and skip prices out of date', () => {
+    posDatabase.upsertItemPrice(price('IP-3', 3.8, { customer: 'CUST-1' }));
+    posDatabase.upsertItemPrice(
+      price('IP-4', 4.5, { valid_from: '2026-03-01', valid_upto: '2026-03-31' })
+    );
+
+    const ada = customerId('CUST-1');
+    expect(posDatabase.getItemPricing(coffeeId, { customerId: ada }).itemPrice).toBe('IP-3');
+    expect(posDatabase.getItemPricing(coffeeId, { date: '2026-03-15' }).itemPrice).toBe('IP-4');
+    expect(posDatabase.getItemPricing(coffeeId, { date: '2026-04-01' }).itemPrice).toBe('IP-1');
+  });
+
+  it('should apply quantity breaks', () => {
+    posDatabase.upsertPricingRule(
+      rule('PRLE-1', { title: 'Five or more', discount_percentage: 10, min_qty: 5 })
+    );
+
+    expect(posDatabase.getItemPricing(coffeeId, { qty: 4 }).pricingRule).toBeNull();
+    expect(posDatabase.getItemPricing(coffeeId, { qty: 5 })).toMatchObject({
+      priceListRate: 4,
+      discountPercentage: 10,
+      rate: 3.6,
+      pricingRule: 'PRLE-1',
+      explanation:
+        '4 from Item Price IP-1 on Standard Selling; ' +
+        'Pricing Rule PRLE-1 (Five or more) gives 10% off from 5 units',
+    });
+  });
+
+  it('should pick the rule with the highest priority, then the most specific', () => {
+    posDatabase.upsertPricingRule(
+      rule('PRLE-GROUP', {
+        apply_on: 'Item Group',
+        items: [],
+        item_groups: [{ item_group: 'Beverages' }],
+        discount_percentage: 5,
+      })
+    );
+    posDatabase.upsertPricingRule(rule('PRLE-ITEM', { discount_percentage: 2 }));
+    posDatabase.upsertPricingRule(
+      rule('PRLE-WHOLESALE', {
+        applicable_for: 'Customer Group',
+        customer_group: 'Wholesale',
+        rate_or_discount: 'Rate',
+        rate: 2.5,
+        priority: '2',
+      })
+    );
+
+    expect(posDatabase.getItemPricing(coffeeId).pricingRule).toBe('PRLE-ITEM');
+    expect(
+      posDatabase.getItemPricing(coffeeId, { customerId: customerId('CUST-2') })
+    ).toMatchObject({
+      priceListRate: 2.5,
+      discountPercentage: 0,
+      rate: 2.5,
+      pricingRule: 'PRLE-WHOLESALE',
+      explanation:
+        '3 from Item Price IP-2 on Wholesale; ' +
+        'Pricing Rule PRLE-WHOLESALE sets the rate to 2.5 for customer group Wholesale',
+    });
+  });
+
+  it('should only apply promotions on their dates and price list', () => {
+    posDatabase.upsertPricingRule(
+      rule('PRLE-PROMO', {
+        rate_or_discount: 'Discount Amount',
+        discount_amount: 0.5,
+        valid_from: '2026-12-01',
+        valid_upto: '2026-12-24',
+        for_price_list: 'Standard Selling',
+      })
+    );
+
+    expect(posDatabase.getItemPricing(coffeeId, { date: '2026-11-30' }).pricingRule).toBeNull();
+    expect(posDatabase.getItemPricing(coffeeId, { date: new Date(2026, 11, 24) })).toMatchObject({
+      discountAmount: 0.5,
+      rate: 3.5,
+      pricingRule: 'PRLE-PROMO',
+    });
+    expect(
+      posDatabase.getItemPricing(coffeeId, { date: '2026-12-10', priceList: 'Wholesale' })
+        .pricingRule
+    ).toBeNull();
+  });
+
+  it('should keep only enabled selling rules that change the price', () => {
+    posDatabase.upsertPricingRule(rule('PRLE-1', { discount_percentage: 10 }));
+    expect(posDatabase.upsertPricingRule(rule('PRLE-1', { disable: 1 }))).toBe(false);
+    posDatabase.upsertPricingRule(rule('PRLE-2', { price_or_product_discount: 'Product' }));
+    posDatabase.upsertPricingRule(rule('PRLE-3', { applicable_for: 'Territory', territory: 'EU' }));
+    posDatabase.upsertPricingRule(rule('PRLE-4', { items: undefined, item_code: 'COF-1' }));
+
+    const rules = posDatabase.getPricingRules(posDatabase.getItem(coffeeId));
+    expect(rules.map((row) => row.name)).toEqual(['PRLE-3', 'PRLE-4']);
+    expect(rules[1].targets).toEqual(['COF-1']);
+    expect(posDatabase.getItemPricing(coffeeId).pricingRule).toBe('PRLE-4');
+  });
+
+  it('should price invoice lines that come without a rate', () => {
+    posDatabase.upsertPricingRule(
+      rule('PRLE-1', { applicable_for: 'Customer', customer: 'CUST-1', discount_percentage: 25 })
+    );
+    const invoiceId = posDatabase.createInvoice('SINV-1', customerId('CUST-1'));
+
+    const priced = posDatabase.addInvoiceItem(invoiceId, coffeeId, 2);
+    const manual = posDatabase.addInvoiceItem(invoiceId, coffeeId, 1, 6);
+
+    const lines = posDatabase.getInvoiceItems(invoiceId);
+    expect(lines.find((line) => line.id === priced)).toMatchObject({
+      price_list_rate: 4,
+      discount_percentage: 25,
+      rate: 3,
+      amount: 6,
+      pricing_rule: 'PRLE-1',
+    });
+    expect(lines.find((line) => line.id === manual)).toMatchObject({
+      price_list_rate: 6,
+      discount_percentage: 0,
+      pricing_rule: null,
+    });
+    expect(posDatabase.getInvoice(invoiceId).total).toBe(12);
+  });
+
+  it('should move item prices kept as master data into their table', async () => {
+    await databaseMigrations.migrateTo('013');
+    expect(posDatabase.getMasterData('Item Price').map((row) => row.name)).toEqual([
+      'IP-1',
+      'IP-2',
+    ]);
+
+    await databaseMigrations.migrateTo('014');
+
+    expect(posDatabase.getMasterData('Item Price')).toEqual([]);
+    expect(posDatabase.getItemPrices('COF-1')).toEqual([
+      expect.objectContaining({ name: 'IP-1', price_list: 'Standard Selling', price_list_rate: 4 }),
+      expect.objectContaining({ name: 'IP-2', price_list: 'Wholesale', price_list_rate: 3 }),
+    ]);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { requestPriority, PRIORITY_LANES } from '../requestPriority.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+const BASE = 'http://erp.local';
+
+describe('RequestPriority', () => {
+  afterEach(() => {
+    requestPriority.resetRules();
+  });
+
+  it('should define lanes from highest to lowest priority', () => {
+    expect(PRIORITY_LANES).toEqual(['critical', 'normal', 'background']);
+  });
+
+  it('should put sales invoices and payments in the critical lane', () => {
+    expect(requestPriority.resolve('POST', `${BASE}/api/resource/Sales%20Invoice`)).toBe(
+      'critical'
+    );
+    expect(requestPriority.resolve('PUT', `${BASE}/api/resource/Payment Entry/PE-0001`)).toBe(
+      'critical'
+    );
+  });
+
+  it('should put log uploads in the background lane', () => {
+    expect(requestPriority.resolve('POST', `${BASE}/api/resource/Error Log`)).toBe('background');
+    expect(requestPriority.resolve('POST', `${BASE}/api/method/frappe.client.log_error`)).toBe(
+      'background'
+    );
+  });
+
+  it('should default to the normal lane', () => {
+    expect(requestPriority.resolve('POST', `${BASE}/api/resource/Customer`)).toBe('normal');
+    expect(requestPriority.resolve('POST', `${BASE}/api/method/ping`)).toBe('normal');
+  });
+
+  it('should honour an explicit lane over the rules', () => {
+    expect(requestPriority.resolve('POST', `${BASE}/api/resource/Error Log`, 'critical')).toBe(
+      'critical'
+    );
+  });
+
+  it('should ignore an unknown explicit lane', () => {
+    expect(requestPriority.resolve('POST', `${BASE}/api/resource/Sales Invoice`, 'urgent')).toBe(
+      'critical'
+    );
+  });
+
+  it('should give custom rules precedence over the defaults', () => {
+    requestPriority.addRule({
+      lane: 'background',
+      doctypes: ['Sales Invoice'],
+      methods: ['DELETE'],
+    });
+
+    expect(requestPriority.resolve('DELETE', `${BASE}/api/resource/Sales Invoice/SI-1`)).toBe(
+      'background'
+    );
+    expect(requestPriority.resolve('POST', `${BASE}/api/resource/Sales Invoice`)).toBe('critical');
+  });
+
+  it('should reject invalid rules', () => {
+    expect(() => requestPriority.addRule({ lane: 'urgent', doctypes: ['Item'] })).toThrow();
+    expect(() => requestPriority.addRule({ lane: 'critical' })).toThrow();
+  });
+});
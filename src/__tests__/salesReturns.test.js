@@ -0,0 +1,198 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { invoiceCalculator } from '../database/invoiceCalculator.js';
+import { posDatabase } from '../database/db.js';
+import { databaseMigrations } from '../database/migrations.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
+
+describe('Sales returns', () => {
+  let coffeeId;
+  let teaId;
+  let invoiceId;
+  let coffeeLine;
+  let teaLine;
+
+  function sellInvoice(name, lines, configure = () => {}) {
+    const id = posDatabase.createInvoice(name, null);
+    lines.forEach(([itemId, qty, rate, discount]) =>
+      posDatabase.addInvoiceItem(id, itemId, qty, rate, discount)
+    );
+    configure(id);
+    const { rounded_total: roundedTotal } = posDatabase.getInvoice(id);
+    posDatabase.addInvoicePayment(id, 'Cash', roundedTotal);
+    posDatabase.updateInvoiceStatus(id, 'paid');
+    return id;
+  }
+
+  beforeEach(async () => {
+    invoiceCalculator.roundingMethod = 'bankers';
+    invoiceCalculator.smallestCurrencyFraction = 0.01;
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    posDatabase.upsertMasterData('Mode of Payment', { name: 'Cash', type: 'Cash' });
+    coffeeId = posDatabase.createItem('Coffee', 'COF-1', 10);
+    teaId = posDatabase.createItem('Tea', 'TEA-1', 5);
+    invoiceId = sellInvoice(
+      'LOCAL-INV-1',
+      [
+        [coffeeId, 3, 10, { discountPercentage: 10 }],
+        [teaId, 2, 5],
+      ],
+      (id) =>
+        posDatabase.setInvoiceTaxes(id, [
+          { chargeType: 'On Net Total', accountHead: 'VAT - C', rate: 10 },
+        ])
+    );
+    [coffeeLine, teaLine] = posDatabase.getInvoiceItems(invoiceId).map((line) => line.id);
+  });
+
+  afterEach(() => {
+    posDatabase.close();
+  });
+
+  it('should create a refunded return with negative amounts', () => {
+    const returnId = posDatabase.createReturnInvoice(invoiceId, [{ lineId: coffeeLine, qty: 1 }], {
+      refundMode: 'Cash',
+    });
+
+    expect(posDatabase.getInvoice(returnId)).toMatchObject({
+      name: 'LOCAL-INV-1-RET-1',
+      status: 'draft',
+      is_return: 1,
+      return_against: invoiceId,
+      total: -9,
+      total_taxes_and_charges: -0.9,
+      grand_total: -9.9,
+      paid_amount: -9.9,
+      change_amount: 0,
+      outstanding_amount: 0,
+    });
+    expect(posDatabase.getInvoiceItems(returnId)).toEqual([
+      expect.objectContaining({
+        item_id: coffeeId,
+        qty: -1,
+        price_list_rate: 10,
+        discount_percentage: 10,
+        rate: 9,
+        amount: -9,
+        return_against_item: coffeeLine,
+      }),
+    ]);
+    expect(posDatabase.getInvoiceTaxes(returnId)).toEqual([
+      expect.objectContaining({ account_head: 'VAT - C', rate: 10, tax_amount: -0.9 }),
+    ]);
+    expect(posDatabase.getInvoicePayments(returnId)).toEqual([
+      expect.objectContaining({ mode_of_payment: 'Cash', amount: -9.9 }),
+    ]);
+
+    posDatabase.updateInvoiceStatus(returnId, 'paid');
+    expect(posDatabase.getInvoice(returnId).status).toBe('paid');
+  });
+
+  it('should limit returns to what was sold minus earlier returns', () => {
+    posDatabase.createReturnInvoice(invoiceId, [{ lineId: coffeeLine, qty: 2 }]);
+
+    expect(
+      posDatabase
+        .getReturnableItems(invoiceId)
+        .map((line) => [line.returned_qty, line.returnable_qty])
+    ).toEqual([
+      [2, 1],
+      [0, 2],
+    ]);
+    expect(() =>
+      posDatabase.createReturnInvoice(invoiceId, [
+        { lineId: coffeeLine, qty: 1 },
+        { lineId: coffeeLine, qty: 1 },
+      ])
+    ).toThrow('Cannot return 2 of Coffee: only 1 left to return');
+
+    const secondId = posDatabase.createReturnInvoice(invoiceId, [
+      { lineId: coffeeLine, qty: 1 },
+      { lineId: teaLine, qty: 2 },
+    ]);
+    expect(posDatabase.getInvoice(secondId).name).toBe('LOCAL-INV-1-RET-2');
+    expect(
+      posDatabase.getReturnableItems(invoiceId).every((line) => line.returnable_qty === 0)
+    ).toBe(true);
+  });
+
+  it('should not count cancelled returns', () => {
+    const returnId = posDatabase.createReturnInvoice(invoiceId, [{ lineId: coffeeLine, qty: 3 }]);
+    posDatabase.updateInvoiceStatus(returnId, 'cancelled');
+
+    expect(posDatabase.getReturnableItems(invoiceId)[0].returnable_qty).toBe(3);
+  });
+
+  it('should keep an unrefunded return as a credit to the customer', () => {
+    const returnId = posDatabase.createReturnInvoice(invoiceId, [{ lineId: teaLine, qty: 1 }]);
+
+    expect(posDatabase.getInvoice(returnId)).toMatchObject({
+      grand_total: -5.5,
+      outstanding_amount: -5.5,
+    });
+    expect(() => posDatabase.updateInvoiceStatus(returnId, 'paid')).toThrow(
+      'Return LOCAL-INV-1-RET-1 is not fully refunded: 5.5 to refund'
+    );
+    expect(() => posDatabase.addInvoicePayment(returnId, 'Cash', 5.5)).toThrow(
+      'Refunds on return LOCAL-INV-1-RET-1 must be negative amounts'
+    );
+    expect(() => posDatabase.addInvoicePayment(returnId, 'Cash', -6)).toThrow(
+      'Refund 6 exceeds the return total 5.5'
+    );
+  });
+
+  it('should split a fixed invoice discount over the returned goods', () => {
+    const discountedId = sellInvoice(
+      'LOCAL-INV-2',
+      [
+        [coffeeId, 1, 10],
+        [teaId, 1, 20],
+      ],
+      (id) => posDatabase.setInvoiceDiscount(id, { amount: 6 })
+    );
+    const [, line] = posDatabase.getInvoiceItems(discountedId).map((item) => item.id);
+
+    const returnId = posDatabase.createReturnInvoice(discountedId, [{ lineId: line, qty: 1 }]);
+
+    expect(posDatabase.getInvoice(returnId)).toMatchObject({
+      total: -20,
+      discount_amount: -4,
+      grand_total: -16,
+    });
+  });
+
+  it('should only return submitted or paid invoices', () => {
+    const draftId = posDatabase.createInvoice('LOCAL-INV-3', null);
+    posDatabase.addInvoiceItem(draftId, coffeeId, 1, 10);
+    const returnId = posDatabase.createReturnInvoice(invoiceId, [{ lineId: teaLine, qty: 1 }]);
+    posDatabase.addInvoicePayment(returnId, 'Cash', -5.5);
+    posDatabase.updateInvoiceStatus(returnId, 'paid');
+
+    expect(() => posDatabase.createReturnInvoice(draftId, [{ lineId: 1, qty: 1 }])).toThrow(
+      'Only submitted or paid invoices can be returned, LOCAL-INV-3 is draft'
+    );
+    expect(() => posDatabase.createReturnInvoice(returnId, [{ lineId: 1, qty: 1 }])).toThrow(
+      'Invoice LOCAL-INV-1-RET-1 is itself a return'
+    );
+    expect(() => posDatabase.createReturnInvoice(invoiceId, [{ lineId: 999, qty: 1 }])).toThrow(
+      'Line 999 is not on invoice LOCAL-INV-1'
+    );
+    expect(() => posDatabase.createReturnInvoice(invoiceId, [])).toThrow(
+      'Select at least one line to return'
+    );
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { posDatabase } from '../database/db.js';
+import { databaseMigrations } from '../database/migrations.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
+
+function itemNames(text, options) {
+  return posDatabase.searchItems(text, options).items.map((item) => item.name);
+}
+
+function customerNames(text, options) {
+  return posDatabase.searchCustomers(text, options).customers.map((customer) => customer.name);
+}
+
+describe('Item and customer search', () => {
+  let coffeeId;
+
+  beforeEach(async () => {
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    coffeeId = posDatabase.createItem('Coffee Beans', 'COF-1', 12);
+    posDatabase.createItem('Café au lait', 'CAL-1', 3);
+    posDatabase.createItem('Cold Brew', 'COFFEE-COLD', 4);
+    posDatabase.createItem('Tea', 'TEA-1', 2);
+    posDatabase.setItemBarcodes(coffeeId, [{ barcode: '4006381333931' }]);
+    posDatabase.createCustomer('Ada Lovelace', 'ada@example.com', '+44 7700 900123');
+    posDatabase.createCustomer('Grace Hopper', 'grace@navy.mil', '555 0199');
+  });
+
+  afterEach(() => {
+    posDatabase.close();
+  });
+
+  it('should match word prefixes in names, item codes and barcodes', () => {
+    expect(itemNames('cof')).toEqual(['Coffee Beans', 'Cold Brew']);
+    expect(itemNames('co be')).toEqual(['Coffee Beans']);
+    expect(itemNames('cafe')).toEqual(['Café au lait']);
+    expect(itemNames('400638')).toEqual(['Coffee Beans']);
+    expect(itemNames('tea-1')).toEqual(['Tea']);
+  });
+
+  it('should rank exact codes first and name hits above code hits', () => {
+    expect(itemNames('coffee')).toEqual(['Coffee Beans', 'Cold Brew']);
+    expect(itemNames('COFFEE-COLD')).toEqual(['Cold Brew']);
+    expect(itemNames('4006381333931')).toEqual(['Coffee Beans']);
+  });
+
+  it('should search customers by name, email and phone', () => {
+    expect(customerNames('ada')).toEqual(['Ada Lovelace']);
+    expect(customerNames('navy')).toEqual(['Grace Hopper']);
+    expect(customerNames('7700')).toEqual(['Ada Lovelace']);
+    expect(customerNames('hop gr')).toEqual(['Grace Hopper']);
+  });
+
+  it('should keep the index in step with the tables', () => {
+    posDatabase.updateItem(coffeeId, 'Espresso Beans', 'ESP-1', 12);
+    posDatabase.setItemBarcodes(coffeeId, [{ barcode: '96385074' }]);
+    const [customer] = posDatabase.getAllCustomers().filter((row) => row.name === 'Ada Lovelace');
+    posDatabase.updateCustomer(customer.id, 'Ada King', 'ada@example.com');
+    posDatabase.deleteItem(posDatabase.getItemBySKU('TEA-1').id);
+
+    expect(itemNames('espresso')).toEqual(['Espresso Beans']);
+    expect(itemNames('beans')).toEqual(['Espresso Beans']);
+    expect(itemNames('963850')).toEqual(['Espresso Beans']);
+    expect(itemNames('400638')).toEqual([]);
+    expect(itemNames('tea')).toEqual([]);
+    expect(customerNames('king')).toEqual(['Ada King']);
+    expect(customerNames('lovelace')).toEqual([]);
+    expect(customerNames('7700')).toEqual([]);
+  });
+
+  it('should page through results', () => {
+    const first = posDatabase.searchItems('c', { limit: 2 });
+    const second = posDatabase.searchItems('c', { limit: 2, offset: 2 });
+
+    expect(first).toMatchObject({ hasMore: true, limit: 2, offset: 0 });
+    expect(second).toMatchObject({ hasMore: false, offset: 2 });
+    expect([...first.items, ...second.items].map((item) => item.name).sort()).toEqual([
+      'Café au lait',
+      'Coffee Beans',
+      'Cold Brew',
+    ]);
+    expect(posDatabase.searchItems('c', { limit: 1000 }).limit).toBe(100);
+  });
+
+  it('should list everything by name when the query is empty', () => {
+    expect(itemNames('', { limit: 3 })).toEqual(['Café au lait', 'Coffee Beans', 'Cold Brew']);
+    expect(customerNames('  ')).toEqual(['Ada Lovelace', 'Grace Hopper']);
+  });
+
+  it('should treat search syntax in the input as text', () => {
+    expect(itemNames('coffee" OR "tea')).toEqual([]);
+    expect(itemNames('cof*')).toEqual(['Coffee Beans', 'Cold Brew']);
+    expect(itemNames('NEAR(tea)')).toEqual([]);
+  });
+
+  it('should index the rows that existed before the migration', async () => {
+    await databaseMigrations.migrateTo('012');
+    posDatabase.db
+      .prepare('INSERT INTO items (name, sku, price) VALUES (?, ?, ?)')
+      .run('Matcha', 'MAT-1', 5);
+
+    await databaseMigrations.migrateTo('013');
+
+    expect(itemNames('matcha')).toEqual(['Matcha']);
+    expect(itemNames('400638')).toEqual(['Coffee Beans']);
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { invoiceCalculator } from '../database/invoiceCalculator.js';
+import { posDatabase } from '../database/db.js';
+import { databaseMigrations } from '../database/migrations.js';
+import { logger } from '../logger.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
+
+const STORES = 'Stores - C';
+
+function availableQty(itemCode) {
+  return posDatabase.getAvailableQty(itemCode, STORES);
+}
+
+describe('Local stock ledger', () => {
+  let coffeeId;
+
+  function sell(name, qty, status = 'submitted') {
+    const invoiceId = posDatabase.createInvoice(name, null);
+    posDatabase.addInvoiceItem(invoiceId, coffeeId, qty, 10);
+    posDatabase.updateInvoiceStatus(invoiceId, status);
+    return invoiceId;
+  }
+
+  function markSynced(invoiceId) {
+    posDatabase.linkServerRecord('sales_invoices', invoiceId, `SINV-${invoiceId}`);
+    posDatabase.db.prepare('UPDATE sync_queue SET status = ?').run('completed');
+  }
+
+  beforeEach(async () => {
+    invoiceCalculator.roundingMethod = 'bankers';
+    invoiceCalculator.smallestCurrencyFraction = 0.01;
+    posDatabase.dbPath = ':memory:';
+    posDatabase.stockPolicy = 'block';
+    posDatabase.stockWarehouse = STORES;
+    await databaseMigrations.initialize();
+    coffeeId = posDatabase.createItem('Coffee', 'COF-1', 10);
+    posDatabase.upsertStockBin({
+      name: 'BIN-1',
+      item_code: 'COF-1',
+      warehouse: STORES,
+      actual_qty: 5,
+    });
+  });
+
+  afterEach(() => {
+    posDatabase.close();
+    posDatabase.stockPolicy = 'block';
+    posDatabase.stockWarehouse = '';
+    vi.clearAllMocks();
+  });
+
+  it('should take submitted sales out of stock and put returns back', () => {
+    const invoiceId = sell('LOCAL-INV-1', 3);
+
+    expect(posDatabase.getInvoiceItems(invoiceId)[0].warehouse).toBe(STORES);
+    expect(posDatabase.getStockAvailability('COF-1')).toEqual([
+      { item_code: 'COF-1', warehouse: STORES, actual_qty: 5, pending_qty: -3, available_qty: 2 },
+    ]);
+
+    const [line] = posDatabase.getInvoiceItems(invoiceId);
+    const returnId = posDatabase.createReturnInvoice(invoiceId, [{ lineId: line.id, qty: 1 }]);
+    expect(availableQty('COF-1')).toBe(2);
+
+    posDatabase.updateInvoiceStatus(returnId, 'submitted');
+    expect(availableQty('COF-1')).toBe(3);
+    expect(
+      posDatabase.getStockLedger('COF-1').map((entry) => [entry.invoice_name, entry.qty_change])
+    ).toEqual([
+      ['LOCAL-INV-1', -3],
+      ['LOCAL-INV-1-RET-1', 1],
+    ]);
+  });
+
+  it('should only move stock when an invoice is submitted or cancelled', () => {
+    const invoiceId = sell('LOCAL-INV-1', 2, 'draft');
+    posDatabase.addInvoicePayment(invoiceId, 'Cash', 20);
+    expect(availableQty('COF-1')).toBe(5);
+
+    posDatabase.updateInvoiceStatus(invoiceId, 'submitted');
+    posDatabase.updateInvoiceStatus(invoiceId, 'paid');
+    expect(availableQty('COF-1')).toBe(3);
+
+    posDatabase.updateInvoiceStatus(invoiceId, 'cancelled');
+    expect(availableQty('COF-1')).toBe(5);
+    expect(posDatabase.getStockLedger('COF-1')).toHaveLength(2);
+  });
+
+  it('should refuse lines the warehouse cannot cover under the block policy', () => {
+    const invoiceId = posDatabase.createInvoice('LOCAL-INV-1', null);
+    posDatabase.addInvoiceItem(invoiceId, coffeeId, 4, 10);
+
+    expect(() => posDatabase.addInvoiceItem(invoiceId, coffeeId, 2, 10)).toThrow(
+      `Only 5 of Coffee in stock at ${STORES}, 6 requested`
+    );
+    expect(posDatabase.getInvoiceItems(invoiceId)).toHaveLength(1);
+    expect(posDatabase.getInvoice(invoiceId).total).toBe(40);
+  });
+
+  it('should report shortages under the warn policy and sell into negative stock', () => {
+    posDatabase.stockPolicy = 'warn';
+    const invoiceId = sell('LOCAL-INV-1', 7, 'draft');
+
+    expect(posDatabase.getInvoiceStockShortages(invoiceId)).toEqual([
+      {
+        itemCode: 'COF-1',
+        itemName: 'Coffee',
+        warehouse: STORES,
+        requested: 7,
+        available: 5,
+        shortage: 2,
+      },
+    ]);
+    expect(logger.warn).toHaveBeenCalledWith(
+      'Database',
+      'Selling more than is in stock',
+      expect.objectContaining({ invoiceId, shortage: 2 })
+    );
+
+    posDatabase.stockPolicy = 'allow';
+    posDatabase.addInvoiceItem(invoiceId, coffeeId, 1, 10);
+    posDatabase.updateInvoiceStatus(invoiceId, 'submitted');
+    expect(availableQty('COF-1')).toBe(-3);
+  });
+
+  it('should never hold back non-stock items or lines without a warehouse', () => {
+    posDatabase.upsertItemFromServer({ name: 'SRV-1', item_name: 'Delivery', is_stock_item: 0 });
+    const deliveryId = posDatabase.getItemBySKU('SRV-1').id;
+    const invoiceId = posDatabase.createInvoice('LOCAL-INV-1', null);
+
+    posDatabase.addInvoiceItem(invoiceId, deliveryId, 1, 5);
+    posDatabase.addInvoiceItem(invoiceId, coffeeId, 9, 10, { warehouse: null });
+    posDatabase.updateInvoiceStatus(invoiceId, 'submitted');
+
+    expect(posDatabase.getStockLedger('SRV-1')).toEqual([]);
+    expect(availableQty('COF-1')).toBe(5);
+  });
+
+  it('should sell from the warehouse of the open shift', () => {
+    posDatabase.upsertMasterData('POS Profile', {
+      name: 'Main Till',
+      company: 'ACME Ltd',
+      warehouse: 'Shop - C',
+      payments: [],
+    });
+    posDatabase.openShift({ posProfile: 'Main Till', cashier: 'cashier@example.com' });
+    posDatabase.upsertStockBin({
+      name: 'BIN-2',
+      item_code: 'COF-1',
+      warehouse: 'Shop - C',
+      actual_qty: 1,
+    });
+
+    expect(posDatabase.getDefaultWarehouse()).toBe('Shop - C');
+    sell('LOCAL-INV-1', 1);
+    expect(posDatabase.getStockAvailability('COF-1').map((bin) => bin.available_qty)).toEqual([
+      0, 5,
+    ]);
+  });
+
+  it('should reconcile entries once a later Bin includes the synced invoice', () => {
+    const syncedId = sell('LOCAL-INV-1', 2);
+    const pendingId = sell('LOCAL-INV-2', 1);
+    markSynced(syncedId);
+    posDatabase.enqueueSync('sales_invoices', pendingId, 'UPDATE');
+    const bin = { name: 'BIN-1', item_code: 'COF-1', warehouse: STORES, actual_qty: 3 };
+
+    // Fetched before the invoice reached ERPNext: the Bin cannot include it yet.
+    posDatabase.upsertStockBin(bin, new Date(Date.now() - 60000));
+    expect(availableQty('COF-1')).toBe(0);
+
+    posDatabase.upsertStockBin(bin, new Date(Date.now() + 1000));
+    expect(posDatabase.getStockAvailability('COF-1')[0]).toMatchObject({
+      actual_qty: 3,
+      pending_qty: -1,
+      available_qty: 2,
+    });
+    expect(posDatabase.getStockLedger('COF-1').map((entry) => entry.reconciled)).toEqual([1, 0]);
+  });
+});
@@ -1,5 +1,25 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { EventEmitter } from 'events';
+import { syncEngine } from '../syncEngine.js';
+import { offlineQueueManager } from '../offlineQueueManager.js';
+import { httpInterceptor } from '../httpInterceptor.js';
+import { posDatabase } from '../database/db.js';
+import { databaseMigrations } from '../database/migrations.js';
+
+vi.mock('../logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-user-data'),
+  },
+}));
 
 describe('SyncEngine Integration Tests', () => {
   describe('Exponential Backoff', () => {
@@ -318,3 +338,304 @@ describe('SyncEngine Integration Tests', () => {
     });
   });
 });
+
+describe('SyncEngine priority lanes', () => {
+  const lane = (name, count) =>
+    Array.from({ length: count }, (_, i) => ({ id: `${name}-${i + 1}`, priority: name }));
+
+  beforeEach(() => {
+    syncEngine.updateConfiguration({
+      batchSize: 10,
+      laneReservedSlots: { critical: 0, normal: 1, background: 1 },
+    });
+  });
+
+  it('should dispatch critical requests first', () => {
+    const batch = syncEngine.selectBatch({
+      critical: lane('critical', 2),
+      normal: lane('normal', 2),
+      background: lane('background', 2),
+    });
+
+    expect(batch.map((r) => r.id)).toEqual([
+      'critical-1',
+      'critical-2',
+      'normal-1',
+      'normal-2',
+      'background-1',
+      'background-2',
+    ]);
+  });
+
+  it('should keep reserved slots for lower lanes when critical work fills the batch', () => {
+    const batch = syncEngine.selectBatch({
+      critical: lane('critical', 20),
+      normal: lane('normal', 5),
+      background: lane('background', 5),
+    });
+
+    expect(batch).toHaveLength(10);
+    expect(batch.filter((r) => r.priority === 'critical')).toHaveLength(8);
+    expect(batch.filter((r) => r.priority === 'normal')).toHaveLength(1);
+    expect(batch.filter((r) => r.priority === 'background')).toHaveLength(1);
+  });
+
+  it('should give unused reserved slots to other lanes', () => {
+    const batch = syncEngine.selectBatch({
+      critical: lane('critical', 20),
+      normal: [],
+      background: lane('background', 5),
+    });
+
+    expect(batch.filter((r) => r.priority === 'critical')).toHaveLength(9);
+    expect(batch.filter((r) => r.priority === 'background')).toHaveLength(1);
+  });
+
+  it('should fill the batch with background work when nothing else is waiting', () => {
+    const batch = syncEngine.selectBatch({
+      critical: [],
+      normal: [],
+      background: lane('background', 15),
+    });
+
+    expect(batch).toHaveLength(10);
+  });
+});
+
+describe('SyncEngine document name remapping', () => {
+  const BASE = 'http://erp.local/api/resource';
+  let counter = 0;
+  const enqueue = (method, url, body) => {
+    counter++;
+    return offlineQueueManager.addRequest(
+      method,
+      url,
+      {},
+      JSON.stringify(body),
+      `remap-hash-${counter}`
+    );
+  };
+  const requestById = (id) =>
+    offlineQueueManager.db.prepare('SELECT * FROM offline_requests WHERE id = ?').get(id);
+
+  beforeEach(async () => {
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    offlineQueueManager.initialize();
+  });
+
+  afterEach(() => {
+    offlineQueueManager.close();
+    posDatabase.close();
+    vi.restoreAllMocks();
+  });
+
+  it('should rewrite dependent requests with the name assigned by the server', async () => {
+    posDatabase.createInvoice('SINV-LOCAL-1');
+    const create = enqueue('POST', `${BASE}/Sales Invoice`, { name: 'SINV-LOCAL-1' });
+    const submit = enqueue('PUT', `${BASE}/Sales%20Invoice/SINV-LOCAL-1`, { docstatus: 1 });
+    const payment = enqueue('POST', `${BASE}/Payment Entry`, {
+      references: [{ reference_doctype: 'Sales Invoice', reference_name: 'SINV-LOCAL-1' }],
+    });
+    vi.spyOn(httpInterceptor, 'replayRequest').mockResolvedValue({
+      ok: true,
+      status: 200,
+      data: { data: { name: 'ACC-SINV-2024-00042' } },
+    });
+
+    const result = await syncEngine.processRequest(requestById(create));
+
+    expect(result).toEqual({ success: true });
+    expect(requestById(submit).url).toBe(`${BASE}/Sales%20Invoice/ACC-SINV-2024-00042`);
+    expect(JSON.parse(requestById(payment).body).references[0].reference_name).toBe(
+      'ACC-SINV-2024-00042'
+    );
+    expect(offlineQueueManager.getDocumentNameMapping('Sales Invoice', 'SINV-LOCAL-1')).toEqual(
+      expect.objectContaining({ server_name: 'ACC-SINV-2024-00042', request_id: create })
+    );
+    expect(
+      posDatabase.db
+        .prepare('SELECT name FROM sales_invoices')
+        .all()
+        .map((row) => row.name)
+    ).toEqual(['ACC-SINV-2024-00042']);
+  });
+
+  it('should leave requests alone when the server keeps the client name', async () => {
+    const create = enqueue('POST', `${BASE}/Customer`, { name: 'Walk-in Customer' });
+    const update = enqueue('PUT', `${BASE}/Customer/Walk-in%20Customer`, { mobile_no: '555' });
+    const before = requestById(update);
+    vi.spyOn(httpInterceptor, 'replayRequest').mockResolvedValue({
+      ok: true,
+      status: 200,
+      data: { data: { name: 'Walk-in Customer' } },
+    });
+
+    await syncEngine.processRequest(requestById(create));
+
+    expect(requestById(update).url).toBe(before.url);
+    expect(offlineQueueManager.getDocumentNameMapping('Customer', 'Walk-in Customer')).toBeNull();
+  });
+
+  it('should not remap when the create request fails', async () => {
+    posDatabase.createInvoice('SINV-LOCAL-2');
+    const create = enqueue('POST', `${BASE}/Sales Invoice`, { name: 'SINV-LOCAL-2' });
+    vi.spyOn(httpInterceptor, 'replayRequest').mockResolvedValue({
+      ok: false,
+      status: 500,
+      data: { exc: 'Internal error' },
+    });
+
+    await syncEngine.processRequest(requestById(create));
+
+    expect(offlineQueueManager.getDocumentNameMapping('Sales Invoice', 'SINV-LOCAL-2')).toBeNull();
+    expect(posDatabase.db.prepare('SELECT name FROM sales_invoices').get().name).toBe(
+      'SINV-LOCAL-2'
+    );
+  });
+});
+
+describe('SyncEngine idempotent replays', () => {
+  const BASE = 'http://erp.local/api/resource';
+  let counter = 0;
+  let replayRequest;
+  const enqueue = (method, url, body) => {
+    counter++;
+    return offlineQueueManager.addRequest(
+      method,
+      url,
+      {},
+      body === undefined ? null : JSON.stringify(body),
+      `idem-hash-${counter}`
+    );
+  };
+  const requestById = (id) => {
+    const row = offlineQueueManager.db
+      .prepare('SELECT * FROM offline_requests WHERE id = ?')
+      .get(id);
+    return { ...row, headers: JSON.parse(row.headers || '{}') };
+  };
+  const transportError = (message, code) => Object.assign(new Error(message), { code });
+
+  beforeEach(async () => {
+    posDatabase.dbPath = ':memory:';
+    await databaseMigrations.initialize();
+    offlineQueueManager.initialize();
+    replayRequest = vi.spyOn(httpInterceptor, 'replayRequest');
+    vi.spyOn(syncEngine, 'calculateRetryDelay').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    offlineQueueManager.close();
+    posDatabase.close();
+    vi.restoreAllMocks();
+  });
+
+  it('should send the idempotency key as a header and store it on created documents', async () => {
+    const id = enqueue('POST', `${BASE}/Sales Invoice`, { customer: 'CUST-1' });
+    const { idempotency_key: key } = requestById(id);
+    replayRequest.mockResolvedValue({ ok: true, status: 200, data: { data: {} } });
+
+    await syncEngine.processRequest(requestById(id));
+
+    expect(replayRequest).toHaveBeenCalledWith('POST', `${BASE}/Sales Invoice`, {
+      headers: { 'X-Idempotency-Key': key },
+      body: JSON.stringify({ customer: 'CUST-1', posa_idempotency_key: key }),
+    });
+  });
+
+  it('should leave the body of updates untouched', async () => {
+    const id = enqueue('PUT', `${BASE}/Sales Invoice/SINV-1`, { docstatus: 1 });
+    replayRequest.mockResolvedValue({ ok: true, status: 200, data: { data: {} } });
+
+    await syncEngine.processRequest(requestById(id));
+
+    expect(replayRequest.mock.calls[0][2].body).toBe(JSON.stringify({ docstatus: 1 }));
+    expect(replayRequest.mock.calls[0][2].headers['X-Idempotency-Key']).toBeTruthy();
+  });
+
+  it('should flag a request for verification when the response is lost', async () => {
+    const timedOut = enqueue('POST', `${BASE}/Sales Invoice`, { customer: 'A' });
+    const refused = enqueue('POST', `${BASE}/Sales Invoice`, { customer: 'B' });
+    const gateway = enqueue('POST', `${BASE}/Sales Invoice`, { customer: 'C' });
+    replayRequest
+      .mockRejectedValueOnce(new Error('Request timeout'))
+      .mockRejectedValueOnce(transportError('connect ECONNREFUSED', 'ECONNREFUSED'))
+      .mockResolvedValueOnce({ ok: false, status: 504, data: 'Gateway Timeout' });
+
+    await syncEngine.processRequest(requestById(timedOut));
+    await syncEngine.processRequest(requestById(refused));
+    await syncEngine.processRequest(requestById(gateway));
+
+    expect(requestById(timedOut).needs_verification).toBe(1);
+    expect(requestById(refused).needs_verification).toBe(0);
+    expect(requestById(gateway).needs_verification).toBe(1);
+  });
+
+  it('should not post again when the server already has the document', async () => {
+    const id = enqueue('POST', `${BASE}/Sales Invoice`, { customer: 'CUST-1' });
+    replayRequest.mockRejectedValueOnce(new Error('Request timeout')).mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      data: { data: [{ name: 'ACC-SINV-0009' }] },
+    });
+
+    await syncEngine.processRequest(requestById(id));
+    const result = await syncEngine.processRequest(requestById(id));
+
+    expect(result).toEqual({ success: true });
+    expect(replayRequest).toHaveBeenCalledTimes(2);
+    const [method, lookupUrl] = replayRequest.mock.calls[1];
+    expect(method).toBe('GET');
+    const params = new URL(lookupUrl).searchParams;
+    expect(new URL(lookupUrl).pathname).toBe('/api/resource/Sales%20Invoice');
+    expect(JSON.parse(params.get('filters'))).toEqual([
+      ['posa_idempotency_key', '=', requestById(id).idempotency_key],
+    ]);
+    expect(requestById(id).status).toBe('completed');
+  });
+
+  it('should resend once the server confirms the document does not exist', async () => {
+    const id = enqueue('POST', `${BASE}/Sales Invoice`, { customer: 'CUST-1' });
+    replayRequest
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockResolvedValueOnce({ ok: true, status: 200, data: { data: [] } })
+      .mockResolvedValueOnce({ ok: true, status: 200, data: { data: { name: 'X' } } });
+
+    await syncEngine.processRequest(requestById(id));
+    const result = await syncEngine.processRequest(requestById(id));
+
+    expect(result).toEqual({ success: true });
+    expect(replayRequest.mock.calls.map((call) => call[0])).toEqual(['POST', 'GET', 'POST']);
+    expect(requestById(id).needs_verification).toBe(0);
+  });
+
+  it('should not resend while the existence check cannot be answered', async () => {
+    const id = enqueue('POST', `${BASE}/Sales Invoice`, { customer: 'CUST-1' });
+    replayRequest
+      .mockRejectedValueOnce(new Error('Request timeout'))
+      .mockResolvedValueOnce({ ok: false, status: 500, data: 'Internal Server Error' });
+
+    await syncEngine.processRequest(requestById(id));
+    const result = await syncEngine.processRequest(requestById(id));
+
+    expect(result).toEqual({ success: false });
+    expect(replayRequest.mock.calls.map((call) => call[0])).toEqual(['POST', 'GET']);
+    expect(requestById(id)).toEqual(
+      expect.objectContaining({ status: 'pending', needs_verification: 1, retry_count: 2 })
+    );
+  });
+
+  it('should treat a missing document as deleted when a delete response was lost', async () => {
+    const id = enqueue('DELETE', `${BASE}/Customer/CUST-1`);
+    replayRequest
+      .mockRejectedValueOnce(new Error('Request timeout'))
+      .mockResolvedValueOnce({ ok: false, status: 404, data: { exc_type: 'DoesNotExistError' } });
+
+    await syncEngine.processRequest(requestById(id));
+    const result = await syncEngine.processRequest(requestById(id));
+
+    expect(result).toEqual({ success: true });
+    expect(requestById(id).status).toBe('completed');
+  });
+});
@@ -0,0 +1,219 @@
+import { databaseExports } from './database/exports.js';
+import { posDatabase } from './database/db.js';
+import { logger } from './logger.js';
+
+const MODULE = 'BackupScheduler';
+const SETTINGS_KEY = 'backup_schedule';
+const STATE_KEY = 'backup_schedule_state';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+class BackupScheduler {
+  constructor() {
+    this.destination = process.env.DB_EXPORT_DIR || '';
+    this.retention = parseInt(process.env.DB_EXPORT_RETENTION || '14');
+    this.time = process.env.DB_EXPORT_TIME || '02:00';
+    this.started = false;
+    this.timer = null;
+    this.nextRunAt = null;
+    this.currentRun = null;
+  }
+
+  getPassphrase() {
+    // Kept out of the database, so the backups it protects never contain it.
+    return process.env.DB_EXPORT_PASSPHRASE || '';
+  }
+
+  isConfigured() {
+    return !!this.destination && !!this.getPassphrase();
+  }
+
+  start() {
+    if (this.started) {
+      logger.warn(MODULE, 'Backup scheduler already started');
+      return;
+    }
+
+    this.loadSettings();
+    this.started = true;
+
+    if (!this.isConfigured()) {
+      logger.info(MODULE, 'Scheduled backups are not configured');
+      return;
+    }
+
+    // A till that was switched off at backup time catches up on start.
+    const { lastSuccessAt } = this.getState();
+    if (!lastSuccessAt || Date.now() - new Date(lastSuccessAt).getTime() >= DAY_MS) {
+      this.run().catch(() => {});
+    }
+
+    this.scheduleNext();
+  }
+
+  stop() {
+    this.started = false;
+    this.nextRunAt = null;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      logger.info(MODULE, 'Backup scheduler stopped');
+    }
+  }
+
+  getNextRunAt(now = new Date()) {
+    const [, hours, minutes] = TIME_PATTERN.exec(this.time);
+    const next = new Date(now);
+    next.setHours(parseInt(hours), parseInt(minutes), 0, 0);
+    if (next <= now) {
+      next.setDate(next.getDate() + 1);
+    }
+    return next;
+  }
+
+  scheduleNext() {
+    if (!this.started || !this.isConfigured()) return;
+
+    this.nextRunAt = this.getNextRunAt();
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      await this.run().catch(() => {});
+      this.scheduleNext();
+    }, this.nextRunAt.getTime() - Date.now());
+
+    logger.info(MODULE, 'Next backup scheduled', { nextRunAt: this.nextRunAt.toISOString() });
+  }
+
+  reschedule() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.nextRunAt = null;
+    this.scheduleNext();
+  }
+
+  run() {
+    if (!this.currentRun) {
+      this.currentRun = this.runExport().finally(() => {
+        this.currentRun = null;
+      });
+    }
+    return this.currentRun;
+  }
+
+  async runExport() {
+    const startedAt = new Date().toISOString();
+
+    try {
+      if (!this.isConfigured()) {
+        throw new Error('Set a backup destination and DB_EXPORT_PASSPHRASE first');
+      }
+
+      const result = await databaseExports.exportTo(this.destination, this.getPassphrase());
+      databaseExports.pruneExports(this.destination, this.retention);
+
+      this.saveState({
+        lastRunAt: startedAt,
+        lastSuccessAt: startedAt,
+        lastFile: result.fileName,
+        lastError: null,
+      });
+      return result;
+    } catch (error) {
+      logger.error(MODULE, 'Scheduled backup failed', { error: error.message });
+      this.saveState({ ...this.getState(), lastRunAt: startedAt, lastError: error.message });
+      throw error;
+    }
+  }
+
+  getSettings() {
+    return {
+      destination: this.destination,
+      retention: this.retention,
+      time: this.time,
+      passphraseSet: !!this.getPassphrase(),
+    };
+  }
+
+  updateSettings(settings = {}) {
+    const time = settings.time !== undefined ? settings.time : this.time;
+    const retention = settings.retention !== undefined ? settings.retention : this.retention;
+
+    // Validate everything first so an invalid field leaves the old settings intact.
+    if (!TIME_PATTERN.test(time)) {
+      throw new Error(`Invalid backup time: ${time}`);
+    }
+    if (!Number.isInteger(retention) || retention < 1) {
+      throw new Error(`Invalid backup retention: ${retention}`);
+    }
+
+    if (settings.destination !== undefined) {
+      this.destination = settings.destination;
+    }
+    this.time = time;
+    this.retention = retention;
+
+    posDatabase.setSyncMetadata(SETTINGS_KEY, {
+      destination: this.destination,
+      retention: this.retention,
+      time: this.time,
+    });
+    logger.info(MODULE, 'Backup schedule updated', {
+      destination: this.destination,
+      retention: this.retention,
+      time: this.time,
+    });
+
+    this.reschedule();
+    return this.getSettings();
+  }
+
+  loadSettings() {
+    try {
+      const saved = posDatabase.getSyncMetadata(SETTINGS_KEY);
+      if (!saved || typeof saved !== 'object') return;
+
+      if (saved.destination !== undefined) {
+        this.destination = saved.destination;
+      }
+      if (Number.isInteger(saved.retention) && saved.retention > 0) {
+        this.retention = saved.retention;
+      }
+      if (TIME_PATTERN.test(saved.time)) {
+        this.time = saved.time;
+      }
+      logger.info(MODULE, 'Backup schedule loaded', { destination: this.destination });
+    } catch (error) {
+      logger.error(MODULE, 'Ignoring invalid saved backup schedule', { error: error.message });
+    }
+  }
+
+  getState() {
+    try {
+      return posDatabase.getSyncMetadata(STATE_KEY) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  saveState(state) {
+    try {
+      posDatabase.setSyncMetadata(STATE_KEY, state);
+    } catch (error) {
+      logger.warn(MODULE, 'Failed to save backup state', { error: error.message });
+    }
+  }
+
+  getStatus() {
+    return {
+      ...this.getSettings(),
+      ...this.getState(),
+      configured: this.isConfigured(),
+      running: !!this.currentRun,
+      nextRunAt: this.nextRunAt ? this.nextRunAt.toISOString() : null,
+    };
+  }
+}
+
+export const backupScheduler = new BackupScheduler();
@@ -0,0 +1,206 @@
+import { posDatabase } from './database/db.js';
+import { logger } from './logger.js';
+
+const MODULE = 'BarcodeScanner';
+const SETTINGS_KEY = 'scale_barcode_templates';
+// EAN-8, UPC-A, EAN-13 and GTIN-14 all end in the same mod-10 check digit.
+const GTIN_LENGTHS = [8, 12, 13, 14];
+const VALUE_TYPES = ['weight', 'price'];
+const QTY_PRECISION = 3;
+
+class BarcodeScanner {
+  constructor() {
+    this.templates = [];
+  }
+
+  isValidCheckDigit(code) {
+    if (!/^\d+$/.test(code) || !GTIN_LENGTHS.includes(code.length)) {
+      return false;
+    }
+
+    const digits = code.split('').map(Number);
+    const checkDigit = digits.pop();
+    // Weights 3 and 1 alternate from the digit next to the check digit.
+    const sum = digits
+      .reverse()
+      .reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === checkDigit;
+  }
+
+  // Scanners send a UPC-A code either as is or as an EAN-13 with a leading zero.
+  getCandidates(code) {
+    if (code.length === 12 && /^\d+$/.test(code)) return [code, `0${code}`];
+    if (code.length === 13 && code.startsWith('0')) return [code, code.slice(1)];
+    return [code];
+  }
+
+  findItem(code) {
+    for (const candidate of this.getCandidates(code)) {
+      const item = posDatabase.getItemByBarcode(candidate);
+      if (item) return item;
+    }
+    return null;
+  }
+
+  compileTemplate(template) {
+    const {
+      prefix,
+      itemDigits,
+      valueDigits,
+      valueType = 'weight',
+      decimals = valueType === 'price' ? 2 : 3,
+    } = template || {};
+
+    if (typeof prefix !== 'string' || !/^\d+$/.test(prefix)) {
+      throw new Error(`Invalid scale barcode prefix: ${prefix}`);
+    }
+    if (!VALUE_TYPES.includes(valueType)) {
+      throw new Error(`Invalid scale barcode value type: ${valueType}`);
+    }
+    [itemDigits, valueDigits].forEach((digits) => {
+      if (!Number.isInteger(digits) || digits < 1) {
+        throw new Error(`Invalid digit count in scale barcode template ${prefix}: ${digits}`);
+      }
+    });
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > valueDigits) {
+      throw new Error(`Invalid decimals in scale barcode template ${prefix}: ${decimals}`);
+    }
+
+    const length = prefix.length + itemDigits + valueDigits + 1;
+    if (!GTIN_LENGTHS.includes(length)) {
+      throw new Error(
+        `Scale barcode template ${prefix} adds up to ${length} digits, which is not a barcode length`
+      );
+    }
+    return { prefix, itemDigits, valueDigits, valueType, decimals, length };
+  }
+
+  matchTemplate(code) {
+    if (!/^\d+$/.test(code)) return null;
+
+    const template = this.templates.find(
+      (candidate) => code.length === candidate.length && code.startsWith(candidate.prefix)
+    );
+    if (!template) return null;
+
+    const start = template.prefix.length;
+    const itemCode = code.slice(start, start + template.itemDigits);
+    const digits = code.slice(start + template.itemDigits, -1);
+    return {
+      template,
+      itemCode,
+      value: parseInt(digits, 10) / 10 ** template.decimals,
+    };
+  }
+
+  resolveScaleLabel(code, label) {
+    const item = this.findItem(label.itemCode) || posDatabase.getItemBySKU(label.itemCode);
+    if (!item) {
+      throw new Error(`No item found for item code ${label.itemCode} on scale label ${code}`);
+    }
+
+    // A weight is in the unit of the scale item's barcode; a price buys the
+    // stock quantity it pays for at the item's price.
+    let qty = label.value;
+    if (label.template.valueType === 'price') {
+      if (!(item.price > 0)) {
+        throw new Error(`Cannot sell ${item.name} by price label: it has no price`);
+      }
+      qty = label.value / item.price / (item.conversion_factor || 1);
+    }
+
+    return this.buildScan(item, code, qty, {
+      valueType: label.template.valueType,
+      value: label.value,
+    });
+  }
+
+  // qty is in uom, the unit the barcode was printed for; stockQty is the same
+  // quantity in the item's stock unit.
+  buildScan(item, code, qty, scale = null) {
+    const conversionFactor = item.conversion_factor || 1;
+    return {
+      item,
+      barcode: code,
+      qty: this.roundQty(qty),
+      uom: item.barcode_uom || item.stock_uom || null,
+      conversionFactor,
+      stockQty: this.roundQty(qty * conversionFactor),
+      stockUom: item.stock_uom || null,
+      scale,
+    };
+  }
+
+  roundQty(qty) {
+    const factor = 10 ** QTY_PRECISION;
+    return Math.round(qty * factor) / factor;
+  }
+
+  resolve(barcode, qty = 1) {
+    const code = String(barcode ?? '').trim();
+    if (!code) {
+      throw new Error('Barcode is required');
+    }
+
+    const item = this.findItem(code);
+    if (item) {
+      return this.buildScan(item, code, qty);
+    }
+
+    // A misread scan is rejected rather than looked up as something else.
+    if (/^\d+$/.test(code) && GTIN_LENGTHS.includes(code.length) && !this.isValidCheckDigit(code)) {
+      throw new Error(`Invalid check digit in barcode ${code}`);
+    }
+
+    const label = this.matchTemplate(code);
+    if (label) {
+      return this.resolveScaleLabel(code, label);
+    }
+
+    const bySku = posDatabase.getItemBySKU(code);
+    if (bySku) {
+      return this.buildScan(bySku, code, qty);
+    }
+
+    logger.debug(MODULE, 'Unknown barcode scanned', { barcode: code });
+    throw new Error(`No item found for barcode ${code}`);
+  }
+
+  getSettings() {
+    return {
+      templates: this.templates.map(({ prefix, itemDigits, valueDigits, valueType, decimals }) => ({
+        prefix,
+        itemDigits,
+        valueDigits,
+        valueType,
+        decimals,
+      })),
+    };
+  }
+
+  updateSettings(settings = {}) {
+    // Compile everything first so an invalid template leaves the old settings intact.
+    const templates = (settings.templates || []).map((template) => this.compileTemplate(template));
+    this.templates = templates;
+
+    posDatabase.setSyncMetadata(SETTINGS_KEY, this.getSettings());
+    logger.info(MODULE, 'Scale barcode templates updated', { templates: this.templates.length });
+    return this.getSettings();
+  }
+
+  loadSettings() {
+    try {
+      const saved = posDatabase.getSyncMetadata(SETTINGS_KEY);
+      if (!saved || typeof saved !== 'object') return;
+
+      this.templates = (saved.templates || []).map((template) => this.compileTemplate(template));
+      logger.info(MODULE, 'Scale barcode templates loaded', { templates: this.templates.length });
+    } catch (error) {
+      logger.error(MODULE, 'Ignoring invalid saved scale barcode templates', {
+        error: error.message,
+      });
+    }
+  }
+}
+
+export const barcodeScanner = new BarcodeScanner();
@@ -0,0 +1,177 @@
+import { offlineQueueManager } from './offlineQueueManager.js';
+import { logger } from './logger.js';
+
+const MODULE = 'CachePolicy';
+const SETTINGS_KEY = 'cache_policy';
+const POLICY_FIELDS = ['ttl', 'staleWhileRevalidate', 'noCache', 'maxEntrySize'];
+
+class CachePolicy {
+  constructor() {
+    this.defaultPolicy = {
+      ttl: parseInt(process.env.CACHE_DEFAULT_TTL || '0'),
+      staleWhileRevalidate: parseInt(process.env.CACHE_STALE_WHILE_REVALIDATE || '0'),
+      noCache: false,
+      maxEntrySize: parseInt(process.env.CACHE_MAX_ENTRY_SIZE || '1048576'),
+    };
+    this.maxTotalSize = parseInt(process.env.CACHE_MAX_TOTAL_SIZE || '52428800');
+    this.evictionInterval = parseInt(process.env.CACHE_EVICTION_INTERVAL || '600000');
+    this.varyHeaders = this.parseHeaderList(
+      process.env.CACHE_VARY_HEADERS || 'Accept,Accept-Language'
+    );
+    this.rules = [];
+    this.evictionTimer = null;
+  }
+
+  start() {
+    this.loadSettings();
+
+    if (this.evictionTimer) return;
+
+    this.evict();
+    this.evictionTimer = setInterval(() => {
+      this.evict();
+    }, this.evictionInterval);
+
+    logger.info(MODULE, 'Cache eviction scheduled', {
+      maxTotalSize: this.maxTotalSize,
+      evictionInterval: this.evictionInterval,
+    });
+  }
+
+  stop() {
+    if (this.evictionTimer) {
+      clearInterval(this.evictionTimer);
+      this.evictionTimer = null;
+    }
+  }
+
+  evict() {
+    return offlineQueueManager.evictCache(this.maxTotalSize);
+  }
+
+  parseHeaderList(value) {
+    const names = Array.isArray(value) ? value : String(value).split(',');
+    return names.map((name) => name.trim()).filter(Boolean);
+  }
+
+  compileRule(rule) {
+    if (!rule || (!rule.urlPattern && !rule.doctypes)) {
+      throw new Error('Cache rule must match on urlPattern or doctypes');
+    }
+
+    const urlPattern =
+      typeof rule.urlPattern === 'string' ? new RegExp(rule.urlPattern) : rule.urlPattern;
+    const compiled = { urlPattern, doctypes: rule.doctypes };
+
+    POLICY_FIELDS.forEach((field) => {
+      if (rule[field] !== undefined) {
+        compiled[field] = rule[field];
+      }
+    });
+
+    return compiled;
+  }
+
+  matchesRule(rule, url, doctype) {
+    if (rule.doctypes && !rule.doctypes.includes(doctype)) {
+      return false;
+    }
+    if (rule.urlPattern && !rule.urlPattern.test(url)) {
+      return false;
+    }
+    return true;
+  }
+
+  resolve(url) {
+    const resource = offlineQueueManager.parseResourcePath(url);
+    const rule = this.rules.find((candidate) =>
+      this.matchesRule(candidate, url, resource?.doctype)
+    );
+
+    if (!rule) {
+      return { ...this.defaultPolicy };
+    }
+
+    const policy = { ...this.defaultPolicy };
+    POLICY_FIELDS.forEach((field) => {
+      if (rule[field] !== undefined) {
+        policy[field] = rule[field];
+      }
+    });
+    return policy;
+  }
+
+  getFreshness(policy, ageMs) {
+    if (ageMs <= policy.ttl) return 'fresh';
+    if (ageMs <= policy.ttl + policy.staleWhileRevalidate) return 'stale';
+    return 'expired';
+  }
+
+  getSettings() {
+    return {
+      defaultPolicy: { ...this.defaultPolicy },
+      maxTotalSize: this.maxTotalSize,
+      varyHeaders: [...this.varyHeaders],
+      rules: this.rules.map((rule) => ({
+        ...rule,
+        urlPattern: rule.urlPattern ? rule.urlPattern.source : undefined,
+      })),
+    };
+  }
+
+  updateSettings(settings = {}) {
+    // Compile everything first so an invalid rule leaves the old settings intact.
+    const rules = settings.rules ? settings.rules.map((rule) => this.compileRule(rule)) : null;
+
+    if (settings.defaultPolicy) {
+      POLICY_FIELDS.forEach((field) => {
+        if (settings.defaultPolicy[field] !== undefined) {
+          this.defaultPolicy[field] = settings.defaultPolicy[field];
+        }
+      });
+    }
+    if (settings.maxTotalSize !== undefined) {
+      this.maxTotalSize = settings.maxTotalSize;
+    }
+    if (settings.varyHeaders !== undefined) {
+      this.varyHeaders = this.parseHeaderList(settings.varyHeaders);
+    }
+    if (rules) {
+      this.rules = rules;
+    }
+
+    offlineQueueManager.setSyncMetadata(SETTINGS_KEY, this.getSettings());
+    logger.info(MODULE, 'Cache settings updated', {
+      defaultPolicy: this.defaultPolicy,
+      maxTotalSize: this.maxTotalSize,
+      varyHeaders: this.varyHeaders,
+      rules: this.rules.length,
+    });
+
+    this.evict();
+    return this.getSettings();
+  }
+
+  loadSettings() {
+    const saved = offlineQueueManager.getSyncMetadata(SETTINGS_KEY);
+    if (!saved || typeof saved !== 'object') return;
+
+    try {
+      if (saved.defaultPolicy) {
+        this.defaultPolicy = { ...this.defaultPolicy, ...saved.defaultPolicy };
+      }
+      if (saved.maxTotalSize !== undefined) {
+        this.maxTotalSize = saved.maxTotalSize;
+      }
+      if (saved.varyHeaders) {
+        this.varyHeaders = this.parseHeaderList(saved.varyHeaders);
+      }
+      this.rules = (saved.rules || []).map((rule) => this.compileRule(rule));
+      logger.info(MODULE, 'Cache settings loaded', { rules: this.rules.length });
+    } catch (error) {
+      logger.error(MODULE, 'Ignoring invalid saved cache settings', { error: error.message });
+    }
+  }
+}
+
+export const cachePolicy = new CachePolicy();
@@ -0,0 +1,257 @@
+import { EventEmitter } from 'events';
+import { httpInterceptor } from './httpInterceptor.js';
+import { logger } from './logger.js';
+
+const MODULE = 'ConnectivityMonitor';
+
+class ConnectivityMonitor extends EventEmitter {
+  constructor() {
+    super();
+    this.probePath = process.env.CONNECTIVITY_PROBE_PATH || '/api/method/ping';
+    this.onlineInterval = parseInt(process.env.CONNECTIVITY_CHECK_INTERVAL || '30000');
+    this.offlineInterval = parseInt(process.env.CONNECTIVITY_OFFLINE_CHECK_INTERVAL || '5000');
+    this.maxOfflineInterval = parseInt(process.env.CONNECTIVITY_MAX_OFFLINE_INTERVAL || '60000');
+    this.probeTimeout = parseInt(process.env.CONNECTIVITY_PROBE_TIMEOUT || '5000');
+    this.failureThreshold = parseInt(process.env.CONNECTIVITY_FAILURE_THRESHOLD || '3');
+    this.successThreshold = parseInt(process.env.CONNECTIVITY_SUCCESS_THRESHOLD || '2');
+    this.transportErrorThreshold = parseInt(
+      process.env.CONNECTIVITY_TRANSPORT_ERROR_THRESHOLD || '3'
+    );
+
+    this.timer = null;
+    this.running = false;
+    this.isProbing = false;
+    this.consecutiveFailures = 0;
+    this.consecutiveSuccesses = 0;
+    this.consecutiveTransportErrors = 0;
+    this.offlineProbeCount = 0;
+    this.lastProbeAt = null;
+    this.lastProbeError = null;
+    this.lastChangedAt = null;
+    this.nextProbeAt = null;
+
+    this.handleTransportError = this.handleTransportError.bind(this);
+    this.handleTransportSuccess = this.handleTransportSuccess.bind(this);
+  }
+
+  start() {
+    if (this.running) {
+      logger.warn(MODULE, 'Connectivity monitor already started');
+      return;
+    }
+
+    logger.info(MODULE, 'Starting connectivity monitor', {
+      probeUrl: this.getProbeUrl(),
+      onlineInterval: this.onlineInterval,
+      offlineInterval: this.offlineInterval,
+      failureThreshold: this.failureThreshold,
+      successThreshold: this.successThreshold,
+    });
+
+    this.running = true;
+    httpInterceptor.on('transport-error', this.handleTransportError);
+    httpInterceptor.on('transport-success', this.handleTransportSuccess);
+    this.scheduleProbe(0);
+  }
+
+  stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    httpInterceptor.off('transport-error', this.handleTransportError);
+    httpInterceptor.off('transport-success', this.handleTransportSuccess);
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.nextProbeAt = null;
+
+    logger.info(MODULE, 'Connectivity monitor stopped');
+  }
+
+  getProbeUrl() {
+    return new URL(this.probePath, httpInterceptor.baseUrl).toString();
+  }
+
+  scheduleProbe(delay = this.getNextInterval()) {
+    if (!this.running) return;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+
+    this.nextProbeAt = new Date(Date.now() + delay).toISOString();
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      await this.probe();
+      this.scheduleProbe();
+    }, delay);
+  }
+
+  getNextInterval() {
+    if (httpInterceptor.isOnline) {
+      // A failing probe while online is re-checked quickly so the switch to
+      // offline does not take failureThreshold full online intervals.
+      return this.consecutiveFailures > 0 ? this.offlineInterval : this.onlineInterval;
+    }
+
+    const backoff = this.offlineInterval * Math.pow(2, Math.max(this.offlineProbeCount - 1, 0));
+    return Math.min(backoff, this.maxOfflineInterval);
+  }
+
+  async probe() {
+    if (this.isProbing) return null;
+
+    this.isProbing = true;
+    this.lastProbeAt = new Date().toISOString();
+
+    try {
+      const response = await httpInterceptor.makeHttpRequest(this.getProbeUrl(), {
+        method: 'GET',
+        timeout: this.probeTimeout,
+      });
+
+      // Gateways answer with 5xx when the ERPNext workers behind them are down.
+      if (response.status >= 500) {
+        this.recordProbeFailure(`HTTP ${response.status}`);
+        return false;
+      }
+
+      this.recordProbeSuccess();
+      return true;
+    } catch (error) {
+      this.recordProbeFailure(error.message);
+      return false;
+    } finally {
+      this.isProbing = false;
+    }
+  }
+
+  recordProbeSuccess() {
+    this.consecutiveFailures = 0;
+    this.consecutiveSuccesses++;
+    this.lastProbeError = null;
+
+    if (httpInterceptor.isOnline) {
+      this.offlineProbeCount = 0;
+      return;
+    }
+
+    logger.debug(MODULE, 'Connectivity probe succeeded while offline', {
+      consecutiveSuccesses: this.consecutiveSuccesses,
+    });
+
+    if (this.consecutiveSuccesses >= this.successThreshold) {
+      this.changeStatus(true, 'probe_succeeded');
+    }
+  }
+
+  recordProbeFailure(reason) {
+    this.consecutiveSuccesses = 0;
+    this.consecutiveFailures++;
+    this.lastProbeError = reason;
+
+    if (!httpInterceptor.isOnline) {
+      this.offlineProbeCount++;
+      return;
+    }
+
+    logger.warn(MODULE, 'Connectivity probe failed', {
+      reason,
+      consecutiveFailures: this.consecutiveFailures,
+    });
+
+    if (this.consecutiveFailures >= this.failureThreshold) {
+      this.changeStatus(false, 'probe_failed');
+    }
+  }
+
+  handleTransportError({ method, url, error }) {
+    this.consecutiveTransportErrors++;
+
+    if (
+      httpInterceptor.isOnline &&
+      this.consecutiveTransportErrors >= this.transportErrorThreshold
+    ) {
+      logger.warn(MODULE, 'Repeated transport errors, switching to offline', {
+        method,
+        url,
+        error,
+        consecutiveTransportErrors: this.consecutiveTransportErrors,
+      });
+      this.changeStatus(false, 'transport_errors');
+      this.scheduleProbe();
+    }
+  }
+
+  handleTransportSuccess() {
+    this.consecutiveTransportErrors = 0;
+  }
+
+  changeStatus(isOnline, reason) {
+    this.consecutiveFailures = 0;
+    this.consecutiveSuccesses = 0;
+    this.consecutiveTransportErrors = 0;
+    this.offlineProbeCount = isOnline ? 0 : 1;
+    this.lastChangedAt = new Date().toISOString();
+
+    httpInterceptor.setOnlineStatus(isOnline);
+
+    logger.info(MODULE, 'Connectivity changed', { isOnline, reason });
+    this.emit('connectivity-changed', {
+      isOnline,
+      reason,
+      changedAt: this.lastChangedAt,
+    });
+  }
+
+  getStatus() {
+    return {
+      isOnline: httpInterceptor.isOnline,
+      running: this.running,
+      probeUrl: this.getProbeUrl(),
+      consecutiveFailures: this.consecutiveFailures,
+      consecutiveSuccesses: this.consecutiveSuccesses,
+      consecutiveTransportErrors: this.consecutiveTransportErrors,
+      lastProbeAt: this.lastProbeAt,
+      lastProbeError: this.lastProbeError,
+      lastChangedAt: this.lastChangedAt,
+      nextProbeAt: this.nextProbeAt,
+    };
+  }
+
+  updateConfiguration(config) {
+    const keys = [
+      'probePath',
+      'onlineInterval',
+      'offlineInterval',
+      'maxOfflineInterval',
+      'probeTimeout',
+      'failureThreshold',
+      'successThreshold',
+      'transportErrorThreshold',
+    ];
+
+    keys.forEach((key) => {
+      if (config[key] !== undefined) {
+        this[key] = config[key];
+      }
+    });
+
+    logger.info(MODULE, 'Configuration updated', {
+      probePath: this.probePath,
+      onlineInterval: this.onlineInterval,
+      offlineInterval: this.offlineInterval,
+      failureThreshold: this.failureThreshold,
+      successThreshold: this.successThreshold,
+      transportErrorThreshold: this.transportErrorThreshold,
+    });
+
+    if (this.running) {
+      this.scheduleProbe();
+    }
+  }
+}
+
+export const connectivityMonitor = new ConnectivityMonitor();
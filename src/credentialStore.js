@@ -1,34 +1,179 @@
 import CryptoJS from 'crypto-js';
 import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { app } from 'electron';
 import { logger } from './logger.js';
 
 const MODULE = 'CredentialStore';
+const STORE_VERSION = 1;
 
 class CredentialStore {
   constructor() {
-    this.secret = this.deriveSecret();
+    this.storageDir = app.getPath('userData');
+    this.keyPath = path.join(this.storageDir, 'credentials.key');
+    this.credentialsPath = path.join(this.storageDir, 'credentials.enc');
+    this.keyring = null;
+    this.secret = null;
     this.credentials = {};
+    this.initialized = false;
   }
 
-  deriveSecret() {
-    const machineId = crypto.randomBytes(16).toString('hex');
-    const appSecret = process.env.APP_SECRET || 'posawesome-default-secret';
-    return CryptoJS.SHA256(appSecret + machineId).toString();
+  initialize() {
+    if (this.initialized) return true;
+
+    try {
+      if (!fs.existsSync(this.storageDir)) {
+        fs.mkdirSync(this.storageDir, { recursive: true });
+      }
+
+      this.keyring = this.loadOrCreateKeyring();
+      this.secret = this.deriveSecret(this.getActiveKey().key);
+      this.credentials = this.loadCredentials();
+      this.initialized = true;
+
+      logger.info(MODULE, 'Credential store initialized', {
+        hasCredentials: this.hasCredentials(),
+      });
+      return true;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to initialize credential store', { error: error.message });
+      return false;
+    }
+  }
+
+  ensureInitialized() {
+    if (!this.initialized && !this.initialize()) {
+      throw new Error('Credential store is not available');
+    }
+  }
+
+  deriveSecret(installKey) {
+    const appSecret = process.env.APP_SECRET || 'posawsome-default-secret';
+    return CryptoJS.SHA256(appSecret + installKey).toString();
+  }
+
+  generateKey() {
+    return {
+      id: crypto.randomUUID(),
+      key: crypto.randomBytes(32).toString('hex'),
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  getActiveKey() {
+    return this.keyring.keys.find((entry) => entry.id === this.keyring.activeKeyId);
+  }
+
+  loadOrCreateKeyring() {
+    if (fs.existsSync(this.keyPath)) {
+      try {
+        const keyring = JSON.parse(fs.readFileSync(this.keyPath, 'utf8'));
+        const active = keyring.keys?.find((entry) => entry.id === keyring.activeKeyId);
+        if (active && active.key) {
+          return keyring;
+        }
+        throw new Error('Active key missing from keyring');
+      } catch (error) {
+        // Without a usable key nothing previously stored can be decrypted, so
+        // keep the broken file for inspection and start over with a new key.
+        this.quarantineFile(this.keyPath, error.message);
+      }
+    }
+
+    const key = this.generateKey();
+    const keyring = { version: STORE_VERSION, activeKeyId: key.id, keys: [key] };
+    this.writeFileAtomic(this.keyPath, JSON.stringify(keyring));
+    logger.info(MODULE, 'Generated new installation key', { keyId: key.id });
+    return keyring;
+  }
+
+  loadCredentials() {
+    if (!fs.existsSync(this.credentialsPath)) {
+      return {};
+    }
+
+    try {
+      const envelope = JSON.parse(fs.readFileSync(this.credentialsPath, 'utf8'));
+      const entry = this.keyring.keys.find((candidate) => candidate.id === envelope.keyId);
+      if (!entry) {
+        throw new Error(`Unknown key id: ${envelope.keyId}`);
+      }
+
+      const credentials = this.decryptData(envelope.data, this.deriveSecret(entry.key));
+
+      if (entry.id !== this.keyring.activeKeyId) {
+        // A rotation was interrupted after the new key was written; finish it.
+        this.credentials = credentials;
+        this.persistCredentials();
+        this.pruneKeys();
+      }
+
+      logger.info(MODULE, 'Credentials loaded from disk');
+      return credentials;
+    } catch (error) {
+      this.quarantineFile(this.credentialsPath, error.message);
+      return {};
+    }
   }
 
-  encryptData(data) {
+  quarantineFile(filePath, reason) {
+    const quarantinePath = `${filePath}.corrupt-${Date.now()}`;
+    try {
+      fs.renameSync(filePath, quarantinePath);
+    } catch (error) {
+      logger.error(MODULE, 'Failed to move corrupted file aside', {
+        filePath,
+        error: error.message,
+      });
+    }
+    logger.warn(MODULE, 'Corrupted credential file moved aside, credentials must be re-entered', {
+      filePath,
+      quarantinePath,
+      reason,
+    });
+  }
+
+  writeFileAtomic(filePath, contents) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, contents, { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+  }
+
+  persistCredentials() {
+    if (!this.credentials || !this.credentials.token) {
+      if (fs.existsSync(this.credentialsPath)) {
+        fs.unlinkSync(this.credentialsPath);
+      }
+      return;
+    }
+
+    const envelope = {
+      version: STORE_VERSION,
+      keyId: this.keyring.activeKeyId,
+      data: this.encryptData(this.credentials),
+    };
+    this.writeFileAtomic(this.credentialsPath, JSON.stringify(envelope));
+  }
+
+  pruneKeys() {
+    this.keyring.keys = this.keyring.keys.filter((entry) => entry.id === this.keyring.activeKeyId);
+    this.writeFileAtomic(this.keyPath, JSON.stringify(this.keyring));
+  }
+
+  encryptData(data, secret = this.secret) {
     try {
       const json = JSON.stringify(data);
-      return CryptoJS.AES.encrypt(json, this.secret).toString();
+      return CryptoJS.AES.encrypt(json, secret).toString();
     } catch (error) {
       logger.error(MODULE, 'Failed to encrypt credentials', { error: error.message });
       throw new Error('Encryption failed');
     }
   }
 
-  decryptData(encrypted) {
+  decryptData(encrypted, secret = this.secret) {
     try {
-      const decrypted = CryptoJS.AES.decrypt(encrypted, this.secret).toString(CryptoJS.enc.Utf8);
+      const decrypted = CryptoJS.AES.decrypt(encrypted, secret).toString(CryptoJS.enc.Utf8);
       return JSON.parse(decrypted);
     } catch (error) {
       logger.error(MODULE, 'Failed to decrypt credentials', { error: error.message });
@@ -38,11 +183,13 @@ class CredentialStore {
 
   storeCredentials(token, secret) {
     try {
+      this.ensureInitialized();
       this.credentials = {
         token,
         secret,
         storedAt: new Date().toISOString(),
       };
+      this.persistCredentials();
       logger.info(MODULE, 'Credentials stored securely');
       return true;
     } catch (error) {
@@ -53,6 +200,7 @@ class CredentialStore {
 
   getCredentials() {
     try {
+      this.ensureInitialized();
       if (!this.credentials || !this.credentials.token) {
         return null;
       }
@@ -68,7 +216,9 @@ class CredentialStore {
 
   clearCredentials() {
     try {
+      this.ensureInitialized();
       this.credentials = {};
+      this.persistCredentials();
       logger.info(MODULE, 'Credentials cleared');
       return true;
     } catch (error) {
@@ -77,6 +227,38 @@ class CredentialStore {
     }
   }
 
+  rotateKey() {
+    try {
+      this.ensureInitialized();
+
+      // The new key is added alongside the old one first, so a crash at any
+      // point leaves a keyring that can still decrypt the credentials file.
+      const key = this.generateKey();
+      this.keyring.keys.push(key);
+      this.keyring.activeKeyId = key.id;
+      this.writeFileAtomic(this.keyPath, JSON.stringify(this.keyring));
+
+      this.secret = this.deriveSecret(key.key);
+      this.persistCredentials();
+      this.pruneKeys();
+
+      logger.info(MODULE, 'Credential encryption key rotated', { keyId: key.id });
+      return true;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to rotate credential key', { error: error.message });
+      return false;
+    }
+  }
+
+  getIdentity() {
+    const credentials = this.getCredentials();
+    if (!credentials) return 'anonymous';
+
+    // The API key identifies the ERPNext user; the secret is left out so the
+    // identity does not reveal anything that could be used to authenticate.
+    return crypto.createHash('sha256').update(credentials.token).digest('hex').slice(0, 32);
+  }
+
   hasCredentials() {
     return this.credentials && !!this.credentials.token;
   }
@@ -0,0 +1,245 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../logger.js';
+import { posDatabase } from './db.js';
+
+const MODULE = 'DatabaseBackups';
+const BACKUP_PATTERN = /^posawsome-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)-([a-z0-9-]+)\.db$/;
+
+class DatabaseBackups {
+  constructor() {
+    this.retention = parseInt(process.env.DB_BACKUP_RETENTION || '5');
+  }
+
+  getBackupDir() {
+    return path.join(path.dirname(posDatabase.dbPath), 'backups');
+  }
+
+  buildFileName(reason) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return `posawsome-${timestamp}-${reason}.db`;
+  }
+
+  resolveBackupPath(fileName) {
+    // Only bare names from listBackups() are accepted, never paths.
+    if (typeof fileName !== 'string' || !BACKUP_PATTERN.test(fileName)) {
+      throw new Error(`Invalid backup name: ${fileName}`);
+    }
+
+    const backupPath = path.join(this.getBackupDir(), fileName);
+    if (!fs.existsSync(backupPath)) {
+      throw new Error(`Backup not found: ${fileName}`);
+    }
+    return backupPath;
+  }
+
+  async createBackup(reason, { prune = true } = {}) {
+    if (!posDatabase.initialized || posDatabase.dbPath === ':memory:') {
+      logger.debug(MODULE, 'No database file to back up');
+      return null;
+    }
+
+    const fileName = this.buildFileName(reason);
+    const backupPath = path.join(this.getBackupDir(), fileName);
+
+    try {
+      fs.mkdirSync(this.getBackupDir(), { recursive: true });
+      await this.snapshot(backupPath);
+
+      logger.info(MODULE, 'Database backup created', { fileName, reason });
+    } catch (error) {
+      fs.rmSync(backupPath, { force: true });
+      logger.error(MODULE, 'Failed to create database backup', { reason, error: error.message });
+      throw error;
+    }
+
+    if (prune) {
+      this.pruneBackups();
+    }
+    return this.describeBackup(fileName);
+  }
+
+  async snapshot(targetPath) {
+    // The online backup API copies a consistent snapshot, including pages
+    // still in the WAL, while the connection stays open.
+    await posDatabase.db.backup(targetPath);
+    this.useRollbackJournal(targetPath);
+  }
+
+  useRollbackJournal(filePath) {
+    // The copy inherits WAL mode, and even a read-only open of a WAL database
+    // leaves -wal and -shm files behind. Backups stay a single file.
+    const backup = new Database(filePath, { fileMustExist: true });
+    try {
+      backup.pragma('journal_mode = DELETE');
+    } finally {
+      backup.close();
+    }
+  }
+
+  listBackups() {
+    const dir = this.getBackupDir();
+    if (!fs.existsSync(dir)) return [];
+
+    // Timestamped names sort oldest first, the list is newest first.
+    return fs
+      .readdirSync(dir)
+      .filter((fileName) => BACKUP_PATTERN.test(fileName))
+      .sort()
+      .reverse()
+      .map((fileName) => this.describeBackup(fileName));
+  }
+
+  describeBackup(fileName) {
+    const [, timestamp, reason] = BACKUP_PATTERN.exec(fileName);
+    const backupPath = path.join(this.getBackupDir(), fileName);
+
+    return {
+      fileName,
+      reason,
+      createdAt: timestamp.replace(
+        /T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/,
+        (_match, hours, minutes, seconds, ms) => `T${hours}:${minutes}:${seconds}.${ms}Z`
+      ),
+      size: fs.statSync(backupPath).size,
+      schemaVersion: this.readSchemaVersion(backupPath),
+    };
+  }
+
+  readSchemaVersion(backupPath) {
+    try {
+      const backup = new Database(backupPath, { readonly: true, fileMustExist: true });
+      try {
+        const row = backup
+          .prepare(
+            'SELECT version FROM schema_migrations ORDER BY CAST(version AS INTEGER) DESC LIMIT 1'
+          )
+          .get();
+        return row ? row.version : null;
+      } finally {
+        backup.close();
+      }
+    } catch {
+      return null;
+    }
+  }
+
+  pruneBackups() {
+    const expired = this.listBackups().slice(this.retention);
+
+    expired.forEach(({ fileName }) => {
+      fs.rmSync(path.join(this.getBackupDir(), fileName), { force: true });
+    });
+
+    if (expired.length > 0) {
+      logger.info(MODULE, 'Old database backups removed', { count: expired.length });
+    }
+    return expired.length;
+  }
+
+  verifyIntegrity(db, label) {
+    const results = db.pragma('integrity_check').map((row) => row.integrity_check);
+
+    if (results.length !== 1 || results[0] !== 'ok') {
+      logger.error(MODULE, 'Integrity check failed', { label, results: results.slice(0, 10) });
+      throw new Error(`${label} failed the integrity check: ${results.slice(0, 3).join('; ')}`);
+    }
+  }
+
+  verifyFileIntegrity(filePath, label) {
+    let db;
+    try {
+      db = new Database(filePath, { readonly: true, fileMustExist: true });
+      this.verifyIntegrity(db, label);
+    } catch (error) {
+      if (error.message.startsWith(label)) throw error;
+      throw new Error(`${label} failed the integrity check: ${error.message}`);
+    } finally {
+      db?.close();
+    }
+  }
+
+  replaceDatabaseFile(sourcePath, dbPath) {
+    const tempPath = `${dbPath}.restoring`;
+    fs.copyFileSync(sourcePath, tempPath);
+
+    // A WAL left next to the database would be replayed on top of the
+    // restored file.
+    fs.rmSync(`${dbPath}-wal`, { force: true });
+    fs.rmSync(`${dbPath}-shm`, { force: true });
+    fs.renameSync(tempPath, dbPath);
+  }
+
+  reopenDatabase() {
+    if (!posDatabase.initialize()) {
+      throw new Error('Failed to reopen the database');
+    }
+  }
+
+  async restoreBackup(fileName) {
+    const backupPath = this.resolveBackupPath(fileName);
+    const { safetyBackup } = await this.restoreFile(backupPath, `Backup ${fileName}`);
+    return { restored: fileName, safetyBackup };
+  }
+
+  async restoreFile(sourcePath, label) {
+    const dbPath = posDatabase.dbPath;
+
+    try {
+      this.verifyFileIntegrity(sourcePath, label);
+
+      // Everything is checkpointed into the main file first, so copying that
+      // one file captures the current state.
+      posDatabase.db.pragma('wal_checkpoint(TRUNCATE)');
+      posDatabase.close();
+
+      // The safety copy is not pruned here, so a bad restore can be undone.
+      const safetyBackup = this.buildFileName('pre-restore');
+      const safetyPath = path.join(this.getBackupDir(), safetyBackup);
+      fs.mkdirSync(this.getBackupDir(), { recursive: true });
+      fs.copyFileSync(dbPath, safetyPath);
+      this.useRollbackJournal(safetyPath);
+
+      try {
+        this.replaceDatabaseFile(sourcePath, dbPath);
+        this.reopenDatabase();
+        this.verifyIntegrity(posDatabase.db, 'Restored database');
+      } catch (error) {
+        logger.error(MODULE, 'Restore failed, putting the previous database back', {
+          label,
+          error: error.message,
+        });
+        posDatabase.close();
+        this.replaceDatabaseFile(safetyPath, dbPath);
+        this.reopenDatabase();
+        throw error;
+      }
+
+      logger.info(MODULE, 'Database restored', { label, safetyBackup });
+      return { safetyBackup };
+    } catch (error) {
+      logger.error(MODULE, 'Failed to restore database', {
+        label,
+        error: error.message,
+      });
+      if (!posDatabase.initialized) {
+        this.reopenDatabase();
+      }
+      throw error;
+    }
+  }
+
+  // Puts back the database a restore replaced, for a restored copy that only
+  // turns out to be unusable once the app starts on it.
+  undoRestore(safetyBackup) {
+    const safetyPath = this.resolveBackupPath(safetyBackup);
+
+    posDatabase.close();
+    this.replaceDatabaseFile(safetyPath, posDatabase.dbPath);
+    this.reopenDatabase();
+    logger.warn(MODULE, 'Restore undone', { safetyBackup });
+  }
+}
+
+export const databaseBackups = new DatabaseBackups();
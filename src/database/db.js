@@ -2,18 +2,47 @@ import Database from 'better-sqlite3';
 import path from 'path';
 import { app } from 'electron';
 import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
 import { logger } from '../logger.js';
+import { invoiceCalculator, PAYMENT_TYPES } from './invoiceCalculator.js';
+import { pricingEngine, RATE_OR_DISCOUNT, RULE_TARGETS } from './pricingEngine.js';
 
 const MODULE = 'Database';
 
+// Local tables whose writes are sent to ERPNext through the outbox.
+const OUTBOX_DOCTYPES = {
+  customers: 'Customer',
+  items: 'Item',
+  sales_invoices: 'Sales Invoice',
+  pos_shifts: 'POS Opening Entry',
+  pos_shift_closings: 'POS Closing Entry',
+  gift_cards: 'Gift Card',
+};
+
+// Invoice statuses whose goods have left the shelf.
+const POSTED_STATUSES = ['submitted', 'paid'];
+const STOCK_POLICIES = ['block', 'warn', 'allow'];
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_MAX_PAGE_SIZE = 100;
+// Redeemed loyalty points are recorded as a payment in this mode.
+const LOYALTY_PAYMENT_MODE = 'Loyalty Points';
+// Gift card and store credit payments are made in this mode, with the code as reference.
+const GIFT_CARD_PAYMENT_MODE = 'Gift Card';
+
 class POSDatabase {
   constructor() {
     this.dbPath = path.join(app.getPath('userData'), 'posawsome.db');
     this.db = null;
     this.initialized = false;
+    this.stockPolicy = process.env.STOCK_POLICY || 'block';
+    this.stockWarehouse = process.env.STOCK_WAREHOUSE || '';
+    this.tillId = process.env.TILL_ID || os.hostname();
   }
 
   initialize() {
+    if (this.initialized) return true;
+
     try {
       // Ensure directory exists
       const dir = path.dirname(this.dbPath);
@@ -40,10 +69,14 @@ class POSDatabase {
       const stmt = this.db.prepare(`
         INSERT INTO customers (name, email, phone) VALUES (?, ?, ?)
       `);
-      const result = stmt.run(name, email, phone);
+      const id = this.transaction(() => {
+        const result = stmt.run(name, email, phone);
+        this.enqueueSync('customers', result.lastInsertRowid, 'CREATE');
+        return result.lastInsertRowid;
+      });
 
-      logger.info(MODULE, 'Customer created', { id: result.lastInsertRowid, name, email });
-      return result.lastInsertRowid;
+      logger.info(MODULE, 'Customer created', { id, name, email });
+      return id;
     } catch (error) {
       logger.error(MODULE, 'Failed to create customer', { error: error.message, name, email });
       throw error;
@@ -76,11 +109,14 @@ class POSDatabase {
         UPDATE customers SET name = ?, email = ?, phone = ?, updated_at = CURRENT_TIMESTAMP 
         WHERE id = ?
       `);
-      const result = stmt.run(name, email, phone, id);
+      this.transaction(() => {
+        const result = stmt.run(name, email, phone, id);
 
-      if (result.changes === 0) {
-        throw new Error(`Customer with id ${id} not found`);
-      }
+        if (result.changes === 0) {
+          throw new Error(`Customer with id ${id} not found`);
+        }
+        this.enqueueSync('customers', id, 'UPDATE');
+      });
 
       logger.info(MODULE, 'Customer updated', { id, name, email });
       return true;
@@ -93,11 +129,15 @@ class POSDatabase {
   deleteCustomer(id) {
     try {
       const stmt = this.db.prepare('DELETE FROM customers WHERE id = ?');
-      const result = stmt.run(id);
-
-      if (result.changes === 0) {
-        throw new Error(`Customer with id ${id} not found`);
-      }
+      this.transaction(() => {
+        const customer = this.getCustomer(id);
+        const result = stmt.run(id);
+
+        if (result.changes === 0) {
+          throw new Error(`Customer with id ${id} not found`);
+        }
+        this.enqueueSync('customers', id, 'DELETE', { name: customer.erpnext_name });
+      });
 
       logger.info(MODULE, 'Customer deleted', { id });
       return true;
@@ -113,10 +153,14 @@ class POSDatabase {
       const stmt = this.db.prepare(`
         INSERT INTO items (name, sku, price) VALUES (?, ?, ?)
       `);
-      const result = stmt.run(name, sku, price);
+      const id = this.transaction(() => {
+        const result = stmt.run(name, sku, price);
+        this.enqueueSync('items', result.lastInsertRowid, 'CREATE');
+        return result.lastInsertRowid;
+      });
 
-      logger.info(MODULE, 'Item created', { id: result.lastInsertRowid, name, sku, price });
-      return result.lastInsertRowid;
+      logger.info(MODULE, 'Item created', { id, name, sku, price });
+      return id;
     } catch (error) {
       logger.error(MODULE, 'Failed to create item', { error: error.message, name, sku });
       throw error;
@@ -159,11 +203,14 @@ class POSDatabase {
         UPDATE items SET name = ?, sku = ?, price = ?, updated_at = CURRENT_TIMESTAMP 
         WHERE id = ?
       `);
-      const result = stmt.run(name, sku, price, id);
+      this.transaction(() => {
+        const result = stmt.run(name, sku, price, id);
 
-      if (result.changes === 0) {
-        throw new Error(`Item with id ${id} not found`);
-      }
+        if (result.changes === 0) {
+          throw new Error(`Item with id ${id} not found`);
+        }
+        this.enqueueSync('items', id, 'UPDATE');
+      });
 
       logger.info(MODULE, 'Item updated', { id, name, sku, price });
       return true;
@@ -176,11 +223,15 @@ class POSDatabase {
   deleteItem(id) {
     try {
       const stmt = this.db.prepare('DELETE FROM items WHERE id = ?');
-      const result = stmt.run(id);
-
-      if (result.changes === 0) {
-        throw new Error(`Item with id ${id} not found`);
-      }
+      this.transaction(() => {
+        const item = this.getItem(id);
+        const result = stmt.run(id);
+
+        if (result.changes === 0) {
+          throw new Error(`Item with id ${id} not found`);
+        }
+        this.enqueueSync('items', id, 'DELETE', { name: item.erpnext_name });
+      });
 
       logger.info(MODULE, 'Item deleted', { id });
       return true;
@@ -190,21 +241,186 @@ class POSDatabase {
     }
   }
 
+  // Item barcode operations
+  getItemBarcodes(itemId) {
+    try {
+      const stmt = this.db.prepare('SELECT * FROM item_barcodes WHERE item_id = ? ORDER BY id');
+      return stmt.all(itemId);
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get item barcodes', { error: error.message, itemId });
+      throw error;
+    }
+  }
+
+  getItemByBarcode(barcode) {
+    try {
+      const stmt = this.db.prepare(`
+        SELECT i.*, ib.barcode, ib.uom AS barcode_uom, ib.conversion_factor
+        FROM item_barcodes ib
+        JOIN items i ON ib.item_id = i.id
+        WHERE ib.barcode = ?
+      `);
+      return stmt.get(barcode);
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get item by barcode', { error: error.message, barcode });
+      throw error;
+    }
+  }
+
+  replaceItemBarcodes(itemId, barcodes) {
+    barcodes.forEach(({ barcode, conversionFactor = 1 }) => {
+      if (!barcode) {
+        throw new Error('Barcode is required');
+      }
+      if (!(conversionFactor > 0)) {
+        throw new Error(`Invalid conversion factor for barcode ${barcode}: ${conversionFactor}`);
+      }
+    });
+
+    // A barcode belongs to one item; one that moved to another item in ERPNext
+    // is taken over by the item stored last.
+    const insert = this.db.prepare(`
+      INSERT INTO item_barcodes (item_id, barcode, barcode_type, uom, conversion_factor)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(barcode) DO UPDATE SET
+        item_id = excluded.item_id,
+        barcode_type = excluded.barcode_type,
+        uom = excluded.uom,
+        conversion_factor = excluded.conversion_factor
+    `);
+    this.db.prepare('DELETE FROM item_barcodes WHERE item_id = ?').run(itemId);
+    barcodes.forEach(({ barcode, barcodeType = null, uom = null, conversionFactor = 1 }) => {
+      insert.run(itemId, String(barcode), barcodeType, uom, conversionFactor);
+    });
+  }
+
+  setItemBarcodes(itemId, barcodes) {
+    try {
+      this.transaction(() => {
+        if (!this.getItem(itemId)) {
+          throw new Error(`Item with id ${itemId} not found`);
+        }
+        this.replaceItemBarcodes(itemId, barcodes);
+        this.enqueueSync('items', itemId, 'UPDATE');
+      });
+
+      logger.info(MODULE, 'Item barcodes set', { itemId, barcodes: barcodes.length });
+      return true;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to set item barcodes', { error: error.message, itemId });
+      throw error;
+    }
+  }
+
+  // Search operations
+  buildSearchQuery(text) {
+    // Every word typed has to start a word in one of the indexed columns;
+    // quoting keeps FTS5 syntax in the input from being interpreted.
+    const terms = String(text ?? '').match(/[\p{L}\p{N}]+/gu) || [];
+    return terms.map((term) => `"${term}"*`).join(' ');
+  }
+
+  getSearchPage({ limit = SEARCH_PAGE_SIZE, offset = 0 } = {}) {
+    return {
+      limit: Math.min(Math.max(parseInt(limit) || SEARCH_PAGE_SIZE, 1), SEARCH_MAX_PAGE_SIZE),
+      offset: Math.max(parseInt(offset) || 0, 0),
+    };
+  }
+
+  searchItems(text, options = {}) {
+    try {
+      const query = this.buildSearchQuery(text);
+      const { limit, offset } = this.getSearchPage(options);
+
+      // One row more than the page tells whether there is a next page.
+      let rows;
+      if (query) {
+        // A scanned or typed code that matches exactly comes first, then the
+        // best matches, with hits in the name weighing most.
+        const stmt = this.db.prepare(`
+          SELECT i.*
+          FROM items_fts
+          JOIN items i ON i.id = items_fts.rowid
+          WHERE items_fts MATCH @query
+          ORDER BY
+            CASE WHEN i.sku = @exact OR EXISTS (
+              SELECT 1 FROM item_barcodes ib WHERE ib.item_id = i.id AND ib.barcode = @exact
+            ) THEN 0 ELSE 1 END,
+            bm25(items_fts, 10.0, 5.0, 5.0),
+            i.name
+          LIMIT @limit OFFSET @offset
+        `);
+        rows = stmt.all({ query, exact: String(text).trim(), limit: limit + 1, offset });
+      } else {
+        const stmt = this.db.prepare('SELECT * FROM items ORDER BY name, id LIMIT ? OFFSET ?');
+        rows = stmt.all(limit + 1, offset);
+      }
+
+      return { items: rows.slice(0, limit), hasMore: rows.length > limit, limit, offset };
+    } catch (error) {
+      logger.error(MODULE, 'Failed to search items', { error: error.message, text });
+      throw error;
+    }
+  }
+
+  searchCustomers(text, options = {}) {
+    try {
+      const query = this.buildSearchQuery(text);
+      const { limit, offset } = this.getSearchPage(options);
+
+      let rows;
+      if (query) {
+        const stmt = this.db.prepare(`
+          SELECT c.*
+          FROM customers_fts
+          JOIN customers c ON c.id = customers_fts.rowid
+          WHERE customers_fts MATCH @query
+          ORDER BY
+            CASE WHEN c.email = @exact OR c.phone = @exact THEN 0 ELSE 1 END,
+            bm25(customers_fts, 10.0, 5.0, 5.0),
+            c.name
+          LIMIT @limit OFFSET @offset
+        `);
+        rows = stmt.all({ query, exact: String(text).trim(), limit: limit + 1, offset });
+      } else {
+        const stmt = this.db.prepare('SELECT * FROM customers ORDER BY name, id LIMIT ? OFFSET ?');
+        rows = stmt.all(limit + 1, offset);
+      }
+
+      return { customers: rows.slice(0, limit), hasMore: rows.length > limit, limit, offset };
+    } catch (error) {
+      logger.error(MODULE, 'Failed to search customers', { error: error.message, text });
+      throw error;
+    }
+  }
+
   // Sales Invoices operations
   createInvoice(name, customerId = null, total = 0) {
     try {
       const stmt = this.db.prepare(`
-        INSERT INTO sales_invoices (name, customer_id, total) VALUES (?, ?, ?)
+        INSERT INTO sales_invoices
+          (name, customer_id, total, net_total, grand_total, rounded_total, outstanding_amount,
+           shift_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `);
-      const result = stmt.run(name, customerId, total);
-
-      logger.info(MODULE, 'Invoice created', {
-        id: result.lastInsertRowid,
-        name,
-        customerId,
-        total,
+      const id = this.transaction(() => {
+        // Invoices belong to the shift that is open when they are made.
+        const result = stmt.run(
+          name,
+          customerId,
+          total,
+          total,
+          total,
+          total,
+          total,
+          this.getActiveShiftId()
+        );
+        this.enqueueSync('sales_invoices', result.lastInsertRowid, 'CREATE');
+        return result.lastInsertRowid;
       });
-      return result.lastInsertRowid;
+
+      logger.info(MODULE, 'Invoice created', { id, name, customerId, total });
+      return id;
     } catch (error) {
       logger.error(MODULE, 'Failed to create invoice', { error: error.message, name });
       throw error;
@@ -252,11 +468,48 @@ class POSDatabase {
         UPDATE sales_invoices SET status = ?, updated_at = CURRENT_TIMESTAMP 
         WHERE id = ?
       `);
-      const result = stmt.run(status, id);
-
-      if (result.changes === 0) {
-        throw new Error(`Invoice with id ${id} not found`);
-      }
+      this.transaction(() => {
+        const previous = this.db
+          .prepare('SELECT status FROM sales_invoices WHERE id = ?')
+          .pluck()
+          .get(id);
+
+        if (status === 'paid') {
+          const invoice = this.db
+            .prepare('SELECT name, is_return, outstanding_amount FROM sales_invoices WHERE id = ?')
+            .get(id);
+          if (invoice && !invoice.is_return && invoice.outstanding_amount > 0) {
+            throw new Error(
+              `Invoice ${invoice.name} is not fully paid: ${invoice.outstanding_amount} outstanding`
+            );
+          }
+          if (invoice && invoice.is_return && invoice.outstanding_amount < 0) {
+            throw new Error(
+              `Return ${invoice.name} is not fully refunded: ${-invoice.outstanding_amount} to refund`
+            );
+          }
+        }
+
+        const result = stmt.run(status, id);
+
+        if (result.changes === 0) {
+          throw new Error(`Invoice with id ${id} not found`);
+        }
+
+        // Stock, loyalty points and gift card balances move when an invoice is
+        // submitted and move back when a submitted invoice is cancelled;
+        // paying it changes nothing.
+        const wasPosted = POSTED_STATUSES.includes(previous);
+        const isPosted = POSTED_STATUSES.includes(status);
+        if (wasPosted !== isPosted) {
+          this.postStockLedger(id, isPosted ? 1 : -1);
+          this.postLoyaltyLedger(id, isPosted ? 1 : -1);
+          this.postGiftCardLedger(id, isPosted ? 1 : -1);
+        }
+        // A dropped draft no longer holds the gift cards it was paid with.
+        this.releaseGiftCardLocks();
+        this.enqueueSync('sales_invoices', id, 'UPDATE');
+      });
 
       logger.info(MODULE, 'Invoice status updated', { id, status });
       return true;
@@ -266,13 +519,14 @@ class POSDatabase {
     }
   }
 
-  setInvoiceSyncTime(id) {
+  setInvoiceSyncTime(id, serverDocstatus = null) {
     try {
       const stmt = this.db.prepare(`
-        UPDATE sales_invoices SET synced_at = CURRENT_TIMESTAMP 
+        UPDATE sales_invoices
+        SET synced_at = CURRENT_TIMESTAMP, server_docstatus = COALESCE(?, server_docstatus)
         WHERE id = ?
       `);
-      const result = stmt.run(id);
+      const result = stmt.run(serverDocstatus, id);
 
       return result.changes > 0;
     } catch (error) {
@@ -281,15 +535,206 @@ class POSDatabase {
     }
   }
 
+  renameInvoice(oldName, newName) {
+    try {
+      const stmt = this.db.prepare(`
+        UPDATE sales_invoices SET name = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE name = ?
+      `);
+      const result = stmt.run(newName, oldName);
+
+      if (result.changes > 0) {
+        logger.info(MODULE, 'Invoice renamed', { oldName, newName });
+      }
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to rename invoice', { error: error.message, oldName, newName });
+      throw error;
+    }
+  }
+
+  setInvoiceTaxes(invoiceId, taxes, template = null) {
+    try {
+      const insert = this.db.prepare(`
+        INSERT INTO invoice_taxes
+          (invoice_id, idx, charge_type, account_head, description, rate, row_id,
+           included_in_print_rate)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      this.transaction(() => {
+        const result = this.db
+          .prepare('UPDATE sales_invoices SET taxes_and_charges = ? WHERE id = ?')
+          .run(template, invoiceId);
+        if (result.changes === 0) {
+          throw new Error(`Invoice with id ${invoiceId} not found`);
+        }
+
+        this.db.prepare('DELETE FROM invoice_taxes WHERE invoice_id = ?').run(invoiceId);
+        taxes.forEach((tax, index) => {
+          insert.run(
+            invoiceId,
+            index + 1,
+            tax.chargeType,
+            tax.accountHead ?? null,
+            tax.description ?? null,
+            tax.rate ?? 0,
+            tax.rowId ?? null,
+            tax.includedInPrintRate ? 1 : 0
+          );
+        });
+
+        this.updateInvoiceTotal(invoiceId);
+        this.enqueueSync('sales_invoices', invoiceId, 'UPDATE');
+      });
+
+      logger.info(MODULE, 'Invoice taxes set', { invoiceId, template, rows: taxes.length });
+      return true;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to set invoice taxes', { error: error.message, invoiceId });
+      throw error;
+    }
+  }
+
+  applyInvoiceTaxTemplate(invoiceId, templateName) {
+    const template = this.getMasterDataRecord('Sales Taxes and Charges Template', templateName);
+    if (!template) {
+      throw new Error(`Sales Taxes and Charges Template ${templateName} not found`);
+    }
+
+    const taxes = (template.taxes || []).map((row) => ({
+      chargeType: row.charge_type,
+      accountHead: row.account_head,
+      description: row.description,
+      rate: row.rate,
+      rowId: row.row_id ? parseInt(row.row_id) : null,
+      includedInPrintRate: !!row.included_in_print_rate,
+    }));
+    return this.setInvoiceTaxes(invoiceId, taxes, templateName);
+  }
+
+  getInvoiceTaxes(invoiceId) {
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM invoice_taxes WHERE invoice_id = ? ORDER BY idx
+      `);
+      return stmt.all(invoiceId);
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get invoice taxes', { error: error.message, invoiceId });
+      throw error;
+    }
+  }
+
+  setInvoiceDiscount(
+    invoiceId,
+    { applyDiscountOn = 'Grand Total', percentage = 0, amount = 0 } = {}
+  ) {
+    try {
+      const stmt = this.db.prepare(`
+        UPDATE sales_invoices
+        SET apply_discount_on = ?, additional_discount_percentage = ?, discount_amount = ?
+        WHERE id = ?
+      `);
+      this.transaction(() => {
+        const result = stmt.run(applyDiscountOn, percentage, amount, invoiceId);
+        if (result.changes === 0) {
+          throw new Error(`Invoice with id ${invoiceId} not found`);
+        }
+        this.updateInvoiceTotal(invoiceId);
+        this.enqueueSync('sales_invoices', invoiceId, 'UPDATE');
+      });
+
+      logger.info(MODULE, 'Invoice discount set', {
+        invoiceId,
+        applyDiscountOn,
+        percentage,
+        amount,
+      });
+      return true;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to set invoice discount', { error: error.message, invoiceId });
+      throw error;
+    }
+  }
+
+  setInvoiceRounding(invoiceId, disableRoundedTotal) {
+    try {
+      const stmt = this.db.prepare(`
+        UPDATE sales_invoices SET disable_rounded_total = ? WHERE id = ?
+      `);
+      this.transaction(() => {
+        const result = stmt.run(disableRoundedTotal ? 1 : 0, invoiceId);
+        if (result.changes === 0) {
+          throw new Error(`Invoice with id ${invoiceId} not found`);
+        }
+        this.updateInvoiceTotal(invoiceId);
+        this.enqueueSync('sales_invoices', invoiceId, 'UPDATE');
+      });
+
+      logger.info(MODULE, 'Invoice rounding set', { invoiceId, disableRoundedTotal });
+      return true;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to set invoice rounding', { error: error.message, invoiceId });
+      throw error;
+    }
+  }
+
   // Invoice Items operations
-  addInvoiceItem(invoiceId, itemId, qty, rate) {
+  addInvoiceItem(
+    invoiceId,
+    itemId,
+    qty,
+    rate = null,
+    {
+      discountPercentage = null,
+      discountAmount = null,
+      warehouse = this.getDefaultWarehouse(),
+    } = {}
+  ) {
     try {
-      const amount = qty * rate;
+      // Without a rate the line is priced from the price lists and pricing
+      // rules; explicit discounts still win over the rule's.
+      let pricingRule = null;
+      if (rate === null || rate === undefined) {
+        const invoice = this.db
+          .prepare('SELECT customer_id FROM sales_invoices WHERE id = ?')
+          .get(invoiceId);
+        const pricing = this.getItemPricing(itemId, { customerId: invoice?.customer_id, qty });
+        rate = pricing.priceListRate;
+        pricingRule = pricing.pricingRule;
+        if (discountPercentage === null && discountAmount === null) {
+          discountPercentage = pricing.discountPercentage;
+          discountAmount = pricing.discountAmount;
+        }
+      }
+      discountPercentage = discountPercentage || 0;
+      discountAmount = discountAmount || 0;
+
+      // rate is the price before discount; the discounted rate and the
+      // amounts are filled in by updateInvoiceTotal.
       const stmt = this.db.prepare(`
-        INSERT INTO invoice_items (invoice_id, item_id, qty, rate, amount) 
-        VALUES (?, ?, ?, ?, ?)
+        INSERT INTO invoice_items
+          (invoice_id, item_id, qty, rate, amount, price_list_rate, discount_percentage,
+           discount_amount, warehouse, pricing_rule)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
-      const result = stmt.run(invoiceId, itemId, qty, rate, amount);
+      const result = this.transaction(() => {
+        const inserted = stmt.run(
+          invoiceId,
+          itemId,
+          qty,
+          rate,
+          qty * rate,
+          rate,
+          discountPercentage,
+          discountAmount,
+          warehouse,
+          pricingRule
+        );
+        this.checkLineStock(invoiceId, itemId, warehouse);
+        this.updateInvoiceTotal(invoiceId);
+        this.enqueueSync('sales_invoices', invoiceId, 'UPDATE');
+        return inserted;
+      });
 
       logger.info(MODULE, 'Invoice item added', {
         id: result.lastInsertRowid,
@@ -297,7 +742,10 @@ class POSDatabase {
         itemId,
         qty,
         rate,
-        amount,
+        discountPercentage,
+        discountAmount,
+        warehouse,
+        pricingRule,
       });
       return result.lastInsertRowid;
     } catch (error) {
@@ -328,221 +776,2454 @@ class POSDatabase {
 
   updateInvoiceTotal(invoiceId) {
     try {
-      const stmt = this.db.prepare(`
-        UPDATE sales_invoices 
-        SET total = (SELECT SUM(amount) FROM invoice_items WHERE invoice_id = ?)
+      const invoice = this.db.prepare('SELECT * FROM sales_invoices WHERE id = ?').get(invoiceId);
+      if (!invoice) return false;
+
+      const items = this.db
+        .prepare('SELECT * FROM invoice_items WHERE invoice_id = ? ORDER BY id')
+        .all(invoiceId);
+      const taxes = this.getInvoiceTaxes(invoiceId);
+
+      const totals = invoiceCalculator.calculate({
+        applyDiscountOn: invoice.apply_discount_on,
+        additionalDiscountPercentage: invoice.additional_discount_percentage,
+        discountAmount: invoice.discount_amount,
+        disableRoundedTotal: invoice.disable_rounded_total,
+        items: items.map((item) => ({
+          qty: item.qty,
+          priceListRate: item.price_list_rate,
+          discountPercentage: item.discount_percentage,
+          discountAmount: item.discount_amount,
+        })),
+        taxes: taxes.map((tax) => ({
+          chargeType: tax.charge_type,
+          rate: tax.rate,
+          rowId: tax.row_id,
+          includedInPrintRate: tax.included_in_print_rate,
+        })),
+      });
+      Object.assign(
+        totals,
+        invoiceCalculator.calculatePayments(totals, this.getInvoicePayments(invoiceId))
+      );
+
+      const updateItem = this.db.prepare(`
+        UPDATE invoice_items
+        SET rate = ?, amount = ?, discount_amount = ?, net_rate = ?, net_amount = ?
+        WHERE id = ?
+      `);
+      const updateTax = this.db.prepare(`
+        UPDATE invoice_taxes
+        SET tax_amount = ?, tax_amount_after_discount_amount = ?, total = ?
+        WHERE id = ?
+      `);
+      const updateInvoice = this.db.prepare(`
+        UPDATE sales_invoices
+        SET total = ?, net_total = ?, discount_amount = ?, total_taxes_and_charges = ?,
+            grand_total = ?, rounding_adjustment = ?, rounded_total = ?, paid_amount = ?,
+            change_amount = ?, outstanding_amount = ?
         WHERE id = ?
       `);
-      const result = stmt.run(invoiceId, invoiceId);
 
-      logger.debug(MODULE, 'Invoice total updated', { invoiceId });
-      return result.changes > 0;
+      this.transaction(() => {
+        items.forEach((item, index) => {
+          const line = totals.items[index];
+          updateItem.run(
+            line.rate,
+            line.amount,
+            line.discountAmount,
+            line.netRate,
+            line.netAmount,
+            item.id
+          );
+        });
+        taxes.forEach((tax, index) => {
+          const row = totals.taxes[index];
+          updateTax.run(row.taxAmount, row.taxAmountAfterDiscountAmount, row.total, tax.id);
+        });
+        updateInvoice.run(
+          totals.total,
+          totals.netTotal,
+          totals.discountAmount,
+          totals.totalTaxesAndCharges,
+          totals.grandTotal,
+          totals.roundingAdjustment,
+          totals.roundedTotal,
+          totals.paidAmount,
+          totals.changeAmount,
+          totals.outstandingAmount,
+          invoiceId
+        );
+      });
+
+      logger.debug(MODULE, 'Invoice total updated', {
+        invoiceId,
+        grandTotal: totals.grandTotal,
+        roundedTotal: totals.roundedTotal,
+        outstandingAmount: totals.outstandingAmount,
+      });
+      return totals;
     } catch (error) {
       logger.error(MODULE, 'Failed to update invoice total', { error: error.message, invoiceId });
       throw error;
     }
   }
 
-  // Sync Queue operations
-  addToSyncQueue(operation, payload) {
+  // Payment operations
+  getPaymentType(modeOfPayment) {
+    const mode = this.getMasterDataRecord('Mode of Payment', modeOfPayment);
+    if (mode && PAYMENT_TYPES.includes(mode.type)) {
+      return mode.type;
+    }
+    // Modes of payment that were never synced: only the default one is cash.
+    return modeOfPayment === 'Cash' ? 'Cash' : 'General';
+  }
+
+  requireOpenInvoice(invoiceId) {
+    const invoice = this.db
+      .prepare('SELECT name, status, is_return FROM sales_invoices WHERE id = ?')
+      .get(invoiceId);
+    if (!invoice) {
+      throw new Error(`Invoice with id ${invoiceId} not found`);
+    }
+    // ERPNext does not let a submitted invoice be edited, so payments are only
+    // taken while the invoice is still a draft.
+    if (invoice.status !== 'draft') {
+      throw new Error(`Cannot change the payments of ${invoice.status} invoice ${invoice.name}`);
+    }
+    return invoice;
+  }
+
+  addInvoicePayment(invoiceId, modeOfPayment, amount, reference = null) {
     try {
+      if (!modeOfPayment) {
+        throw new Error('Mode of payment is required');
+      }
+      if (modeOfPayment === LOYALTY_PAYMENT_MODE) {
+        throw new Error('Loyalty points are redeemed with redeemLoyaltyPoints');
+      }
+      if (modeOfPayment === GIFT_CARD_PAYMENT_MODE) {
+        throw new Error('Gift cards are redeemed with redeemGiftCard');
+      }
+      if (!amount || !Number.isFinite(amount)) {
+        throw new Error(`Invalid payment amount: ${amount}`);
+      }
+
       const stmt = this.db.prepare(`
-        INSERT INTO sync_queue (operation, payload) VALUES (?, ?)
+        INSERT INTO payments (invoice_id, mode_of_payment, type, amount, reference)
+        VALUES (?, ?, ?, ?, ?)
       `);
-      const result = stmt.run(operation, JSON.stringify(payload));
+      const { id, totals } = this.transaction(() => {
+        const invoice = this.requireOpenInvoice(invoiceId);
+        if (invoice.is_return ? amount > 0 : amount < 0) {
+          throw new Error(
+            invoice.is_return
+              ? `Refunds on return ${invoice.name} must be negative amounts`
+              : `Invalid payment amount: ${amount}`
+          );
+        }
+
+        const result = stmt.run(
+          invoiceId,
+          modeOfPayment,
+          this.getPaymentType(modeOfPayment),
+          invoiceCalculator.round(amount),
+          reference
+        );
+        const updated = this.updateInvoiceTotal(invoiceId);
+        this.enqueueSync('sales_invoices', invoiceId, 'UPDATE');
+        return { id: result.lastInsertRowid, totals: updated };
+      });
 
-      logger.info(MODULE, 'Added to sync queue', {
-        id: result.lastInsertRowid,
-        operation,
+      logger.info(MODULE, 'Invoice payment added', {
+        id,
+        invoiceId,
+        modeOfPayment,
+        amount,
+        outstandingAmount: totals.outstandingAmount,
+        changeAmount: totals.changeAmount,
       });
-      return result.lastInsertRowid;
+      return id;
     } catch (error) {
-      logger.error(MODULE, 'Failed to add to sync queue', { error: error.message, operation });
+      logger.error(MODULE, 'Failed to add invoice payment', {
+        error: error.message,
+        invoiceId,
+        modeOfPayment,
+      });
       throw error;
     }
   }
 
-  getSyncQueue(status = 'pending', limit = 50) {
+  removeInvoicePayment(invoiceId, paymentId) {
     try {
-      const stmt = this.db.prepare(`
-        SELECT * FROM sync_queue 
-        WHERE status = ? 
-        ORDER BY created_at ASC 
-        LIMIT ?
-      `);
-      const results = stmt.all(status, limit);
+      const stmt = this.db.prepare('DELETE FROM payments WHERE id = ? AND invoice_id = ?');
+      const removed = this.transaction(() => {
+        this.requireOpenInvoice(invoiceId);
+        const giftCard = this.db
+          .prepare('SELECT gift_card FROM payments WHERE id = ? AND invoice_id = ?')
+          .pluck()
+          .get(paymentId, invoiceId);
+        const result = stmt.run(paymentId, invoiceId);
+        if (result.changes === 0) return false;
+
+        if (giftCard) this.releaseGiftCardLocks();
+        this.updateInvoiceTotal(invoiceId);
+        this.enqueueSync('sales_invoices', invoiceId, 'UPDATE');
+        return true;
+      });
 
-      return results.map((row) => ({
-        ...row,
-        payload: JSON.parse(row.payload),
-      }));
+      logger.info(MODULE, 'Invoice payment removed', { invoiceId, paymentId, removed });
+      return removed;
     } catch (error) {
-      logger.error(MODULE, 'Failed to get sync queue', { error: error.message, status });
+      logger.error(MODULE, 'Failed to remove invoice payment', {
+        error: error.message,
+        invoiceId,
+        paymentId,
+      });
       throw error;
     }
   }
 
-  updateSyncQueueStatus(id, status, errorMessage = null) {
+  getInvoicePayments(invoiceId) {
     try {
       const stmt = this.db.prepare(`
-        UPDATE sync_queue 
-        SET status = ?, updated_at = CURRENT_TIMESTAMP, error_message = ?
-        WHERE id = ?
+        SELECT * FROM payments WHERE invoice_id = ? ORDER BY id
       `);
-      const result = stmt.run(status, errorMessage, id);
-
-      return result.changes > 0;
+      return stmt.all(invoiceId);
     } catch (error) {
-      logger.error(MODULE, 'Failed to update sync queue status', {
-        error: error.message,
-        id,
-        status,
-      });
+      logger.error(MODULE, 'Failed to get invoice payments', { error: error.message, invoiceId });
       throw error;
     }
   }
 
-  incrementSyncRetry(id) {
+  // Sales return operations
+  getReturnableItems(invoiceId) {
     try {
       const stmt = this.db.prepare(`
-        UPDATE sync_queue 
-        SET retry_count = retry_count + 1, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?
+        SELECT ii.*, i.name as item_name, i.sku as item_sku,
+          COALESCE((
+            SELECT -SUM(ri.qty)
+            FROM invoice_items ri
+            JOIN sales_invoices r ON ri.invoice_id = r.id
+            WHERE ri.return_against_item = ii.id AND r.status != 'cancelled'
+          ), 0) as returned_qty
+        FROM invoice_items ii
+        JOIN items i ON ii.item_id = i.id
+        WHERE ii.invoice_id = ?
+        ORDER BY ii.id
       `);
-      const result = stmt.run(id);
-
-      return result.changes > 0;
+      return stmt
+        .all(invoiceId)
+        .map((line) => ({ ...line, returnable_qty: line.qty - line.returned_qty }));
     } catch (error) {
-      logger.error(MODULE, 'Failed to increment sync retry', { error: error.message, id });
+      logger.error(MODULE, 'Failed to get returnable items', { error: error.message, invoiceId });
       throw error;
     }
   }
 
-  // Sync Log operations
-  addSyncLog(queueId, status, response = null) {
+  createReturnInvoice(invoiceId, lines, { name = null, refundMode = null, reference = null } = {}) {
     try {
-      const stmt = this.db.prepare(`
-        INSERT INTO sync_log (queue_id, status, response) VALUES (?, ?, ?)
+      const insertInvoice = this.db.prepare(`
+        INSERT INTO sales_invoices
+          (name, customer_id, is_return, return_against, taxes_and_charges, apply_discount_on,
+           additional_discount_percentage, discount_amount, disable_rounded_total, shift_id)
+        VALUES (?, ?, 1, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const insertItem = this.db.prepare(`
+        INSERT INTO invoice_items
+          (invoice_id, item_id, qty, rate, amount, price_list_rate, discount_percentage,
+           discount_amount, return_against_item, warehouse)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const insertTax = this.db.prepare(`
+        INSERT INTO invoice_taxes
+          (invoice_id, idx, charge_type, account_head, description, rate, row_id,
+           included_in_print_rate)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `);
-      const result = stmt.run(queueId, status, response ? JSON.stringify(response) : null);
 
-      logger.debug(MODULE, 'Sync log added', { id: result.lastInsertRowid, queueId, status });
-      return result.lastInsertRowid;
+      const { id, returnName } = this.transaction(() => {
+        const original = this.getInvoice(invoiceId);
+        if (!original) {
+          throw new Error(`Invoice with id ${invoiceId} not found`);
+        }
+        if (original.is_return) {
+          throw new Error(`Invoice ${original.name} is itself a return`);
+        }
+        if (original.status !== 'submitted' && original.status !== 'paid') {
+          throw new Error(
+            `Only submitted or paid invoices can be returned, ${original.name} is ${original.status}`
+          );
+        }
+
+        // Quantities per original line, so a line listed twice is checked as a whole.
+        const requested = new Map();
+        for (const line of lines) {
+          if (!(line.qty > 0)) {
+            throw new Error(`Invalid return quantity: ${line.qty}`);
+          }
+          requested.set(line.lineId, (requested.get(line.lineId) || 0) + line.qty);
+        }
+        if (requested.size === 0) {
+          throw new Error('Select at least one line to return');
+        }
+
+        const soldLines = new Map(
+          this.getReturnableItems(invoiceId).map((line) => [line.id, line])
+        );
+        let returnedTotal = 0;
+        for (const [lineId, qty] of requested) {
+          const sold = soldLines.get(lineId);
+          if (!sold) {
+            throw new Error(`Line ${lineId} is not on invoice ${original.name}`);
+          }
+          if (qty > sold.returnable_qty) {
+            throw new Error(
+              `Cannot return ${qty} of ${sold.item_name}: only ${sold.returnable_qty} left to return`
+            );
+          }
+          returnedTotal += qty * sold.rate;
+        }
+
+        // A percentage discount applies to the return as it is; a fixed one is
+        // split in proportion to the value of the returned goods.
+        const discountAmount =
+          original.additional_discount_percentage || !original.total
+            ? 0
+            : -invoiceCalculator.round((original.discount_amount * returnedTotal) / original.total);
+
+        const returnCount = this.db
+          .prepare('SELECT COUNT(*) FROM sales_invoices WHERE return_against = ?')
+          .pluck()
+          .get(invoiceId);
+        const returnName = name || `${original.name}-RET-${returnCount + 1}`;
+
+        const result = insertInvoice.run(
+          returnName,
+          original.customer_id,
+          invoiceId,
+          original.taxes_and_charges,
+          original.apply_discount_on,
+          original.additional_discount_percentage,
+          discountAmount,
+          original.disable_rounded_total,
+          this.getActiveShiftId()
+        );
+        const returnId = result.lastInsertRowid;
+
+        for (const [lineId, qty] of requested) {
+          const sold = soldLines.get(lineId);
+          insertItem.run(
+            returnId,
+            sold.item_id,
+            -qty,
+            sold.rate,
+            -qty * sold.rate,
+            sold.price_list_rate,
+            sold.discount_percentage,
+            sold.discount_amount,
+            lineId,
+            sold.warehouse
+          );
+        }
+        this.getInvoiceTaxes(invoiceId).forEach((tax) => {
+          insertTax.run(
+            returnId,
+            tax.idx,
+            tax.charge_type,
+            tax.account_head,
+            tax.description,
+            tax.rate,
+            tax.row_id,
+            tax.included_in_print_rate
+          );
+        });
+
+        const totals = this.updateInvoiceTotal(returnId);
+        this.enqueueSync('sales_invoices', returnId, 'CREATE');
+
+        if (refundMode) {
+          this.addInvoicePayment(
+            returnId,
+            refundMode,
+            totals.roundedTotal || totals.grandTotal,
+            reference
+          );
+        }
+        return { id: returnId, returnName };
+      });
+
+      logger.info(MODULE, 'Return invoice created', {
+        id,
+        name: returnName,
+        returnAgainst: invoiceId,
+        lines: lines.length,
+        refundMode,
+      });
+      return id;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to create return invoice', { error: error.message, invoiceId });
+      throw error;
+    }
+  }
+
+  // Pricing operations
+  getDefaultPriceList() {
+    try {
+      const shift = this.getActiveShift();
+      const profile = shift && this.getMasterDataRecord('POS Profile', shift.pos_profile);
+      return profile?.selling_price_list || pricingEngine.priceList;
     } catch (error) {
-      logger.error(MODULE, 'Failed to add sync log', { error: error.message, queueId, status });
+      logger.error(MODULE, 'Failed to get default price list', { error: error.message });
       throw error;
     }
   }
 
-  getSyncLogs(limit = 100) {
+  getItemPrices(itemCode) {
     try {
       const stmt = this.db.prepare(`
-        SELECT sl.*, sq.operation
-        FROM sync_log sl
-        JOIN sync_queue sq ON sl.queue_id = sq.id
-        ORDER BY sl.created_at DESC
-        LIMIT ?
+        SELECT * FROM item_prices WHERE item_code = ? ORDER BY price_list, name
       `);
-      return stmt.all(limit);
+      return stmt.all(itemCode);
     } catch (error) {
-      logger.error(MODULE, 'Failed to get sync logs', { error: error.message });
+      logger.error(MODULE, 'Failed to get item prices', { error: error.message, itemCode });
       throw error;
     }
   }
 
-  // Conflict Log operations
-  addConflictLog(tableName, recordId, localData, remoteData, resolution = null) {
+  getPricingRules(item) {
     try {
+      // Candidates only; the engine checks which of its targets each rule means.
       const stmt = this.db.prepare(`
-        INSERT INTO conflict_log (table_name, record_id, local_data, remote_data, resolution) 
-        VALUES (?, ?, ?, ?, ?)
+        SELECT pr.*,
+          (SELECT json_group_array(target) FROM pricing_rule_targets WHERE rule_name = pr.name)
+            AS targets
+        FROM pricing_rules pr
+        WHERE pr.name IN (
+          SELECT rule_name FROM pricing_rule_targets WHERE target IN (?, ?, ?)
+        )
+        ORDER BY pr.name
       `);
-      const result = stmt.run(
-        tableName,
-        recordId,
-        JSON.stringify(localData),
-        JSON.stringify(remoteData),
-        resolution
-      );
+      return stmt
+        .all(item.sku, item.item_group, item.brand)
+        .map((rule) => ({ ...rule, targets: JSON.parse(rule.targets) }));
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get pricing rules', { error: error.message, sku: item.sku });
+      throw error;
+    }
+  }
 
-      logger.info(MODULE, 'Conflict logged', {
-        id: result.lastInsertRowid,
-        tableName,
-        recordId,
+  getItemPricing(itemId, { customerId = null, qty = 1, date = new Date(), priceList = null } = {}) {
+    try {
+      const item = this.getItem(itemId);
+      if (!item) {
+        throw new Error(`Item ${itemId} not found`);
+      }
+      const customer = customerId ? this.getCustomer(customerId) : null;
+
+      return pricingEngine.evaluate({
+        item,
+        customer,
+        qty,
+        date,
+        priceList: priceList || customer?.default_price_list || this.getDefaultPriceList(),
+        prices: this.getItemPrices(item.sku),
+        rules: this.getPricingRules(item),
       });
-      return result.lastInsertRowid;
     } catch (error) {
-      logger.error(MODULE, 'Failed to add conflict log', {
+      logger.error(MODULE, 'Failed to get item pricing', {
         error: error.message,
-        tableName,
-        recordId,
+        itemId,
+        customerId,
       });
       throw error;
     }
   }
 
-  getUnresolvedConflicts() {
+  // Stock operations
+  getDefaultWarehouse() {
+    try {
+      // The till sells from the warehouse of the POS Profile it is open on.
+      const shift = this.getActiveShift();
+      const profile = shift && this.getMasterDataRecord('POS Profile', shift.pos_profile);
+      return profile?.warehouse || this.stockWarehouse || null;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get default warehouse', { error: error.message });
+      throw error;
+    }
+  }
+
+  getStockAvailability(itemCode, warehouse = null) {
     try {
+      // Local invoices count until a Bin fetched after ERPNext booked them
+      // reconciles them.
       const stmt = this.db.prepare(`
-        SELECT * FROM conflict_log 
-        WHERE resolution IS NULL 
-        ORDER BY created_at ASC
+        SELECT item_code, warehouse, SUM(actual_qty) AS actual_qty,
+          SUM(pending_qty) AS pending_qty, SUM(actual_qty) + SUM(pending_qty) AS available_qty
+        FROM (
+          SELECT item_code, warehouse, actual_qty, 0 AS pending_qty FROM stock_bins
+          UNION ALL
+          SELECT item_code, warehouse, 0, qty_change FROM stock_ledger WHERE reconciled = 0
+        )
+        WHERE item_code = @itemCode AND (@warehouse IS NULL OR warehouse = @warehouse)
+        GROUP BY item_code, warehouse
+        ORDER BY warehouse
       `);
-      const results = stmt.all();
-
-      return results.map((row) => ({
-        ...row,
-        local_data: JSON.parse(row.local_data),
-        remote_data: JSON.parse(row.remote_data),
-      }));
+      return stmt.all({ itemCode, warehouse });
     } catch (error) {
-      logger.error(MODULE, 'Failed to get unresolved conflicts', { error: error.message });
+      logger.error(MODULE, 'Failed to get stock availability', {
+        error: error.message,
+        itemCode,
+        warehouse,
+      });
       throw error;
     }
   }
 
-  resolveConflict(id, resolution) {
-    try {
-      const validResolutions = ['local_wins', 'remote_wins', 'manual', 'skipped'];
-      if (!validResolutions.includes(resolution)) {
-        throw new Error(`Invalid resolution: ${resolution}`);
-      }
+  getAvailableQty(itemCode, warehouse) {
+    const [bin] = this.getStockAvailability(itemCode, warehouse);
+    return bin ? bin.available_qty : 0;
+  }
 
+  getInvoiceStockShortages(invoiceId) {
+    try {
+      // Only meaningful for drafts: a submitted invoice is already in the ledger.
       const stmt = this.db.prepare(`
-        UPDATE conflict_log 
-        SET resolution = ?, resolved_at = CURRENT_TIMESTAMP 
-        WHERE id = ?
+        SELECT i.sku AS item_code, i.name AS item_name, ii.warehouse, SUM(ii.qty) AS requested
+        FROM invoice_items ii
+        JOIN items i ON ii.item_id = i.id
+        WHERE ii.invoice_id = ? AND ii.warehouse IS NOT NULL AND i.is_stock_item = 1
+        GROUP BY i.sku, ii.warehouse
+        HAVING requested > 0
       `);
-      const result = stmt.run(resolution, id);
-
-      logger.info(MODULE, 'Conflict resolved', { id, resolution });
-      return result.changes > 0;
+      return stmt
+        .all(invoiceId)
+        .map((line) => {
+          const available = this.getAvailableQty(line.item_code, line.warehouse);
+          return {
+            itemCode: line.item_code,
+            itemName: line.item_name,
+            warehouse: line.warehouse,
+            requested: line.requested,
+            available,
+            shortage: line.requested - available,
+          };
+        })
+        .filter((line) => line.shortage > 0);
     } catch (error) {
-      logger.error(MODULE, 'Failed to resolve conflict', { error: error.message, id, resolution });
+      logger.error(MODULE, 'Failed to get invoice stock shortages', {
+        error: error.message,
+        invoiceId,
+      });
       throw error;
     }
   }
 
-  // Database statistics
-  getStats() {
-    try {
-      const stats = {};
+  checkLineStock(invoiceId, itemId, warehouse) {
+    if (!warehouse || this.stockPolicy === 'allow') return null;
+    if (!STOCK_POLICIES.includes(this.stockPolicy)) {
+      throw new Error(`Invalid stock policy: ${this.stockPolicy}`);
+    }
 
-      const tables = [
-        'customers',
+    const item = this.getItem(itemId);
+    const shortage = this.getInvoiceStockShortages(invoiceId).find(
+      (line) => line.itemCode === item?.sku && line.warehouse === warehouse
+    );
+    if (!shortage) return null;
+
+    if (this.stockPolicy === 'block') {
+      throw new Error(
+        `Only ${shortage.available} of ${shortage.itemName} in stock at ${warehouse}, ` +
+          `${shortage.requested} requested`
+      );
+    }
+    logger.warn(MODULE, 'Selling more than is in stock', { invoiceId, ...shortage });
+    return shortage;
+  }
+
+  postStockLedger(invoiceId, direction) {
+    try {
+      // Sales take stock out, returns (negative quantities) put it back;
+      // direction -1 reverses an earlier posting.
+      const stmt = this.db.prepare(`
+        INSERT INTO stock_ledger (item_code, warehouse, qty_change, invoice_id, invoice_item_id)
+        SELECT i.sku, ii.warehouse, -ii.qty * ?, ii.invoice_id, ii.id
+        FROM invoice_items ii
+        JOIN items i ON ii.item_id = i.id
+        WHERE ii.invoice_id = ? AND ii.warehouse IS NOT NULL AND i.is_stock_item = 1
+      `);
+      const result = stmt.run(direction, invoiceId);
+
+      logger.debug(MODULE, 'Stock ledger posted', {
+        invoiceId,
+        direction,
+        entries: result.changes,
+      });
+      return result.changes;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to post stock ledger', { error: error.message, invoiceId });
+      throw error;
+    }
+  }
+
+  getStockLedger(itemCode, warehouse = null) {
+    try {
+      const stmt = this.db.prepare(`
+        SELECT sl.*, si.name AS invoice_name
+        FROM stock_ledger sl
+        JOIN sales_invoices si ON sl.invoice_id = si.id
+        WHERE sl.item_code = @itemCode AND (@warehouse IS NULL OR sl.warehouse = @warehouse)
+        ORDER BY sl.id
+      `);
+      return stmt.all({ itemCode, warehouse });
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get stock ledger', { error: error.message, itemCode });
+      throw error;
+    }
+  }
+
+  // Loyalty operations
+  getLoyaltyProgram(name) {
+    try {
+      const program = this.db.prepare('SELECT * FROM loyalty_programs WHERE name = ?').get(name);
+      if (!program) return null;
+
+      program.tiers = this.db
+        .prepare('SELECT * FROM loyalty_program_tiers WHERE loyalty_program = ? ORDER BY min_spent')
+        .all(name);
+      return program;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get loyalty program', { error: error.message, name });
+      throw error;
+    }
+  }
+
+  getCustomerLoyaltyProgram(customer, day) {
+    try {
+      const stmt = this.db.prepare(`
+        SELECT name FROM loyalty_programs
+        WHERE (@name IS NULL OR name = @name)
+          AND (@name IS NOT NULL OR (auto_opt_in = 1
+            AND (customer_group IS NULL OR customer_group = @customerGroup)))
+          AND (from_date IS NULL OR from_date <= @day) AND (to_date IS NULL OR to_date >= @day)
+      `);
+      // Without a program of their own, ERPNext enrols a customer on their
+      // first invoice when exactly one auto opt-in program fits their group.
+      const names = stmt.pluck().all({
+        name: customer.loyalty_program || null,
+        customerGroup: customer.customer_group || null,
+        day,
+      });
+      return names.length === 1 ? this.getLoyaltyProgram(names[0]) : null;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get customer loyalty program', {
+        error: error.message,
+        customerId: customer.id,
+      });
+      throw error;
+    }
+  }
+
+  // The highest tier whose minimum the customer has spent, as in ERPNext.
+  getLoyaltyTier(program, totalSpent) {
+    return program.tiers.filter((tier) => totalSpent >= tier.min_spent).pop() || null;
+  }
+
+  getLoyaltyBalance(customerId, { date = new Date() } = {}) {
+    try {
+      const customer = this.getCustomer(customerId);
+      if (!customer) {
+        throw new Error(`Customer with id ${customerId} not found`);
+      }
+      const day = pricingEngine.formatDate(date);
+      const program = this.getCustomerLoyaltyProgram(customer, day);
+      if (!program) {
+        return {
+          loyaltyProgram: null,
+          tier: null,
+          points: 0,
+          serverPoints: 0,
+          provisionalPoints: 0,
+          reservedPoints: 0,
+          conversionFactor: 0,
+          amount: 0,
+        };
+      }
+
+      // Expired points no longer count, but everything spent counts towards the tier.
+      const serverStmt = this.db.prepare(`
+        SELECT
+          COALESCE(SUM(CASE WHEN expiry_date IS NULL OR expiry_date >= @day
+            THEN loyalty_points END), 0) AS points,
+          COALESCE(SUM(purchase_amount), 0) AS spent
+        FROM loyalty_point_entries
+        WHERE customer = @customer AND loyalty_program = @program
+      `);
+      const provisionalStmt = this.db.prepare(`
+        SELECT
+          COALESCE(SUM(CASE WHEN l.expiry_date IS NULL OR l.expiry_date >= @day
+            THEN l.points END), 0) AS points,
+          COALESCE(SUM(l.purchase_amount), 0) AS spent
+        FROM loyalty_ledger l
+        JOIN sales_invoices si ON l.invoice_id = si.id
+        WHERE si.customer_id = @customerId AND l.loyalty_program = @program AND l.reconciled = 0
+      `);
+      // Points redeemed on drafts are spoken for until the draft is submitted.
+      const reservedStmt = this.db.prepare(`
+        SELECT COALESCE(SUM(p.loyalty_points), 0)
+        FROM payments p
+        JOIN sales_invoices si ON p.invoice_id = si.id
+        WHERE si.customer_id = ? AND si.status = 'draft'
+      `);
+      const server = serverStmt.get({
+        day,
+        customer: customer.erpnext_name,
+        program: program.name,
+      });
+      const provisional = provisionalStmt.get({ day, customerId, program: program.name });
+      const reserved = reservedStmt.pluck().get(customerId);
+
+      const points = server.points + provisional.points - reserved;
+      const tier = this.getLoyaltyTier(program, server.spent + provisional.spent);
+      return {
+        loyaltyProgram: program.name,
+        tier: tier ? tier.tier_name : null,
+        points,
+        serverPoints: server.points,
+        provisionalPoints: provisional.points,
+        reservedPoints: reserved,
+        conversionFactor: program.conversion_factor,
+        amount: invoiceCalculator.round(points * program.conversion_factor),
+      };
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get loyalty balance', { error: error.message, customerId });
+      throw error;
+    }
+  }
+
+  redeemLoyaltyPoints(invoiceId, points) {
+    try {
+      if (!Number.isInteger(points) || points <= 0) {
+        throw new Error(`Invalid loyalty points: ${points}`);
+      }
+
+      const stmt = this.db.prepare(`
+        INSERT INTO payments (invoice_id, mode_of_payment, type, amount, loyalty_points)
+        VALUES (?, ?, 'General', ?, ?)
+      `);
+      const { id, amount } = this.transaction(() => {
+        this.requireOpenInvoice(invoiceId);
+        const invoice = this.getInvoice(invoiceId);
+        if (invoice.is_return) {
+          throw new Error(`Loyalty points cannot be redeemed on return ${invoice.name}`);
+        }
+        if (!invoice.customer_id) {
+          throw new Error(`Invoice ${invoice.name} has no customer to redeem points for`);
+        }
+
+        const balance = this.getLoyaltyBalance(invoice.customer_id);
+        if (!balance.loyaltyProgram) {
+          throw new Error(`The customer of invoice ${invoice.name} is not in a loyalty program`);
+        }
+        if (points > balance.points) {
+          throw new Error(`Only ${balance.points} loyalty points available, ${points} requested`);
+        }
+        const redeemed = invoiceCalculator.round(points * balance.conversionFactor);
+        if (redeemed > invoice.outstanding_amount) {
+          throw new Error(
+            `${points} loyalty points are worth ${redeemed}, more than the ${invoice.outstanding_amount} outstanding`
+          );
+        }
+
+        const result = stmt.run(invoiceId, LOYALTY_PAYMENT_MODE, redeemed, points);
+        this.updateInvoiceTotal(invoiceId);
+        this.enqueueSync('sales_invoices', invoiceId, 'UPDATE');
+        return { id: result.lastInsertRowid, amount: redeemed };
+      });
+
+      logger.info(MODULE, 'Loyalty points redeemed', { id, invoiceId, points, amount });
+      return id;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to redeem loyalty points', {
+        error: error.message,
+        invoiceId,
+        points,
+      });
+      throw error;
+    }
+  }
+
+  postLoyaltyLedger(invoiceId, direction) {
+    try {
+      const insert = this.db.prepare(`
+        INSERT INTO loyalty_ledger
+          (invoice_id, loyalty_program, loyalty_program_tier, points, purchase_amount, expiry_date)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+
+      const reverse = this.db.prepare(`
+        INSERT INTO loyalty_ledger
+          (invoice_id, loyalty_program, loyalty_program_tier, points, purchase_amount, expiry_date)
+        SELECT invoice_id, loyalty_program, loyalty_program_tier, -points, -purchase_amount,
+          expiry_date
+        FROM loyalty_ledger WHERE invoice_id = ?
+      `);
+      const redeemedStmt = this.db.prepare(`
+        SELECT COALESCE(SUM(loyalty_points), 0) AS points, COALESCE(SUM(amount), 0) AS amount
+        FROM payments WHERE invoice_id = ? AND loyalty_points IS NOT NULL
+      `);
+
+      // Cancelling reverses whatever the invoice earned and redeemed.
+      if (direction < 0) {
+        const result = reverse.run(invoiceId);
+        logger.debug(MODULE, 'Loyalty ledger reversed', { invoiceId, entries: result.changes });
+        return result.changes;
+      }
+
+      const invoice = this.getInvoice(invoiceId);
+      const customer = invoice?.customer_id ? this.getCustomer(invoice.customer_id) : null;
+      const day = pricingEngine.formatDate(new Date());
+      const program = customer ? this.getCustomerLoyaltyProgram(customer, day) : null;
+      if (!program) return 0;
+
+      const redeemed = redeemedStmt.get(invoiceId);
+      const { tier: tierName } = this.getLoyaltyBalance(customer.id, { date: day });
+      const tier = program.tiers.find((row) => row.tier_name === tierName);
+
+      // As in ERPNext: a point per collection factor of the grand total not
+      // paid in points, whole points only. Returns take points back.
+      const eligible = invoiceCalculator.round(invoice.grand_total - redeemed.amount);
+      const earned = Math.trunc(eligible / (tier ? tier.collection_factor : 1));
+      let expiryDate = null;
+      if (program.expiry_duration > 0) {
+        const expiry = new Date(`${day}T00:00:00`);
+        expiry.setDate(expiry.getDate() + program.expiry_duration);
+        expiryDate = pricingEngine.formatDate(expiry);
+      }
+
+      let entries = 0;
+      if (redeemed.points > 0) {
+        insert.run(invoiceId, program.name, tierName, -redeemed.points, 0, null);
+        entries++;
+      }
+      if (earned !== 0) {
+        insert.run(invoiceId, program.name, tierName, earned, eligible, expiryDate);
+        entries++;
+      }
+
+      logger.debug(MODULE, 'Loyalty ledger posted', {
+        invoiceId,
+        loyaltyProgram: program.name,
+        earned,
+        redeemed: redeemed.points,
+      });
+      return entries;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to post loyalty ledger', { error: error.message, invoiceId });
+      throw error;
+    }
+  }
+
+  getLoyaltyLedger(invoiceId) {
+    try {
+      const stmt = this.db.prepare('SELECT * FROM loyalty_ledger WHERE invoice_id = ? ORDER BY id');
+      return stmt.all(invoiceId);
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get loyalty ledger', { error: error.message, invoiceId });
+      throw error;
+    }
+  }
+
+  reconcileLoyaltyLedger(fetchedAt) {
+    try {
+      // ERPNext books the points of an invoice when it is submitted there, so
+      // a pull started after the invoice synced holds them, or they were
+      // never given.
+      const stmt = this.db.prepare(`
+        UPDATE loyalty_ledger SET reconciled = 1
+        WHERE reconciled = 0
+          AND invoice_id IN (
+            SELECT si.id FROM sales_invoices si
+            WHERE si.synced_at >= loyalty_ledger.posted_at AND si.synced_at < @fetchedAt
+              AND NOT EXISTS (
+                SELECT 1 FROM sync_queue sq
+                WHERE sq.local_table = 'sales_invoices' AND sq.local_id = si.id
+                  AND sq.status IN ('pending', 'processing', 'failed')
+              )
+          )
+      `);
+      const result = stmt.run({
+        fetchedAt: fetchedAt.toISOString().replace('T', ' ').slice(0, 19),
+      });
+
+      if (result.changes > 0) {
+        logger.info(MODULE, 'Loyalty ledger reconciled', { entries: result.changes });
+      }
+      return result.changes;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to reconcile loyalty ledger', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Gift card operations
+  // Cards with what this till spent from them or refunded onto them that
+  // ERPNext has not booked yet. Payments on drafts hold their amount until
+  // the draft is submitted or dropped.
+  selectGiftCards(condition, ...params) {
+    const stmt = this.db.prepare(`
+      SELECT gc.*,
+        (SELECT COALESCE(SUM(l.amount), 0) FROM gift_card_ledger l
+          WHERE l.gift_card_id = gc.id AND l.reconciled = 0) AS pending_amount,
+        (SELECT COALESCE(SUM(p.amount), 0) FROM payments p
+          JOIN sales_invoices si ON p.invoice_id = si.id
+          WHERE p.gift_card = gc.code AND p.amount > 0 AND si.status = 'draft') AS reserved_amount
+      FROM gift_cards gc
+      WHERE ${condition}
+      ORDER BY gc.id
+    `);
+    return stmt.all(...params).map((card) => ({
+      ...card,
+      available: invoiceCalculator.round(card.balance + card.pending_amount - card.reserved_amount),
+    }));
+  }
+
+  getGiftCard(id) {
+    try {
+      return this.selectGiftCards('gc.id = ?', id)[0] || null;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get gift card', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  getGiftCardByCode(code) {
+    try {
+      return this.selectGiftCards('gc.code = ?', code)[0] || null;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get gift card by code', { error: error.message, code });
+      throw error;
+    }
+  }
+
+  requireActiveGiftCard(code) {
+    const card = this.getGiftCardByCode(code);
+    if (!card) {
+      throw new Error(`Gift card ${code} not found`);
+    }
+    if (card.status !== 'Active') {
+      throw new Error(`Gift card ${code} is disabled`);
+    }
+    if (card.expiry_date && card.expiry_date < pricingEngine.formatDate(new Date())) {
+      throw new Error(`Gift card ${code} expired on ${card.expiry_date}`);
+    }
+    return card;
+  }
+
+  issueGiftCard(code, amount, { currency = null, expiryDate = null } = {}) {
+    try {
+      if (!code) {
+        throw new Error('Gift card code is required');
+      }
+      if (!Number.isFinite(amount) || amount < 0) {
+        throw new Error(`Invalid gift card amount: ${amount}`);
+      }
+
+      const insertCard = this.db.prepare(`
+        INSERT INTO gift_cards (code, balance, currency, expiry_date) VALUES (?, ?, ?, ?)
+      `);
+      const insertEntry = this.db.prepare(`
+        INSERT INTO gift_card_ledger (gift_card_id, transaction_type, amount, reconciled)
+        VALUES (?, 'Issue', ?, 1)
+      `);
+      const balance = invoiceCalculator.round(amount);
+      const id = this.transaction(() => {
+        if (this.getGiftCardByCode(code)) {
+          throw new Error(`Gift card ${code} already exists`);
+        }
+
+        // ERPNext takes the card with its balance, so the issue is in the
+        // balance already.
+        const result = insertCard.run(code, balance, currency, expiryDate);
+        if (balance > 0) {
+          insertEntry.run(result.lastInsertRowid, balance);
+        }
+        this.enqueueSync('gift_cards', result.lastInsertRowid, 'CREATE');
+        return result.lastInsertRowid;
+      });
+
+      logger.info(MODULE, 'Gift card issued', { id, code, balance });
+      return id;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to issue gift card', { error: error.message, code });
+      throw error;
+    }
+  }
+
+  issueStoreCredit(invoiceId, code, options = {}) {
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO payments (invoice_id, mode_of_payment, type, amount, reference, gift_card)
+        VALUES (?, ?, 'General', ?, ?, ?)
+      `);
+      const { id, amount } = this.transaction(() => {
+        this.requireOpenInvoice(invoiceId);
+        const invoice = this.getInvoice(invoiceId);
+        if (!invoice.is_return) {
+          throw new Error(`Store credit can only be issued on returns, not ${invoice.name}`);
+        }
+        if (invoice.outstanding_amount >= 0) {
+          throw new Error(`Return ${invoice.name} has nothing left to refund`);
+        }
+
+        // The refund goes onto an existing card, or a new one without balance
+        // that the return credits once it is submitted.
+        if (this.getGiftCardByCode(code)) {
+          this.requireActiveGiftCard(code);
+        } else {
+          this.issueGiftCard(code, 0, options);
+        }
+        const result = stmt.run(
+          invoiceId,
+          GIFT_CARD_PAYMENT_MODE,
+          invoice.outstanding_amount,
+          code,
+          code
+        );
+        this.updateInvoiceTotal(invoiceId);
+        this.enqueueSync('sales_invoices', invoiceId, 'UPDATE');
+        return { id: result.lastInsertRowid, amount: -invoice.outstanding_amount };
+      });
+
+      logger.info(MODULE, 'Store credit issued', { id, invoiceId, code, amount });
+      return id;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to issue store credit', {
+        error: error.message,
+        invoiceId,
+        code,
+      });
+      throw error;
+    }
+  }
+
+  redeemGiftCard(invoiceId, code, amount) {
+    try {
+      if (!Number.isFinite(amount) || amount <= 0) {
+        throw new Error(`Invalid gift card amount: ${amount}`);
+      }
+
+      const stmt = this.db.prepare(`
+        INSERT INTO payments (invoice_id, mode_of_payment, type, amount, reference, gift_card)
+        VALUES (?, ?, 'General', ?, ?, ?)
+      `);
+      const redeemed = invoiceCalculator.round(amount);
+      const id = this.transaction(() => {
+        this.requireOpenInvoice(invoiceId);
+        const invoice = this.getInvoice(invoiceId);
+        if (invoice.is_return) {
+          throw new Error(`Gift cards cannot be redeemed on return ${invoice.name}`);
+        }
+
+        const card = this.requireActiveGiftCard(code);
+        if (card.locked_by && card.locked_by !== this.tillId) {
+          throw new Error(`Gift card ${code} is in use on till ${card.locked_by}`);
+        }
+        if (redeemed > card.available) {
+          throw new Error(`Gift card ${code} has ${card.available} left, ${redeemed} requested`);
+        }
+        if (redeemed > invoice.outstanding_amount) {
+          throw new Error(
+            `${redeemed} is more than the ${invoice.outstanding_amount} outstanding on ${invoice.name}`
+          );
+        }
+
+        const result = stmt.run(invoiceId, GIFT_CARD_PAYMENT_MODE, redeemed, code, code);
+        this.setGiftCardLock(card, this.tillId);
+        this.updateInvoiceTotal(invoiceId);
+        this.enqueueSync('sales_invoices', invoiceId, 'UPDATE');
+        return result.lastInsertRowid;
+      });
+
+      logger.info(MODULE, 'Gift card redeemed', { id, invoiceId, code, amount: redeemed });
+      return id;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to redeem gift card', {
+        error: error.message,
+        invoiceId,
+        code,
+      });
+      throw error;
+    }
+  }
+
+  // Other tills refuse a card once they pull its lock, so it cannot be spent
+  // twice while the tills are online. A card that is not in ERPNext yet
+  // carries the lock with its pending create.
+  setGiftCardLock(card, lockedBy) {
+    if (card.locked_by === lockedBy) return false;
+
+    this.db.prepare('UPDATE gift_cards SET locked_by = ? WHERE id = ?').run(lockedBy, card.id);
+    if (card.erpnext_name) {
+      this.enqueueSync('gift_cards', card.id, 'UPDATE');
+    }
+    logger.debug(MODULE, 'Gift card lock changed', { code: card.code, lockedBy });
+    return true;
+  }
+
+  releaseGiftCardLocks() {
+    try {
+      const cards = this.selectGiftCards(
+        `gc.locked_by = ?
+          AND NOT EXISTS (
+            SELECT 1 FROM gift_card_ledger l WHERE l.gift_card_id = gc.id AND l.reconciled = 0
+          )
+          AND NOT EXISTS (
+            SELECT 1 FROM payments p JOIN sales_invoices si ON p.invoice_id = si.id
+            WHERE p.gift_card = gc.code AND si.status = 'draft'
+          )`,
+        this.tillId
+      );
+      cards.forEach((card) => this.setGiftCardLock(card, null));
+      return cards.length;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to release gift card locks', { error: error.message });
+      throw error;
+    }
+  }
+
+  postGiftCardLedger(invoiceId, direction) {
+    try {
+      const post = this.db.prepare(`
+        INSERT INTO gift_card_ledger (gift_card_id, invoice_id, transaction_type, amount)
+        SELECT gc.id, p.invoice_id, CASE WHEN p.amount > 0 THEN 'Redeem' ELSE 'Refund' END,
+          -p.amount
+        FROM payments p
+        JOIN gift_cards gc ON p.gift_card = gc.code
+        WHERE p.invoice_id = ?
+        ORDER BY p.id
+      `);
+      const reverse = this.db.prepare(`
+        INSERT INTO gift_card_ledger (gift_card_id, invoice_id, transaction_type, amount)
+        SELECT gift_card_id, invoice_id, 'Reversal', -amount
+        FROM gift_card_ledger WHERE invoice_id = ?
+        ORDER BY id
+      `);
+
+      // Cancelling gives back whatever the invoice took off its cards.
+      const result = direction < 0 ? reverse.run(invoiceId) : post.run(invoiceId);
+      if (result.changes > 0) {
+        logger.debug(MODULE, 'Gift card ledger posted', {
+          invoiceId,
+          direction,
+          entries: result.changes,
+        });
+      }
+      return result.changes;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to post gift card ledger', { error: error.message, invoiceId });
+      throw error;
+    }
+  }
+
+  getGiftCardHistory(code) {
+    try {
+      const stmt = this.db.prepare(`
+        SELECT l.*, si.name AS invoice_name
+        FROM gift_card_ledger l
+        JOIN gift_cards gc ON l.gift_card_id = gc.id
+        LEFT JOIN sales_invoices si ON l.invoice_id = si.id
+        WHERE gc.code = ?
+        ORDER BY l.id
+      `);
+      return stmt.all(code);
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get gift card history', { error: error.message, code });
+      throw error;
+    }
+  }
+
+  reconcileGiftCardLedger(fetchedAt) {
+    try {
+      // ERPNext moves the balance of a card when an invoice paid with it is
+      // submitted there, so a pull started after the invoice synced has it.
+      const stmt = this.db.prepare(`
+        UPDATE gift_card_ledger SET reconciled = 1
+        WHERE reconciled = 0
+          AND invoice_id IN (
+            SELECT si.id FROM sales_invoices si
+            WHERE si.synced_at >= gift_card_ledger.posted_at AND si.synced_at < @fetchedAt
+              AND NOT EXISTS (
+                SELECT 1 FROM sync_queue sq
+                WHERE sq.local_table = 'sales_invoices' AND sq.local_id = si.id
+                  AND sq.status IN ('pending', 'processing', 'failed')
+              )
+          )
+      `);
+      const { reconciled, conflicts, released } = this.transaction(() => {
+        const result = stmt.run({
+          fetchedAt: fetchedAt.toISOString().replace('T', ' ').slice(0, 19),
+        });
+        return {
+          reconciled: result.changes,
+          conflicts: this.recordGiftCardConflicts(),
+          released: this.releaseGiftCardLocks(),
+        };
+      });
+
+      if (reconciled > 0 || conflicts > 0 || released > 0) {
+        logger.info(MODULE, 'Gift card ledger reconciled', {
+          entries: reconciled,
+          conflicts,
+          released,
+        });
+      }
+      return reconciled;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to reconcile gift card ledger', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Tills that spent the same card while offline find out once they sync:
+  // another till's lock reached ERPNext first, or the balance no longer
+  // covers what was spent. Someone has to settle those with the customer.
+  recordGiftCardConflicts() {
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO sync_conflicts
+          (resource_id, resource_type, local_data, server_data, server_version, conflict_type)
+        SELECT @code, 'Gift Card', @localData, @serverData, @modified, @conflictType
+        WHERE NOT EXISTS (
+          SELECT 1 FROM sync_conflicts
+          WHERE resource_id = @code AND resource_type = 'Gift Card'
+            AND conflict_type = @conflictType AND resolution_status = 'pending'
+        )
+      `);
+      const invoicesStmt = this.db.prepare(`
+        SELECT si.name FROM sales_invoices si
+        WHERE si.id IN (
+            SELECT invoice_id FROM gift_card_ledger WHERE gift_card_id = @id AND reconciled = 0
+          )
+          OR (si.status = 'draft' AND si.id IN (
+            SELECT invoice_id FROM payments WHERE gift_card = @code AND amount > 0
+          ))
+        ORDER BY si.id
+      `);
+
+      let recorded = 0;
+      this.selectGiftCards('gc.erpnext_name IS NOT NULL').forEach((card) => {
+        const spending = card.reserved_amount > 0 || card.pending_amount < 0;
+        let conflictType = null;
+        if (spending && card.locked_by && card.locked_by !== this.tillId) {
+          conflictType = 'gift_card_locked';
+        } else if (card.available < 0) {
+          conflictType = 'gift_card_overdrawn';
+        }
+        if (!conflictType) return;
+
+        const result = stmt.run({
+          code: card.code,
+          localData: JSON.stringify({
+            till: this.tillId,
+            pending_amount: card.pending_amount,
+            reserved_amount: card.reserved_amount,
+            available: card.available,
+            invoices: invoicesStmt.pluck().all({ id: card.id, code: card.code }),
+          }),
+          serverData: JSON.stringify({
+            name: card.erpnext_name,
+            balance: card.balance,
+            locked_by: card.locked_by,
+            modified: card.modified,
+          }),
+          modified: card.modified,
+          conflictType,
+        });
+        if (result.changes > 0) {
+          logger.warn(MODULE, 'Gift card conflict recorded', { code: card.code, conflictType });
+          recorded++;
+        }
+      });
+      return recorded;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to record gift card conflicts', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Cashier shift operations
+  getActiveShift() {
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM pos_shifts WHERE status = 'open'
+      `);
+      return stmt.get() || null;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get active shift', { error: error.message });
+      throw error;
+    }
+  }
+
+  getActiveShiftId() {
+    const shift = this.getActiveShift();
+    return shift ? shift.id : null;
+  }
+
+  getShift(id) {
+    try {
+      const stmt = this.db.prepare('SELECT * FROM pos_shifts WHERE id = ?');
+      return stmt.get(id);
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get shift', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  getShiftPayments(shiftId) {
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM pos_shift_payments WHERE shift_id = ? ORDER BY id
+      `);
+      return stmt.all(shiftId);
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get shift payments', { error: error.message, shiftId });
+      throw error;
+    }
+  }
+
+  getShiftClosing(id) {
+    try {
+      const stmt = this.db.prepare('SELECT * FROM pos_shift_closings WHERE id = ?');
+      return stmt.get(id);
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get shift closing', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  getShiftInvoices(shiftId) {
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM sales_invoices
+        WHERE shift_id = ? AND status IN (${POSTED_STATUSES.map(() => '?').join(', ')})
+        ORDER BY id
+      `);
+      return stmt.all(shiftId, ...POSTED_STATUSES);
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get shift invoices', { error: error.message, shiftId });
+      throw error;
+    }
+  }
+
+  validateShiftAmounts(amounts, label) {
+    const seen = new Set();
+    for (const { modeOfPayment, amount } of amounts) {
+      if (!modeOfPayment) {
+        throw new Error(`Mode of payment is required for every ${label} amount`);
+      }
+      if (seen.has(modeOfPayment)) {
+        throw new Error(`The ${label} amount for ${modeOfPayment} is given twice`);
+      }
+      if (!Number.isFinite(amount) || amount < 0) {
+        throw new Error(`Invalid ${label} amount for ${modeOfPayment}: ${amount}`);
+      }
+      seen.add(modeOfPayment);
+    }
+  }
+
+  openShift({ posProfile, cashier, openingAmounts = [] } = {}) {
+    try {
+      if (!posProfile || !cashier) {
+        throw new Error('A POS Profile and a cashier are required to open a shift');
+      }
+      this.validateShiftAmounts(openingAmounts, 'opening');
+
+      const insertShift = this.db.prepare(`
+        INSERT INTO pos_shifts (pos_profile, company, cashier) VALUES (?, ?, ?)
+      `);
+      const insertPayment = this.db.prepare(`
+        INSERT INTO pos_shift_payments (shift_id, mode_of_payment, opening_amount)
+        VALUES (?, ?, ?)
+      `);
+
+      const id = this.transaction(() => {
+        const active = this.getActiveShift();
+        if (active) {
+          throw new Error(`Shift ${active.id} has been open since ${active.opened_at}`);
+        }
+
+        // The profile is missing until master data has synced once; the
+        // company is then looked up when the opening entry is sent.
+        const profile = this.getMasterDataRecord('POS Profile', posProfile);
+        const shiftId = insertShift.run(
+          posProfile,
+          profile?.company ?? null,
+          cashier
+        ).lastInsertRowid;
+
+        const opening = new Map(
+          (profile?.payments || []).map((payment) => [payment.mode_of_payment, 0])
+        );
+        openingAmounts.forEach(({ modeOfPayment, amount }) =>
+          opening.set(modeOfPayment, invoiceCalculator.round(amount))
+        );
+        for (const [modeOfPayment, amount] of opening) {
+          insertPayment.run(shiftId, modeOfPayment, amount);
+        }
+
+        this.enqueueSync('pos_shifts', shiftId, 'CREATE');
+        return shiftId;
+      });
+
+      logger.info(MODULE, 'Shift opened', { id, posProfile, cashier });
+      return id;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to open shift', { error: error.message, posProfile, cashier });
+      throw error;
+    }
+  }
+
+  calculateExpectedAmounts(shiftId) {
+    const expected = new Map(
+      this.getShiftPayments(shiftId).map((row) => [row.mode_of_payment, row.opening_amount])
+    );
+    // Only posted invoices have put money in the drawer; drafts may still be
+    // dropped or paid differently.
+    const payments = this.db
+      .prepare(
+        `SELECT p.invoice_id, p.mode_of_payment, p.type, p.amount, si.change_amount
+         FROM payments p
+         JOIN sales_invoices si ON p.invoice_id = si.id
+         WHERE si.shift_id = ? AND si.status IN (${POSTED_STATUSES.map(() => '?').join(', ')})
+         ORDER BY p.id`
+      )
+      .all(shiftId, ...POSTED_STATUSES);
+
+    // Change goes back out of the drawer, through the first cash payment.
+    const changeGiven = new Set();
+    for (const payment of payments) {
+      let amount = payment.amount;
+      if (payment.type === 'Cash' && !changeGiven.has(payment.invoice_id)) {
+        amount -= payment.change_amount;
+        changeGiven.add(payment.invoice_id);
+      }
+      expected.set(
+        payment.mode_of_payment,
+        invoiceCalculator.round((expected.get(payment.mode_of_payment) || 0) + amount)
+      );
+    }
+    return expected;
+  }
+
+  getShiftSummary(shiftId) {
+    try {
+      const shift = this.getShift(shiftId);
+      if (!shift) return null;
+
+      const openingAmounts = new Map(
+        this.getShiftPayments(shiftId).map((row) => [row.mode_of_payment, row.opening_amount])
+      );
+      const invoices = this.getShiftInvoices(shiftId);
+      const draftInvoices = this.db
+        .prepare(
+          `SELECT COUNT(*) FROM sales_invoices
+           WHERE shift_id = ? AND status = 'draft'`
+        )
+        .pluck()
+        .get(shiftId);
+
+      return {
+        shift,
+        invoices: invoices.length,
+        draftInvoices,
+        grandTotal: invoiceCalculator.round(
+          invoices.reduce((sum, invoice) => sum + (invoice.rounded_total || invoice.grand_total), 0)
+        ),
+        payments: [...this.calculateExpectedAmounts(shiftId)].map(
+          ([modeOfPayment, expectedAmount]) => ({
+            modeOfPayment,
+            openingAmount: openingAmounts.get(modeOfPayment) || 0,
+            expectedAmount,
+          })
+        ),
+      };
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get shift summary', { error: error.message, shiftId });
+      throw error;
+    }
+  }
+
+  closeShift(shiftId, countedAmounts = []) {
+    try {
+      this.validateShiftAmounts(countedAmounts, 'counted');
+
+      const reconcile = this.db.prepare(`
+        INSERT INTO pos_shift_payments
+          (shift_id, mode_of_payment, expected_amount, closing_amount, difference)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(shift_id, mode_of_payment) DO UPDATE SET
+          expected_amount = excluded.expected_amount,
+          closing_amount = excluded.closing_amount,
+          difference = excluded.difference
+      `);
+      const closeStmt = this.db.prepare(`
+        UPDATE pos_shifts SET status = 'closed', closed_at = datetime('now', 'localtime')
+        WHERE id = ?
+      `);
+      const insertClosing = this.db.prepare(`
+        INSERT INTO pos_shift_closings (shift_id) VALUES (?)
+      `);
+
+      const reconciliation = this.transaction(() => {
+        const shift = this.getShift(shiftId);
+        if (!shift) {
+          throw new Error(`Shift with id ${shiftId} not found`);
+        }
+        if (shift.status === 'closed') {
+          throw new Error(`Shift ${shiftId} is already closed`);
+        }
+
+        const summary = this.getShiftSummary(shiftId);
+        if (summary.draftInvoices > 0) {
+          throw new Error(
+            `Shift ${shiftId} has ${summary.draftInvoices} draft invoices; submit or cancel them before closing`
+          );
+        }
+
+        const expected = this.calculateExpectedAmounts(shiftId);
+        const counted = new Map(
+          countedAmounts.map(({ modeOfPayment, amount }) => [modeOfPayment, amount])
+        );
+        for (const modeOfPayment of new Set([...expected.keys(), ...counted.keys()])) {
+          const expectedAmount = expected.get(modeOfPayment) || 0;
+          const closingAmount = invoiceCalculator.round(counted.get(modeOfPayment) || 0);
+          reconcile.run(
+            shiftId,
+            modeOfPayment,
+            expectedAmount,
+            closingAmount,
+            invoiceCalculator.round(closingAmount - expectedAmount)
+          );
+        }
+
+        closeStmt.run(shiftId);
+        const closingId = insertClosing.run(shiftId).lastInsertRowid;
+        this.enqueueSync('pos_shift_closings', closingId, 'CREATE');
+        return this.getShiftPayments(shiftId);
+      });
+
+      logger.info(MODULE, 'Shift closed', {
+        id: shiftId,
+        differences: reconciliation
+          .filter((row) => row.difference !== 0)
+          .map((row) => ({ modeOfPayment: row.mode_of_payment, difference: row.difference })),
+      });
+      return reconciliation;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to close shift', { error: error.message, shiftId });
+      throw error;
+    }
+  }
+
+  // Master data operations
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  upsertItemFromServer(item) {
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO items
+          (name, sku, erpnext_name, is_stock_item, stock_uom, item_group, brand, modified)
+        VALUES
+          (@name, @sku, @erpnextName, @isStockItem, @stockUom, @itemGroup, @brand, @modified)
+        ON CONFLICT(sku) DO UPDATE SET
+          name = excluded.name,
+          erpnext_name = excluded.erpnext_name,
+          is_stock_item = excluded.is_stock_item,
+          stock_uom = excluded.stock_uom,
+          item_group = excluded.item_group,
+          brand = excluded.brand,
+          modified = excluded.modified
+      `);
+      const sku = item.item_code || item.name;
+      this.transaction(() => {
+        stmt.run({
+          name: item.item_name || item.name,
+          sku,
+          erpnextName: item.name,
+          isStockItem: item.is_stock_item ?? 1,
+          stockUom: item.stock_uom || null,
+          itemGroup: item.item_group || null,
+          brand: item.brand || null,
+          modified: item.modified || null,
+        });
+
+        // Full documents carry the barcodes; a barcode in another unit sells
+        // that unit's conversion factor of the stock unit.
+        if (Array.isArray(item.barcodes)) {
+          const factors = new Map((item.uoms || []).map((row) => [row.uom, row.conversion_factor]));
+          const itemId = this.db.prepare('SELECT id FROM items WHERE sku = ?').pluck().get(sku);
+          this.replaceItemBarcodes(
+            itemId,
+            item.barcodes.map((row) => ({
+              barcode: row.barcode,
+              barcodeType: row.barcode_type || null,
+              uom: row.uom || null,
+              conversionFactor: factors.get(row.uom) || 1,
+            }))
+          );
+        }
+      });
+      return true;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to upsert item', { error: error.message, name: item.name });
+      throw error;
+    }
+  }
+
+  upsertCustomerFromServer(customer) {
+    try {
+      // ERPNext allows several customers to share an email address, the local
+      // table does not; the later customer is stored without one.
+      const stmt = this.db.prepare(`
+        INSERT INTO customers
+          (name, email, phone, erpnext_name, customer_group, default_price_list, loyalty_program,
+           loyalty_program_tier, modified)
+        VALUES (
+          @name,
+          CASE WHEN EXISTS (
+            SELECT 1 FROM customers WHERE email = @email AND erpnext_name IS NOT @erpnextName
+          ) THEN NULL ELSE @email END,
+          @phone,
+          @erpnextName,
+          @customerGroup,
+          @defaultPriceList,
+          @loyaltyProgram,
+          @loyaltyProgramTier,
+          @modified
+        )
+        ON CONFLICT(erpnext_name) DO UPDATE SET
+          name = excluded.name,
+          email = excluded.email,
+          phone = excluded.phone,
+          customer_group = excluded.customer_group,
+          default_price_list = excluded.default_price_list,
+          loyalty_program = excluded.loyalty_program,
+          loyalty_program_tier = excluded.loyalty_program_tier,
+          modified = excluded.modified
+      `);
+      stmt.run({
+        name: customer.customer_name || customer.name,
+        email: customer.email_id || null,
+        phone: customer.mobile_no || null,
+        erpnextName: customer.name,
+        customerGroup: customer.customer_group || null,
+        defaultPriceList: customer.default_price_list || null,
+        loyaltyProgram: customer.loyalty_program || null,
+        loyaltyProgramTier: customer.loyalty_program_tier || null,
+        modified: customer.modified || null,
+      });
+      return true;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to upsert customer', {
+        error: error.message,
+        name: customer.name,
+      });
+      throw error;
+    }
+  }
+
+  setItemPrice(sku, price) {
+    try {
+      const stmt = this.db.prepare('UPDATE items SET price = ? WHERE sku = ?');
+      return stmt.run(price, sku).changes > 0;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to set item price', { error: error.message, sku });
+      throw error;
+    }
+  }
+
+  upsertMasterData(doctype, record) {
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO master_data (doctype, name, data, modified, synced_at)
+        VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(doctype, name) DO UPDATE SET
+          data = excluded.data,
+          modified = excluded.modified,
+          synced_at = CURRENT_TIMESTAMP
+      `);
+      stmt.run(doctype, record.name, JSON.stringify(record), record.modified || null);
+      return true;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to upsert master data', {
+        error: error.message,
+        doctype,
+        name: record.name,
+      });
+      throw error;
+    }
+  }
+
+  getMasterDataRecord(doctype, name) {
+    try {
+      const stmt = this.db.prepare('SELECT data FROM master_data WHERE doctype = ? AND name = ?');
+      const result = stmt.get(doctype, name);
+      return result ? JSON.parse(result.data) : null;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get master data record', {
+        error: error.message,
+        doctype,
+        name,
+      });
+      throw error;
+    }
+  }
+
+  deleteMasterData(doctype, name) {
+    try {
+      const stmt = this.db.prepare('DELETE FROM master_data WHERE doctype = ? AND name = ?');
+      return stmt.run(doctype, name).changes > 0;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to delete master data', { error: error.message, doctype, name });
+      throw error;
+    }
+  }
+
+  deleteItemFromServer(erpnextName) {
+    try {
+      // Items on local invoices cannot be deleted; they are unlinked instead so
+      // the invoice history keeps its lines.
+      const used = this.db
+        .prepare(
+          `SELECT 1 FROM invoice_items
+           WHERE item_id = (SELECT id FROM items WHERE erpnext_name = ?) LIMIT 1`
+        )
+        .get(erpnextName);
+
+      const stmt = used
+        ? this.db.prepare('UPDATE items SET erpnext_name = NULL WHERE erpnext_name = ?')
+        : this.db.prepare('DELETE FROM items WHERE erpnext_name = ?');
+      return stmt.run(erpnextName).changes > 0;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to delete item', { error: error.message, erpnextName });
+      throw error;
+    }
+  }
+
+  deleteCustomerFromServer(erpnextName) {
+    try {
+      const stmt = this.db.prepare('DELETE FROM customers WHERE erpnext_name = ?');
+      return stmt.run(erpnextName).changes > 0;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to delete customer', { error: error.message, erpnextName });
+      throw error;
+    }
+  }
+
+  upsertStockBin(bin, fetchedAt = new Date()) {
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO stock_bins (name, item_code, warehouse, actual_qty, modified, synced_at)
+        VALUES (@name, @itemCode, @warehouse, @actualQty, @modified, CURRENT_TIMESTAMP)
+        ON CONFLICT(item_code, warehouse) DO UPDATE SET
+          name = excluded.name,
+          actual_qty = excluded.actual_qty,
+          modified = excluded.modified,
+          synced_at = CURRENT_TIMESTAMP
+      `);
+      // The Bin already includes every local invoice ERPNext had booked when
+      // it was fetched: synced after it was posted, before the fetch, and
+      // with nothing left in the outbox.
+      const reconcile = this.db.prepare(`
+        UPDATE stock_ledger SET reconciled = 1
+        WHERE item_code = @itemCode AND warehouse = @warehouse AND reconciled = 0
+          AND invoice_id IN (
+            SELECT si.id FROM sales_invoices si
+            WHERE si.synced_at >= stock_ledger.posted_at AND si.synced_at < @fetchedAt
+              AND NOT EXISTS (
+                SELECT 1 FROM sync_queue sq
+                WHERE sq.local_table = 'sales_invoices' AND sq.local_id = si.id
+                  AND sq.status IN ('pending', 'processing', 'failed')
+              )
+          )
+      `);
+      const params = {
+        name: bin.name,
+        itemCode: bin.item_code,
+        warehouse: bin.warehouse,
+        actualQty: bin.actual_qty || 0,
+        modified: bin.modified || null,
+        fetchedAt: fetchedAt.toISOString().replace('T', ' ').slice(0, 19),
+      };
+      this.transaction(() => {
+        stmt.run(params);
+        reconcile.run(params);
+      });
+      return true;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to upsert stock bin', { error: error.message, name: bin.name });
+      throw error;
+    }
+  }
+
+  deleteStockBinFromServer(name) {
+    try {
+      const stmt = this.db.prepare('DELETE FROM stock_bins WHERE name = ?');
+      return stmt.run(name).changes > 0;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to delete stock bin', { error: error.message, name });
+      throw error;
+    }
+  }
+
+  upsertItemPrice(price) {
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO item_prices
+          (name, item_code, price_list, price_list_rate, currency, uom, customer, selling,
+           valid_from, valid_upto, modified, synced_at)
+        VALUES
+          (@name, @itemCode, @priceList, @priceListRate, @currency, @uom, @customer, @selling,
+           @validFrom, @validUpto, @modified, CURRENT_TIMESTAMP)
+        ON CONFLICT(name) DO UPDATE SET
+          item_code = excluded.item_code,
+          price_list = excluded.price_list,
+          price_list_rate = excluded.price_list_rate,
+          currency = excluded.currency,
+          uom = excluded.uom,
+          customer = excluded.customer,
+          selling = excluded.selling,
+          valid_from = excluded.valid_from,
+          valid_upto = excluded.valid_upto,
+          modified = excluded.modified,
+          synced_at = CURRENT_TIMESTAMP
+      `);
+      stmt.run({
+        name: price.name,
+        itemCode: price.item_code,
+        priceList: price.price_list,
+        priceListRate: price.price_list_rate || 0,
+        currency: price.currency || null,
+        uom: price.uom || null,
+        customer: price.customer || null,
+        selling: price.selling ?? 1,
+        validFrom: price.valid_from || null,
+        validUpto: price.valid_upto || null,
+        modified: price.modified || null,
+      });
+      return true;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to upsert item price', {
+        error: error.message,
+        name: price.name,
+      });
+      throw error;
+    }
+  }
+
+  getItemPrice(name) {
+    try {
+      const stmt = this.db.prepare('SELECT * FROM item_prices WHERE name = ?');
+      return stmt.get(name) || null;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get item price', { error: error.message, name });
+      throw error;
+    }
+  }
+
+  deleteItemPriceFromServer(name) {
+    try {
+      const stmt = this.db.prepare('DELETE FROM item_prices WHERE name = ?');
+      return stmt.run(name).changes > 0;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to delete item price', { error: error.message, name });
+      throw error;
+    }
+  }
+
+  upsertPricingRule(rule) {
+    try {
+      const applyOn = rule.apply_on || 'Item Code';
+      const target = RULE_TARGETS[applyOn];
+      const rateOrDiscount = rule.rate_or_discount || 'Discount Percentage';
+      // Only enabled selling rules that change the price matter to the till;
+      // anything else is dropped in case an earlier version was kept.
+      if (
+        rule.disable ||
+        rule.selling === 0 ||
+        (rule.price_or_product_discount || 'Price') !== 'Price' ||
+        !RATE_OR_DISCOUNT.includes(rateOrDiscount) ||
+        !target
+      ) {
+        this.deletePricingRuleFromServer(rule.name);
+        return false;
+      }
+
+      const stmt = this.db.prepare(`
+        INSERT INTO pricing_rules
+          (name, title, apply_on, applicable_for, customer, customer_group, for_price_list,
+           min_qty, max_qty, min_amt, max_amt, valid_from, valid_upto, priority,
+           rate_or_discount, rate, discount_percentage, discount_amount, modified, synced_at)
+        VALUES
+          (@name, @title, @applyOn, @applicableFor, @customer, @customerGroup, @forPriceList,
+           @minQty, @maxQty, @minAmt, @maxAmt, @validFrom, @validUpto, @priority,
+           @rateOrDiscount, @rate, @discountPercentage, @discountAmount, @modified,
+           CURRENT_TIMESTAMP)
+        ON CONFLICT(name) DO UPDATE SET
+          title = excluded.title,
+          apply_on = excluded.apply_on,
+          applicable_for = excluded.applicable_for,
+          customer = excluded.customer,
+          customer_group = excluded.customer_group,
+          for_price_list = excluded.for_price_list,
+          min_qty = excluded.min_qty,
+          max_qty = excluded.max_qty,
+          min_amt = excluded.min_amt,
+          max_amt = excluded.max_amt,
+          valid_from = excluded.valid_from,
+          valid_upto = excluded.valid_upto,
+          priority = excluded.priority,
+          rate_or_discount = excluded.rate_or_discount,
+          rate = excluded.rate,
+          discount_percentage = excluded.discount_percentage,
+          discount_amount = excluded.discount_amount,
+          modified = excluded.modified,
+          synced_at = CURRENT_TIMESTAMP
+      `);
+      const insertTarget = this.db.prepare(`
+        INSERT OR IGNORE INTO pricing_rule_targets (rule_name, target) VALUES (?, ?)
+      `);
+      // Targets are in a child table; rules from before it existed name one
+      // target on the rule itself.
+      const targets = (rule[target.table] || []).map((row) => row[target.field]);
+      if (rule[target.field]) targets.push(rule[target.field]);
+
+      this.transaction(() => {
+        stmt.run({
+          name: rule.name,
+          title: rule.title || null,
+          applyOn,
+          applicableFor: rule.applicable_for || null,
+          customer: rule.customer || null,
+          customerGroup: rule.customer_group || null,
+          forPriceList: rule.for_price_list || null,
+          minQty: rule.min_qty || 0,
+          maxQty: rule.max_qty || 0,
+          minAmt: rule.min_amt || 0,
+          maxAmt: rule.max_amt || 0,
+          validFrom: rule.valid_from || null,
+          validUpto: rule.valid_upto || null,
+          priority: parseInt(rule.priority) || 0,
+          rateOrDiscount,
+          rate: rule.rate || 0,
+          discountPercentage: rule.discount_percentage || 0,
+          discountAmount: rule.discount_amount || 0,
+          modified: rule.modified || null,
+        });
+        this.db.prepare('DELETE FROM pricing_rule_targets WHERE rule_name = ?').run(rule.name);
+        targets.filter(Boolean).forEach((value) => insertTarget.run(rule.name, value));
+      });
+      return true;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to upsert pricing rule', {
+        error: error.message,
+        name: rule.name,
+      });
+      throw error;
+    }
+  }
+
+  deletePricingRuleFromServer(name) {
+    try {
+      const stmt = this.db.prepare('DELETE FROM pricing_rules WHERE name = ?');
+      return stmt.run(name).changes > 0;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to delete pricing rule', { error: error.message, name });
+      throw error;
+    }
+  }
+
+  upsertLoyaltyProgram(program) {
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO loyalty_programs
+          (name, program_name, program_type, customer_group, from_date, to_date,
+           conversion_factor, expiry_duration, auto_opt_in, expense_account, cost_center,
+           modified, synced_at)
+        VALUES
+          (@name, @programName, @programType, @customerGroup, @fromDate, @toDate,
+           @conversionFactor, @expiryDuration, @autoOptIn, @expenseAccount, @costCenter,
+           @modified, CURRENT_TIMESTAMP)
+        ON CONFLICT(name) DO UPDATE SET
+          program_name = excluded.program_name,
+          program_type = excluded.program_type,
+          customer_group = excluded.customer_group,
+          from_date = excluded.from_date,
+          to_date = excluded.to_date,
+          conversion_factor = excluded.conversion_factor,
+          expiry_duration = excluded.expiry_duration,
+          auto_opt_in = excluded.auto_opt_in,
+          expense_account = excluded.expense_account,
+          cost_center = excluded.cost_center,
+          modified = excluded.modified,
+          synced_at = CURRENT_TIMESTAMP
+      `);
+      const insertTier = this.db.prepare(`
+        INSERT OR REPLACE INTO loyalty_program_tiers
+          (loyalty_program, tier_name, min_spent, collection_factor)
+        VALUES (?, ?, ?, ?)
+      `);
+      this.transaction(() => {
+        stmt.run({
+          name: program.name,
+          programName: program.loyalty_program_name || program.name,
+          programType: program.loyalty_program_type || null,
+          customerGroup: program.customer_group || null,
+          fromDate: program.from_date || null,
+          toDate: program.to_date || null,
+          conversionFactor: program.conversion_factor || 1,
+          expiryDuration: program.expiry_duration || 0,
+          autoOptIn: program.auto_opt_in ? 1 : 0,
+          expenseAccount: program.expense_account || null,
+          costCenter: program.cost_center || null,
+          modified: program.modified || null,
+        });
+        this.db
+          .prepare('DELETE FROM loyalty_program_tiers WHERE loyalty_program = ?')
+          .run(program.name);
+        (program.collection_rules || []).forEach((rule) => {
+          insertTier.run(
+            program.name,
+            rule.tier_name || program.name,
+            rule.min_spent || 0,
+            rule.collection_factor || 1
+          );
+        });
+      });
+      return true;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to upsert loyalty program', {
+        error: error.message,
+        name: program.name,
+      });
+      throw error;
+    }
+  }
+
+  deleteLoyaltyProgramFromServer(name) {
+    try {
+      const stmt = this.db.prepare('DELETE FROM loyalty_programs WHERE name = ?');
+      return stmt.run(name).changes > 0;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to delete loyalty program', { error: error.message, name });
+      throw error;
+    }
+  }
+
+  upsertLoyaltyPointEntry(entry) {
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO loyalty_point_entries
+          (name, customer, loyalty_program, loyalty_program_tier, loyalty_points,
+           purchase_amount, expiry_date, posting_date, invoice, modified, synced_at)
+        VALUES
+          (@name, @customer, @loyaltyProgram, @loyaltyProgramTier, @loyaltyPoints,
+           @purchaseAmount, @expiryDate, @postingDate, @invoice, @modified, CURRENT_TIMESTAMP)
+        ON CONFLICT(name) DO UPDATE SET
+          customer = excluded.customer,
+          loyalty_program = excluded.loyalty_program,
+          loyalty_program_tier = excluded.loyalty_program_tier,
+          loyalty_points = excluded.loyalty_points,
+          purchase_amount = excluded.purchase_amount,
+          expiry_date = excluded.expiry_date,
+          posting_date = excluded.posting_date,
+          invoice = excluded.invoice,
+          modified = excluded.modified,
+          synced_at = CURRENT_TIMESTAMP
+      `);
+      stmt.run({
+        name: entry.name,
+        customer: entry.customer,
+        loyaltyProgram: entry.loyalty_program,
+        loyaltyProgramTier: entry.loyalty_program_tier || null,
+        loyaltyPoints: entry.loyalty_points || 0,
+        purchaseAmount: entry.purchase_amount || 0,
+        expiryDate: entry.expiry_date || null,
+        postingDate: entry.posting_date || null,
+        invoice: entry.invoice || null,
+        modified: entry.modified || null,
+      });
+      return true;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to upsert loyalty point entry', {
+        error: error.message,
+        name: entry.name,
+      });
+      throw error;
+    }
+  }
+
+  deleteLoyaltyPointEntryFromServer(name) {
+    try {
+      const stmt = this.db.prepare('DELETE FROM loyalty_point_entries WHERE name = ?');
+      return stmt.run(name).changes > 0;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to delete loyalty point entry', { error: error.message, name });
+      throw error;
+    }
+  }
+
+  upsertGiftCardFromServer(card) {
+    try {
+      // ERPNext may not have this till's lock yet; it is sent with the card.
+      const stmt = this.db.prepare(`
+        INSERT INTO gift_cards
+          (code, erpnext_name, balance, currency, status, expiry_date, locked_by, modified,
+           synced_at)
+        VALUES
+          (@code, @erpnextName, @balance, @currency, @status, @expiryDate, @lockedBy, @modified,
+           CURRENT_TIMESTAMP)
+        ON CONFLICT(code) DO UPDATE SET
+          erpnext_name = excluded.erpnext_name,
+          balance = excluded.balance,
+          currency = excluded.currency,
+          status = excluded.status,
+          expiry_date = excluded.expiry_date,
+          locked_by = CASE
+            WHEN excluded.locked_by IS NULL AND gift_cards.locked_by = @tillId
+            THEN gift_cards.locked_by ELSE excluded.locked_by END,
+          modified = excluded.modified,
+          synced_at = CURRENT_TIMESTAMP
+      `);
+      stmt.run({
+        code: card.code || card.name,
+        erpnextName: card.name,
+        balance: card.balance || 0,
+        currency: card.currency || null,
+        status: card.status === 'Disabled' ? 'Disabled' : 'Active',
+        expiryDate: card.expiry_date || null,
+        lockedBy: card.locked_by || null,
+        modified: card.modified || null,
+        tillId: this.tillId,
+      });
+      return true;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to upsert gift card', { error: error.message, name: card.name });
+      throw error;
+    }
+  }
+
+  deleteGiftCardFromServer(erpnextName) {
+    try {
+      const stmt = this.db.prepare('DELETE FROM gift_cards WHERE erpnext_name = ?');
+      return stmt.run(erpnextName).changes > 0;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to delete gift card', { error: error.message, erpnextName });
+      throw error;
+    }
+  }
+
+  getMasterData(doctype) {
+    try {
+      const stmt = this.db.prepare('SELECT data FROM master_data WHERE doctype = ? ORDER BY name');
+      return stmt.all(doctype).map((row) => JSON.parse(row.data));
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get master data', { error: error.message, doctype });
+      throw error;
+    }
+  }
+
+  // Outbox operations
+  enqueueSync(localTable, localId, operation, payload = null) {
+    const doctype = OUTBOX_DOCTYPES[localTable];
+    if (!doctype) {
+      throw new Error(`No outbox doctype for table ${localTable}`);
+    }
+
+    // ERPNext rejects a Sales Invoice without items, so an invoice is queued
+    // for creation with its first line; changes made before that wait for it.
+    if (localTable === 'sales_invoices' && operation !== 'DELETE') {
+      const sent = this.db
+        .prepare(
+          `SELECT 1 FROM sync_queue
+           WHERE local_table = ? AND local_id = ? AND operation = 'CREATE' AND status != 'pending'`
+        )
+        .get(localTable, localId);
+      if (!sent) {
+        const hasLines = this.db
+          .prepare('SELECT 1 FROM invoice_items WHERE invoice_id = ?')
+          .get(localId);
+        if (!hasLines) return null;
+        operation = 'CREATE';
+      }
+    }
+
+    const pending = this.db
+      .prepare(
+        `SELECT id FROM sync_queue
+         WHERE local_table = ? AND local_id = ? AND status = 'pending'
+         ORDER BY id`
+      )
+      .all(localTable, localId);
+
+    if (operation === 'DELETE') {
+      // Pending writes can no longer be built once the row is gone, and a
+      // record that never reached ERPNext has nothing to delete there.
+      this.db
+        .prepare(
+          `DELETE FROM sync_queue
+           WHERE local_table = ? AND local_id = ? AND status = 'pending'`
+        )
+        .run(localTable, localId);
+      if (!payload?.name) return null;
+    } else if (pending.length > 0) {
+      // Bodies are built from the current row when an entry is sent, so one
+      // pending entry already covers this change.
+      return pending[0].id;
+    }
+
+    const stmt = this.db.prepare(`
+      INSERT INTO sync_queue (doctype, local_table, local_id, operation, payload, idempotency_key)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      doctype,
+      localTable,
+      localId,
+      operation,
+      payload ? JSON.stringify(payload) : null,
+      crypto.randomUUID()
+    );
+
+    logger.debug(MODULE, 'Outbox entry added', {
+      id: result.lastInsertRowid,
+      doctype,
+      localId,
+      operation,
+    });
+    return result.lastInsertRowid;
+  }
+
+  getPendingSyncEntries(limit = 20) {
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM sync_queue
+        WHERE status = 'pending'
+        ORDER BY id
+        LIMIT ?
+      `);
+      return stmt.all(limit).map((entry) => ({
+        ...entry,
+        payload: entry.payload ? JSON.parse(entry.payload) : null,
+      }));
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get pending outbox entries', { error: error.message });
+      throw error;
+    }
+  }
+
+  updateSyncEntry(id, status, { errorMessage = null, nextAttemptAt = null, retry = false } = {}) {
+    try {
+      const stmt = this.db.prepare(`
+        UPDATE sync_queue
+        SET status = ?,
+            error_message = ?,
+            next_attempt_at = ?,
+            retry_count = retry_count + ?,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `);
+      return stmt.run(status, errorMessage, nextAttemptAt, retry ? 1 : 0, id).changes > 0;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to update outbox entry', { error: error.message, id, status });
+      throw error;
+    }
+  }
+
+  setSyncEntryVerification(id, needsVerification) {
+    try {
+      const stmt = this.db.prepare(`
+        UPDATE sync_queue SET needs_verification = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `);
+      return stmt.run(needsVerification ? 1 : 0, id).changes > 0;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to set outbox verification flag', {
+        error: error.message,
+        id,
+      });
+      throw error;
+    }
+  }
+
+  resetProcessingSyncEntries() {
+    try {
+      const stmt = this.db.prepare(`
+        UPDATE sync_queue SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'processing'
+      `);
+      return stmt.run().changes;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to reset outbox entries', { error: error.message });
+      throw error;
+    }
+  }
+
+  getServerName(localTable, localId) {
+    try {
+      if (localTable === 'sales_invoices') {
+        const invoice = this.db
+          .prepare('SELECT name, synced_at FROM sales_invoices WHERE id = ?')
+          .get(localId);
+        return invoice && invoice.synced_at ? invoice.name : null;
+      }
+
+      const row = this.db
+        .prepare(`SELECT erpnext_name FROM ${localTable} WHERE id = ?`)
+        .get(localId);
+      return row ? row.erpnext_name : null;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get server name', { error: error.message, localTable });
+      throw error;
+    }
+  }
+
+  linkServerRecord(localTable, localId, serverName, modified = null) {
+    try {
+      // Invoices take the server name, like invoices queued by the interceptor.
+      const stmt =
+        localTable === 'sales_invoices'
+          ? this.db.prepare(`
+              UPDATE sales_invoices SET name = @serverName, synced_at = CURRENT_TIMESTAMP
+              WHERE id = @localId
+            `)
+          : this.db.prepare(`
+              UPDATE ${localTable} SET erpnext_name = @serverName, modified = @modified
+              WHERE id = @localId
+            `);
+      return stmt.run({ serverName, modified, localId }).changes > 0;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to link server record', {
+        error: error.message,
+        localTable,
+        localId,
+        serverName,
+      });
+      throw error;
+    }
+  }
+
+  addSyncLog(queueId, status, httpStatus = null, response = null) {
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO sync_log (queue_id, status, http_status, response) VALUES (?, ?, ?, ?)
+      `);
+      const result = stmt.run(
+        queueId,
+        status,
+        httpStatus,
+        response === null ? null : JSON.stringify(response)
+      );
+      return result.lastInsertRowid;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to add sync log', { error: error.message, queueId });
+      throw error;
+    }
+  }
+
+  getSyncLogs(queueId = null, limit = 100) {
+    try {
+      const stmt = this.db.prepare(`
+        SELECT sl.*, sq.doctype, sq.operation, sq.local_id
+        FROM sync_log sl
+        JOIN sync_queue sq ON sl.queue_id = sq.id
+        WHERE @queueId IS NULL OR sl.queue_id = @queueId
+        ORDER BY sl.id DESC
+        LIMIT @limit
+      `);
+      return stmt.all({ queueId, limit }).map((log) => ({
+        ...log,
+        response: log.response ? JSON.parse(log.response) : null,
+      }));
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get sync logs', { error: error.message });
+      throw error;
+    }
+  }
+
+  getSyncQueueStats() {
+    try {
+      const stmt = this.db.prepare(
+        'SELECT status, COUNT(*) as count FROM sync_queue GROUP BY status'
+      );
+      const stats = { pending: 0, processing: 0, completed: 0, failed: 0 };
+      stmt.all().forEach((row) => {
+        stats[row.status] = row.count;
+      });
+      return stats;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get outbox stats', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Sync metadata operations
+  getSyncMetadata(key) {
+    try {
+      const stmt = this.db.prepare('SELECT value FROM sync_metadata WHERE key = ?');
+      const result = stmt.get(key);
+      return result ? JSON.parse(result.value) : null;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get sync metadata', { error: error.message, key });
+      throw error;
+    }
+  }
+
+  setSyncMetadata(key, value) {
+    try {
+      const stmt = this.db.prepare(`
+        INSERT OR REPLACE INTO sync_metadata (key, value, updated_at)
+        VALUES (?, ?, CURRENT_TIMESTAMP)
+      `);
+      stmt.run(key, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to set sync metadata', { error: error.message, key });
+      throw error;
+    }
+  }
+
+  // Database statistics
+  getStats(db = this.db) {
+    try {
+      const stats = {};
+      // Files from older schema versions may lack some of the tables.
+      const existing = new Set(
+        db.prepare('SELECT name FROM sqlite_master WHERE type = ?').pluck().all('table')
+      );
+
+      const tables = [
+        'customers',
         'items',
         'sales_invoices',
         'invoice_items',
+        'master_data',
+        'offline_requests',
+        'sync_conflicts',
         'sync_queue',
         'sync_log',
-        'conflict_log',
       ];
 
-      tables.forEach((table) => {
-        const stmt = this.db.prepare(`SELECT COUNT(*) as count FROM ${table}`);
-        const result = stmt.get();
-        stats[table] = result.count;
-      });
+      tables
+        .filter((table) => existing.has(table))
+        .forEach((table) => {
+          const stmt = db.prepare(`SELECT COUNT(*) as count FROM ${table}`);
+          const result = stmt.get();
+          stats[table] = result.count;
+        });
 
       return stats;
     } catch (error) {
@@ -0,0 +1,244 @@
+import Database from 'better-sqlite3';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { promisify } from 'util';
+import { logger } from '../logger.js';
+import { databaseBackups } from './backups.js';
+import { databaseMigrations } from './migrations.js';
+import { posDatabase } from './db.js';
+
+const MODULE = 'DatabaseExports';
+const MAGIC = Buffer.from('POSABAK1');
+const FORMAT_VERSION = 1;
+const TAG_LENGTH = 16;
+const MIN_PASSPHRASE_LENGTH = 8;
+const EXPORT_PATTERN = /^posawsome-export-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.db\.enc$/;
+
+const scrypt = promisify(crypto.scrypt);
+
+// File layout: magic | header length (uint32) | JSON header | AES-256-GCM
+// ciphertext | auth tag. The header is authenticated along with the data.
+class DatabaseExports {
+  deriveKey(passphrase, salt) {
+    return scrypt(passphrase, salt, 32);
+  }
+
+  validatePassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(
+        `Backup passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long`
+      );
+    }
+  }
+
+  buildHeader(header) {
+    const json = Buffer.from(JSON.stringify(header));
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(json.length);
+    return Buffer.concat([MAGIC, length, json]);
+  }
+
+  readHeader(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      const { size } = fs.fstatSync(fd);
+      const prefix = Buffer.alloc(MAGIC.length + 4);
+      fs.readSync(fd, prefix, 0, prefix.length, 0);
+      if (!prefix.subarray(0, MAGIC.length).equals(MAGIC)) {
+        throw new Error(`${path.basename(filePath)} is not a POSAwesome backup`);
+      }
+
+      const length = prefix.readUInt32BE(MAGIC.length);
+      if (size <= prefix.length + length + TAG_LENGTH) {
+        throw new Error(`${path.basename(filePath)} is truncated`);
+      }
+      const headerBytes = Buffer.alloc(prefix.length + length);
+      fs.readSync(fd, headerBytes, 0, headerBytes.length, 0);
+
+      const tag = Buffer.alloc(TAG_LENGTH);
+      fs.readSync(fd, tag, 0, TAG_LENGTH, size - TAG_LENGTH);
+
+      return {
+        header: JSON.parse(headerBytes.subarray(prefix.length).toString()),
+        headerBytes,
+        tag,
+        size,
+      };
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  async encryptFile(sourcePath, targetPath, passphrase, createdAt) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await this.deriveKey(passphrase, salt);
+    const header = this.buildHeader({
+      version: FORMAT_VERSION,
+      createdAt,
+      salt: salt.toString('hex'),
+      iv: iv.toString('hex'),
+    });
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(header);
+
+    // Written under another name first, so a destination never holds a
+    // half-written backup under a real backup name.
+    const partialPath = `${targetPath}.partial`;
+    try {
+      fs.writeFileSync(partialPath, header);
+      await pipeline(
+        fs.createReadStream(sourcePath),
+        cipher,
+        fs.createWriteStream(partialPath, { flags: 'a' })
+      );
+      fs.appendFileSync(partialPath, cipher.getAuthTag());
+      fs.renameSync(partialPath, targetPath);
+    } catch (error) {
+      fs.rmSync(partialPath, { force: true });
+      throw error;
+    }
+  }
+
+  async decryptFile(sourcePath, targetPath, passphrase) {
+    const { header, headerBytes, tag, size } = this.readHeader(sourcePath);
+    if (header.version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported backup format version: ${header.version}`);
+    }
+
+    const key = await this.deriveKey(passphrase, Buffer.from(header.salt, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(header.iv, 'hex'));
+    decipher.setAAD(headerBytes);
+    decipher.setAuthTag(tag);
+
+    try {
+      await pipeline(
+        fs.createReadStream(sourcePath, {
+          start: headerBytes.length,
+          end: size - TAG_LENGTH - 1,
+        }),
+        decipher,
+        fs.createWriteStream(targetPath)
+      );
+    } catch (error) {
+      fs.rmSync(targetPath, { force: true });
+      logger.warn(MODULE, 'Failed to decrypt backup', {
+        file: path.basename(sourcePath),
+        error: error.message,
+      });
+      throw new Error('Wrong passphrase or damaged backup file');
+    }
+    return header;
+  }
+
+  async exportTo(destination, passphrase) {
+    if (!posDatabase.initialized || posDatabase.dbPath === ':memory:') {
+      throw new Error('No database file to export');
+    }
+    this.validatePassphrase(passphrase);
+
+    const createdAt = new Date().toISOString();
+    const fileName = `posawsome-export-${createdAt.replace(/[:.]/g, '-')}.db.enc`;
+    const exportPath = path.join(destination, fileName);
+    const snapshotPath = `${posDatabase.dbPath}.export`;
+
+    try {
+      fs.mkdirSync(destination, { recursive: true });
+      await databaseBackups.snapshot(snapshotPath);
+      await this.encryptFile(snapshotPath, exportPath, passphrase, createdAt);
+
+      const { size } = fs.statSync(exportPath);
+      logger.info(MODULE, 'Encrypted backup exported', { exportPath, size });
+      return { fileName, path: exportPath, createdAt, size };
+    } catch (error) {
+      logger.error(MODULE, 'Failed to export encrypted backup', {
+        destination,
+        error: error.message,
+      });
+      throw error;
+    } finally {
+      fs.rmSync(snapshotPath, { force: true });
+    }
+  }
+
+  pruneExports(destination, retention) {
+    if (!fs.existsSync(destination)) return 0;
+
+    // Timestamped names sort oldest first. Other files are left alone.
+    const expired = fs
+      .readdirSync(destination)
+      .filter((fileName) => EXPORT_PATTERN.test(fileName))
+      .sort()
+      .reverse()
+      .slice(retention);
+
+    expired.forEach((fileName) => {
+      fs.rmSync(path.join(destination, fileName), { force: true });
+    });
+
+    if (expired.length > 0) {
+      logger.info(MODULE, 'Old encrypted backups removed', { destination, count: expired.length });
+    }
+    return expired.length;
+  }
+
+  describeDatabase(filePath, label) {
+    databaseBackups.verifyFileIntegrity(filePath, label);
+
+    const schemaVersion = databaseBackups.readSchemaVersion(filePath);
+    if (!schemaVersion) {
+      throw new Error(`${label} is not a POSAwesome database`);
+    }
+
+    const migrations = databaseMigrations.getMigrations();
+    const latest = migrations[migrations.length - 1].version;
+    if (parseInt(schemaVersion) > parseInt(latest)) {
+      throw new Error(
+        `${label} was made by a newer version of POSAwesome (schema ${schemaVersion})`
+      );
+    }
+
+    const db = new Database(filePath, { readonly: true, fileMustExist: true });
+    try {
+      return { schemaVersion, stats: posDatabase.getStats(db) };
+    } finally {
+      db.close();
+    }
+  }
+
+  async withDecryptedCopy(filePath, passphrase, callback) {
+    const workPath = `${posDatabase.dbPath}.import`;
+    try {
+      const header = await this.decryptFile(filePath, workPath, passphrase);
+      const label = `Backup ${path.basename(filePath)}`;
+      const manifest = {
+        fileName: path.basename(filePath),
+        createdAt: header.createdAt,
+        ...this.describeDatabase(workPath, label),
+      };
+      return await callback(manifest, workPath, label);
+    } finally {
+      fs.rmSync(workPath, { force: true });
+    }
+  }
+
+  async inspectExport(filePath, passphrase) {
+    return this.withDecryptedCopy(filePath, passphrase, (manifest) => manifest);
+  }
+
+  async importExport(filePath, passphrase) {
+    return this.withDecryptedCopy(filePath, passphrase, async (manifest, workPath, label) => {
+      const { safetyBackup } = await databaseBackups.restoreFile(workPath, label);
+      logger.info(MODULE, 'Encrypted backup imported', {
+        fileName: manifest.fileName,
+        schemaVersion: manifest.schemaVersion,
+      });
+      return { ...manifest, safetyBackup };
+    });
+  }
+}
+
+export const databaseExports = new DatabaseExports();
@@ -1,18 +1,24 @@
 // Database module exports
 export { posDatabase } from './db.js';
 export { databaseMigrations } from './migrations.js';
+export { databaseBackups } from './backups.js';
+export { invoiceCalculator } from './invoiceCalculator.js';
 
 // Initialize database on module load
 import { databaseMigrations } from './migrations.js';
 
-let initialized = false;
+let initialization = null;
 
 export async function initializeDatabase() {
-  if (!initialized) {
-    await databaseMigrations.initialize();
-    initialized = true;
+  if (!initialization) {
+    initialization = databaseMigrations.initialize().then((initialized) => {
+      if (!initialized) {
+        throw new Error('Database migrations failed, see the log for details');
+      }
+      return initialized;
+    });
   }
-  return initialized;
+  return initialization;
 }
 
 // Auto-initialize when imported in main process
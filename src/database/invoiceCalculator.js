@@ -0,0 +1,415 @@
+// Invoice totals computed the way ERPNext's taxes_and_totals controller does,
+// step for step, so local totals match the ones ERPNext computes on sync.
+
+export const CHARGE_TYPES = ['On Net Total', 'On Previous Row Amount', 'On Previous Row Total'];
+export const DISCOUNT_TARGETS = ['Grand Total', 'Net Total'];
+export const ROUNDING_METHODS = ['bankers', 'commercial'];
+export const PAYMENT_TYPES = ['Cash', 'Bank', 'General', 'Phone'];
+
+class InvoiceCalculator {
+  constructor() {
+    this.precision = parseInt(process.env.INVOICE_PRECISION || '2');
+    this.roundingMethod = process.env.INVOICE_ROUNDING_METHOD || 'bankers';
+    // ERPNext rounds to whole units when the currency has no smallest fraction.
+    this.smallestCurrencyFraction = parseFloat(
+      process.env.INVOICE_SMALLEST_CURRENCY_FRACTION || '0.01'
+    );
+  }
+
+  // Frappe's flt(value, precision). Banker's rounding is Frappe's default; both
+  // methods first round to 8 places so float noise does not decide the result.
+  round(value, precision = this.precision) {
+    const multiplier = 10 ** precision;
+    const scaled = Number((value * multiplier).toFixed(8));
+
+    if (this.roundingMethod === 'commercial') {
+      return (Math.sign(scaled) * Math.round(Math.abs(scaled))) / multiplier;
+    }
+
+    const floor = Math.floor(scaled);
+    if (scaled - floor === 0.5) {
+      return (floor + (((floor % 2) + 2) % 2)) / multiplier;
+    }
+    return Math.round(scaled) / multiplier;
+  }
+
+  validateTaxes(taxes) {
+    taxes.forEach((tax, index) => {
+      const idx = index + 1;
+      if (!CHARGE_TYPES.includes(tax.chargeType)) {
+        throw new Error(`Invalid charge type in tax row ${idx}: ${tax.chargeType}`);
+      }
+      if (tax.chargeType === 'On Net Total') return;
+
+      if (idx === 1) {
+        throw new Error(`Tax row 1 cannot use charge type '${tax.chargeType}'`);
+      }
+      if (!Number.isInteger(tax.rowId) || tax.rowId < 1 || tax.rowId >= idx) {
+        throw new Error(`Tax row ${idx} must refer to an earlier row`);
+      }
+      if (!tax.includedInPrintRate) return;
+
+      const referenced =
+        tax.chargeType === 'On Previous Row Amount'
+          ? [taxes[tax.rowId - 1]]
+          : taxes.slice(0, tax.rowId);
+      if (referenced.some((row) => !row.includedInPrintRate)) {
+        throw new Error(
+          `To include tax in row ${idx} in the item rate, the taxes it refers to must also be included`
+        );
+      }
+    });
+  }
+
+  validateItem(item, idx) {
+    if (item.discountPercentage < 0 || item.discountPercentage > 100) {
+      throw new Error(`Invalid discount percentage on item row ${idx}`);
+    }
+    if (item.discountAmount < 0 || item.discountAmount > item.priceListRate) {
+      throw new Error(`Invalid discount amount on item row ${idx}`);
+    }
+  }
+
+  calculate(invoice) {
+    const doc = {
+      applyDiscountOn: invoice.applyDiscountOn || 'Grand Total',
+      additionalDiscountPercentage: invoice.additionalDiscountPercentage || 0,
+      discountAmount: invoice.discountAmount || 0,
+      disableRoundedTotal: !!invoice.disableRoundedTotal,
+      items: (invoice.items || []).map((item) => ({
+        qty: item.qty,
+        priceListRate: item.priceListRate,
+        discountPercentage: item.discountPercentage || 0,
+        discountAmount: item.discountAmount || 0,
+      })),
+      taxes: (invoice.taxes || []).map((tax) => ({
+        chargeType: tax.chargeType,
+        rate: tax.rate || 0,
+        rowId: tax.rowId ?? null,
+        includedInPrintRate: !!tax.includedInPrintRate,
+      })),
+    };
+
+    if (!DISCOUNT_TARGETS.includes(doc.applyDiscountOn)) {
+      throw new Error(`Invalid discount target: ${doc.applyDiscountOn}`);
+    }
+    if (doc.additionalDiscountPercentage < 0 || doc.additionalDiscountPercentage > 100) {
+      throw new Error('Invalid invoice discount percentage');
+    }
+    doc.items.forEach((item, index) => this.validateItem(item, index + 1));
+    this.validateTaxes(doc.taxes);
+
+    this.calculatePass(doc, false);
+    this.setDiscountAmount(doc);
+    this.applyDiscountAmount(doc);
+    this.setRoundedTotal(doc);
+
+    return {
+      items: doc.items.map((item) => ({
+        rate: item.rate,
+        discountAmount: item.discountAmount,
+        amount: item.amount,
+        netRate: item.netRate,
+        netAmount: item.netAmount,
+      })),
+      taxes: doc.taxes.map((tax) => ({
+        taxAmount: tax.taxAmount,
+        taxAmountAfterDiscountAmount: tax.taxAmountAfterDiscountAmount,
+        total: tax.total,
+      })),
+      total: doc.total,
+      netTotal: doc.netTotal,
+      discountAmount: doc.discountAmount,
+      totalTaxesAndCharges: doc.totalTaxesAndCharges,
+      grandTotal: doc.grandTotal,
+      roundingAdjustment: doc.roundingAdjustment,
+      roundedTotal: doc.roundedTotal,
+    };
+  }
+
+  calculatePass(doc, discountApplied) {
+    doc.discountApplied = discountApplied;
+    if (!discountApplied) {
+      this.calculateItemValues(doc);
+    }
+    this.initializeTaxes(doc);
+    this.determineExclusiveRate(doc);
+    this.calculateNetTotal(doc);
+    this.calculateTaxes(doc);
+    this.adjustGrandTotalForInclusiveTax(doc);
+    this.calculateTotals(doc);
+  }
+
+  calculateItemValues(doc) {
+    doc.items.forEach((item) => {
+      if (item.discountPercentage === 100) {
+        item.rate = 0;
+        item.discountAmount = item.priceListRate;
+      } else if (item.discountPercentage) {
+        item.rate = this.round(item.priceListRate * (1 - item.discountPercentage / 100));
+        item.discountAmount = this.round((item.priceListRate * item.discountPercentage) / 100);
+      } else {
+        item.rate = this.round(item.priceListRate - item.discountAmount);
+      }
+
+      item.amount = this.round(item.rate * item.qty);
+      item.netRate = item.rate;
+      item.netAmount = item.amount;
+    });
+  }
+
+  initializeTaxes(doc) {
+    const keepTaxAmount = doc.discountApplied && doc.applyDiscountOn === 'Grand Total';
+
+    doc.taxes.forEach((tax) => {
+      tax.total = 0;
+      tax.taxAmountAfterDiscountAmount = 0;
+      tax.taxAmountForCurrentItem = 0;
+      tax.grandTotalForCurrentItem = 0;
+      tax.taxFractionForCurrentItem = 0;
+      tax.grandTotalFractionForCurrentItem = 0;
+      // The discount is taken off the tax after discount only; the tax
+      // amount keeps its value from before the grand total discount.
+      if (!keepTaxAmount) {
+        tax.taxAmount = 0;
+      }
+    });
+  }
+
+  determineExclusiveRate(doc) {
+    if (!doc.taxes.some((tax) => tax.includedInPrintRate)) return;
+
+    doc.items.forEach((item) => {
+      let cumulatedTaxFraction = 0;
+
+      doc.taxes.forEach((tax, index) => {
+        tax.taxFractionForCurrentItem = this.getCurrentTaxFraction(doc, tax);
+        tax.grandTotalFractionForCurrentItem =
+          (index === 0 ? 1 : doc.taxes[index - 1].grandTotalFractionForCurrentItem) +
+          tax.taxFractionForCurrentItem;
+        cumulatedTaxFraction += tax.taxFractionForCurrentItem;
+      });
+
+      if (!doc.discountApplied && item.qty && cumulatedTaxFraction) {
+        item.netAmount = this.round(item.amount / (1 + cumulatedTaxFraction));
+        item.netRate = this.round(item.netAmount / item.qty);
+      }
+    });
+  }
+
+  getCurrentTaxFraction(doc, tax) {
+    if (!tax.includedInPrintRate) return 0;
+
+    if (tax.chargeType === 'On Net Total') {
+      return tax.rate / 100;
+    }
+    const referenced = doc.taxes[tax.rowId - 1];
+    if (tax.chargeType === 'On Previous Row Amount') {
+      return (tax.rate / 100) * referenced.taxFractionForCurrentItem;
+    }
+    return (tax.rate / 100) * referenced.grandTotalFractionForCurrentItem;
+  }
+
+  calculateNetTotal(doc) {
+    doc.total = this.round(doc.items.reduce((sum, item) => sum + item.amount, 0));
+    doc.netTotal = this.round(doc.items.reduce((sum, item) => sum + item.netAmount, 0));
+  }
+
+  getCurrentTaxAmount(doc, item, tax) {
+    if (tax.chargeType === 'On Net Total') {
+      return (tax.rate / 100) * item.netAmount;
+    }
+    const referenced = doc.taxes[tax.rowId - 1];
+    if (tax.chargeType === 'On Previous Row Amount') {
+      return (tax.rate / 100) * referenced.taxAmountForCurrentItem;
+    }
+    return (tax.rate / 100) * referenced.grandTotalForCurrentItem;
+  }
+
+  calculateTaxes(doc) {
+    const keepTaxAmount = doc.discountApplied && doc.applyDiscountOn === 'Grand Total';
+    const lastItem = doc.items.length - 1;
+
+    doc.items.forEach((item, itemIndex) => {
+      doc.taxes.forEach((tax, index) => {
+        const currentTaxAmount = this.getCurrentTaxAmount(doc, item, tax);
+
+        if (!keepTaxAmount) {
+          tax.taxAmount += currentTaxAmount;
+        }
+        tax.taxAmountForCurrentItem = currentTaxAmount;
+        tax.taxAmountAfterDiscountAmount += currentTaxAmount;
+        tax.grandTotalForCurrentItem =
+          (index === 0 ? item.netAmount : doc.taxes[index - 1].grandTotalForCurrentItem) +
+          currentTaxAmount;
+
+        // Totals are rounded once, after the last item.
+        if (itemIndex === lastItem) {
+          tax.taxAmount = this.round(tax.taxAmount);
+          tax.taxAmountAfterDiscountAmount = this.round(tax.taxAmountAfterDiscountAmount);
+          this.setCumulativeTotal(doc, tax);
+
+          if (
+            index === doc.taxes.length - 1 &&
+            doc.discountApplied &&
+            doc.discountAmount &&
+            doc.applyDiscountOn === 'Grand Total'
+          ) {
+            this.adjustDiscountAmountLoss(doc, tax);
+          }
+        }
+      });
+    });
+  }
+
+  setCumulativeTotal(doc, tax) {
+    const index = doc.taxes.indexOf(tax);
+    const previousTotal = index === 0 ? doc.netTotal : doc.taxes[index - 1].total;
+    tax.total = this.round(previousTotal + tax.taxAmountAfterDiscountAmount);
+  }
+
+  adjustDiscountAmountLoss(doc, tax) {
+    // The discount was spread over the items from the grand total before
+    // discount; whatever rounding lost lands on the last tax row.
+    const loss = doc.grandTotal - doc.discountAmount - tax.total;
+    tax.taxAmountAfterDiscountAmount = this.round(tax.taxAmountAfterDiscountAmount + loss);
+    tax.total = this.round(tax.total + loss);
+  }
+
+  adjustGrandTotalForInclusiveTax(doc) {
+    doc.grandTotalDiff = 0;
+    if (!doc.taxes.some((tax) => tax.includedInPrintRate)) return;
+
+    const lastTax = doc.taxes[doc.taxes.length - 1];
+    const nonInclusiveTaxAmount = doc.taxes
+      .filter((tax) => !tax.includedInPrintRate)
+      .reduce((sum, tax) => sum + tax.taxAmountAfterDiscountAmount, 0);
+
+    let diff = doc.total + nonInclusiveTaxAmount - lastTax.total;
+    if (doc.discountApplied && doc.discountAmount) {
+      diff -= doc.discountAmount;
+    }
+    diff = this.round(diff);
+
+    // Back-calculating the net amount from an inclusive rate can miss the
+    // printed total by a few cents; the grand total keeps the printed one.
+    if (diff && Math.abs(diff) <= 5 / 10 ** this.precision) {
+      doc.grandTotalDiff = diff;
+    }
+  }
+
+  calculateTotals(doc) {
+    if (doc.taxes.length > 0) {
+      doc.grandTotal = this.round(doc.taxes[doc.taxes.length - 1].total + doc.grandTotalDiff);
+      doc.totalTaxesAndCharges = this.round(doc.grandTotal - doc.netTotal - doc.grandTotalDiff);
+    } else {
+      doc.grandTotal = doc.netTotal;
+      doc.totalTaxesAndCharges = 0;
+    }
+  }
+
+  setDiscountAmount(doc) {
+    if (doc.additionalDiscountPercentage) {
+      const base = doc.applyDiscountOn === 'Net Total' ? doc.netTotal : doc.grandTotal;
+      doc.discountAmount = this.round((base * doc.additionalDiscountPercentage) / 100);
+    }
+    doc.discountAmount = this.round(doc.discountAmount);
+  }
+
+  applyDiscountAmount(doc) {
+    if (!doc.discountAmount) return;
+
+    const totalForDiscountAmount =
+      doc.applyDiscountOn === 'Net Total' ? doc.netTotal : doc.grandTotal;
+    if (!totalForDiscountAmount) return;
+    // Returns carry a negative total and discount.
+    if (Math.abs(doc.discountAmount) > Math.abs(totalForDiscountAmount)) {
+      throw new Error(`Discount ${doc.discountAmount} exceeds the ${doc.applyDiscountOn}`);
+    }
+
+    let netTotal = 0;
+    doc.items.forEach((item, index) => {
+      const distributedAmount = (doc.discountAmount * item.netAmount) / totalForDiscountAmount;
+      item.netAmount = this.round(item.netAmount - distributedAmount);
+      netTotal += item.netAmount;
+
+      if (
+        index === doc.items.length - 1 &&
+        (doc.applyDiscountOn === 'Net Total' ||
+          doc.taxes.length === 0 ||
+          totalForDiscountAmount === doc.netTotal)
+      ) {
+        const loss = this.round(doc.netTotal - netTotal - doc.discountAmount);
+        item.netAmount = this.round(item.netAmount + loss);
+      }
+      item.netRate = item.qty ? this.round(item.netAmount / item.qty) : 0;
+    });
+
+    this.calculatePass(doc, true);
+  }
+
+  setRoundedTotal(doc) {
+    doc.roundingAdjustment = 0;
+    if (doc.disableRoundedTotal) {
+      doc.roundedTotal = 0;
+      return;
+    }
+
+    doc.roundedTotal = this.roundToCurrencyFraction(doc.grandTotal);
+    doc.roundingAdjustment = this.round(doc.roundedTotal - doc.grandTotal);
+  }
+
+  // ERPNext's calculate_paid_amount and calculate_change_amount: the customer
+  // owes the rounded total, and change is only given when some of the
+  // payment was cash.
+  calculatePayments(totals, payments) {
+    const invoiceTotal = totals.roundedTotal || totals.grandTotal;
+    const paidAmount = this.round(payments.reduce((sum, payment) => sum + payment.amount, 0));
+
+    // Returns are refunded with negative payments and never give change.
+    if (invoiceTotal < 0) {
+      if (paidAmount < invoiceTotal) {
+        throw new Error(`Refund ${-paidAmount} exceeds the return total ${-invoiceTotal}`);
+      }
+      return {
+        paidAmount,
+        changeAmount: 0,
+        outstandingAmount: this.round(invoiceTotal - paidAmount),
+      };
+    }
+    const paidInCash = payments.some((payment) => payment.type === 'Cash');
+
+    let changeAmount = 0;
+    if (paidAmount > invoiceTotal) {
+      if (!paidInCash) {
+        throw new Error(
+          `Paid amount ${paidAmount} exceeds the invoice total ${invoiceTotal} and no change can be given without a cash payment`
+        );
+      }
+      changeAmount = this.round(paidAmount - invoiceTotal);
+    }
+
+    return {
+      paidAmount,
+      changeAmount,
+      outstandingAmount: this.round(invoiceTotal - paidAmount + changeAmount),
+    };
+  }
+
+  roundToCurrencyFraction(value) {
+    const fraction = this.smallestCurrencyFraction;
+    if (!fraction) {
+      return this.round(value, 0);
+    }
+
+    const multiplier = 10 ** this.precision;
+    const modulus = fraction * multiplier;
+    const remainder = this.round(
+      ((((value * multiplier) % modulus) + modulus) % modulus) / multiplier
+    );
+    const rounded = remainder > fraction / 2 ? value + fraction - remainder : value - remainder;
+    return this.round(rounded);
+  }
+}
+
+export const invoiceCalculator = new InvoiceCalculator();
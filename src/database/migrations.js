@@ -1,16 +1,49 @@
+import Database from 'better-sqlite3';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
 import { logger } from '../logger.js';
+import { databaseBackups } from './backups.js';
 import { posDatabase } from './db.js';
 
 const MODULE = 'DatabaseMigrations';
+const LEGACY_QUEUE_FILE = 'offline-queue.db';
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+const UP_MARKER = /^--\s*migrate:up\s*$/im;
+const DOWN_MARKER = /^--\s*migrate:down\s*$/im;
+const SQL_TOKEN =
+  /'(?:[^']|'')*'|"(?:[^"]|"")*"|--[^\n]*|\/\*[\s\S]*?\*\/|\b(?:BEGIN|CASE|END)\b|;/gi;
+
+// Tables copied from the standalone offline queue database, parents first so
+// foreign keys resolve. Ids are kept where other rows refer to them.
+const LEGACY_QUEUE_TABLES = [
+  { table: 'offline_requests' },
+  {
+    table: 'offline_request_dependencies',
+    where:
+      'request_id IN (SELECT id FROM offline_requests) AND depends_on_id IN (SELECT id FROM offline_requests)',
+  },
+  {
+    table: 'sync_conflicts',
+    skipColumns: ['id'],
+    expressions: {
+      local_request_id:
+        'CASE WHEN local_request_id IN (SELECT id FROM offline_requests) THEN local_request_id END',
+    },
+  },
+  { table: 'document_name_map' },
+  { table: 'sync_metadata' },
+  // Cache entries from before per-user partitions could leak between users.
+  { table: 'request_cache', skipColumns: ['id'], requiredColumns: ['partition'] },
+];
 
 class DatabaseMigrations {
   constructor() {
-    this.migrationsDir = path.join(path.dirname(new URL(import.meta.url).pathname));
-    this.schemaPath = path.join(this.migrationsDir, 'schema.sql');
+    this.migrationsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
     this.migrationTableName = 'schema_migrations';
-    this.appliedMigrations = new Set();
+    // version -> checksum of the file it was applied from
+    this.appliedMigrations = new Map();
   }
 
   async initialize() {
@@ -26,6 +59,9 @@ class DatabaseMigrations {
       // Load applied migrations
       this.loadAppliedMigrations();
 
+      // Refuse to start on a database migrated from different files
+      this.verifyChecksums(this.getMigrations());
+
       // Run pending migrations
       await this.runPendingMigrations();
 
@@ -42,11 +78,20 @@ class DatabaseMigrations {
       const createTableSQL = `
         CREATE TABLE IF NOT EXISTS ${this.migrationTableName} (
           version TEXT PRIMARY KEY,
-          applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          applied_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          checksum TEXT
         )
       `;
 
       posDatabase.db.exec(createTableSQL);
+
+      const hasChecksum = posDatabase.db
+        .prepare('SELECT name FROM pragma_table_info(?) WHERE name = ?')
+        .get(this.migrationTableName, 'checksum');
+      if (!hasChecksum) {
+        posDatabase.db.exec(`ALTER TABLE ${this.migrationTableName} ADD COLUMN checksum TEXT`);
+      }
+
       logger.debug(MODULE, 'Migration tracking table created');
     } catch (error) {
       logger.error(MODULE, 'Failed to create migration table', { error: error.message });
@@ -56,12 +101,14 @@ class DatabaseMigrations {
 
   loadAppliedMigrations() {
     try {
-      const stmt = posDatabase.db.prepare(`SELECT version FROM ${this.migrationTableName}`);
+      const stmt = posDatabase.db.prepare(
+        `SELECT version, checksum FROM ${this.migrationTableName}`
+      );
       const results = stmt.all();
 
       this.appliedMigrations.clear();
       results.forEach((row) => {
-        this.appliedMigrations.add(row.version);
+        this.appliedMigrations.set(row.version, row.checksum);
       });
 
       logger.debug(MODULE, 'Applied migrations loaded', { count: this.appliedMigrations.size });
@@ -75,8 +122,16 @@ class DatabaseMigrations {
   async runPendingMigrations() {
     try {
       const migrations = this.getMigrations();
+      const pending = migrations.filter(
+        (migration) => !this.appliedMigrations.has(migration.version)
+      );
       let appliedCount = 0;
 
+      // A fresh database has nothing worth keeping yet.
+      if (pending.length > 0 && this.appliedMigrations.size > 0) {
+        await this.backupBeforeMigrating();
+      }
+
       for (const migration of migrations) {
         if (!this.appliedMigrations.has(migration.version)) {
           logger.info(MODULE, 'Applying migration', {
@@ -85,7 +140,6 @@ class DatabaseMigrations {
           });
 
           await this.applyMigration(migration);
-          this.markMigrationAsApplied(migration.version);
           appliedCount++;
         }
       }
@@ -103,23 +157,23 @@ class DatabaseMigrations {
 
   getMigrations() {
     try {
-      const migrations = [
-        {
-          version: '001',
-          description: 'Initial database schema',
-          sql: this.loadSchemaSQL(),
-        },
-        {
-          version: '002',
-          description: 'Add indexes for better performance',
-          sql: this.getIndexesSQL(),
-        },
-        {
-          version: '003',
-          description: 'Add triggers for updated_at timestamps',
-          sql: this.getTriggersSQL(),
-        },
-      ];
+      if (!fs.existsSync(this.migrationsDir)) {
+        throw new Error(`Migrations directory not found: ${this.migrationsDir}`);
+      }
+
+      const hooks = this.getMigrationHooks();
+      const migrations = fs
+        .readdirSync(this.migrationsDir)
+        .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+        .map((file) => this.loadMigrationFile(file, hooks))
+        .sort((a, b) => parseInt(a.version) - parseInt(b.version));
+
+      migrations.forEach((migration, index) => {
+        const previous = migrations[index - 1];
+        if (previous && parseInt(previous.version) === parseInt(migration.version)) {
+          throw new Error(`Duplicate migration version: ${previous.file}, ${migration.file}`);
+        }
+      });
 
       return migrations;
     } catch (error) {
@@ -128,110 +182,365 @@ class DatabaseMigrations {
     }
   }
 
-  loadSchemaSQL() {
+  getMigrationHooks() {
+    // Steps that need more than SQL. They run after the up section, or before
+    // the down section, in the same transaction.
+    return {
+      '005': {
+        up: () => this.importLegacyQueue(),
+        down: () => this.exportLegacyQueue(),
+      },
+    };
+  }
+
+  loadMigrationFile(file, hooks) {
+    const [, version, slug] = MIGRATION_FILE_PATTERN.exec(file);
+    // Line endings are normalised so a CRLF checkout has the same checksum.
+    const contents = fs
+      .readFileSync(path.join(this.migrationsDir, file), 'utf8')
+      .replace(/\r\n/g, '\n');
+    const description = slug.replace(/[_-]+/g, ' ');
+
+    return {
+      version,
+      file,
+      description: description.charAt(0).toUpperCase() + description.slice(1),
+      ...this.parseMigration(file, contents),
+      checksum: crypto.createHash('sha256').update(contents).digest('hex'),
+      hooks: hooks[version] || {},
+    };
+  }
+
+  parseMigration(file, contents) {
+    const up = UP_MARKER.exec(contents);
+    const down = DOWN_MARKER.exec(contents);
+
+    if (!up) {
+      throw new Error(`Migration ${file} has no "-- migrate:up" section`);
+    }
+    if (down && down.index < up.index) {
+      throw new Error(`Migration ${file} has its down section before its up section`);
+    }
+
+    return {
+      up: contents.slice(up.index + up[0].length, down ? down.index : undefined).trim(),
+      // A file without a down section cannot be rolled back.
+      down: down ? contents.slice(down.index + down[0].length).trim() : null,
+    };
+  }
+
+  verifyChecksums(migrations) {
+    const files = new Map(migrations.map((migration) => [migration.version, migration]));
+    const problems = [];
+
+    this.appliedMigrations.forEach((checksum, version) => {
+      const migration = files.get(version);
+
+      if (!migration) {
+        problems.push(`${version} has no migration file`);
+      } else if (checksum === null) {
+        // Applied before checksums were recorded; the current file is trusted.
+        this.recordChecksum(version, migration.checksum);
+      } else if (checksum !== migration.checksum) {
+        problems.push(`${migration.file} was changed after it was applied`);
+      }
+    });
+
+    if (problems.length > 0) {
+      logger.error(MODULE, 'Applied migrations do not match the migration files', { problems });
+      throw new Error(
+        `Applied migrations do not match the migration files: ${problems.join('; ')}`
+      );
+    }
+  }
+
+  recordChecksum(version, checksum) {
+    posDatabase.db
+      .prepare(`UPDATE ${this.migrationTableName} SET checksum = ? WHERE version = ?`)
+      .run(checksum, version);
+    this.appliedMigrations.set(version, checksum);
+    logger.info(MODULE, 'Migration checksum recorded', { version });
+  }
+
+  async backupBeforeMigrating() {
+    // A failed backup stops the migration rather than risk the only copy.
+    const backup = await databaseBackups.createBackup(
+      `pre-migration-${this.getCurrentVersion() || '0'}`
+    );
+    if (backup) {
+      logger.info(MODULE, 'Database backed up before migrating', { fileName: backup.fileName });
+    }
+    return backup;
+  }
+
+  getCurrentVersion() {
+    let current = null;
+    this.appliedMigrations.forEach((_checksum, version) => {
+      if (current === null || parseInt(version) > parseInt(current)) {
+        current = version;
+      }
+    });
+    return current;
+  }
+
+  async migrateTo(version, { dryRun = false } = {}) {
     try {
-      if (!fs.existsSync(this.schemaPath)) {
-        throw new Error(`Schema file not found: ${this.schemaPath}`);
+      const migrations = this.getMigrations();
+      this.verifyChecksums(migrations);
+
+      // Version 0 rolls back every migration.
+      const target = parseInt(version);
+      const targetMigration = migrations.find(
+        (migration) => parseInt(migration.version) === target
+      );
+      if (Number.isNaN(target) || (target !== 0 && !targetMigration)) {
+        throw new Error(`Unknown migration version: ${version}`);
+      }
+
+      const isApplied = (migration) => this.appliedMigrations.has(migration.version);
+      const steps = [
+        ...migrations
+          .filter((migration) => isApplied(migration) && parseInt(migration.version) > target)
+          .reverse()
+          .map((migration) => ({ migration, direction: 'down' })),
+        ...migrations
+          .filter((migration) => !isApplied(migration) && parseInt(migration.version) <= target)
+          .map((migration) => ({ migration, direction: 'up' })),
+      ];
+
+      const irreversible = steps.find(
+        ({ migration, direction }) => direction === 'down' && migration.down === null
+      );
+      if (irreversible) {
+        throw new Error(`Migration ${irreversible.migration.file} cannot be rolled back`);
+      }
+
+      const plan = {
+        from: this.getCurrentVersion(),
+        to: targetMigration ? targetMigration.version : null,
+        dryRun,
+        steps: steps.map(({ migration, direction }) => ({
+          version: migration.version,
+          description: migration.description,
+          direction,
+          statements: this.splitStatements(migration[direction]),
+          hook: !!migration.hooks[direction],
+        })),
+      };
+
+      if (dryRun) {
+        logger.info(MODULE, 'Migration dry run', {
+          from: plan.from,
+          to: plan.to,
+          steps: plan.steps.map((step) => `${step.direction} ${step.version}`),
+        });
+        return plan;
+      }
+
+      if (steps.length > 0) {
+        await this.backupBeforeMigrating();
       }
 
-      const schemaSQL = fs.readFileSync(this.schemaPath, 'utf8');
-      logger.debug(MODULE, 'Schema SQL loaded from file');
-      return schemaSQL;
+      for (const { migration, direction } of steps) {
+        logger.info(MODULE, direction === 'up' ? 'Applying migration' : 'Rolling back migration', {
+          version: migration.version,
+          description: migration.description,
+        });
+        await this.applyMigration(migration, direction);
+      }
+
+      logger.info(MODULE, 'Database migrated', { from: plan.from, to: plan.to });
+      return plan;
     } catch (error) {
-      logger.error(MODULE, 'Failed to load schema SQL', { error: error.message });
+      logger.error(MODULE, 'Failed to migrate database', { version, error: error.message });
       throw error;
     }
   }
 
-  getIndexesSQL() {
-    return `
-      -- Additional indexes for performance optimization
-      
-      CREATE INDEX IF NOT EXISTS idx_customers_email ON customers(email);
-      CREATE INDEX IF NOT EXISTS idx_customers_name ON customers(name);
-      CREATE INDEX IF NOT EXISTS idx_items_sku ON items(sku);
-      CREATE INDEX IF NOT EXISTS idx_items_name ON items(name);
-      CREATE INDEX IF NOT EXISTS idx_sales_invoices_customer ON sales_invoices(customer_id);
-      CREATE INDEX IF NOT EXISTS idx_sales_invoices_status ON sales_invoices(status);
-      CREATE INDEX IF NOT EXISTS idx_sales_invoices_name ON sales_invoices(name);
-      CREATE INDEX IF NOT EXISTS idx_invoice_items_invoice ON invoice_items(invoice_id);
-      CREATE INDEX IF NOT EXISTS idx_invoice_items_item ON invoice_items(item_id);
-      CREATE INDEX IF NOT EXISTS idx_sync_queue_status ON sync_queue(status);
-      CREATE INDEX IF NOT EXISTS idx_sync_queue_created ON sync_queue(created_at);
-      CREATE INDEX IF NOT EXISTS idx_sync_log_queue ON sync_log(queue_id);
-      CREATE INDEX IF NOT EXISTS idx_conflict_log_table ON conflict_log(table_name);
-      CREATE INDEX IF NOT EXISTS idx_conflict_log_unresolved ON conflict_log(resolution) WHERE resolution IS NULL;
-    `;
+  splitStatements(sql) {
+    // Only used to report statements; migrations are executed as a whole.
+    // Semicolons inside strings, comments and BEGIN/CASE ... END blocks do
+    // not end a statement.
+    const statements = [];
+    let statement = '';
+    let depth = 0;
+    let position = 0;
+
+    for (const match of sql.matchAll(SQL_TOKEN)) {
+      const [token] = match;
+      statement += sql.slice(position, match.index);
+      position = match.index + token.length;
+
+      if (token.startsWith('--') || token.startsWith('/*')) continue;
+      statement += token;
+
+      const word = token.toUpperCase();
+      if (word === 'BEGIN' || word === 'CASE') {
+        depth++;
+      } else if (word === 'END') {
+        depth = Math.max(depth - 1, 0);
+      } else if (token === ';' && depth === 0) {
+        statements.push(statement.trim());
+        statement = '';
+      }
+    }
+
+    statement += sql.slice(position);
+    if (statement.trim()) {
+      statements.push(statement.trim());
+    }
+    return statements;
+  }
+  getLegacyQueuePath() {
+    return path.join(path.dirname(posDatabase.dbPath), LEGACY_QUEUE_FILE);
   }
 
-  getTriggersSQL() {
-    return `
-      -- Triggers for automatic updated_at timestamp management
-      
-      DROP TRIGGER IF EXISTS customers_updated_at;
-      CREATE TRIGGER customers_updated_at 
-        AFTER UPDATE ON customers
-        BEGIN
-          UPDATE customers SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-        END;
-
-      DROP TRIGGER IF EXISTS items_updated_at;
-      CREATE TRIGGER items_updated_at 
-        AFTER UPDATE ON items
-        BEGIN
-          UPDATE items SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-        END;
-
-      DROP TRIGGER IF EXISTS sales_invoices_updated_at;
-      CREATE TRIGGER sales_invoices_updated_at 
-        AFTER UPDATE ON sales_invoices
-        BEGIN
-          UPDATE sales_invoices SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-        END;
-
-      DROP TRIGGER IF EXISTS sync_queue_updated_at;
-      CREATE TRIGGER sync_queue_updated_at 
-        AFTER UPDATE ON sync_queue
-        BEGIN
-          UPDATE sync_queue SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-        END;
-    `;
+  importLegacyQueue() {
+    const legacyPath = this.getLegacyQueuePath();
+    if (posDatabase.dbPath === ':memory:' || !fs.existsSync(legacyPath)) return;
+
+    const legacy = new Database(legacyPath, { readonly: true, fileMustExist: true });
+    try {
+      const imported = {};
+      LEGACY_QUEUE_TABLES.forEach((config) => {
+        imported[config.table] = this.copyLegacyTable(legacy, config);
+      });
+
+      // The old file is left in place as a backup; it is never read again.
+      logger.info(MODULE, 'Legacy offline queue imported', { legacyPath, imported });
+    } finally {
+      legacy.close();
+    }
+  }
+
+  copyLegacyTable(
+    legacy,
+    { table, where, skipColumns = [], requiredColumns = [], expressions = {} }
+  ) {
+    const columnsOf = (db) =>
+      db
+        .prepare(`PRAGMA table_info(${table})`)
+        .all()
+        .map((column) => column.name);
+
+    const legacyColumns = columnsOf(legacy);
+    if (legacyColumns.length === 0) return 0;
+    if (!requiredColumns.every((column) => legacyColumns.includes(column))) return 0;
+
+    const columns = columnsOf(posDatabase.db).filter(
+      (column) => legacyColumns.includes(column) && !skipColumns.includes(column)
+    );
+    const select = columns.map((column) =>
+      expressions[column] ? `${expressions[column]} AS ${column}` : column
+    );
+
+    const insert = posDatabase.db.prepare(`
+      INSERT OR IGNORE INTO ${table} (${columns.join(', ')})
+      VALUES (${columns.map((column) => `@${column}`).join(', ')})
+    `);
+
+    let count = 0;
+    const rows = legacy
+      .prepare(`SELECT ${select.join(', ')} FROM ${table}${where ? ` WHERE ${where}` : ''}`)
+      .iterate();
+    for (const row of rows) {
+      count += insert.run(row).changes;
+    }
+    return count;
   }
 
-  async applyMigration(migration) {
+  exportLegacyQueue() {
+    if (posDatabase.dbPath === ':memory:') return;
+
+    // Releases from before migration 005 read the queue from its own file.
+    // Replace what the import left there with the current queue.
+    const legacyPath = this.getLegacyQueuePath();
+    const legacy = new Database(legacyPath);
     try {
-      const transaction = posDatabase.db.transaction((sql) => {
-        // Split SQL into individual statements
-        const statements = sql
-          .split(';')
-          .map((stmt) => stmt.trim())
-          .filter((stmt) => stmt.length > 0);
-
-        statements.forEach((statement) => {
-          if (statement.length > 0) {
-            posDatabase.db.exec(statement);
-          }
+      const exported = {};
+      legacy.transaction(() => {
+        [...LEGACY_QUEUE_TABLES].reverse().forEach(({ table }) => {
+          legacy.exec(`DROP TABLE IF EXISTS ${table}`);
         });
+        LEGACY_QUEUE_TABLES.forEach(({ table }) => {
+          exported[table] = this.exportLegacyTable(legacy, table);
+        });
+      })();
+
+      logger.info(MODULE, 'Offline queue exported to the legacy database', {
+        legacyPath,
+        exported,
       });
+    } finally {
+      legacy.close();
+    }
+  }
 
-      transaction(migration.sql);
-      logger.debug(MODULE, 'Migration applied successfully', { version: migration.version });
+  exportLegacyTable(legacy, table) {
+    const definitions = posDatabase.db
+      .prepare('SELECT type, sql FROM sqlite_master WHERE tbl_name = ? AND sql IS NOT NULL')
+      .all(table);
+    if (definitions.length === 0) return 0;
+
+    // The table has to exist before its indexes.
+    definitions
+      .sort((a, b) => (a.type === 'table' ? 0 : 1) - (b.type === 'table' ? 0 : 1))
+      .forEach(({ sql }) => legacy.exec(sql));
+
+    const columns = posDatabase.db
+      .prepare('SELECT name FROM pragma_table_info(?)')
+      .all(table)
+      .map((column) => column.name);
+    const insert = legacy.prepare(`
+      INSERT INTO ${table} (${columns.join(', ')})
+      VALUES (${columns.map((column) => `@${column}`).join(', ')})
+    `);
+
+    let count = 0;
+    for (const row of posDatabase.db.prepare(`SELECT * FROM ${table}`).iterate()) {
+      count += insert.run(row).changes;
+    }
+    return count;
+  }
+
+  async applyMigration(migration, direction = 'up') {
+    try {
+      // exec() runs multi-statement SQL as written; splitting on ';' would
+      // break trigger bodies apart.
+      const transaction = posDatabase.db.transaction(() => {
+        if (direction === 'up') {
+          posDatabase.db.exec(migration.up);
+          migration.hooks.up?.();
+          this.markMigrationAsApplied(migration.version, migration.checksum);
+        } else {
+          migration.hooks.down?.();
+          posDatabase.db.exec(migration.down);
+          this.markMigrationAsReverted(migration.version);
+        }
+      });
+
+      transaction();
+      logger.debug(MODULE, 'Migration applied successfully', {
+        version: migration.version,
+        direction,
+      });
     } catch (error) {
       logger.error(MODULE, 'Failed to apply migration', {
         version: migration.version,
+        direction,
         error: error.message,
       });
       throw error;
     }
   }
 
-  markMigrationAsApplied(version) {
+  markMigrationAsApplied(version, checksum = null) {
     try {
       const stmt = posDatabase.db.prepare(`
-        INSERT INTO ${this.migrationTableName} (version) VALUES (?)
+        INSERT INTO ${this.migrationTableName} (version, checksum) VALUES (?, ?)
       `);
-      stmt.run(version);
-      this.appliedMigrations.add(version);
+      stmt.run(version, checksum);
+      this.appliedMigrations.set(version, checksum);
 
       logger.debug(MODULE, 'Migration marked as applied', { version });
     } catch (error) {
@@ -243,32 +552,54 @@ class DatabaseMigrations {
     }
   }
 
+  markMigrationAsReverted(version) {
+    try {
+      posDatabase.db
+        .prepare(`DELETE FROM ${this.migrationTableName} WHERE version = ?`)
+        .run(version);
+      this.appliedMigrations.delete(version);
+
+      logger.debug(MODULE, 'Migration marked as reverted', { version });
+    } catch (error) {
+      logger.error(MODULE, 'Failed to mark migration as reverted', {
+        version,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
   // Helper method to reset database (for development/testing)
   async resetDatabase() {
     try {
       logger.warn(MODULE, 'Resetting database - all data will be lost!');
 
-      // Drop all tables
-      const tables = [
-        'conflict_log',
-        'sync_log',
-        'sync_queue',
-        'invoice_items',
-        'sales_invoices',
-        'items',
-        'customers',
-        this.migrationTableName,
-      ];
+      // Drop every table whatever version the database reached. Foreign keys
+      // are off so referenced tables can go first; virtual tables go before
+      // the shadow tables they remove along with themselves.
+      const stmt = posDatabase.db.prepare(`
+        SELECT name FROM sqlite_master
+        WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+        ORDER BY CASE WHEN sql LIKE 'CREATE VIRTUAL TABLE%' THEN 0 ELSE 1 END, name
+      `);
+      const tables = stmt.pluck().all();
 
-      tables.forEach((table) => {
-        posDatabase.db.exec(`DROP TABLE IF EXISTS ${table}`);
-      });
+      posDatabase.db.pragma('foreign_keys = OFF');
+      try {
+        tables.forEach((table) => {
+          posDatabase.db.exec(`DROP TABLE IF EXISTS "${table}"`);
+        });
+      } finally {
+        posDatabase.db.pragma('foreign_keys = ON');
+      }
 
       // Clear applied migrations
       this.appliedMigrations.clear();
 
       // Reinitialize
-      await this.initialize();
+      if (!(await this.initialize())) {
+        throw new Error('Failed to migrate the reset database');
+      }
 
       logger.info(MODULE, 'Database reset completed');
     } catch (error) {
@@ -284,15 +615,20 @@ class DatabaseMigrations {
       const status = {
         total: migrations.length,
         applied: this.appliedMigrations.size,
-        pending: migrations.length - this.appliedMigrations.size,
+        pending: migrations.filter((migration) => !this.appliedMigrations.has(migration.version))
+          .length,
+        current: this.getCurrentVersion(),
         migrations: [],
       };
 
       migrations.forEach((migration) => {
+        const checksum = this.appliedMigrations.get(migration.version);
         status.migrations.push({
           version: migration.version,
           description: migration.description,
           applied: this.appliedMigrations.has(migration.version),
+          reversible: migration.down !== null,
+          modified: !!checksum && checksum !== migration.checksum,
         });
       });
 
@@ -1,6 +1,8 @@
 -- POSAwesome Desktop SQLite Database Schema
 -- Complete schema for POS business data and sync operations
 
+-- migrate:up
+
 -- Customers table
 CREATE TABLE IF NOT EXISTS customers (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -119,4 +121,14 @@ CREATE TRIGGER IF NOT EXISTS sync_queue_updated_at
     AFTER UPDATE ON sync_queue
 BEGIN
     UPDATE sync_queue SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-END;
\ No newline at end of file
+END;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS conflict_log;
+DROP TABLE IF EXISTS sync_log;
+DROP TABLE IF EXISTS sync_queue;
+DROP TABLE IF EXISTS invoice_items;
+DROP TABLE IF EXISTS sales_invoices;
+DROP TABLE IF EXISTS items;
+DROP TABLE IF EXISTS customers;
@@ -0,0 +1,22 @@
+-- migrate:up
+
+-- Additional indexes for performance optimization
+
+CREATE INDEX IF NOT EXISTS idx_customers_email ON customers(email);
+CREATE INDEX IF NOT EXISTS idx_customers_name ON customers(name);
+CREATE INDEX IF NOT EXISTS idx_items_sku ON items(sku);
+CREATE INDEX IF NOT EXISTS idx_items_name ON items(name);
+CREATE INDEX IF NOT EXISTS idx_sales_invoices_customer ON sales_invoices(customer_id);
+CREATE INDEX IF NOT EXISTS idx_sales_invoices_status ON sales_invoices(status);
+CREATE INDEX IF NOT EXISTS idx_sales_invoices_name ON sales_invoices(name);
+CREATE INDEX IF NOT EXISTS idx_invoice_items_invoice ON invoice_items(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_items_item ON invoice_items(item_id);
+CREATE INDEX IF NOT EXISTS idx_sync_queue_status ON sync_queue(status);
+CREATE INDEX IF NOT EXISTS idx_sync_queue_created ON sync_queue(created_at);
+CREATE INDEX IF NOT EXISTS idx_sync_log_queue ON sync_log(queue_id);
+CREATE INDEX IF NOT EXISTS idx_conflict_log_table ON conflict_log(table_name);
+CREATE INDEX IF NOT EXISTS idx_conflict_log_unresolved ON conflict_log(resolution) WHERE resolution IS NULL;
+
+-- migrate:down
+
+-- 001 already creates these indexes, so rolling back leaves them in place.
@@ -0,0 +1,35 @@
+-- migrate:up
+
+-- Triggers for automatic updated_at timestamp management
+
+DROP TRIGGER IF EXISTS customers_updated_at;
+CREATE TRIGGER customers_updated_at
+  AFTER UPDATE ON customers
+  BEGIN
+    UPDATE customers SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END;
+
+DROP TRIGGER IF EXISTS items_updated_at;
+CREATE TRIGGER items_updated_at
+  AFTER UPDATE ON items
+  BEGIN
+    UPDATE items SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END;
+
+DROP TRIGGER IF EXISTS sales_invoices_updated_at;
+CREATE TRIGGER sales_invoices_updated_at
+  AFTER UPDATE ON sales_invoices
+  BEGIN
+    UPDATE sales_invoices SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END;
+
+DROP TRIGGER IF EXISTS sync_queue_updated_at;
+CREATE TRIGGER sync_queue_updated_at
+  AFTER UPDATE ON sync_queue
+  BEGIN
+    UPDATE sync_queue SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END;
+
+-- migrate:down
+
+-- 001 already creates these triggers, so rolling back leaves them in place.
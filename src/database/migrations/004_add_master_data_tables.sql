@@ -0,0 +1,41 @@
+-- migrate:up
+
+-- Link local items and customers to their ERPNext documents
+
+ALTER TABLE items ADD COLUMN erpnext_name TEXT;
+ALTER TABLE items ADD COLUMN modified TEXT;
+ALTER TABLE customers ADD COLUMN erpnext_name TEXT;
+ALTER TABLE customers ADD COLUMN modified TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_items_erpnext_name ON items(erpnext_name);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customers_erpnext_name ON customers(erpnext_name);
+
+-- Other master data (prices, POS profiles, payment modes, tax templates)
+
+CREATE TABLE IF NOT EXISTS master_data (
+  doctype TEXT NOT NULL,
+  name TEXT NOT NULL,
+  data TEXT NOT NULL,
+  modified TEXT,
+  synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (doctype, name)
+);
+
+CREATE TABLE IF NOT EXISTS sync_metadata (
+  key TEXT PRIMARY KEY,
+  value TEXT,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS sync_metadata;
+DROP TABLE IF EXISTS master_data;
+
+DROP INDEX IF EXISTS idx_customers_erpnext_name;
+DROP INDEX IF EXISTS idx_items_erpnext_name;
+
+ALTER TABLE customers DROP COLUMN modified;
+ALTER TABLE customers DROP COLUMN erpnext_name;
+ALTER TABLE items DROP COLUMN modified;
+ALTER TABLE items DROP COLUMN erpnext_name;
@@ -0,0 +1,179 @@
+-- migrate:up
+
+-- Offline request queue, formerly kept in its own database file
+
+CREATE TABLE IF NOT EXISTS offline_requests (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  method TEXT NOT NULL,
+  url TEXT NOT NULL,
+  headers TEXT,
+  body TEXT,
+  request_hash TEXT UNIQUE,
+  status TEXT DEFAULT 'pending',
+  retry_count INTEGER DEFAULT 0,
+  next_retry_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  error_message TEXT,
+  resource_id TEXT,
+  resource_type TEXT,
+  resource_version TEXT,
+  priority TEXT DEFAULT 'normal',
+  idempotency_key TEXT,
+  needs_verification INTEGER DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS offline_request_dependencies (
+  request_id INTEGER NOT NULL,
+  depends_on_id INTEGER NOT NULL,
+  source TEXT DEFAULT 'explicit',
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (request_id, depends_on_id),
+  FOREIGN KEY (request_id) REFERENCES offline_requests(id) ON DELETE CASCADE,
+  FOREIGN KEY (depends_on_id) REFERENCES offline_requests(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS sync_conflicts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  resource_id TEXT NOT NULL,
+  resource_type TEXT NOT NULL,
+  local_request_id INTEGER,
+  local_data TEXT,
+  server_data TEXT,
+  server_version TEXT,
+  conflict_type TEXT,
+  resolution_status TEXT DEFAULT 'pending',
+  resolved_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (local_request_id) REFERENCES offline_requests(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS document_name_map (
+  doctype TEXT NOT NULL,
+  temp_name TEXT NOT NULL,
+  server_name TEXT NOT NULL,
+  request_id INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (doctype, temp_name)
+);
+
+CREATE TABLE IF NOT EXISTS request_cache (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  request_hash TEXT UNIQUE NOT NULL,
+  response_data TEXT,
+  cached_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  size INTEGER DEFAULT 0,
+  last_accessed_at DATETIME,
+  partition TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_offline_requests_status ON offline_requests(status);
+CREATE INDEX IF NOT EXISTS idx_offline_requests_url ON offline_requests(url);
+CREATE INDEX IF NOT EXISTS idx_offline_requests_next_retry ON offline_requests(next_retry_at);
+CREATE INDEX IF NOT EXISTS idx_offline_requests_priority ON offline_requests(status, priority, created_at);
+CREATE INDEX IF NOT EXISTS idx_offline_request_dependencies_parent ON offline_request_dependencies(depends_on_id);
+CREATE INDEX IF NOT EXISTS idx_sync_conflicts_resource ON sync_conflicts(resource_id, resource_type);
+CREATE INDEX IF NOT EXISTS idx_sync_conflicts_status ON sync_conflicts(resolution_status);
+CREATE INDEX IF NOT EXISTS idx_request_cache_partition ON request_cache(partition);
+
+-- conflict_log duplicated sync_conflicts; keep its rows there
+
+INSERT INTO sync_conflicts
+  (resource_id, resource_type, local_data, server_data, conflict_type,
+   resolution_status, resolved_at, created_at)
+SELECT
+  CAST(record_id AS TEXT),
+  table_name,
+  local_data,
+  remote_data,
+  'legacy',
+  CASE resolution
+    WHEN 'remote_wins' THEN 'server_wins'
+    WHEN 'skipped' THEN 'skip'
+    ELSE COALESCE(resolution, 'pending')
+  END,
+  resolved_at,
+  created_at
+FROM conflict_log;
+
+-- The unused sync_queue/sync_log pair duplicated offline_requests
+
+DROP TRIGGER IF EXISTS sync_queue_updated_at;
+DROP TABLE IF EXISTS sync_log;
+DROP TABLE IF EXISTS sync_queue;
+DROP TABLE IF EXISTS conflict_log;
+
+-- migrate:down
+
+-- The queue tables are copied back to offline-queue.db before this runs, so
+-- a release from before the move finds the current queue there.
+
+CREATE TABLE IF NOT EXISTS sync_queue (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  operation TEXT NOT NULL CHECK (operation IN ('CREATE', 'UPDATE', 'DELETE')),
+  payload TEXT NOT NULL,
+  status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+  retry_count INTEGER DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  error_message TEXT
+);
+
+CREATE TABLE IF NOT EXISTS sync_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  queue_id INTEGER NOT NULL,
+  status TEXT NOT NULL,
+  response TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (queue_id) REFERENCES sync_queue(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS conflict_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  table_name TEXT NOT NULL,
+  record_id INTEGER NOT NULL,
+  local_data TEXT NOT NULL,
+  remote_data TEXT NOT NULL,
+  resolution TEXT CHECK (resolution IN ('local_wins', 'remote_wins', 'manual', 'skipped')),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  resolved_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_queue_status ON sync_queue(status);
+CREATE INDEX IF NOT EXISTS idx_sync_queue_created ON sync_queue(created_at);
+CREATE INDEX IF NOT EXISTS idx_sync_log_queue ON sync_log(queue_id);
+CREATE INDEX IF NOT EXISTS idx_conflict_log_table ON conflict_log(table_name);
+CREATE INDEX IF NOT EXISTS idx_conflict_log_unresolved ON conflict_log(resolution) WHERE resolution IS NULL;
+
+DROP TRIGGER IF EXISTS sync_queue_updated_at;
+CREATE TRIGGER sync_queue_updated_at
+  AFTER UPDATE ON sync_queue
+  BEGIN
+    UPDATE sync_queue SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END;
+
+-- Conflicts that came from conflict_log go back there
+
+INSERT INTO conflict_log
+  (table_name, record_id, local_data, remote_data, resolution, resolved_at, created_at)
+SELECT
+  resource_type,
+  CAST(resource_id AS INTEGER),
+  local_data,
+  server_data,
+  CASE resolution_status
+    WHEN 'server_wins' THEN 'remote_wins'
+    WHEN 'skip' THEN 'skipped'
+    WHEN 'local_wins' THEN 'local_wins'
+    WHEN 'manual' THEN 'manual'
+  END,
+  resolved_at,
+  created_at
+FROM sync_conflicts
+WHERE conflict_type = 'legacy';
+
+DROP TABLE IF EXISTS request_cache;
+DROP TABLE IF EXISTS document_name_map;
+DROP TABLE IF EXISTS sync_conflicts;
+DROP TABLE IF EXISTS offline_request_dependencies;
+DROP TABLE IF EXISTS offline_requests;
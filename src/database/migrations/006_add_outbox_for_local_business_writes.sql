@@ -0,0 +1,38 @@
+-- migrate:up
+
+-- Local writes waiting to be sent to ERPNext. Entries point at the local
+-- row; the request body is built from it when the entry is sent.
+
+CREATE TABLE IF NOT EXISTS sync_queue (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  doctype TEXT NOT NULL,
+  local_table TEXT NOT NULL,
+  local_id INTEGER NOT NULL,
+  operation TEXT NOT NULL CHECK (operation IN ('CREATE', 'UPDATE', 'DELETE')),
+  payload TEXT,
+  status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+  retry_count INTEGER DEFAULT 0,
+  next_attempt_at DATETIME,
+  error_message TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS sync_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  queue_id INTEGER NOT NULL,
+  status TEXT NOT NULL,
+  http_status INTEGER,
+  response TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (queue_id) REFERENCES sync_queue(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_queue_status ON sync_queue(status, id);
+CREATE INDEX IF NOT EXISTS idx_sync_queue_record ON sync_queue(local_table, local_id);
+CREATE INDEX IF NOT EXISTS idx_sync_log_queue ON sync_log(queue_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS sync_log;
+DROP TABLE IF EXISTS sync_queue;
@@ -0,0 +1,69 @@
+-- migrate:up
+
+-- Line discounts; rate and amount are after discount, net_rate and
+-- net_amount also exclude included taxes and the invoice discount
+
+ALTER TABLE invoice_items ADD COLUMN price_list_rate DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+ALTER TABLE invoice_items ADD COLUMN discount_percentage DECIMAL(6,3) NOT NULL DEFAULT 0.000;
+ALTER TABLE invoice_items ADD COLUMN discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+ALTER TABLE invoice_items ADD COLUMN net_rate DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+ALTER TABLE invoice_items ADD COLUMN net_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+
+UPDATE invoice_items SET price_list_rate = rate, net_rate = rate, net_amount = amount;
+
+-- Invoice discount and totals; total stays the sum of the line amounts
+
+ALTER TABLE sales_invoices ADD COLUMN taxes_and_charges TEXT;
+ALTER TABLE sales_invoices ADD COLUMN apply_discount_on TEXT NOT NULL DEFAULT 'Grand Total'
+  CHECK (apply_discount_on IN ('Grand Total', 'Net Total'));
+ALTER TABLE sales_invoices ADD COLUMN additional_discount_percentage DECIMAL(6,3) NOT NULL DEFAULT 0.000;
+ALTER TABLE sales_invoices ADD COLUMN discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+ALTER TABLE sales_invoices ADD COLUMN net_total DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+ALTER TABLE sales_invoices ADD COLUMN total_taxes_and_charges DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+ALTER TABLE sales_invoices ADD COLUMN grand_total DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+ALTER TABLE sales_invoices ADD COLUMN rounding_adjustment DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+ALTER TABLE sales_invoices ADD COLUMN rounded_total DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+ALTER TABLE sales_invoices ADD COLUMN disable_rounded_total INTEGER NOT NULL DEFAULT 0;
+
+UPDATE sales_invoices SET net_total = total, grand_total = total, rounded_total = total;
+
+-- Tax rows, in the order they are applied
+
+CREATE TABLE IF NOT EXISTS invoice_taxes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  invoice_id INTEGER NOT NULL,
+  idx INTEGER NOT NULL,
+  charge_type TEXT NOT NULL
+    CHECK (charge_type IN ('On Net Total', 'On Previous Row Amount', 'On Previous Row Total')),
+  account_head TEXT,
+  description TEXT,
+  rate DECIMAL(10,4) NOT NULL DEFAULT 0.0000,
+  row_id INTEGER,
+  included_in_print_rate INTEGER NOT NULL DEFAULT 0,
+  tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  tax_amount_after_discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  total DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  UNIQUE (invoice_id, idx),
+  FOREIGN KEY (invoice_id) REFERENCES sales_invoices(id) ON DELETE CASCADE
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS invoice_taxes;
+
+ALTER TABLE sales_invoices DROP COLUMN disable_rounded_total;
+ALTER TABLE sales_invoices DROP COLUMN rounded_total;
+ALTER TABLE sales_invoices DROP COLUMN rounding_adjustment;
+ALTER TABLE sales_invoices DROP COLUMN grand_total;
+ALTER TABLE sales_invoices DROP COLUMN total_taxes_and_charges;
+ALTER TABLE sales_invoices DROP COLUMN net_total;
+ALTER TABLE sales_invoices DROP COLUMN discount_amount;
+ALTER TABLE sales_invoices DROP COLUMN additional_discount_percentage;
+ALTER TABLE sales_invoices DROP COLUMN apply_discount_on;
+ALTER TABLE sales_invoices DROP COLUMN taxes_and_charges;
+
+ALTER TABLE invoice_items DROP COLUMN net_amount;
+ALTER TABLE invoice_items DROP COLUMN net_rate;
+ALTER TABLE invoice_items DROP COLUMN discount_amount;
+ALTER TABLE invoice_items DROP COLUMN discount_percentage;
+ALTER TABLE invoice_items DROP COLUMN price_list_rate;
@@ -0,0 +1,35 @@
+-- migrate:up
+
+-- One row per tender; several rows make a split payment. type is the
+-- Mode of Payment type, change can only be given from a Cash payment.
+
+CREATE TABLE IF NOT EXISTS payments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  invoice_id INTEGER NOT NULL,
+  mode_of_payment TEXT NOT NULL,
+  type TEXT NOT NULL DEFAULT 'General' CHECK (type IN ('Cash', 'Bank', 'General', 'Phone')),
+  amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+  reference TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (invoice_id) REFERENCES sales_invoices(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_invoice ON payments(invoice_id);
+
+ALTER TABLE sales_invoices ADD COLUMN paid_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+ALTER TABLE sales_invoices ADD COLUMN change_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+ALTER TABLE sales_invoices ADD COLUMN outstanding_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+
+-- Invoices marked paid before payments were recorded have nothing outstanding
+UPDATE sales_invoices
+SET outstanding_amount = CASE disable_rounded_total WHEN 0 THEN rounded_total ELSE grand_total END
+WHERE status NOT IN ('paid', 'cancelled');
+
+-- migrate:down
+
+ALTER TABLE sales_invoices DROP COLUMN outstanding_amount;
+ALTER TABLE sales_invoices DROP COLUMN change_amount;
+ALTER TABLE sales_invoices DROP COLUMN paid_amount;
+
+DROP INDEX IF EXISTS idx_payments_invoice;
+DROP TABLE IF EXISTS payments;
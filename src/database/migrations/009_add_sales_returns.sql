@@ -0,0 +1,56 @@
+-- migrate:up
+
+-- A return is an invoice with negative quantities that points at the invoice
+-- it returns goods from, and each of its lines at the line returned.
+
+ALTER TABLE sales_invoices ADD COLUMN is_return INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE sales_invoices ADD COLUMN return_against INTEGER;
+ALTER TABLE invoice_items ADD COLUMN return_against_item INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_sales_invoices_return_against ON sales_invoices(return_against);
+CREATE INDEX IF NOT EXISTS idx_invoice_items_return_against ON invoice_items(return_against_item);
+
+-- Refunds are negative payments, so the amount check becomes non-zero
+
+CREATE TABLE payments_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  invoice_id INTEGER NOT NULL,
+  mode_of_payment TEXT NOT NULL,
+  type TEXT NOT NULL DEFAULT 'General' CHECK (type IN ('Cash', 'Bank', 'General', 'Phone')),
+  amount DECIMAL(10,2) NOT NULL CHECK (amount <> 0),
+  reference TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (invoice_id) REFERENCES sales_invoices(id) ON DELETE CASCADE
+);
+
+INSERT INTO payments_new SELECT * FROM payments;
+DROP TABLE payments;
+ALTER TABLE payments_new RENAME TO payments;
+CREATE INDEX IF NOT EXISTS idx_payments_invoice ON payments(invoice_id);
+
+-- migrate:down
+
+DELETE FROM sales_invoices WHERE is_return = 1;
+
+CREATE TABLE payments_old (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  invoice_id INTEGER NOT NULL,
+  mode_of_payment TEXT NOT NULL,
+  type TEXT NOT NULL DEFAULT 'General' CHECK (type IN ('Cash', 'Bank', 'General', 'Phone')),
+  amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+  reference TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (invoice_id) REFERENCES sales_invoices(id) ON DELETE CASCADE
+);
+
+INSERT INTO payments_old SELECT * FROM payments;
+DROP TABLE payments;
+ALTER TABLE payments_old RENAME TO payments;
+CREATE INDEX IF NOT EXISTS idx_payments_invoice ON payments(invoice_id);
+
+DROP INDEX IF EXISTS idx_invoice_items_return_against;
+DROP INDEX IF EXISTS idx_sales_invoices_return_against;
+
+ALTER TABLE invoice_items DROP COLUMN return_against_item;
+ALTER TABLE sales_invoices DROP COLUMN return_against;
+ALTER TABLE sales_invoices DROP COLUMN is_return;
@@ -0,0 +1,60 @@
+-- migrate:up
+
+-- A cashier shift is a POS Opening Entry in ERPNext; times are the till's
+-- local time, as ERPNext expects them.
+
+CREATE TABLE IF NOT EXISTS pos_shifts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  pos_profile TEXT NOT NULL,
+  company TEXT,
+  cashier TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+  opened_at DATETIME NOT NULL DEFAULT (datetime('now', 'localtime')),
+  closed_at DATETIME,
+  erpnext_name TEXT,
+  modified TEXT
+);
+
+-- Only one shift can be open on a till
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pos_shifts_open ON pos_shifts(status) WHERE status = 'open';
+
+-- Opening float and, once closed, the reconciliation per mode of payment
+
+CREATE TABLE IF NOT EXISTS pos_shift_payments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  shift_id INTEGER NOT NULL,
+  mode_of_payment TEXT NOT NULL,
+  opening_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  expected_amount DECIMAL(10,2),
+  closing_amount DECIMAL(10,2),
+  difference DECIMAL(10,2),
+  UNIQUE (shift_id, mode_of_payment),
+  FOREIGN KEY (shift_id) REFERENCES pos_shifts(id) ON DELETE CASCADE
+);
+
+-- The POS Closing Entry of a closed shift
+
+CREATE TABLE IF NOT EXISTS pos_shift_closings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  shift_id INTEGER NOT NULL UNIQUE,
+  erpnext_name TEXT,
+  modified TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (shift_id) REFERENCES pos_shifts(id) ON DELETE CASCADE
+);
+
+ALTER TABLE sales_invoices ADD COLUMN shift_id INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_sales_invoices_shift ON sales_invoices(shift_id);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_sales_invoices_shift;
+ALTER TABLE sales_invoices DROP COLUMN shift_id;
+
+DELETE FROM sync_queue WHERE local_table IN ('pos_shifts', 'pos_shift_closings');
+
+DROP TABLE IF EXISTS pos_shift_closings;
+DROP TABLE IF EXISTS pos_shift_payments;
+DROP INDEX IF EXISTS idx_pos_shifts_open;
+DROP TABLE IF EXISTS pos_shifts;
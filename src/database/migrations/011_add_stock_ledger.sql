@@ -0,0 +1,44 @@
+-- migrate:up
+
+-- Stock per item and warehouse as ERPNext's Bin last reported it
+
+CREATE TABLE IF NOT EXISTS stock_bins (
+  name TEXT PRIMARY KEY,
+  item_code TEXT NOT NULL,
+  warehouse TEXT NOT NULL,
+  actual_qty REAL NOT NULL DEFAULT 0,
+  modified TEXT,
+  synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (item_code, warehouse)
+);
+
+-- Stock moved by local invoices. An entry is reconciled once ERPNext has the
+-- invoice and a later Bin already includes it.
+
+CREATE TABLE IF NOT EXISTS stock_ledger (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  item_code TEXT NOT NULL,
+  warehouse TEXT NOT NULL,
+  qty_change REAL NOT NULL,
+  invoice_id INTEGER NOT NULL,
+  invoice_item_id INTEGER,
+  reconciled INTEGER NOT NULL DEFAULT 0,
+  posted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (invoice_id) REFERENCES sales_invoices(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_ledger_bin ON stock_ledger(item_code, warehouse, reconciled);
+CREATE INDEX IF NOT EXISTS idx_stock_ledger_invoice ON stock_ledger(invoice_id);
+
+-- Services and other non-stock items are never short
+ALTER TABLE items ADD COLUMN is_stock_item INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE invoice_items ADD COLUMN warehouse TEXT;
+
+-- migrate:down
+
+ALTER TABLE invoice_items DROP COLUMN warehouse;
+ALTER TABLE items DROP COLUMN is_stock_item;
+
+DROP TABLE IF EXISTS stock_ledger;
+DROP TABLE IF EXISTS stock_bins;
@@ -0,0 +1,24 @@
+-- migrate:up
+
+-- Barcodes per item, as in ERPNext's Item Barcode table. A barcode printed on
+-- a pack sells the pack: conversion_factor is the stock quantity it holds.
+
+CREATE TABLE IF NOT EXISTS item_barcodes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  item_id INTEGER NOT NULL,
+  barcode TEXT NOT NULL UNIQUE,
+  barcode_type TEXT,
+  uom TEXT,
+  conversion_factor REAL NOT NULL DEFAULT 1 CHECK (conversion_factor > 0),
+  FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_barcodes_item ON item_barcodes(item_id);
+
+ALTER TABLE items ADD COLUMN stock_uom TEXT;
+
+-- migrate:down
+
+ALTER TABLE items DROP COLUMN stock_uom;
+
+DROP TABLE IF EXISTS item_barcodes;
@@ -0,0 +1,110 @@
+-- migrate:up
+
+-- Full-text indexes for typeahead search. The rowid of an index row is the id
+-- of the item or customer; triggers keep the rows in step with the tables.
+-- Prefix indexes make one- and two-letter prefixes as fast as whole words.
+
+CREATE VIRTUAL TABLE IF NOT EXISTS items_fts USING fts5(
+  name,
+  sku,
+  barcodes,
+  tokenize = 'unicode61 remove_diacritics 2',
+  prefix = '1 2 3'
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS customers_fts USING fts5(
+  name,
+  email,
+  phone,
+  tokenize = 'unicode61 remove_diacritics 2',
+  prefix = '1 2 3'
+);
+
+INSERT INTO items_fts (rowid, name, sku, barcodes)
+SELECT i.id, i.name, i.sku,
+  (SELECT group_concat(barcode, ' ') FROM item_barcodes WHERE item_id = i.id)
+FROM items i;
+
+INSERT INTO customers_fts (rowid, name, email, phone)
+SELECT id, name, email, phone FROM customers;
+
+CREATE TRIGGER IF NOT EXISTS items_fts_insert
+  AFTER INSERT ON items
+  BEGIN
+    INSERT INTO items_fts (rowid, name, sku) VALUES (NEW.id, NEW.name, NEW.sku);
+  END;
+
+CREATE TRIGGER IF NOT EXISTS items_fts_update
+  AFTER UPDATE OF name, sku ON items
+  BEGIN
+    UPDATE items_fts SET name = NEW.name, sku = NEW.sku WHERE rowid = NEW.id;
+  END;
+
+CREATE TRIGGER IF NOT EXISTS items_fts_delete
+  AFTER DELETE ON items
+  BEGIN
+    DELETE FROM items_fts WHERE rowid = OLD.id;
+  END;
+
+-- A barcode that moves to another item updates the index row of both.
+CREATE TRIGGER IF NOT EXISTS item_barcodes_fts_insert
+  AFTER INSERT ON item_barcodes
+  BEGIN
+    UPDATE items_fts
+    SET barcodes = (SELECT group_concat(barcode, ' ') FROM item_barcodes WHERE item_id = NEW.item_id)
+    WHERE rowid = NEW.item_id;
+  END;
+
+CREATE TRIGGER IF NOT EXISTS item_barcodes_fts_update
+  AFTER UPDATE ON item_barcodes
+  BEGIN
+    UPDATE items_fts
+    SET barcodes = (SELECT group_concat(barcode, ' ') FROM item_barcodes WHERE item_id = OLD.item_id)
+    WHERE rowid = OLD.item_id;
+    UPDATE items_fts
+    SET barcodes = (SELECT group_concat(barcode, ' ') FROM item_barcodes WHERE item_id = NEW.item_id)
+    WHERE rowid = NEW.item_id;
+  END;
+
+CREATE TRIGGER IF NOT EXISTS item_barcodes_fts_delete
+  AFTER DELETE ON item_barcodes
+  BEGIN
+    UPDATE items_fts
+    SET barcodes = (SELECT group_concat(barcode, ' ') FROM item_barcodes WHERE item_id = OLD.item_id)
+    WHERE rowid = OLD.item_id;
+  END;
+
+CREATE TRIGGER IF NOT EXISTS customers_fts_insert
+  AFTER INSERT ON customers
+  BEGIN
+    INSERT INTO customers_fts (rowid, name, email, phone)
+    VALUES (NEW.id, NEW.name, NEW.email, NEW.phone);
+  END;
+
+CREATE TRIGGER IF NOT EXISTS customers_fts_update
+  AFTER UPDATE OF name, email, phone ON customers
+  BEGIN
+    UPDATE customers_fts SET name = NEW.name, email = NEW.email, phone = NEW.phone
+    WHERE rowid = NEW.id;
+  END;
+
+CREATE TRIGGER IF NOT EXISTS customers_fts_delete
+  AFTER DELETE ON customers
+  BEGIN
+    DELETE FROM customers_fts WHERE rowid = OLD.id;
+  END;
+
+-- migrate:down
+
+DROP TRIGGER IF EXISTS customers_fts_delete;
+DROP TRIGGER IF EXISTS customers_fts_update;
+DROP TRIGGER IF EXISTS customers_fts_insert;
+DROP TRIGGER IF EXISTS item_barcodes_fts_delete;
+DROP TRIGGER IF EXISTS item_barcodes_fts_update;
+DROP TRIGGER IF EXISTS item_barcodes_fts_insert;
+DROP TRIGGER IF EXISTS items_fts_delete;
+DROP TRIGGER IF EXISTS items_fts_update;
+DROP TRIGGER IF EXISTS items_fts_insert;
+
+DROP TABLE IF EXISTS customers_fts;
+DROP TABLE IF EXISTS items_fts;
@@ -0,0 +1,90 @@
+-- migrate:up
+
+-- Selling prices per price list, as in ERPNext's Item Price. A price may be
+-- limited to one customer and to a date range; selling = 0 marks a buying price.
+
+CREATE TABLE IF NOT EXISTS item_prices (
+  name TEXT PRIMARY KEY,
+  item_code TEXT NOT NULL,
+  price_list TEXT NOT NULL,
+  price_list_rate REAL NOT NULL DEFAULT 0,
+  currency TEXT,
+  uom TEXT,
+  customer TEXT,
+  selling INTEGER NOT NULL DEFAULT 1,
+  valid_from TEXT,
+  valid_upto TEXT,
+  modified TEXT,
+  synced_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_prices_item ON item_prices(item_code, price_list);
+
+-- Item Prices used to be kept as generic master data.
+INSERT INTO item_prices (name, item_code, price_list, price_list_rate, currency, modified)
+SELECT name, json_extract(data, '$.item_code'), json_extract(data, '$.price_list'),
+  COALESCE(json_extract(data, '$.price_list_rate'), 0), json_extract(data, '$.currency'), modified
+FROM master_data
+WHERE doctype = 'Item Price';
+
+DELETE FROM master_data WHERE doctype = 'Item Price';
+
+-- Enabled selling Pricing Rules that change the price. The items, item groups
+-- or brands a rule applies to (per apply_on) are its targets.
+CREATE TABLE IF NOT EXISTS pricing_rules (
+  name TEXT PRIMARY KEY,
+  title TEXT,
+  apply_on TEXT NOT NULL DEFAULT 'Item Code',
+  applicable_for TEXT,
+  customer TEXT,
+  customer_group TEXT,
+  for_price_list TEXT,
+  min_qty REAL NOT NULL DEFAULT 0,
+  max_qty REAL NOT NULL DEFAULT 0,
+  min_amt REAL NOT NULL DEFAULT 0,
+  max_amt REAL NOT NULL DEFAULT 0,
+  valid_from TEXT,
+  valid_upto TEXT,
+  priority INTEGER NOT NULL DEFAULT 0,
+  rate_or_discount TEXT NOT NULL DEFAULT 'Discount Percentage',
+  rate REAL NOT NULL DEFAULT 0,
+  discount_percentage REAL NOT NULL DEFAULT 0,
+  discount_amount REAL NOT NULL DEFAULT 0,
+  modified TEXT,
+  synced_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS pricing_rule_targets (
+  rule_name TEXT NOT NULL,
+  target TEXT NOT NULL,
+  PRIMARY KEY (rule_name, target),
+  FOREIGN KEY (rule_name) REFERENCES pricing_rules(name) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_rule_targets_target ON pricing_rule_targets(target);
+
+ALTER TABLE items ADD COLUMN item_group TEXT;
+ALTER TABLE items ADD COLUMN brand TEXT;
+ALTER TABLE customers ADD COLUMN customer_group TEXT;
+ALTER TABLE customers ADD COLUMN default_price_list TEXT;
+ALTER TABLE invoice_items ADD COLUMN pricing_rule TEXT;
+
+-- migrate:down
+
+ALTER TABLE invoice_items DROP COLUMN pricing_rule;
+ALTER TABLE customers DROP COLUMN default_price_list;
+ALTER TABLE customers DROP COLUMN customer_group;
+ALTER TABLE items DROP COLUMN brand;
+ALTER TABLE items DROP COLUMN item_group;
+
+DROP TABLE IF EXISTS pricing_rule_targets;
+DROP TABLE IF EXISTS pricing_rules;
+
+INSERT OR REPLACE INTO master_data (doctype, name, data, modified)
+SELECT 'Item Price', name,
+  json_object('name', name, 'item_code', item_code, 'price_list', price_list,
+    'price_list_rate', price_list_rate, 'currency', currency, 'modified', modified),
+  modified
+FROM item_prices;
+
+DROP TABLE IF EXISTS item_prices;
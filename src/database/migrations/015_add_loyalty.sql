@@ -0,0 +1,82 @@
+-- migrate:up
+
+-- ERPNext Loyalty Programs with their collection tiers. A tier applies once a
+-- customer has spent min_spent; every collection_factor spent earns a point,
+-- and a point is worth conversion_factor when redeemed.
+
+CREATE TABLE IF NOT EXISTS loyalty_programs (
+  name TEXT PRIMARY KEY,
+  program_name TEXT,
+  program_type TEXT,
+  customer_group TEXT,
+  from_date TEXT,
+  to_date TEXT,
+  conversion_factor REAL NOT NULL DEFAULT 1,
+  expiry_duration INTEGER NOT NULL DEFAULT 0,
+  auto_opt_in INTEGER NOT NULL DEFAULT 0,
+  expense_account TEXT,
+  cost_center TEXT,
+  modified TEXT,
+  synced_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS loyalty_program_tiers (
+  loyalty_program TEXT NOT NULL,
+  tier_name TEXT NOT NULL,
+  min_spent REAL NOT NULL DEFAULT 0,
+  collection_factor REAL NOT NULL DEFAULT 1 CHECK (collection_factor > 0),
+  PRIMARY KEY (loyalty_program, tier_name),
+  FOREIGN KEY (loyalty_program) REFERENCES loyalty_programs(name) ON DELETE CASCADE
+);
+
+-- Points as ERPNext booked them: earned points are positive, redeemed ones negative.
+CREATE TABLE IF NOT EXISTS loyalty_point_entries (
+  name TEXT PRIMARY KEY,
+  customer TEXT NOT NULL,
+  loyalty_program TEXT NOT NULL,
+  loyalty_program_tier TEXT,
+  loyalty_points INTEGER NOT NULL DEFAULT 0,
+  purchase_amount REAL NOT NULL DEFAULT 0,
+  expiry_date TEXT,
+  posting_date TEXT,
+  invoice TEXT,
+  modified TEXT,
+  synced_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_loyalty_point_entries_customer
+  ON loyalty_point_entries(customer, loyalty_program);
+
+-- Points earned and redeemed by local invoices. An entry is reconciled once
+-- ERPNext has the invoice and a later pull of its entries includes it.
+CREATE TABLE IF NOT EXISTS loyalty_ledger (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  invoice_id INTEGER NOT NULL,
+  loyalty_program TEXT NOT NULL,
+  loyalty_program_tier TEXT,
+  points INTEGER NOT NULL,
+  purchase_amount REAL NOT NULL DEFAULT 0,
+  expiry_date TEXT,
+  reconciled INTEGER NOT NULL DEFAULT 0,
+  posted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (invoice_id) REFERENCES sales_invoices(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_loyalty_ledger_invoice ON loyalty_ledger(invoice_id);
+
+ALTER TABLE customers ADD COLUMN loyalty_program TEXT;
+ALTER TABLE customers ADD COLUMN loyalty_program_tier TEXT;
+
+-- Redeemed points are paid like a mode of payment
+ALTER TABLE payments ADD COLUMN loyalty_points INTEGER;
+
+-- migrate:down
+
+ALTER TABLE payments DROP COLUMN loyalty_points;
+ALTER TABLE customers DROP COLUMN loyalty_program_tier;
+ALTER TABLE customers DROP COLUMN loyalty_program;
+
+DROP TABLE IF EXISTS loyalty_ledger;
+DROP TABLE IF EXISTS loyalty_point_entries;
+DROP TABLE IF EXISTS loyalty_program_tiers;
+DROP TABLE IF EXISTS loyalty_programs;
@@ -0,0 +1,49 @@
+-- migrate:up
+
+-- Gift cards and store credit, kept in ERPNext as Gift Card documents named
+-- by their code. balance is what ERPNext last reported; a card is locked by
+-- the till that is spending it until ERPNext has booked what it spent.
+
+CREATE TABLE IF NOT EXISTS gift_cards (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  code TEXT NOT NULL UNIQUE,
+  erpnext_name TEXT UNIQUE,
+  balance REAL NOT NULL DEFAULT 0,
+  currency TEXT,
+  status TEXT NOT NULL DEFAULT 'Active' CHECK (status IN ('Active', 'Disabled')),
+  expiry_date TEXT,
+  locked_by TEXT,
+  modified TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  synced_at DATETIME
+);
+
+-- Balance changes made at this till: the issue of a card, and what submitted
+-- invoices redeemed from it or refunded onto it. Redemptions and refunds are
+-- reconciled once ERPNext has the invoice and a later pull of the card
+-- includes it.
+CREATE TABLE IF NOT EXISTS gift_card_ledger (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  gift_card_id INTEGER NOT NULL,
+  invoice_id INTEGER,
+  transaction_type TEXT NOT NULL
+    CHECK (transaction_type IN ('Issue', 'Redeem', 'Refund', 'Reversal')),
+  amount REAL NOT NULL,
+  reconciled INTEGER NOT NULL DEFAULT 0,
+  posted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (gift_card_id) REFERENCES gift_cards(id) ON DELETE CASCADE,
+  FOREIGN KEY (invoice_id) REFERENCES sales_invoices(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_gift_card_ledger_card ON gift_card_ledger(gift_card_id);
+CREATE INDEX IF NOT EXISTS idx_gift_card_ledger_invoice ON gift_card_ledger(invoice_id);
+
+-- Payments made with a card carry its code
+ALTER TABLE payments ADD COLUMN gift_card TEXT;
+
+-- migrate:down
+
+ALTER TABLE payments DROP COLUMN gift_card;
+
+DROP TABLE IF EXISTS gift_card_ledger;
+DROP TABLE IF EXISTS gift_cards;
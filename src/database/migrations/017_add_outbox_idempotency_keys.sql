@@ -0,0 +1,16 @@
+-- migrate:up
+
+-- Outbox entries carry an idempotency key like queued requests do, and are
+-- flagged for verification when an attempt may have reached ERPNext without
+-- a response.
+
+ALTER TABLE sync_queue ADD COLUMN idempotency_key TEXT;
+ALTER TABLE sync_queue ADD COLUMN needs_verification INTEGER NOT NULL DEFAULT 0;
+
+UPDATE sync_queue SET idempotency_key = lower(hex(randomblob(16)))
+WHERE status != 'completed';
+
+-- migrate:down
+
+ALTER TABLE sync_queue DROP COLUMN needs_verification;
+ALTER TABLE sync_queue DROP COLUMN idempotency_key;
@@ -0,0 +1,13 @@
+-- migrate:up
+
+-- Requests queued before priority lanes, or with a lane that no longer
+-- exists, are never picked by the lane-ordered batch selection. Move them to
+-- the default lane.
+
+UPDATE offline_requests SET priority = 'normal'
+WHERE priority IS NULL OR priority NOT IN ('critical', 'normal', 'background');
+
+-- migrate:down
+
+-- The lanes requests had before are not restored; 'normal' is valid at every
+-- earlier version.
@@ -0,0 +1,16 @@
+-- migrate:up
+
+-- ERPNext rejects a Sales Invoice without items, so invoices are only queued
+-- for creation once they have lines. Creates queued for invoices that still
+-- have none are dropped; the first line queues them again.
+
+DELETE FROM sync_queue
+WHERE local_table = 'sales_invoices'
+  AND operation = 'CREATE'
+  AND status = 'pending'
+  AND local_id NOT IN (SELECT invoice_id FROM invoice_items);
+
+-- migrate:down
+
+-- The dropped creates are not restored; invoices without lines are queued
+-- again as soon as they change.
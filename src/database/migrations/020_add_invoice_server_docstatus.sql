@@ -0,0 +1,20 @@
+-- migrate:up
+
+-- The docstatus ERPNext holds for a synced invoice. A submitted invoice can
+-- no longer be saved as a whole, so the outbox only sends it a cancel.
+-- Invoices with unsent changes keep NULL: their status may not have reached
+-- ERPNext yet.
+
+ALTER TABLE sales_invoices ADD COLUMN server_docstatus INTEGER;
+
+UPDATE sales_invoices
+SET server_docstatus = CASE status WHEN 'draft' THEN 0 WHEN 'cancelled' THEN 2 ELSE 1 END
+WHERE synced_at IS NOT NULL
+  AND id NOT IN (
+    SELECT local_id FROM sync_queue
+    WHERE local_table = 'sales_invoices' AND status != 'completed'
+  );
+
+-- migrate:down
+
+ALTER TABLE sales_invoices DROP COLUMN server_docstatus;
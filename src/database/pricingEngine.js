@@ -0,0 +1,198 @@
+// Item prices picked the way ERPNext's get_item_details does: the price list
+// rate first, then the best matching Pricing Rule on top. Only the conditions
+// the till knows about are matched: item, item group or brand, customer or
+// customer group, quantity, amount, price list and dates.
+
+import { invoiceCalculator } from './invoiceCalculator.js';
+
+export const RATE_OR_DISCOUNT = ['Rate', 'Discount Percentage', 'Discount Amount'];
+
+// Where ERPNext keeps the targets of a rule for each apply_on, and the
+// local items column they are matched against.
+export const RULE_TARGETS = {
+  'Item Code': { table: 'items', field: 'item_code', column: 'sku' },
+  'Item Group': { table: 'item_groups', field: 'item_group', column: 'item_group' },
+  Brand: { table: 'brands', field: 'brand', column: 'brand' },
+};
+
+const APPLICABLE_FOR = ['Customer', 'Customer Group'];
+
+class PricingEngine {
+  constructor() {
+    this.priceList = process.env.MASTER_DATA_PRICE_LIST || 'Standard Selling';
+  }
+
+  // ERPNext dates are local calendar days.
+  formatDate(date) {
+    if (typeof date === 'string') return date.slice(0, 10);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  isValidOn(row, day) {
+    return (!row.valid_from || row.valid_from <= day) && (!row.valid_upto || row.valid_upto >= day);
+  }
+
+  selectPrice(prices, { item, customer, priceList, day }) {
+    const candidates = prices.filter(
+      (price) =>
+        price.price_list === priceList &&
+        price.selling !== 0 &&
+        this.isValidOn(price, day) &&
+        (!price.customer || price.customer === customer?.erpnext_name) &&
+        (!price.uom || !item.stock_uom || price.uom === item.stock_uom)
+    );
+    // A customer's own price beats the general one, and a dated price beats
+    // an open-ended one.
+    candidates.sort(
+      (a, b) =>
+        Number(Boolean(b.customer)) - Number(Boolean(a.customer)) ||
+        (b.valid_from || '').localeCompare(a.valid_from || '') ||
+        a.name.localeCompare(b.name)
+    );
+    return candidates[0] || null;
+  }
+
+  matchesRule(rule, { item, customer, qty, amount, priceList, day }) {
+    const target = RULE_TARGETS[rule.apply_on];
+    if (!target || !rule.targets.includes(item[target.column])) return false;
+
+    if (rule.applicable_for === 'Customer' && rule.customer !== customer?.erpnext_name) {
+      return false;
+    }
+    if (
+      rule.applicable_for === 'Customer Group' &&
+      rule.customer_group !== customer?.customer_group
+    ) {
+      return false;
+    }
+    // Conditions on territories, campaigns and the like cannot be checked here.
+    if (rule.applicable_for && !APPLICABLE_FOR.includes(rule.applicable_for)) return false;
+
+    if (rule.for_price_list && rule.for_price_list !== priceList) return false;
+    if (rule.min_qty && qty < rule.min_qty) return false;
+    if (rule.max_qty && qty > rule.max_qty) return false;
+    if (rule.min_amt && amount < rule.min_amt) return false;
+    if (rule.max_amt && amount > rule.max_amt) return false;
+    return this.isValidOn(rule, day);
+  }
+
+  // Highest priority wins. ERPNext refuses to pick between equal rules; the
+  // till cannot ask, so it prefers the more specific one instead.
+  specificity(rule) {
+    const applyOn = Object.keys(RULE_TARGETS).indexOf(rule.apply_on);
+    const applicableFor = APPLICABLE_FOR.indexOf(rule.applicable_for);
+    return [applyOn, applicableFor === -1 ? APPLICABLE_FOR.length : applicableFor];
+  }
+
+  selectRule(rules, context) {
+    const candidates = rules.filter((rule) => this.matchesRule(rule, context));
+    candidates.sort((a, b) => {
+      const [aApplyOn, aFor] = this.specificity(a);
+      const [bApplyOn, bFor] = this.specificity(b);
+      return (
+        (b.priority || 0) - (a.priority || 0) ||
+        aApplyOn - bApplyOn ||
+        aFor - bFor ||
+        a.name.localeCompare(b.name)
+      );
+    });
+    return candidates[0] || null;
+  }
+
+  describeRule(rule) {
+    const label = rule.title
+      ? `Pricing Rule ${rule.name} (${rule.title})`
+      : `Pricing Rule ${rule.name}`;
+    const effect = {
+      Rate: `sets the rate to ${rule.rate}`,
+      'Discount Percentage': `gives ${rule.discount_percentage}% off`,
+      'Discount Amount': `takes ${rule.discount_amount} off each unit`,
+    }[rule.rate_or_discount];
+
+    const conditions = [];
+    if (rule.applicable_for === 'Customer') conditions.push(`for customer ${rule.customer}`);
+    if (rule.applicable_for === 'Customer Group') {
+      conditions.push(`for customer group ${rule.customer_group}`);
+    }
+    if (rule.min_qty && rule.max_qty) {
+      conditions.push(`from ${rule.min_qty} to ${rule.max_qty} units`);
+    } else if (rule.min_qty) {
+      conditions.push(`from ${rule.min_qty} units`);
+    } else if (rule.max_qty) {
+      conditions.push(`up to ${rule.max_qty} units`);
+    }
+    if (rule.valid_upto) conditions.push(`until ${rule.valid_upto}`);
+
+    return [label, effect, ...conditions].join(' ');
+  }
+
+  evaluate({
+    item,
+    customer = null,
+    qty = 1,
+    date = new Date(),
+    priceList = this.priceList,
+    prices = [],
+    rules = [],
+  }) {
+    const day = this.formatDate(date);
+    const explanation = [];
+
+    const price = this.selectPrice(prices, { item, customer, priceList, day });
+    let priceListRate = price ? price.price_list_rate : item.price || 0;
+    if (price) {
+      explanation.push(`${priceListRate} from Item Price ${price.name} on ${priceList}`);
+    } else {
+      explanation.push(
+        `No price for ${item.sku} on ${priceList}, using the item price ${priceListRate}`
+      );
+    }
+
+    const rule = this.selectRule(rules, {
+      item,
+      customer,
+      qty,
+      amount: qty * priceListRate,
+      priceList,
+      day,
+    });
+    let discountPercentage = 0;
+    let discountAmount = 0;
+    if (rule) {
+      if (!RATE_OR_DISCOUNT.includes(rule.rate_or_discount)) {
+        throw new Error(
+          `Invalid rate or discount in Pricing Rule ${rule.name}: ${rule.rate_or_discount}`
+        );
+      }
+      // A rate rule replaces the price list rate, as in ERPNext.
+      if (rule.rate_or_discount === 'Rate') priceListRate = rule.rate;
+      if (rule.rate_or_discount === 'Discount Percentage') {
+        discountPercentage = rule.discount_percentage;
+      }
+      if (rule.rate_or_discount === 'Discount Amount') {
+        discountAmount = Math.min(rule.discount_amount, priceListRate);
+      }
+      explanation.push(this.describeRule(rule));
+    } else {
+      explanation.push('No pricing rule applies');
+    }
+
+    const rate = invoiceCalculator.round(
+      priceListRate * (1 - discountPercentage / 100) - discountAmount
+    );
+    return {
+      itemCode: item.sku,
+      priceList,
+      priceListRate,
+      discountPercentage,
+      discountAmount,
+      rate,
+      itemPrice: price ? price.name : null,
+      pricingRule: rule ? rule.name : null,
+      explanation: explanation.join('; '),
+    };
+  }
+}
+
+export const pricingEngine = new PricingEngine();
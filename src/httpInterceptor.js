@@ -1,19 +1,37 @@
 import http from 'http';
 import https from 'https';
 import crypto from 'crypto';
+import { EventEmitter } from 'events';
 import { URL } from 'url';
 import { credentialStore } from './credentialStore.js';
 import { offlineQueueManager } from './offlineQueueManager.js';
+import { requestPriority } from './requestPriority.js';
+import { cachePolicy } from './cachePolicy.js';
 import { logger } from './logger.js';
 
 const MODULE = 'HTTPInterceptor';
 
-class HTTPInterceptor {
+export const IDEMPOTENCY_HEADER = 'X-Idempotency-Key';
+// Errors raised before the request reached the server; anything else (timeouts,
+// resets) may have been applied even though no response arrived.
+export const UNSENT_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+];
+export const AMBIGUOUS_STATUSES = [502, 504];
+
+class HTTPInterceptor extends EventEmitter {
   constructor() {
+    super();
     this.isOnline = true;
     this.baseUrl = process.env.ERPNEXT_BASE_URL || 'http://localhost:8000';
     this.requestTimeout = parseInt(process.env.REQUEST_TIMEOUT || '30000');
     this.maxRetries = parseInt(process.env.MAX_RETRIES || '3');
+    this.idempotencyField = process.env.IDEMPOTENCY_FIELD || 'posa_idempotency_key';
+    this.revalidating = new Set();
   }
 
   makeHttpRequest(url, options) {
@@ -25,7 +43,7 @@ class HTTPInterceptor {
       const reqOptions = {
         method: options.method || 'GET',
         headers: options.headers || {},
-        timeout: this.requestTimeout,
+        timeout: options.timeout || this.requestTimeout,
       };
 
       const request = client.request(urlObj, reqOptions, (res) => {
@@ -79,6 +97,25 @@ class HTTPInterceptor {
     return crypto.createHash('sha256').update(content).digest('hex');
   }
 
+  generateCacheKey(method, url, headers = {}) {
+    const values = new Map(
+      Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+    );
+    const varied = cachePolicy.varyHeaders.map(
+      (name) => `${name.toLowerCase()}:${values.get(name.toLowerCase()) ?? ''}`
+    );
+
+    // Responses depend on who asked: ERPNext filters lists by the user's
+    // permissions, so each identity gets its own cache partition.
+    const partition = credentialStore.getIdentity();
+    const content = [partition, method.toUpperCase(), url, ...varied].join('\n');
+
+    return {
+      key: crypto.createHash('sha256').update(content).digest('hex'),
+      partition,
+    };
+  }
+
   addAuthHeaders(headers = {}) {
     const creds = credentialStore.getCredentials();
 
@@ -92,14 +129,29 @@ class HTTPInterceptor {
 
   async executeRequest(method, url, options = {}) {
     const requestHash = this.generateRequestHash(method, url, options.body);
+    const cacheKey = this.generateCacheKey(method, url, options.headers);
 
     try {
       const headers = this.addAuthHeaders(options.headers || {});
 
       if (this.isOnline) {
-        return await this.executeOnlineRequest(method, url, headers, options, requestHash);
+        return await this.executeOnlineRequest(
+          method,
+          url,
+          headers,
+          options,
+          requestHash,
+          cacheKey
+        );
       } else {
-        return await this.handleOfflineRequest(method, url, headers, options, requestHash);
+        return await this.handleOfflineRequest(
+          method,
+          url,
+          headers,
+          options,
+          requestHash,
+          cacheKey
+        );
       }
     } catch (error) {
       logger.error(MODULE, 'Request execution failed', {
@@ -109,26 +161,127 @@ class HTTPInterceptor {
       });
 
       if (!this.isOnline) {
-        return this.handleOfflineRequest(method, url, options.headers || {}, options, requestHash);
+        return this.handleOfflineRequest(
+          method,
+          url,
+          options.headers || {},
+          options,
+          requestHash,
+          cacheKey
+        );
       }
 
       throw error;
     }
   }
 
-  async executeOnlineRequest(method, url, headers, options, requestHash) {
+  // Creates also store the key on the document so a later lookup can tell
+  // whether an attempt whose response was lost actually went through.
+  addIdempotencyField(method, url, body, idempotencyKey) {
+    if (!idempotencyKey || method.toUpperCase() !== 'POST') return body;
+
+    const resource = offlineQueueManager.parseResourcePath(url);
+    if (!resource || resource.name) return body;
+
+    try {
+      const parsed = typeof body === 'string' ? JSON.parse(body) : body;
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return body;
+
+      const keyed = { ...parsed, [this.idempotencyField]: idempotencyKey };
+      return typeof body === 'string' ? JSON.stringify(keyed) : keyed;
+    } catch {
+      return body;
+    }
+  }
+
+  getCachePolicy(method, url) {
+    return method.toUpperCase() === 'GET' ? cachePolicy.resolve(url) : null;
+  }
+
+  buildCachedResponse(entry, freshness) {
+    return {
+      ok: true,
+      status: 200,
+      data: entry.data,
+      cached: true,
+      stale: freshness !== 'fresh',
+      cachedAt: entry.cachedAt,
+      cacheAge: Math.floor(this.getCacheAge(entry) / 1000),
+    };
+  }
+
+  getCacheAge(entry) {
+    return Math.max(Date.now() - new Date(entry.cachedAt).getTime(), 0);
+  }
+
+  storeResponse(cacheKey, data, policy) {
+    if (!policy || policy.noCache) return false;
+    return offlineQueueManager.cacheResponse(cacheKey.key, data, {
+      maxEntrySize: policy.maxEntrySize,
+      partition: cacheKey.partition,
+    });
+  }
+
+  revalidate(method, url, headers, cacheKey, policy) {
+    if (this.revalidating.has(cacheKey.key)) return;
+    this.revalidating.add(cacheKey.key);
+
+    this.makeHttpRequest(url, { method, headers })
+      .then((response) => {
+        if (response.status < 400) {
+          this.storeResponse(cacheKey, response.body, policy);
+          logger.debug(MODULE, 'Cached response revalidated', { url });
+        }
+      })
+      .catch((error) => {
+        logger.debug(MODULE, 'Background revalidation failed', { url, error: error.message });
+      })
+      .finally(() => {
+        this.revalidating.delete(cacheKey.key);
+      });
+  }
+
+  async executeOnlineRequest(method, url, headers, options, requestHash, cacheKey) {
+    const policy = this.getCachePolicy(method, url);
+
+    if (policy && !policy.noCache) {
+      const entry = offlineQueueManager.getCachedEntry(cacheKey.key);
+      const freshness = entry ? cachePolicy.getFreshness(policy, this.getCacheAge(entry)) : null;
+
+      if (freshness === 'fresh') {
+        logger.debug(MODULE, 'Serving fresh cached response', { url });
+        return this.buildCachedResponse(entry, freshness);
+      }
+      if (freshness === 'stale') {
+        logger.debug(MODULE, 'Serving stale cached response while revalidating', { url });
+        this.revalidate(method, url, headers, cacheKey, policy);
+        return this.buildCachedResponse(entry, freshness);
+      }
+    }
+
+    // The key goes out with the first attempt, so a request queued after a
+    // lost response is replayed under the key the server may already have.
+    const idempotencyKey = offlineQueueManager.createIdempotencyKey(method);
+
     try {
       const response = await this.makeHttpRequest(url, {
         method,
-        headers,
-        body: options.body,
+        headers: idempotencyKey ? { ...headers, [IDEMPOTENCY_HEADER]: idempotencyKey } : headers,
+        body: this.addIdempotencyField(method, url, options.body, idempotencyKey),
+      }).catch((error) => {
+        this.emit('transport-error', { method, url, error: error.message });
+        throw error;
       });
 
+      this.emit('transport-success', { method, url });
+
       if (response.status >= 400) {
-        throw new Error(`HTTP Error: ${response.status}`);
+        const error = new Error(`HTTP Error: ${response.status}`);
+        error.status = response.status;
+        throw error;
       }
 
-      offlineQueueManager.cacheResponse(requestHash, response.body);
+      this.storeResponse(cacheKey, response.body, policy);
       logger.debug(MODULE, 'Online request successful', { method, url });
 
       return {
@@ -137,29 +290,74 @@ class HTTPInterceptor {
         data: response.body,
       };
     } catch (error) {
+      const needsVerification =
+        !!idempotencyKey &&
+        (error.status
+          ? AMBIGUOUS_STATUSES.includes(error.status)
+          : !UNSENT_ERROR_CODES.includes(error.code));
+
       logger.warn(MODULE, 'Online request failed, attempting offline handling', {
         method,
         url,
         error: error.message,
+        needsVerification,
       });
 
-      return this.handleOfflineRequest(method, url, headers, options, requestHash);
+      return this.handleOfflineRequest(method, url, headers, options, requestHash, cacheKey, {
+        idempotencyKey,
+        needsVerification,
+      });
     }
   }
 
-  async handleOfflineRequest(method, url, headers, options, requestHash) {
+  async replayRequest(method, url, options = {}) {
+    const headers = this.addAuthHeaders({ ...(options.headers || {}) });
+
+    const response = await this.makeHttpRequest(url, {
+      method,
+      headers,
+      body: options.body,
+    }).catch((error) => {
+      this.emit('transport-error', { method, url, error: error.message });
+      throw error;
+    });
+
+    this.emit('transport-success', { method, url });
+
+    return {
+      ok: response.status < 400,
+      status: response.status,
+      data: response.body,
+    };
+  }
+
+  async handleOfflineRequest(
+    method,
+    url,
+    headers,
+    options,
+    requestHash,
+    cacheKey,
+    { idempotencyKey, needsVerification = false } = {}
+  ) {
     const httpMethods = ['GET', 'HEAD', 'OPTIONS'];
 
     if (httpMethods.includes(method.toUpperCase())) {
-      const cachedResponse = offlineQueueManager.getCachedResponse(requestHash);
-      if (cachedResponse) {
-        logger.info(MODULE, 'Returning cached response for GET request', { url });
-        return {
-          ok: true,
-          status: 200,
-          data: cachedResponse,
-          cached: true,
-        };
+      const policy = this.getCachePolicy(method, url);
+      const entry =
+        policy && !policy.noCache ? offlineQueueManager.getCachedEntry(cacheKey.key) : null;
+
+      if (entry) {
+        // Offline, any cached copy beats an error; callers can judge it by its age.
+        const response = this.buildCachedResponse(
+          entry,
+          cachePolicy.getFreshness(policy, this.getCacheAge(entry))
+        );
+        logger.info(MODULE, 'Returning cached response for GET request', {
+          url,
+          cacheAge: response.cacheAge,
+        });
+        return response;
       }
 
       return {
@@ -170,7 +368,13 @@ class HTTPInterceptor {
       };
     }
 
-    const id = offlineQueueManager.addRequest(method, url, headers, options.body, requestHash);
+    const priority = requestPriority.resolve(method, url, options.priority);
+    const id = offlineQueueManager.addRequest(method, url, headers, options.body, requestHash, {
+      priority,
+      dependsOn: options.dependsOn,
+      idempotencyKey,
+      needsVerification,
+    });
 
     if (!id) {
       return {
@@ -180,12 +384,12 @@ class HTTPInterceptor {
       };
     }
 
-    logger.info(MODULE, 'Request queued for later processing', { id, method, url });
+    logger.info(MODULE, 'Request queued for later processing', { id, method, url, priority });
 
     return {
       ok: true,
       status: 202,
-      data: { message: 'Request queued for processing', queueId: id },
+      data: { message: 'Request queued for processing', queueId: id, priority },
       queued: true,
     };
   }
@@ -3,6 +3,13 @@ import { httpInterceptor } from './httpInterceptor.js';
 import { credentialStore } from './credentialStore.js';
 import { syncEngine } from './syncEngine.js';
 import { conflictResolver } from './conflictResolver.js';
+import { connectivityMonitor } from './connectivityMonitor.js';
+import { requestPriority } from './requestPriority.js';
+import { cachePolicy } from './cachePolicy.js';
+import { masterDataSync } from './masterDataSync.js';
+import { outboxDispatcher } from './outboxDispatcher.js';
+import { backupScheduler } from './backupScheduler.js';
+import { barcodeScanner } from './barcodeScanner.js';
 import { logger } from './logger.js';
 
 const MODULE = 'InterceptorService';
@@ -12,6 +19,7 @@ class InterceptorService {
     this.initialized = false;
     this.syncStateListeners = [];
     this.syncProgressListeners = [];
+    this.handleConnectivityChanged = this.handleConnectivityChanged.bind(this);
   }
 
   initialize() {
@@ -20,12 +28,23 @@ class InterceptorService {
 
       logger.info(MODULE, 'Initializing interceptor service');
 
+      if (!credentialStore.initialize()) {
+        logger.warn(MODULE, 'Credential store unavailable, credentials will not persist');
+      }
+
       if (!offlineQueueManager.initialize()) {
         logger.error(MODULE, 'Failed to initialize offline queue manager');
         return false;
       }
 
+      cachePolicy.start();
       syncEngine.start();
+      connectivityMonitor.on('connectivity-changed', this.handleConnectivityChanged);
+      connectivityMonitor.start();
+      masterDataSync.start();
+      outboxDispatcher.start();
+      backupScheduler.start();
+      barcodeScanner.loadSettings();
       this.initialized = true;
 
       logger.info(MODULE, 'Interceptor service initialized successfully');
@@ -38,7 +57,20 @@ class InterceptorService {
 
   async shutdown() {
     try {
+      backupScheduler.stop();
+      outboxDispatcher.stop();
+      masterDataSync.stop();
+      connectivityMonitor.stop();
+      connectivityMonitor.off('connectivity-changed', this.handleConnectivityChanged);
       await syncEngine.safeShutdown();
+      // Stopping the timers leaves runs already under way writing to the
+      // database; let them finish before it is closed or replaced.
+      await Promise.allSettled([
+        masterDataSync.currentRun,
+        outboxDispatcher.currentDispatch,
+        backupScheduler.currentRun,
+      ]);
+      cachePolicy.stop();
       offlineQueueManager.close();
       this.initialized = false;
       logger.info(MODULE, 'Interceptor service shut down');
@@ -55,6 +87,26 @@ class InterceptorService {
     }
   }
 
+  handleConnectivityChanged({ isOnline }) {
+    if (isOnline) {
+      syncEngine.forceSync();
+      outboxDispatcher.dispatch();
+
+      if (masterDataSync.hasUnfinishedRun()) {
+        masterDataSync.run();
+      }
+    }
+  }
+
+  getConnectivityStatus() {
+    return connectivityMonitor.getStatus();
+  }
+
+  async checkConnectivity() {
+    await connectivityMonitor.probe();
+    return connectivityMonitor.getStatus();
+  }
+
   async interceptRequest(method, url, options = {}) {
     try {
       return await httpInterceptor.executeRequest(method, url, options);
@@ -77,7 +129,17 @@ class InterceptorService {
   }
 
   clearCredentials() {
-    return credentialStore.clearCredentials();
+    const partition = credentialStore.getIdentity();
+    const result = credentialStore.clearCredentials();
+
+    if (result) {
+      offlineQueueManager.clearCachePartition(partition);
+    }
+    return result;
+  }
+
+  rotateCredentialKey() {
+    return credentialStore.rotateKey();
   }
 
   getQueueStatus() {
@@ -92,6 +154,18 @@ class InterceptorService {
     return offlineQueueManager.removeRequest(id);
   }
 
+  retryRequest(id) {
+    const result = offlineQueueManager.retryRequest(id);
+    if (result) {
+      syncEngine.forceSync();
+    }
+    return result;
+  }
+
+  getRequestDependencies(id) {
+    return offlineQueueManager.getRequestDependencies(id);
+  }
+
   clearOldRequests(days = 7) {
     return offlineQueueManager.clearOldRequests(days);
   }
@@ -112,6 +186,41 @@ class InterceptorService {
     return conflictResolver.unregisterResolutionHook(resourceType);
   }
 
+  addPriorityRule(rule) {
+    return requestPriority.addRule(rule);
+  }
+
+  getPriorityRules() {
+    return requestPriority.getRules();
+  }
+
+  getCacheSettings() {
+    return {
+      ...cachePolicy.getSettings(),
+      stats: offlineQueueManager.getCacheStats(),
+    };
+  }
+
+  updateCacheSettings(settings) {
+    return cachePolicy.updateSettings(settings);
+  }
+
+  syncMasterData() {
+    return masterDataSync.run();
+  }
+
+  getMasterDataStatus() {
+    return masterDataSync.getStatus();
+  }
+
+  dispatchOutbox() {
+    return outboxDispatcher.dispatch();
+  }
+
+  getOutboxStatus() {
+    return outboxDispatcher.getStatus();
+  }
+
   getPendingConflicts(limit = 50) {
     return conflictResolver.getPendingConflicts(limit);
   }
@@ -135,6 +244,22 @@ class InterceptorService {
   offSyncProgress(callback) {
     syncEngine.off('sync-progress', callback);
   }
+
+  onConnectivityChanged(callback) {
+    connectivityMonitor.on('connectivity-changed', callback);
+  }
+
+  offConnectivityChanged(callback) {
+    connectivityMonitor.off('connectivity-changed', callback);
+  }
+
+  onMasterDataProgress(callback) {
+    masterDataSync.on('progress', callback);
+  }
+
+  offMasterDataProgress(callback) {
+    masterDataSync.off('progress', callback);
+  }
 }
 
 export const interceptorService = new InterceptorService();
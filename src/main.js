@@ -1,8 +1,10 @@
-import { app, BrowserWindow, ipcMain, Menu } from 'electron';
+import { app, BrowserWindow, dialog, ipcMain, Menu } from 'electron';
 import { fileURLToPath } from 'url';
 import path from 'path';
 import dotenv from 'dotenv';
 import { interceptorService } from './interceptorService.js';
+import { backupScheduler } from './backupScheduler.js';
+import { barcodeScanner } from './barcodeScanner.js';
 import { logger } from './logger.js';
 import { initializeDatabase } from './database/index.js';
 
@@ -66,9 +68,22 @@ app.on('ready', async () => {
       }
     });
 
+    interceptorService.onConnectivityChanged((data) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('connectivity-changed', data);
+      }
+    });
+
+    interceptorService.onMasterDataProgress((data) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('master-data-progress', data);
+      }
+    });
+
     createWindow();
   } catch (error) {
     logger.error('Main', 'Failed to initialize application', { error: error.message });
+    dialog.showErrorBox('POSAwesome could not start', error.message);
     app.quit();
   }
 });
@@ -146,6 +161,17 @@ ipcMain.handle('interceptor-clear-credentials', async () => {
   }
 });
 
+ipcMain.handle('interceptor-rotate-credential-key', async () => {
+  try {
+    const result = interceptorService.rotateCredentialKey();
+    logger.info('IPC', 'Credential key rotated via IPC');
+    return { success: result };
+  } catch (error) {
+    logger.error('IPC', 'Failed to rotate credential key', { error: error.message });
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('interceptor-get-queue-status', async () => {
   try {
     return interceptorService.getQueueStatus();
@@ -174,6 +200,26 @@ ipcMain.handle('interceptor-remove-request', async (event, id) => {
   }
 });
 
+ipcMain.handle('interceptor-retry-request', async (event, id) => {
+  try {
+    const result = interceptorService.retryRequest(id);
+    logger.info('IPC', 'Request retry requested', { id, result });
+    return { success: result };
+  } catch (error) {
+    logger.error('IPC', 'Failed to retry request', { error: error.message });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('interceptor-get-request-dependencies', async (event, id) => {
+  try {
+    return interceptorService.getRequestDependencies(id);
+  } catch (error) {
+    logger.error('IPC', 'Failed to get request dependencies', { error: error.message });
+    return [];
+  }
+});
+
 ipcMain.handle('interceptor-set-online-status', async (event, isOnline) => {
   try {
     interceptorService.setOnlineStatus(isOnline);
@@ -185,6 +231,24 @@ ipcMain.handle('interceptor-set-online-status', async (event, isOnline) => {
   }
 });
 
+ipcMain.handle('interceptor-get-connectivity-status', async () => {
+  try {
+    return interceptorService.getConnectivityStatus();
+  } catch (error) {
+    logger.error('IPC', 'Failed to get connectivity status', { error: error.message });
+    return { isOnline: false, running: false };
+  }
+});
+
+ipcMain.handle('interceptor-check-connectivity', async () => {
+  try {
+    return await interceptorService.checkConnectivity();
+  } catch (error) {
+    logger.error('IPC', 'Failed to check connectivity', { error: error.message });
+    return { isOnline: false, running: false };
+  }
+});
+
 ipcMain.handle('interceptor-clear-old-requests', async (event, days = 7) => {
   try {
     const result = interceptorService.clearOldRequests(days);
@@ -242,6 +306,64 @@ ipcMain.handle('interceptor-resolve-conflict', async (event, conflictId, resolut
   }
 });
 
+ipcMain.handle('interceptor-get-cache-settings', async () => {
+  try {
+    return interceptorService.getCacheSettings();
+  } catch (error) {
+    logger.error('IPC', 'Failed to get cache settings', { error: error.message });
+    return null;
+  }
+});
+
+ipcMain.handle('interceptor-update-cache-settings', async (event, settings) => {
+  try {
+    const result = interceptorService.updateCacheSettings(settings);
+    logger.info('IPC', 'Cache settings updated');
+    return { success: true, settings: result };
+  } catch (error) {
+    logger.error('IPC', 'Failed to update cache settings', { error: error.message });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('interceptor-sync-master-data', async () => {
+  try {
+    const completed = await interceptorService.syncMasterData();
+    return { success: completed, status: interceptorService.getMasterDataStatus() };
+  } catch (error) {
+    logger.error('IPC', 'Failed to sync master data', { error: error.message });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('interceptor-get-master-data-status', async () => {
+  try {
+    return interceptorService.getMasterDataStatus();
+  } catch (error) {
+    logger.error('IPC', 'Failed to get master data status', { error: error.message });
+    return null;
+  }
+});
+
+ipcMain.handle('interceptor-dispatch-outbox', async () => {
+  try {
+    const sent = await interceptorService.dispatchOutbox();
+    return { success: true, sent, status: interceptorService.getOutboxStatus() };
+  } catch (error) {
+    logger.error('IPC', 'Failed to dispatch outbox', { error: error.message });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('interceptor-get-outbox-status', async () => {
+  try {
+    return interceptorService.getOutboxStatus();
+  } catch (error) {
+    logger.error('IPC', 'Failed to get outbox status', { error: error.message });
+    return null;
+  }
+});
+
 // Database IPC handlers
 ipcMain.handle('db-create-customer', async (event, name, email, phone) => {
   try {
@@ -266,6 +388,16 @@ ipcMain.handle('db-get-customer', async (event, id) => {
   }
 });
 
+ipcMain.handle('db-search-customers', async (event, text, options) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    return { success: true, ...posDatabase.searchCustomers(text, options) };
+  } catch (error) {
+    logger.error('IPC', 'Failed to search customers', { error: error.message, text });
+    return { success: false, customers: [], hasMore: false };
+  }
+});
+
 ipcMain.handle('db-get-all-customers', async () => {
   try {
     const { posDatabase } = await import('./database/db.js');
@@ -335,6 +467,66 @@ ipcMain.handle('db-get-item-by-sku', async (event, sku) => {
   }
 });
 
+ipcMain.handle('db-search-items', async (event, text, options) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    return { success: true, ...posDatabase.searchItems(text, options) };
+  } catch (error) {
+    logger.error('IPC', 'Failed to search items', { error: error.message, text });
+    return { success: false, items: [], hasMore: false };
+  }
+});
+
+ipcMain.handle('db-resolve-barcode', async (event, barcode, qty) => {
+  try {
+    const scan = barcodeScanner.resolve(barcode, qty);
+    return { success: true, ...scan };
+  } catch (error) {
+    logger.error('IPC', 'Failed to resolve barcode', { error: error.message, barcode });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-get-item-barcodes', async (event, itemId) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const barcodes = posDatabase.getItemBarcodes(itemId);
+    return { success: true, barcodes };
+  } catch (error) {
+    logger.error('IPC', 'Failed to get item barcodes', { error: error.message, itemId });
+    return { success: false, barcodes: [] };
+  }
+});
+
+ipcMain.handle('db-set-item-barcodes', async (event, itemId, barcodes) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    posDatabase.setItemBarcodes(itemId, barcodes);
+    return { success: true, barcodes: posDatabase.getItemBarcodes(itemId) };
+  } catch (error) {
+    logger.error('IPC', 'Failed to set item barcodes', { error: error.message, itemId });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-get-scale-barcode-templates', async () => {
+  try {
+    return barcodeScanner.getSettings();
+  } catch (error) {
+    logger.error('IPC', 'Failed to get scale barcode templates', { error: error.message });
+    return null;
+  }
+});
+
+ipcMain.handle('db-update-scale-barcode-templates', async (event, settings) => {
+  try {
+    return { success: true, settings: barcodeScanner.updateSettings(settings) };
+  } catch (error) {
+    logger.error('IPC', 'Failed to update scale barcode templates', { error: error.message });
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('db-get-all-items', async () => {
   try {
     const { posDatabase } = await import('./database/db.js');
@@ -416,12 +608,13 @@ ipcMain.handle('db-update-invoice-status', async (event, id, status) => {
   }
 });
 
-ipcMain.handle('db-add-invoice-item', async (event, invoiceId, itemId, qty, rate) => {
+ipcMain.handle('db-add-invoice-item', async (event, invoiceId, itemId, qty, rate, discount) => {
   try {
     const { posDatabase } = await import('./database/db.js');
-    const id = posDatabase.addInvoiceItem(invoiceId, itemId, qty, rate);
+    const id = posDatabase.addInvoiceItem(invoiceId, itemId, qty, rate, discount);
     logger.info('IPC', 'Invoice item added', { id, invoiceId, itemId, qty, rate });
-    return { success: true, id };
+    // Under the warn policy the line is added anyway; the till shows what is short.
+    return { success: true, id, shortages: posDatabase.getInvoiceStockShortages(invoiceId) };
   } catch (error) {
     logger.error('IPC', 'Failed to add invoice item', { error: error.message, invoiceId, itemId });
     return { success: false, error: error.message };
@@ -442,15 +635,298 @@ ipcMain.handle('db-get-invoice-items', async (event, invoiceId) => {
 ipcMain.handle('db-update-invoice-total', async (event, invoiceId) => {
   try {
     const { posDatabase } = await import('./database/db.js');
-    posDatabase.updateInvoiceTotal(invoiceId);
+    const totals = posDatabase.updateInvoiceTotal(invoiceId);
     logger.info('IPC', 'Invoice total updated', { invoiceId });
-    return { success: true };
+    return { success: true, totals };
   } catch (error) {
     logger.error('IPC', 'Failed to update invoice total', { error: error.message, invoiceId });
     return { success: false, error: error.message };
   }
 });
 
+ipcMain.handle('db-get-invoice-taxes', async (event, invoiceId) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const taxes = posDatabase.getInvoiceTaxes(invoiceId);
+    return { success: true, taxes };
+  } catch (error) {
+    logger.error('IPC', 'Failed to get invoice taxes', { error: error.message, invoiceId });
+    return { success: false, taxes: [] };
+  }
+});
+
+ipcMain.handle('db-set-invoice-taxes', async (event, invoiceId, taxes, template) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    posDatabase.setInvoiceTaxes(invoiceId, taxes, template);
+    return { success: true, invoice: posDatabase.getInvoice(invoiceId) };
+  } catch (error) {
+    logger.error('IPC', 'Failed to set invoice taxes', { error: error.message, invoiceId });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-apply-invoice-tax-template', async (event, invoiceId, templateName) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    posDatabase.applyInvoiceTaxTemplate(invoiceId, templateName);
+    return { success: true, invoice: posDatabase.getInvoice(invoiceId) };
+  } catch (error) {
+    logger.error('IPC', 'Failed to apply tax template', {
+      error: error.message,
+      invoiceId,
+      templateName,
+    });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-set-invoice-discount', async (event, invoiceId, discount) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    posDatabase.setInvoiceDiscount(invoiceId, discount);
+    return { success: true, invoice: posDatabase.getInvoice(invoiceId) };
+  } catch (error) {
+    logger.error('IPC', 'Failed to set invoice discount', { error: error.message, invoiceId });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-set-invoice-rounding', async (event, invoiceId, disableRoundedTotal) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    posDatabase.setInvoiceRounding(invoiceId, disableRoundedTotal);
+    return { success: true, invoice: posDatabase.getInvoice(invoiceId) };
+  } catch (error) {
+    logger.error('IPC', 'Failed to set invoice rounding', { error: error.message, invoiceId });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-get-invoice-payments', async (event, invoiceId) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const payments = posDatabase.getInvoicePayments(invoiceId);
+    return { success: true, payments };
+  } catch (error) {
+    logger.error('IPC', 'Failed to get invoice payments', { error: error.message, invoiceId });
+    return { success: false, payments: [] };
+  }
+});
+
+ipcMain.handle(
+  'db-add-invoice-payment',
+  async (event, invoiceId, modeOfPayment, amount, reference) => {
+    try {
+      const { posDatabase } = await import('./database/db.js');
+      const id = posDatabase.addInvoicePayment(invoiceId, modeOfPayment, amount, reference);
+      return { success: true, id, invoice: posDatabase.getInvoice(invoiceId) };
+    } catch (error) {
+      logger.error('IPC', 'Failed to add invoice payment', { error: error.message, invoiceId });
+      return { success: false, error: error.message };
+    }
+  }
+);
+
+ipcMain.handle('db-redeem-loyalty-points', async (event, invoiceId, points) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const id = posDatabase.redeemLoyaltyPoints(invoiceId, points);
+    return { success: true, id, invoice: posDatabase.getInvoice(invoiceId) };
+  } catch (error) {
+    logger.error('IPC', 'Failed to redeem loyalty points', { error: error.message, invoiceId });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-get-loyalty-balance', async (event, customerId) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const balance = posDatabase.getLoyaltyBalance(customerId);
+    return { success: true, balance };
+  } catch (error) {
+    logger.error('IPC', 'Failed to get loyalty balance', { error: error.message, customerId });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-get-gift-card', async (event, code) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const card = posDatabase.getGiftCardByCode(code);
+    return { success: true, card };
+  } catch (error) {
+    logger.error('IPC', 'Failed to get gift card', { error: error.message, code });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-get-gift-card-history', async (event, code) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const history = posDatabase.getGiftCardHistory(code);
+    return { success: true, history };
+  } catch (error) {
+    logger.error('IPC', 'Failed to get gift card history', { error: error.message, code });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-issue-gift-card', async (event, code, amount, options = {}) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const id = posDatabase.issueGiftCard(code, amount, options);
+    return { success: true, id, card: posDatabase.getGiftCard(id) };
+  } catch (error) {
+    logger.error('IPC', 'Failed to issue gift card', { error: error.message, code });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-issue-store-credit', async (event, invoiceId, code, options = {}) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const id = posDatabase.issueStoreCredit(invoiceId, code, options);
+    return {
+      success: true,
+      id,
+      invoice: posDatabase.getInvoice(invoiceId),
+      card: posDatabase.getGiftCardByCode(code),
+    };
+  } catch (error) {
+    logger.error('IPC', 'Failed to issue store credit', { error: error.message, invoiceId });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-redeem-gift-card', async (event, invoiceId, code, amount) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const id = posDatabase.redeemGiftCard(invoiceId, code, amount);
+    return { success: true, id, invoice: posDatabase.getInvoice(invoiceId) };
+  } catch (error) {
+    logger.error('IPC', 'Failed to redeem gift card', { error: error.message, invoiceId });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-remove-invoice-payment', async (event, invoiceId, paymentId) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const removed = posDatabase.removeInvoicePayment(invoiceId, paymentId);
+    return { success: removed, invoice: posDatabase.getInvoice(invoiceId) };
+  } catch (error) {
+    logger.error('IPC', 'Failed to remove invoice payment', {
+      error: error.message,
+      invoiceId,
+      paymentId,
+    });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-get-returnable-items', async (event, invoiceId) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const items = posDatabase.getReturnableItems(invoiceId);
+    return { success: true, items };
+  } catch (error) {
+    logger.error('IPC', 'Failed to get returnable items', { error: error.message, invoiceId });
+    return { success: false, items: [] };
+  }
+});
+
+ipcMain.handle('db-create-return-invoice', async (event, invoiceId, lines, options) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const id = posDatabase.createReturnInvoice(invoiceId, lines, options);
+    return { success: true, id, invoice: posDatabase.getInvoice(id) };
+  } catch (error) {
+    logger.error('IPC', 'Failed to create return invoice', { error: error.message, invoiceId });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-get-stock-availability', async (event, itemCode, warehouse) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const bins = posDatabase.getStockAvailability(itemCode, warehouse);
+    return { success: true, bins };
+  } catch (error) {
+    logger.error('IPC', 'Failed to get stock availability', { error: error.message, itemCode });
+    return { success: false, bins: [] };
+  }
+});
+
+ipcMain.handle('db-get-item-pricing', async (event, itemId, options) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const pricing = posDatabase.getItemPricing(itemId, options);
+    return { success: true, pricing };
+  } catch (error) {
+    logger.error('IPC', 'Failed to get item pricing', { error: error.message, itemId });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-get-invoice-stock-shortages', async (event, invoiceId) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const shortages = posDatabase.getInvoiceStockShortages(invoiceId);
+    return { success: true, shortages };
+  } catch (error) {
+    logger.error('IPC', 'Failed to get invoice stock shortages', {
+      error: error.message,
+      invoiceId,
+    });
+    return { success: false, shortages: [] };
+  }
+});
+
+ipcMain.handle('db-get-active-shift', async () => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const shift = posDatabase.getActiveShift();
+    return { success: true, shift };
+  } catch (error) {
+    logger.error('IPC', 'Failed to get active shift', { error: error.message });
+    return { success: false, shift: null };
+  }
+});
+
+ipcMain.handle('db-open-shift', async (event, options) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const id = posDatabase.openShift(options);
+    return { success: true, id, shift: posDatabase.getShift(id) };
+  } catch (error) {
+    logger.error('IPC', 'Failed to open shift', { error: error.message });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-get-shift-summary', async (event, shiftId) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const summary = posDatabase.getShiftSummary(shiftId);
+    return { success: !!summary, summary };
+  } catch (error) {
+    logger.error('IPC', 'Failed to get shift summary', { error: error.message, shiftId });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-close-shift', async (event, shiftId, countedAmounts) => {
+  try {
+    const { posDatabase } = await import('./database/db.js');
+    const reconciliation = posDatabase.closeShift(shiftId, countedAmounts);
+    return { success: true, reconciliation };
+  } catch (error) {
+    logger.error('IPC', 'Failed to close shift', { error: error.message, shiftId });
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('db-get-stats', async () => {
   try {
     const { posDatabase } = await import('./database/db.js');
@@ -462,6 +938,145 @@ ipcMain.handle('db-get-stats', async () => {
   }
 });
 
+ipcMain.handle('db-list-backups', async () => {
+  try {
+    const { databaseBackups } = await import('./database/backups.js');
+    return { success: true, backups: databaseBackups.listBackups() };
+  } catch (error) {
+    logger.error('IPC', 'Failed to list database backups', { error: error.message });
+    return { success: false, backups: [] };
+  }
+});
+
+ipcMain.handle('db-create-backup', async () => {
+  try {
+    const { databaseBackups } = await import('./database/backups.js');
+    const backup = await databaseBackups.createBackup('manual');
+    return { success: true, backup };
+  } catch (error) {
+    logger.error('IPC', 'Failed to create database backup', { error: error.message });
+    return { success: false, error: error.message };
+  }
+});
+
+async function replaceDatabase(replace) {
+  const { databaseMigrations } = await import('./database/migrations.js');
+  const { databaseBackups } = await import('./database/backups.js');
+
+  // An older backup is brought up to the current schema before use.
+  const startServices = async () =>
+    (await databaseMigrations.initialize()) && interceptorService.initialize();
+
+  // Nothing may write to the database while its file is swapped; shutdown
+  // waits for syncs and dispatches already in progress.
+  await interceptorService.shutdown();
+  let result;
+  try {
+    result = await replace();
+  } catch (error) {
+    // The previous database is back in place after a failed swap.
+    if (!(await startServices())) {
+      logger.error('IPC', 'Services failed to restart after a failed restore');
+    }
+    throw error;
+  }
+
+  if (await startServices()) {
+    return result;
+  }
+
+  logger.error('IPC', 'Restored database could not be started, undoing the restore', {
+    safetyBackup: result.safetyBackup,
+  });
+  await interceptorService.shutdown();
+  databaseBackups.undoRestore(result.safetyBackup);
+  if (!(await startServices())) {
+    logger.error('IPC', 'Services failed to restart after undoing the restore');
+  }
+  throw new Error('The restored database could not be started; the previous one was put back');
+}
+
+ipcMain.handle('db-restore-backup', async (event, fileName) => {
+  try {
+    const { databaseBackups } = await import('./database/backups.js');
+    const result = await replaceDatabase(() => databaseBackups.restoreBackup(fileName));
+    logger.info('IPC', 'Database restored', result);
+    return { success: true, ...result };
+  } catch (error) {
+    logger.error('IPC', 'Failed to restore database backup', { error: error.message, fileName });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-get-backup-schedule', async () => {
+  try {
+    return backupScheduler.getStatus();
+  } catch (error) {
+    logger.error('IPC', 'Failed to get backup schedule', { error: error.message });
+    return null;
+  }
+});
+
+ipcMain.handle('db-update-backup-schedule', async (event, settings) => {
+  try {
+    backupScheduler.updateSettings(settings);
+    return { success: true, schedule: backupScheduler.getStatus() };
+  } catch (error) {
+    logger.error('IPC', 'Failed to update backup schedule', { error: error.message });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-export-backup', async () => {
+  try {
+    const result = await backupScheduler.run();
+    return { success: true, export: result };
+  } catch (error) {
+    logger.error('IPC', 'Failed to export backup', { error: error.message });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-choose-export-directory', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Choose Backup Destination',
+    properties: ['openDirectory', 'createDirectory'],
+  });
+  return result.canceled ? null : result.filePaths[0];
+});
+
+ipcMain.handle('db-choose-export-file', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Choose Backup to Import',
+    properties: ['openFile'],
+    filters: [{ name: 'POSAwesome Backups', extensions: ['enc'] }],
+  });
+  return result.canceled ? null : result.filePaths[0];
+});
+
+ipcMain.handle('db-inspect-export', async (event, filePath, passphrase) => {
+  try {
+    const { databaseExports } = await import('./database/exports.js');
+    const manifest = await databaseExports.inspectExport(filePath, passphrase);
+    return { success: true, manifest };
+  } catch (error) {
+    logger.error('IPC', 'Failed to inspect backup', { error: error.message, filePath });
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-import-export', async (event, filePath, passphrase) => {
+  try {
+    const { databaseExports } = await import('./database/exports.js');
+    const result = await replaceDatabase(() => databaseExports.importExport(filePath, passphrase));
+    logger.info('IPC', 'Backup imported', { fileName: result.fileName });
+    return { success: true, ...result };
+  } catch (error) {
+    logger.error('IPC', 'Failed to import backup', { error: error.message, filePath });
+    return { success: false, error: error.message };
+  }
+});
+
 // Create application menu
 const template = [
   {
@@ -0,0 +1,484 @@
+import { EventEmitter } from 'events';
+import { httpInterceptor } from './httpInterceptor.js';
+import { posDatabase } from './database/db.js';
+import { logger } from './logger.js';
+
+const MODULE = 'MasterDataSync';
+const RUN_KEY = 'master_data_run';
+const WATERMARK_PREFIX = 'master_data_watermark:';
+const DELETED_DOCTYPE = 'Deleted Document';
+
+const MASTER_DOCTYPES = [
+  // Documents with child tables are fetched one by one; list calls only
+  // return parent fields. Items carry their barcodes and units.
+  { doctype: 'Item', fields: ['name', 'modified'], store: 'items', fetchDocuments: true },
+  {
+    doctype: 'Item Price',
+    fields: [
+      'name',
+      'item_code',
+      'price_list',
+      'price_list_rate',
+      'currency',
+      'uom',
+      'customer',
+      'selling',
+      'valid_from',
+      'valid_upto',
+      'modified',
+    ],
+    store: 'item_prices',
+  },
+  {
+    doctype: 'Pricing Rule',
+    fields: ['name', 'modified'],
+    store: 'pricing_rules',
+    fetchDocuments: true,
+  },
+  {
+    doctype: 'Customer',
+    fields: [
+      'name',
+      'customer_name',
+      'email_id',
+      'mobile_no',
+      'customer_group',
+      'default_price_list',
+      'loyalty_program',
+      'loyalty_program_tier',
+      'modified',
+    ],
+    store: 'customers',
+  },
+  {
+    doctype: 'Loyalty Program',
+    fields: ['name', 'modified'],
+    store: 'loyalty_programs',
+    fetchDocuments: true,
+  },
+  {
+    doctype: 'Loyalty Point Entry',
+    fields: [
+      'name',
+      'customer',
+      'loyalty_program',
+      'loyalty_program_tier',
+      'loyalty_points',
+      'purchase_amount',
+      'expiry_date',
+      'posting_date',
+      'invoice',
+      'modified',
+    ],
+    store: 'loyalty_point_entries',
+  },
+  {
+    doctype: 'Gift Card',
+    fields: [
+      'name',
+      'code',
+      'balance',
+      'currency',
+      'status',
+      'expiry_date',
+      'locked_by',
+      'modified',
+    ],
+    store: 'gift_cards',
+  },
+  { doctype: 'POS Profile', fields: ['name', 'modified'], fetchDocuments: true },
+  {
+    doctype: 'Mode of Payment',
+    fields: ['name', 'mode_of_payment', 'type', 'enabled', 'modified'],
+  },
+  {
+    doctype: 'Sales Taxes and Charges Template',
+    fields: ['name', 'modified'],
+    fetchDocuments: true,
+  },
+  {
+    doctype: 'Bin',
+    fields: ['name', 'item_code', 'warehouse', 'actual_qty', 'modified'],
+    store: 'bins',
+  },
+];
+
+class MasterDataSync extends EventEmitter {
+  constructor() {
+    super();
+    this.doctypes = MASTER_DOCTYPES;
+    this.pageSize = parseInt(process.env.MASTER_DATA_PAGE_SIZE || '500');
+    this.syncInterval = parseInt(process.env.MASTER_DATA_SYNC_INTERVAL || '21600000');
+    this.priceList = process.env.MASTER_DATA_PRICE_LIST || 'Standard Selling';
+    this.timer = null;
+    this.currentRun = null;
+    this.progress = null;
+  }
+
+  start() {
+    if (this.timer) {
+      logger.warn(MODULE, 'Master data sync already started');
+      return;
+    }
+
+    logger.info(MODULE, 'Starting master data sync', {
+      syncInterval: this.syncInterval,
+      pageSize: this.pageSize,
+    });
+
+    this.timer = setInterval(() => {
+      this.run();
+    }, this.syncInterval);
+    this.run();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info(MODULE, 'Master data sync stopped');
+    }
+  }
+
+  hasUnfinishedRun() {
+    try {
+      const state = posDatabase.getSyncMetadata(RUN_KEY);
+      return !!state && !state.finishedAt;
+    } catch {
+      return false;
+    }
+  }
+
+  getWatermark(doctype) {
+    return posDatabase.getSyncMetadata(`${WATERMARK_PREFIX}${doctype}`);
+  }
+
+  run() {
+    if (this.currentRun) {
+      return this.currentRun;
+    }
+
+    if (!httpInterceptor.isOnline) {
+      logger.debug(MODULE, 'Skipping master data sync while offline');
+      return Promise.resolve(false);
+    }
+
+    this.currentRun = this.performRun().finally(() => {
+      this.currentRun = null;
+    });
+    return this.currentRun;
+  }
+
+  async performRun() {
+    try {
+      const previous = posDatabase.getSyncMetadata(RUN_KEY);
+      if (previous && !previous.finishedAt) {
+        logger.info(MODULE, 'Resuming interrupted master data sync', {
+          startedAt: previous.startedAt,
+        });
+      }
+
+      const state = { startedAt: new Date().toISOString(), finishedAt: null };
+      posDatabase.setSyncMetadata(RUN_KEY, state);
+
+      await this.syncDeletions();
+      for (const config of this.doctypes) {
+        await this.syncDoctype(config);
+      }
+
+      state.finishedAt = new Date().toISOString();
+      posDatabase.setSyncMetadata(RUN_KEY, state);
+
+      logger.info(MODULE, 'Master data sync completed', { startedAt: state.startedAt });
+      this.emitProgress({ state: 'completed', doctype: null });
+      return true;
+    } catch (error) {
+      logger.error(MODULE, 'Master data sync failed', { error: error.message });
+      this.emitProgress({ state: 'failed', error: error.message });
+      return false;
+    }
+  }
+
+  async syncDoctype(config) {
+    const { doctype } = config;
+    const startedAt = new Date();
+    let watermark = this.getWatermark(doctype);
+    let fetched = 0;
+
+    // Only a first pull is counted; a delta is usually a handful of records.
+    const total = watermark ? null : await this.fetchCount(doctype);
+    this.emitProgress({ state: 'syncing', doctype, fetched, total });
+
+    for (;;) {
+      const fetchedAt = new Date();
+      let records = await this.fetchPage(config, watermark);
+      if (records.length === 0) break;
+
+      if (config.fetchDocuments) {
+        records = await this.fetchDocuments(doctype, records);
+      }
+
+      // The page and the watermark commit together, so a run that dies
+      // mid-pull continues after the last page that was actually stored.
+      const last = records[records.length - 1];
+      watermark = { modified: last.modified, name: last.name };
+      posDatabase.transaction(() => {
+        records.forEach((record) => this.storeRecord(config, record, fetchedAt));
+        posDatabase.setSyncMetadata(`${WATERMARK_PREFIX}${doctype}`, watermark);
+      });
+
+      fetched += records.length;
+      this.emitProgress({ state: 'syncing', doctype, fetched, total });
+
+      if (records.length < this.pageSize) break;
+    }
+
+    // Points ERPNext booked for invoices synced before this pull are in its
+    // entries now, so the provisional ones stop counting.
+    if (config.store === 'loyalty_point_entries') {
+      posDatabase.reconcileLoyaltyLedger(startedAt);
+    }
+    // Likewise for card balances; reconciling also finds cards that another
+    // till spent at the same time.
+    if (config.store === 'gift_cards') {
+      posDatabase.reconcileGiftCardLedger(startedAt);
+    }
+
+    logger.info(MODULE, 'Doctype synced', { doctype, fetched, watermark });
+  }
+
+  async syncDeletions() {
+    let watermark = this.getWatermark(DELETED_DOCTYPE);
+
+    if (!watermark) {
+      // Nothing is stored locally before the first pull, so older deletions
+      // are irrelevant; start from the most recent one.
+      const latest = await this.fetchLatestDeletion();
+      posDatabase.setSyncMetadata(
+        `${WATERMARK_PREFIX}${DELETED_DOCTYPE}`,
+        latest || { modified: null, name: null }
+      );
+      return;
+    }
+
+    const config = {
+      doctype: DELETED_DOCTYPE,
+      fields: ['name', 'deleted_doctype', 'deleted_name', 'creation'],
+      orderField: 'creation',
+      filters: [['deleted_doctype', 'in', this.doctypes.map((entry) => entry.doctype)]],
+    };
+    let deleted = 0;
+
+    for (;;) {
+      const records = await this.fetchPage(config, watermark);
+      if (records.length === 0) break;
+
+      const last = records[records.length - 1];
+      watermark = { modified: last.creation, name: last.name };
+      posDatabase.transaction(() => {
+        records.forEach((record) => this.removeRecord(record.deleted_doctype, record.deleted_name));
+        posDatabase.setSyncMetadata(`${WATERMARK_PREFIX}${DELETED_DOCTYPE}`, watermark);
+      });
+
+      deleted += records.length;
+      if (records.length < this.pageSize) break;
+    }
+
+    if (deleted > 0) {
+      logger.info(MODULE, 'Deletions applied', { deleted, watermark });
+    }
+  }
+
+  buildListUrl(config, watermark) {
+    const orderField = config.orderField || 'modified';
+    const filters = [...(config.filters || [])];
+    const url = new URL(
+      `/api/resource/${encodeURIComponent(config.doctype)}`,
+      httpInterceptor.baseUrl
+    );
+    url.searchParams.set('fields', JSON.stringify(config.fields));
+
+    // Keyset on (modified, name): timestamps are not unique, so records that
+    // share the watermark's timestamp are continued by name.
+    if (watermark?.modified) {
+      filters.push([orderField, '>=', watermark.modified]);
+      url.searchParams.set(
+        'or_filters',
+        JSON.stringify([
+          [orderField, '>', watermark.modified],
+          ['name', '>', watermark.name],
+        ])
+      );
+    }
+    if (filters.length > 0) {
+      url.searchParams.set('filters', JSON.stringify(filters));
+    }
+    url.searchParams.set('order_by', `${orderField} asc, name asc`);
+    url.searchParams.set('limit_page_length', String(this.pageSize));
+    return url.toString();
+  }
+
+  async fetchJson(url) {
+    const response = await httpInterceptor.replayRequest('GET', url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} fetching ${url}`);
+    }
+    return response.data;
+  }
+
+  async fetchPage(config, watermark) {
+    const data = await this.fetchJson(this.buildListUrl(config, watermark));
+    return Array.isArray(data?.data) ? data.data : [];
+  }
+
+  async fetchLatestDeletion() {
+    const url = new URL(
+      `/api/resource/${encodeURIComponent(DELETED_DOCTYPE)}`,
+      httpInterceptor.baseUrl
+    );
+    url.searchParams.set('fields', JSON.stringify(['name', 'creation']));
+    url.searchParams.set('order_by', 'creation desc, name desc');
+    url.searchParams.set('limit_page_length', '1');
+
+    const data = await this.fetchJson(url.toString());
+    const latest = Array.isArray(data?.data) ? data.data[0] : null;
+    return latest ? { modified: latest.creation, name: latest.name } : null;
+  }
+
+  async fetchDocuments(doctype, records) {
+    const documents = [];
+    for (const record of records) {
+      const url = new URL(
+        `/api/resource/${encodeURIComponent(doctype)}/${encodeURIComponent(record.name)}`,
+        httpInterceptor.baseUrl
+      );
+      const data = await this.fetchJson(url.toString());
+      documents.push(data.data);
+    }
+    return documents;
+  }
+
+  async fetchCount(doctype) {
+    try {
+      const url = new URL('/api/method/frappe.client.get_count', httpInterceptor.baseUrl);
+      url.searchParams.set('doctype', doctype);
+      const data = await this.fetchJson(url.toString());
+      return typeof data?.message === 'number' ? data.message : null;
+    } catch (error) {
+      logger.debug(MODULE, 'Record count unavailable', { doctype, error: error.message });
+      return null;
+    }
+  }
+
+  storeRecord(config, record, fetchedAt) {
+    if (config.store === 'items') {
+      posDatabase.upsertItemFromServer(record);
+      return;
+    }
+    if (config.store === 'customers') {
+      posDatabase.upsertCustomerFromServer(record);
+      return;
+    }
+    if (config.store === 'bins') {
+      posDatabase.upsertStockBin(record, fetchedAt);
+      return;
+    }
+    if (config.store === 'pricing_rules') {
+      posDatabase.upsertPricingRule(record);
+      return;
+    }
+    if (config.store === 'loyalty_programs') {
+      posDatabase.upsertLoyaltyProgram(record);
+      return;
+    }
+    if (config.store === 'loyalty_point_entries') {
+      posDatabase.upsertLoyaltyPointEntry(record);
+      return;
+    }
+    if (config.store === 'gift_cards') {
+      posDatabase.upsertGiftCardFromServer(record);
+      return;
+    }
+    if (config.store === 'item_prices') {
+      posDatabase.upsertItemPrice(record);
+      // items.price keeps the general price on the default price list.
+      if (record.price_list === this.priceList && !record.customer) {
+        posDatabase.setItemPrice(record.item_code, record.price_list_rate);
+      }
+      return;
+    }
+
+    posDatabase.upsertMasterData(config.doctype, record);
+  }
+
+  removeRecord(doctype, name) {
+    const config = this.doctypes.find((entry) => entry.doctype === doctype);
+    if (!config) return;
+
+    if (config.store === 'items') {
+      posDatabase.deleteItemFromServer(name);
+      return;
+    }
+    if (config.store === 'customers') {
+      posDatabase.deleteCustomerFromServer(name);
+      return;
+    }
+    if (config.store === 'bins') {
+      posDatabase.deleteStockBinFromServer(name);
+      return;
+    }
+    if (config.store === 'pricing_rules') {
+      posDatabase.deletePricingRuleFromServer(name);
+      return;
+    }
+    if (config.store === 'loyalty_programs') {
+      posDatabase.deleteLoyaltyProgramFromServer(name);
+      return;
+    }
+    if (config.store === 'loyalty_point_entries') {
+      posDatabase.deleteLoyaltyPointEntryFromServer(name);
+      return;
+    }
+    if (config.store === 'gift_cards') {
+      posDatabase.deleteGiftCardFromServer(name);
+      return;
+    }
+    if (config.store === 'item_prices') {
+      const price = posDatabase.getItemPrice(name);
+      if (price && price.price_list === this.priceList && !price.customer) {
+        posDatabase.setItemPrice(price.item_code, 0);
+      }
+      posDatabase.deleteItemPriceFromServer(name);
+      return;
+    }
+
+    posDatabase.deleteMasterData(doctype, name);
+  }
+
+  emitProgress(progress) {
+    this.progress = { ...progress, updatedAt: new Date().toISOString() };
+    this.emit('progress', this.progress);
+  }
+
+  getStatus() {
+    let lastRun = null;
+    const watermarks = {};
+    try {
+      lastRun = posDatabase.getSyncMetadata(RUN_KEY);
+      this.doctypes.forEach(({ doctype }) => {
+        watermarks[doctype] = this.getWatermark(doctype);
+      });
+    } catch (error) {
+      logger.debug(MODULE, 'Master data sync state unavailable', { error: error.message });
+    }
+
+    return {
+      running: !!this.currentRun,
+      progress: this.progress,
+      lastRun,
+      watermarks,
+    };
+  }
+}
+
+export const masterDataSync = new MasterDataSync();
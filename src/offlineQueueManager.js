@@ -1,14 +1,33 @@
-import Database from 'better-sqlite3';
-import path from 'path';
 import crypto from 'crypto';
-import { app } from 'electron';
+import { posDatabase } from './database/db.js';
 import { logger } from './logger.js';
+import { PRIORITY_LANES, DEFAULT_LANE } from './requestPriority.js';
 
 const MODULE = 'OfflineQueueManager';
+const KEYED_METHODS = ['POST', 'PUT', 'DELETE'];
+
+// Link fields are named after the doctype they point at (customer, sales_invoice),
+// except for these.
+const LINK_FIELDS = {
+  Item: ['item_code'],
+  'Sales Invoice': ['return_against'],
+  'POS Invoice': ['return_against'],
+};
+// Dynamic links: the name field and the field holding its doctype
+const DYNAMIC_LINK_FIELDS = {
+  reference_name: 'reference_doctype',
+  link_name: 'link_doctype',
+  party: 'party_type',
+  against_voucher: 'against_voucher_type',
+  voucher_no: 'voucher_type',
+};
+
+const LANE_ORDER_SQL = `CASE priority ${PRIORITY_LANES.map(
+  (lane, index) => `WHEN '${lane}' THEN ${index}`
+).join(' ')} ELSE ${PRIORITY_LANES.length} END`;
 
 class OfflineQueueManager {
   constructor() {
-    this.dbPath = path.join(app.getPath('userData'), 'offline-queue.db');
     this.db = null;
     this.initialized = false;
     this.requestDeduplicator = new Map();
@@ -16,112 +35,300 @@ class OfflineQueueManager {
 
   initialize() {
     try {
-      this.db = new Database(this.dbPath);
-      this.createTables();
+      if (!posDatabase.initialized) {
+        throw new Error('POS database is not initialized');
+      }
+
+      // The queue lives in the POS database, so queue writes can share a
+      // transaction with the business data they sync.
+      const table = posDatabase.db
+        .prepare('SELECT name FROM sqlite_master WHERE type = ? AND name = ?')
+        .get('table', 'offline_requests');
+      if (!table) {
+        throw new Error('Offline queue tables are missing, database migrations have not run');
+      }
+
+      this.db = posDatabase.db;
       this.initialized = true;
-      logger.info(MODULE, 'Offline queue database initialized', { dbPath: this.dbPath });
+      logger.info(MODULE, 'Offline queue initialized', { dbPath: posDatabase.dbPath });
       return true;
     } catch (error) {
-      logger.error(MODULE, 'Failed to initialize offline queue database', {
+      logger.error(MODULE, 'Failed to initialize offline queue', {
         error: error.message,
       });
       return false;
     }
   }
 
-  createTables() {
-    if (!this.db) return;
+  generateRequestHash(method, url, body) {
+    const content = `${method}:${url}:${body || ''}`;
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  createIdempotencyKey(method) {
+    return KEYED_METHODS.includes(method.toUpperCase()) ? crypto.randomUUID() : null;
+  }
+
+  addRequest(
+    method,
+    url,
+    headers,
+    body,
+    requestHash,
+    {
+      priority = DEFAULT_LANE,
+      dependsOn = [],
+      idempotencyKey = this.createIdempotencyKey(method),
+      needsVerification = false,
+    } = {}
+  ) {
+    if (!this.db) return null;
+
+    // A request outside every lane would never be selected for a batch.
+    const lane = PRIORITY_LANES.includes(priority) ? priority : DEFAULT_LANE;
 
     try {
-      this.db.exec(`
-        CREATE TABLE IF NOT EXISTS offline_requests (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          method TEXT NOT NULL,
-          url TEXT NOT NULL,
-          headers TEXT,
-          body TEXT,
-          request_hash TEXT UNIQUE,
-          status TEXT DEFAULT 'pending',
-          retry_count INTEGER DEFAULT 0,
-          next_retry_at DATETIME,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          error_message TEXT,
-          resource_id TEXT,
-          resource_type TEXT,
-          resource_version TEXT
+      const enqueue = this.db.transaction(() => {
+        const stmt = this.db.prepare(`
+          INSERT OR IGNORE INTO offline_requests
+          (method, url, headers, body, request_hash, status, priority, idempotency_key,
+           needs_verification)
+          VALUES (?, ?, ?, ?, ?, 'pending', ?, ?, ?)
+        `);
+        const result = stmt.run(
+          method,
+          url,
+          JSON.stringify(headers || {}),
+          body,
+          requestHash,
+          lane,
+          idempotencyKey,
+          needsVerification ? 1 : 0
         );
 
-        CREATE TABLE IF NOT EXISTS request_cache (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          request_hash TEXT UNIQUE NOT NULL,
-          response_data TEXT,
-          cached_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        );
+        if (result.changes === 0) {
+          const existingStmt = this.db.prepare(
+            'SELECT id FROM offline_requests WHERE request_hash = ?'
+          );
+          const existing = existingStmt.get(requestHash);
+          return { id: existing ? existing.id : null, duplicate: true };
+        }
 
-        CREATE TABLE IF NOT EXISTS sync_conflicts (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          resource_id TEXT NOT NULL,
-          resource_type TEXT NOT NULL,
-          local_request_id INTEGER,
-          local_data TEXT,
-          server_data TEXT,
-          server_version TEXT,
-          conflict_type TEXT,
-          resolution_status TEXT DEFAULT 'pending',
-          resolved_at DATETIME,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (local_request_id) REFERENCES offline_requests(id)
-        );
+        const id = Number(result.lastInsertRowid);
+        this.recordDependencies(id, dependsOn, 'explicit');
+        this.recordDependencies(id, this.inferDependencies(id, url, body), 'inferred');
+        this.blockIfParentFailed(id);
 
-        CREATE TABLE IF NOT EXISTS sync_metadata (
-          key TEXT PRIMARY KEY,
-          value TEXT,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        );
+        return { id, duplicate: false };
+      });
 
-        CREATE INDEX IF NOT EXISTS idx_offline_requests_status ON offline_requests(status);
-        CREATE INDEX IF NOT EXISTS idx_offline_requests_url ON offline_requests(url);
-        CREATE INDEX IF NOT EXISTS idx_offline_requests_next_retry ON offline_requests(next_retry_at);
-        CREATE INDEX IF NOT EXISTS idx_sync_conflicts_resource ON sync_conflicts(resource_id, resource_type);
-        CREATE INDEX IF NOT EXISTS idx_sync_conflicts_status ON sync_conflicts(resolution_status);
-      `);
+      const { id, duplicate } = enqueue();
+
+      if (duplicate) {
+        logger.debug(MODULE, 'Duplicate request already queued', { id, method, url });
+        return id;
+      }
+
+      logger.info(MODULE, 'Request added to offline queue', {
+        id,
+        method,
+        url,
+        priority: lane,
+      });
 
-      logger.debug(MODULE, 'Database tables created');
+      return id;
     } catch (error) {
-      logger.error(MODULE, 'Failed to create tables', { error: error.message });
-      throw error;
+      logger.error(MODULE, 'Failed to add request to queue', { error: error.message });
+      return null;
     }
   }
 
-  generateRequestHash(method, url, body) {
-    const content = `${method}:${url}:${body || ''}`;
-    return crypto.createHash('sha256').update(content).digest('hex');
+  parseResourcePath(url) {
+    let pathname = url || '';
+    try {
+      pathname = new URL(url, 'http://localhost').pathname;
+    } catch {
+      // Fall back to matching on the raw string
+    }
+
+    const match = /\/api\/resource\/([^/?#]+)(?:\/([^/?#]+))?/.exec(pathname);
+    if (!match) return null;
+
+    const decode = (value) => {
+      try {
+        return decodeURIComponent(value);
+      } catch {
+        return value;
+      }
+    };
+
+    return {
+      doctype: decode(match[1]),
+      name: match[2] ? decode(match[2]) : null,
+    };
   }
 
-  addRequest(method, url, headers, body, requestHash) {
-    if (!this.db) return null;
+  findDocumentReferences(url, body) {
+    const references = [];
+    const target = this.parseResourcePath(url);
+    if (target && target.name) {
+      references.push(target);
+    }
+
+    const text = typeof body === 'string' ? body : body ? JSON.stringify(body) : '';
+    const pattern = /\/api\/resource\/[^\s"'<>]+/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const reference = this.parseResourcePath(match[0]);
+      if (reference && reference.name) {
+        references.push(reference);
+      }
+    }
+
+    return references;
+  }
+
+  inferDependencies(id, url, body) {
+    const references = this.findDocumentReferences(url, body);
+    if (references.length === 0) return [];
+
+    const stmt = this.db.prepare(`
+      SELECT id, method, url, body FROM offline_requests
+      WHERE id < ? AND status != 'completed' AND url LIKE '%/api/resource/%'
+      ORDER BY id DESC
+    `);
+    const candidates = stmt.all(id);
+
+    const parents = new Set();
+
+    references.forEach(({ doctype, name }) => {
+      // The most recent earlier request touching the document is enough: it
+      // is itself ordered after any older ones.
+      const parent = candidates.find((candidate) => {
+        const resource = this.parseResourcePath(candidate.url);
+        if (!resource || resource.doctype !== doctype) return false;
+        if (resource.name) return resource.name === name;
+
+        if (candidate.method.toUpperCase() !== 'POST') return false;
+        try {
+          return JSON.parse(candidate.body || '{}').name === name;
+        } catch {
+          return false;
+        }
+      });
+
+      if (parent) {
+        parents.add(parent.id);
+      }
+    });
+
+    return [...parents];
+  }
+
+  recordDependencies(requestId, parentIds, source) {
+    const insert = this.db.prepare(`
+      INSERT OR IGNORE INTO offline_request_dependencies (request_id, depends_on_id, source)
+      VALUES (?, ?, ?)
+    `);
+    const exists = this.db.prepare('SELECT id FROM offline_requests WHERE id = ?');
+
+    (parentIds || []).forEach((parentId) => {
+      if (parentId === requestId) return;
+
+      if (!exists.get(parentId)) {
+        logger.warn(MODULE, 'Ignoring dependency on unknown request', { requestId, parentId });
+        return;
+      }
+
+      insert.run(requestId, parentId, source);
+      logger.debug(MODULE, 'Request dependency recorded', { requestId, parentId, source });
+    });
+  }
+
+  getRequestDependencies(id) {
+    if (!this.db) return [];
 
     try {
       const stmt = this.db.prepare(`
-        INSERT OR IGNORE INTO offline_requests 
-        (method, url, headers, body, request_hash, status) 
-        VALUES (?, ?, ?, ?, ?, 'pending')
+        SELECT p.id, p.method, p.url, p.status, d.source
+        FROM offline_request_dependencies d
+        JOIN offline_requests p ON p.id = d.depends_on_id
+        WHERE d.request_id = ?
+        ORDER BY p.id
       `);
+      return stmt.all(id);
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get request dependencies', { error: error.message });
+      return [];
+    }
+  }
 
-      const result = stmt.run(method, url, JSON.stringify(headers || {}), body, requestHash);
+  blockIfParentFailed(id) {
+    const parentStmt = this.db.prepare(`
+      SELECT p.id, p.status FROM offline_request_dependencies d
+      JOIN offline_requests p ON p.id = d.depends_on_id
+      WHERE d.request_id = ? AND p.status IN ('failed', 'blocked')
+      LIMIT 1
+    `);
+    const failedParent = parentStmt.get(id);
 
-      logger.info(MODULE, 'Request added to offline queue', {
-        id: result.lastInsertRowid,
-        method,
-        url,
-      });
+    if (failedParent) {
+      const stmt = this.db.prepare(`
+        UPDATE offline_requests SET status = 'blocked', error_message = ?,
+        updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `);
+      stmt.run(
+        `Blocked: depends on request #${failedParent.id} which is ${failedParent.status}`,
+        id
+      );
+    }
+  }
 
-      return result.lastInsertRowid;
-    } catch (error) {
-      logger.error(MODULE, 'Failed to add request to queue', { error: error.message });
-      return null;
+  blockDependents(id, reason) {
+    const stmt = this.db.prepare(`
+      WITH RECURSIVE dependents(id) AS (
+      SELECT request_id FROM offline_request_dependencies WHERE depends_on_id = @id
+      UNION
+      SELECT d.request_id FROM offline_request_dependencies d
+      JOIN dependents ON d.depends_on_id = dependents.id
+      )
+      UPDATE offline_requests
+      SET status = 'blocked', error_message = @message, updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (SELECT id FROM dependents) AND status = 'pending'
+    `);
+    const result = stmt.run({ id, message: `Blocked: depends on request #${id} which ${reason}` });
+
+    if (result.changes > 0) {
+      logger.warn(MODULE, 'Dependent requests blocked', { id, reason, blocked: result.changes });
     }
+    return result.changes;
+  }
+
+  unblockDependents(id) {
+    const stmt = this.db.prepare(`
+      SELECT r.id FROM offline_request_dependencies d
+      JOIN offline_requests r ON r.id = d.request_id
+      WHERE d.depends_on_id = ? AND r.status = 'blocked'
+    `);
+    const children = stmt.all(id);
+
+    const hasFailedParent = this.db.prepare(`
+      SELECT 1 FROM offline_request_dependencies d
+      JOIN offline_requests p ON p.id = d.depends_on_id
+      WHERE d.request_id = ? AND p.status IN ('failed', 'blocked')
+    `);
+    const unblock = this.db.prepare(`
+      UPDATE offline_requests SET status = 'pending', error_message = NULL,
+      updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `);
+
+    children.forEach((child) => {
+      if (!hasFailedParent.get(child.id)) {
+        unblock.run(child.id);
+        logger.info(MODULE, 'Request unblocked', { id: child.id, parentId: id });
+        this.unblockDependents(child.id);
+      }
+    });
   }
 
   getQueuedRequests(limit = 50) {
@@ -129,9 +336,13 @@ class OfflineQueueManager {
 
     try {
       const stmt = this.db.prepare(`
-        SELECT * FROM offline_requests 
-        WHERE status = 'pending' 
-        ORDER BY created_at ASC 
+        SELECT r.*, (
+          SELECT GROUP_CONCAT(d.depends_on_id) FROM offline_request_dependencies d
+          WHERE d.request_id = r.id
+        ) AS depends_on
+        FROM offline_requests r
+        WHERE r.status IN ('pending', 'blocked') 
+        ORDER BY ${LANE_ORDER_SQL}, r.created_at ASC 
         LIMIT ?
       `);
 
@@ -139,6 +350,7 @@ class OfflineQueueManager {
       return requests.map((req) => ({
         ...req,
         headers: JSON.parse(req.headers || '{}'),
+        depends_on: req.depends_on ? req.depends_on.split(',').map(Number) : [],
       }));
     } catch (error) {
       logger.error(MODULE, 'Failed to fetch queued requests', { error: error.message });
@@ -156,7 +368,16 @@ class OfflineQueueManager {
         WHERE id = ?
       `);
 
-      stmt.run(status, errorMessage, id);
+      this.db.transaction(() => {
+        stmt.run(status, errorMessage, id);
+
+        if (status === 'failed') {
+          this.blockDependents(id, `failed: ${errorMessage || 'unknown error'}`);
+        } else if (status === 'pending') {
+          this.unblockDependents(id);
+        }
+      })();
+
       logger.debug(MODULE, 'Request status updated', { id, status });
       return true;
     } catch (error) {
@@ -187,8 +408,16 @@ class OfflineQueueManager {
     if (!this.db) return false;
 
     try {
-      const stmt = this.db.prepare('DELETE FROM offline_requests WHERE id = ?');
-      stmt.run(id);
+      this.db.transaction(() => {
+        this.blockDependents(id, 'was removed from the queue');
+        const dependenciesStmt = this.db.prepare(
+          'DELETE FROM offline_request_dependencies WHERE request_id = ? OR depends_on_id = ?'
+        );
+        dependenciesStmt.run(id, id);
+
+        const stmt = this.db.prepare('DELETE FROM offline_requests WHERE id = ?');
+        stmt.run(id);
+      })();
       logger.debug(MODULE, 'Request removed from queue', { id });
       return true;
     } catch (error) {
@@ -197,17 +426,27 @@ class OfflineQueueManager {
     }
   }
 
-  cacheResponse(requestHash, responseData) {
+  cacheResponse(requestHash, responseData, { maxEntrySize = Infinity, partition = null } = {}) {
     if (!this.db) return false;
 
     try {
+      const json = JSON.stringify(responseData);
+      const size = Buffer.byteLength(json);
+
+      if (size > maxEntrySize) {
+        logger.debug(MODULE, 'Response too large to cache', { requestHash, size, maxEntrySize });
+        return false;
+      }
+
+      const now = new Date().toISOString();
       const stmt = this.db.prepare(`
-        INSERT OR REPLACE INTO request_cache (request_hash, response_data, cached_at)
-        VALUES (?, ?, CURRENT_TIMESTAMP)
+        INSERT OR REPLACE INTO request_cache
+        (request_hash, response_data, cached_at, size, last_accessed_at, partition)
+        VALUES (?, ?, ?, ?, ?, ?)
       `);
 
-      stmt.run(requestHash, JSON.stringify(responseData));
-      logger.debug(MODULE, 'Response cached', { requestHash });
+      stmt.run(requestHash, json, now, size, now, partition);
+      logger.debug(MODULE, 'Response cached', { requestHash, size });
       return true;
     } catch (error) {
       logger.error(MODULE, 'Failed to cache response', { error: error.message });
@@ -215,21 +454,124 @@ class OfflineQueueManager {
     }
   }
 
-  getCachedResponse(requestHash) {
+  getCachedEntry(requestHash) {
     if (!this.db) return null;
 
     try {
       const stmt = this.db.prepare(
-        'SELECT response_data FROM request_cache WHERE request_hash = ?'
+        'SELECT response_data, cached_at, size FROM request_cache WHERE request_hash = ?'
       );
       const result = stmt.get(requestHash);
-      return result ? JSON.parse(result.response_data) : null;
+      if (!result) return null;
+
+      const touch = this.db.prepare(
+        'UPDATE request_cache SET last_accessed_at = ? WHERE request_hash = ?'
+      );
+      touch.run(new Date().toISOString(), requestHash);
+
+      // Rows written before cache policies stored SQLite's UTC timestamp format.
+      const cachedAt = result.cached_at.includes('T')
+        ? result.cached_at
+        : `${result.cached_at.replace(' ', 'T')}Z`;
+
+      return {
+        data: JSON.parse(result.response_data),
+        cachedAt,
+        size: result.size,
+      };
     } catch (error) {
       logger.error(MODULE, 'Failed to retrieve cached response', { error: error.message });
       return null;
     }
   }
 
+  getCachedResponse(requestHash) {
+    const entry = this.getCachedEntry(requestHash);
+    return entry ? entry.data : null;
+  }
+
+  removeCachedResponse(requestHash) {
+    if (!this.db) return false;
+
+    try {
+      const stmt = this.db.prepare('DELETE FROM request_cache WHERE request_hash = ?');
+      return stmt.run(requestHash).changes > 0;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to remove cached response', { error: error.message });
+      return false;
+    }
+  }
+
+  clearCachePartition(partition) {
+    if (!this.db) return 0;
+
+    try {
+      const stmt = this.db.prepare('DELETE FROM request_cache WHERE partition IS ?');
+      const result = stmt.run(partition);
+      logger.info(MODULE, 'Cache partition cleared', { removed: result.changes });
+      return result.changes;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to clear cache partition', { error: error.message });
+      return 0;
+    }
+  }
+
+  getCacheStats() {
+    if (!this.db) return { entries: 0, totalSize: 0 };
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT COUNT(*) as entries, COALESCE(SUM(size), 0) as totalSize FROM request_cache
+      `);
+      return stmt.get();
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get cache stats', { error: error.message });
+      return { entries: 0, totalSize: 0 };
+    }
+  }
+
+  evictCache(maxTotalSize) {
+    if (!this.db) return 0;
+
+    try {
+      const evict = this.db.transaction(() => {
+        this.db.exec(`
+          UPDATE request_cache SET size = LENGTH(response_data)
+          WHERE size IS NULL OR size = 0
+        `);
+
+        let { totalSize } = this.getCacheStats();
+        if (totalSize <= maxTotalSize) return 0;
+
+        // Least recently used entries go first; rows never read since caching
+        // fall back to their cache time.
+        const stmt = this.db.prepare(`
+          SELECT request_hash, size FROM request_cache
+          ORDER BY COALESCE(last_accessed_at, cached_at) ASC
+        `);
+        const remove = this.db.prepare('DELETE FROM request_cache WHERE request_hash = ?');
+
+        let evicted = 0;
+        for (const entry of stmt.all()) {
+          if (totalSize <= maxTotalSize) break;
+          remove.run(entry.request_hash);
+          totalSize -= entry.size;
+          evicted++;
+        }
+        return evicted;
+      });
+
+      const evicted = evict();
+      if (evicted > 0) {
+        logger.info(MODULE, 'Cache entries evicted', { evicted, maxTotalSize });
+      }
+      return evicted;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to evict cache entries', { error: error.message });
+      return 0;
+    }
+  }
+
   getQueueStats() {
     if (!this.db) {
       return {
@@ -252,6 +594,7 @@ class OfflineQueueManager {
       const results = stmt.all();
       const stats = {
         pending: 0,
+        blocked: 0,
         completed: 0,
         failed: 0,
         total: 0,
@@ -262,6 +605,8 @@ class OfflineQueueManager {
         stats.total += row.count;
       });
 
+      stats.lanes = this.getPendingLaneCounts();
+
       return stats;
     } catch (error) {
       logger.error(MODULE, 'Failed to get queue statistics', { error: error.message });
@@ -274,6 +619,22 @@ class OfflineQueueManager {
     }
   }
 
+  getPendingLaneCounts() {
+    const lanes = Object.fromEntries(PRIORITY_LANES.map((lane) => [lane, 0]));
+
+    const stmt = this.db.prepare(`
+      SELECT priority, COUNT(*) as count FROM offline_requests
+      WHERE status = 'pending' GROUP BY priority
+    `);
+    const rows = stmt.all();
+
+    rows.forEach((row) => {
+      lanes[row.priority || DEFAULT_LANE] = row.count;
+    });
+
+    return lanes;
+  }
+
   clearOldRequests(days = 7) {
     if (!this.db) return false;
 
@@ -284,6 +645,11 @@ class OfflineQueueManager {
       `);
 
       stmt.run(days);
+      this.db.exec(`
+        DELETE FROM offline_request_dependencies
+        WHERE request_id NOT IN (SELECT id FROM offline_requests)
+        OR depends_on_id NOT IN (SELECT id FROM offline_requests)
+      `);
       logger.info(MODULE, 'Old requests cleared from queue', { days });
       return true;
     } catch (error) {
@@ -292,7 +658,7 @@ class OfflineQueueManager {
     }
   }
 
-  getRequestsReadyForRetry() {
+  getRequestsReadyForRetry({ lane = null, limit = 50 } = {}) {
     if (!this.db) return [];
 
     try {
@@ -300,11 +666,17 @@ class OfflineQueueManager {
         SELECT * FROM offline_requests 
         WHERE status = 'pending' 
         AND (next_retry_at IS NULL OR next_retry_at <= datetime('now'))
-        ORDER BY created_at ASC 
-        LIMIT 50
+        AND (@lane IS NULL OR priority = @lane)
+        AND NOT EXISTS (
+          SELECT 1 FROM offline_request_dependencies d
+          JOIN offline_requests p ON p.id = d.depends_on_id
+          WHERE d.request_id = offline_requests.id AND p.status != 'completed'
+        )
+        ORDER BY ${LANE_ORDER_SQL}, created_at ASC 
+        LIMIT @limit
       `);
 
-      const requests = stmt.all();
+      const requests = stmt.all({ lane, limit });
       return requests.map((req) => ({
         ...req,
         headers: JSON.parse(req.headers || '{}'),
@@ -315,6 +687,174 @@ class OfflineQueueManager {
     }
   }
 
+  retryRequest(id) {
+    if (!this.db) return false;
+
+    try {
+      const stmt = this.db.prepare(`
+        UPDATE offline_requests
+        SET retry_count = 0, next_retry_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status IN ('failed', 'blocked')
+      `);
+      const result = stmt.run(id);
+
+      if (result.changes === 0) return false;
+
+      this.updateRequestStatus(id, 'pending');
+      this.blockIfParentFailed(id);
+      logger.info(MODULE, 'Request re-queued for retry', { id });
+      return true;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to retry request', { error: error.message });
+      return false;
+    }
+  }
+
+  remapDocumentName(doctype, tempName, serverName, requestId = null) {
+    if (!this.db) return 0;
+
+    try {
+      const remap = this.db.transaction(() => {
+        const mapStmt = this.db.prepare(`
+          INSERT OR REPLACE INTO document_name_map (doctype, temp_name, server_name, request_id)
+          VALUES (?, ?, ?, ?)
+        `);
+        mapStmt.run(doctype, tempName, serverName, requestId);
+
+        const stmt = this.db.prepare(`
+          SELECT id, url, body FROM offline_requests
+          WHERE status != 'completed' AND id != ?
+        `);
+        const update = this.db.prepare(`
+          UPDATE offline_requests
+          SET url = ?, body = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `);
+
+        let rewritten = 0;
+        stmt.all(requestId ?? -1).forEach((request) => {
+          const url = this.rewriteResourcePaths(request.url, doctype, tempName, serverName);
+          const body = this.rewriteRequestBody(request.body, doctype, tempName, serverName);
+
+          if (url !== request.url || body !== request.body) {
+            update.run(url, body, request.id);
+            rewritten++;
+          }
+        });
+
+        return rewritten;
+      });
+
+      const rewritten = remap();
+      logger.info(MODULE, 'Document name remapped', {
+        doctype,
+        tempName,
+        serverName,
+        rewritten,
+      });
+      return rewritten;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to remap document name', {
+        error: error.message,
+        doctype,
+        tempName,
+      });
+      return 0;
+    }
+  }
+
+  rewriteResourcePaths(text, doctype, tempName, serverName) {
+    if (!text) return text;
+
+    const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const variants = (value) =>
+      [...new Set([value, encodeURIComponent(value), encodeURI(value)])].map(escape).join('|');
+
+    const pattern = new RegExp(
+      `(/api/resource/(?:${variants(doctype)})/)(?:${variants(tempName)})(?![\\w.%-])`,
+      'g'
+    );
+    return text.replace(pattern, (match, prefix) => `${prefix}${encodeURIComponent(serverName)}`);
+  }
+
+  rewriteRequestBody(body, doctype, tempName, serverName) {
+    if (!body) return body;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      return this.rewriteResourcePaths(body, doctype, tempName, serverName);
+    }
+
+    // Only fields that link to the doctype hold its name; any other value equal
+    // to the placeholder (remarks, descriptions) is left alone.
+    const linkFields = [
+      doctype.toLowerCase().replace(/\s+/g, '_'),
+      ...(LINK_FIELDS[doctype] || []),
+    ];
+    const isLink = (parent, key) =>
+      linkFields.includes(key) ||
+      (Object.hasOwn(DYNAMIC_LINK_FIELDS, key) && parent[DYNAMIC_LINK_FIELDS[key]] === doctype);
+
+    let changed = false;
+    const rewrite = (value, parent = null, key = null) => {
+      if (typeof value === 'string') {
+        const next =
+          value === tempName && parent && isLink(parent, key)
+            ? serverName
+            : this.rewriteResourcePaths(value, doctype, tempName, serverName);
+        changed = changed || next !== value;
+        return next;
+      }
+      if (Array.isArray(value)) {
+        return value.map((item) => rewrite(item));
+      }
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(
+          Object.entries(value).map(([field, v]) => [field, rewrite(v, value, field)])
+        );
+      }
+      return value;
+    };
+
+    const rewritten = rewrite(parsed);
+    return changed ? JSON.stringify(rewritten) : body;
+  }
+
+  getDocumentNameMapping(doctype, tempName) {
+    if (!this.db) return null;
+
+    try {
+      const stmt = this.db.prepare(
+        'SELECT * FROM document_name_map WHERE doctype = ? AND temp_name = ?'
+      );
+      return stmt.get(doctype, tempName) || null;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to get document name mapping', { error: error.message });
+      return null;
+    }
+  }
+
+  setNeedsVerification(id, needsVerification) {
+    if (!this.db) return false;
+
+    try {
+      const stmt = this.db.prepare(`
+        UPDATE offline_requests
+        SET needs_verification = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `);
+
+      stmt.run(needsVerification ? 1 : 0, id);
+      logger.debug(MODULE, 'Request verification flag set', { id, needsVerification });
+      return true;
+    } catch (error) {
+      logger.error(MODULE, 'Failed to set verification flag', { error: error.message });
+      return false;
+    }
+  }
+
   setNextRetryTime(id, retryDelayMs) {
     if (!this.db) return false;
 
@@ -476,10 +1016,11 @@ class OfflineQueueManager {
   }
 
   close() {
+    // The connection belongs to posDatabase, which closes it.
     if (this.db) {
-      this.db.close();
+      this.db = null;
       this.initialized = false;
-      logger.info(MODULE, 'Database connection closed');
+      logger.info(MODULE, 'Offline queue closed');
     }
   }
 }
@@ -0,0 +1,586 @@
+import { EventEmitter } from 'events';
+import {
+  httpInterceptor,
+  IDEMPOTENCY_HEADER,
+  UNSENT_ERROR_CODES,
+  AMBIGUOUS_STATUSES,
+} from './httpInterceptor.js';
+import { posDatabase } from './database/db.js';
+import { logger } from './logger.js';
+
+const MODULE = 'OutboxDispatcher';
+const RETRYABLE_STATUSES = [408, 429];
+
+const INVOICE_DOCSTATUS = {
+  draft: 0,
+  submitted: 1,
+  paid: 1,
+  cancelled: 2,
+};
+
+class OutboxDispatcher extends EventEmitter {
+  constructor() {
+    super();
+    this.dispatchInterval = parseInt(process.env.OUTBOX_DISPATCH_INTERVAL || '5000');
+    this.batchSize = parseInt(process.env.OUTBOX_BATCH_SIZE || '20');
+    this.maxRetries = parseInt(process.env.OUTBOX_MAX_RETRIES || '5');
+    this.baseRetryDelay = parseInt(process.env.BASE_RETRY_DELAY || '1000');
+    this.maxRetryDelay = parseInt(process.env.MAX_RETRY_DELAY || '300000');
+    this.defaultCustomer = process.env.OUTBOX_DEFAULT_CUSTOMER || 'Walk-in Customer';
+    this.itemGroup = process.env.OUTBOX_ITEM_GROUP || 'Products';
+    this.posProfile = process.env.OUTBOX_POS_PROFILE || '';
+    this.idempotencyField = process.env.IDEMPOTENCY_FIELD || 'posa_idempotency_key';
+    this.timer = null;
+    this.currentDispatch = null;
+  }
+
+  start() {
+    if (this.timer) {
+      logger.warn(MODULE, 'Outbox dispatcher already started');
+      return;
+    }
+
+    // Entries left in processing were interrupted mid-send; send them again.
+    const reset = posDatabase.resetProcessingSyncEntries();
+    if (reset > 0) {
+      logger.warn(MODULE, 'Resending outbox entries interrupted by shutdown', { count: reset });
+    }
+
+    logger.info(MODULE, 'Starting outbox dispatcher', {
+      dispatchInterval: this.dispatchInterval,
+      batchSize: this.batchSize,
+    });
+
+    this.timer = setInterval(() => {
+      this.dispatch();
+    }, this.dispatchInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info(MODULE, 'Outbox dispatcher stopped');
+    }
+  }
+
+  dispatch() {
+    if (this.currentDispatch) {
+      return this.currentDispatch;
+    }
+
+    if (!httpInterceptor.isOnline) {
+      return Promise.resolve(0);
+    }
+
+    this.currentDispatch = this.processBatch()
+      .catch((error) => {
+        logger.error(MODULE, 'Outbox dispatch failed', { error: error.message });
+        return 0;
+      })
+      .finally(() => {
+        this.currentDispatch = null;
+      });
+    return this.currentDispatch;
+  }
+
+  async processBatch() {
+    const entries = posDatabase.getPendingSyncEntries(this.batchSize);
+    let processed = 0;
+
+    // Entries are sent strictly in order: an invoice must not overtake the
+    // customer or item it refers to.
+    for (const entry of entries) {
+      if (!httpInterceptor.isOnline) break;
+      if (entry.next_attempt_at && new Date(entry.next_attempt_at) > new Date()) break;
+
+      const outcome = await this.processEntry(entry);
+      if (outcome === 'retry') break;
+      processed++;
+    }
+
+    return processed;
+  }
+
+  async processEntry(entry) {
+    let request;
+    try {
+      request = this.buildRequest(entry);
+    } catch (error) {
+      return this.failEntry(entry, error.message);
+    }
+
+    // Nothing ERPNext would accept has changed, e.g. a submitted invoice was paid.
+    if (!request) {
+      logger.debug(MODULE, 'Outbox entry has nothing to send', { id: entry.id });
+      this.completeEntry(entry, null);
+      return 'completed';
+    }
+
+    posDatabase.updateSyncEntry(entry.id, 'processing');
+
+    // An earlier create may have been applied even though its response was
+    // lost; if ERPNext has the document, link it instead of creating another.
+    if (entry.needs_verification) {
+      let existing;
+      try {
+        existing = await this.findCreatedDocument(entry);
+      } catch (error) {
+        return this.retryEntry(entry, error.message);
+      }
+
+      if (existing) {
+        logger.info(MODULE, 'Outbox create was already applied', {
+          id: entry.id,
+          name: existing.name,
+        });
+        posDatabase.addSyncLog(entry.id, 'success', 200, { data: existing });
+        this.completeEntry(entry, { data: existing }, request);
+        return 'completed';
+      }
+      posDatabase.setSyncEntryVerification(entry.id, false);
+    }
+
+    let response;
+    try {
+      response = await httpInterceptor.replayRequest(request.method, request.url, {
+        headers: this.buildHeaders(entry),
+        body: request.body,
+      });
+    } catch (error) {
+      posDatabase.addSyncLog(entry.id, 'error', null, { error: error.message });
+      if (!UNSENT_ERROR_CODES.includes(error.code)) {
+        this.markForVerification(entry);
+      }
+      return this.retryEntry(entry, error.message);
+    }
+
+    posDatabase.addSyncLog(
+      entry.id,
+      response.ok ? 'success' : 'error',
+      response.status,
+      response.data
+    );
+
+    if (response.ok || (entry.operation === 'DELETE' && response.status === 404)) {
+      this.completeEntry(entry, response.data, request);
+      return 'completed';
+    }
+
+    if (AMBIGUOUS_STATUSES.includes(response.status)) {
+      this.markForVerification(entry);
+    }
+
+    const message = this.getErrorMessage(response);
+    if (response.status >= 500 || RETRYABLE_STATUSES.includes(response.status)) {
+      return this.retryEntry(entry, message);
+    }
+    return this.failEntry(entry, message);
+  }
+
+  buildRequest(entry) {
+    const resourceUrl = (name) => {
+      const path = `/api/resource/${encodeURIComponent(entry.doctype)}`;
+      return new URL(
+        name ? `${path}/${encodeURIComponent(name)}` : path,
+        httpInterceptor.baseUrl
+      ).toString();
+    };
+
+    if (entry.operation === 'DELETE') {
+      return { method: 'DELETE', url: resourceUrl(entry.payload.name), body: null };
+    }
+
+    if (entry.operation === 'CREATE') {
+      const body = this.buildDocument(entry);
+      // The key is stored on the document so a lost create can be found again.
+      if (entry.idempotency_key) {
+        body[this.idempotencyField] = entry.idempotency_key;
+      }
+      return { method: 'POST', url: resourceUrl(), body };
+    }
+
+    const serverName = posDatabase.getServerName(entry.local_table, entry.local_id);
+    if (!serverName) {
+      throw new Error(`${entry.doctype} ${entry.local_id} was never created in ERPNext`);
+    }
+    if (entry.local_table === 'sales_invoices') {
+      return this.buildInvoiceUpdate(entry, resourceUrl(serverName));
+    }
+    return { method: 'PUT', url: resourceUrl(serverName), body: this.buildDocument(entry) };
+  }
+
+  // ERPNext only saves a draft invoice as a whole and cannot cancel one, so a
+  // cancelled draft is deleted. A submitted invoice can just be cancelled and
+  // a cancelled one not changed at all.
+  buildInvoiceUpdate(entry, url) {
+    const invoice = this.requireRow(entry, posDatabase.getInvoice(entry.local_id));
+    const serverDocstatus = invoice.server_docstatus ?? 0;
+    const docstatus = INVOICE_DOCSTATUS[invoice.status] ?? 0;
+
+    if (serverDocstatus === 0 && docstatus === 2) {
+      return { method: 'DELETE', url, body: null, docstatus };
+    }
+    if (serverDocstatus === 0) {
+      return { method: 'PUT', url, body: this.buildDocument(entry), docstatus };
+    }
+    if (serverDocstatus === 1 && docstatus === 0) {
+      throw new Error(
+        `${entry.doctype} ${invoice.name} is submitted in ERPNext and cannot return to draft`
+      );
+    }
+    if (serverDocstatus === 1 && docstatus === 2) {
+      return { method: 'PUT', url, body: { docstatus }, docstatus };
+    }
+    return null;
+  }
+
+  buildHeaders(entry) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (entry.idempotency_key) {
+      headers[IDEMPOTENCY_HEADER] = entry.idempotency_key;
+    }
+    return headers;
+  }
+
+  markForVerification(entry) {
+    // Only creates are looked up; updates and deletes are safe to resend.
+    if (entry.operation === 'CREATE' && entry.idempotency_key) {
+      posDatabase.setSyncEntryVerification(entry.id, true);
+    }
+  }
+
+  async findCreatedDocument(entry) {
+    const url = new URL(
+      `/api/resource/${encodeURIComponent(entry.doctype)}`,
+      httpInterceptor.baseUrl
+    );
+    url.searchParams.set(
+      'filters',
+      JSON.stringify([[this.idempotencyField, '=', entry.idempotency_key]])
+    );
+    url.searchParams.set('fields', JSON.stringify(['name', 'modified', 'docstatus']));
+
+    const response = await httpInterceptor.replayRequest('GET', url.toString(), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+    if (!response.ok) {
+      throw new Error(
+        `Could not verify whether ${entry.doctype} ${entry.local_id} was created: HTTP ${response.status}`
+      );
+    }
+    return response.data?.data?.[0] || null;
+  }
+
+  buildDocument(entry) {
+    if (entry.local_table === 'customers') {
+      const customer = this.requireRow(entry, posDatabase.getCustomer(entry.local_id));
+      return {
+        customer_name: customer.name,
+        email_id: customer.email,
+        mobile_no: customer.phone,
+      };
+    }
+
+    if (entry.local_table === 'items') {
+      const item = this.requireRow(entry, posDatabase.getItem(entry.local_id));
+      const document = {
+        item_code: item.sku,
+        item_name: item.name,
+        standard_rate: item.price,
+      };
+      if (entry.operation === 'CREATE') {
+        document.item_group = this.itemGroup;
+      }
+      const barcodes = posDatabase.getItemBarcodes(item.id);
+      if (barcodes.length > 0) {
+        document.barcodes = barcodes.map((row) => ({
+          barcode: row.barcode,
+          barcode_type: row.barcode_type,
+          uom: row.uom,
+        }));
+      }
+      return document;
+    }
+
+    if (entry.local_table === 'gift_cards') {
+      const card = this.requireRow(entry, posDatabase.getGiftCard(entry.local_id));
+      // ERPNext keeps the balance from the issue on; updates only move the lock.
+      if (entry.operation === 'UPDATE') {
+        return { locked_by: card.locked_by };
+      }
+      return {
+        code: card.code,
+        balance: card.balance,
+        currency: card.currency,
+        expiry_date: card.expiry_date,
+        locked_by: card.locked_by,
+      };
+    }
+
+    if (entry.local_table === 'pos_shifts') {
+      const shift = this.requireRow(entry, posDatabase.getShift(entry.local_id));
+      return {
+        ...this.buildShiftFields(shift),
+        period_start_date: shift.opened_at,
+        posting_date: shift.opened_at.slice(0, 10),
+        balance_details: posDatabase.getShiftPayments(shift.id).map((row) => ({
+          mode_of_payment: row.mode_of_payment,
+          opening_amount: row.opening_amount,
+        })),
+        docstatus: 1,
+      };
+    }
+
+    if (entry.local_table === 'pos_shift_closings') {
+      const closing = this.requireRow(entry, posDatabase.getShiftClosing(entry.local_id));
+      const shift = posDatabase.getShift(closing.shift_id);
+      const openingEntry = posDatabase.getServerName('pos_shifts', shift.id);
+      if (!openingEntry) {
+        throw new Error(`POS Opening Entry of shift ${shift.id} was never created in ERPNext`);
+      }
+
+      return {
+        ...this.buildShiftFields(shift),
+        pos_opening_entry: openingEntry,
+        period_start_date: shift.opened_at,
+        period_end_date: shift.closed_at,
+        posting_date: shift.closed_at.slice(0, 10),
+        sales_invoice_transactions: posDatabase.getShiftInvoices(shift.id).map((invoice) => {
+          const salesInvoice = posDatabase.getServerName('sales_invoices', invoice.id);
+          if (!salesInvoice) {
+            throw new Error(`Sales Invoice ${invoice.name} was never created in ERPNext`);
+          }
+          return {
+            sales_invoice: salesInvoice,
+            posting_date: invoice.created_at.slice(0, 10),
+            customer: invoice.customer_id
+              ? posDatabase.getServerName('customers', invoice.customer_id)
+              : this.defaultCustomer,
+            grand_total: invoice.rounded_total || invoice.grand_total,
+            is_return: invoice.is_return,
+          };
+        }),
+        payment_reconciliation: posDatabase.getShiftPayments(shift.id).map((row) => ({
+          mode_of_payment: row.mode_of_payment,
+          opening_amount: row.opening_amount,
+          expected_amount: row.expected_amount,
+          closing_amount: row.closing_amount,
+          difference: row.difference,
+        })),
+        docstatus: 1,
+      };
+    }
+
+    const invoice = this.requireRow(entry, posDatabase.getInvoice(entry.local_id));
+    const customer = invoice.customer_id
+      ? posDatabase.getServerName('customers', invoice.customer_id)
+      : this.defaultCustomer;
+    if (!customer) {
+      throw new Error(`Customer of ${entry.doctype} ${invoice.name} was never created in ERPNext`);
+    }
+
+    // ERPNext recalculates the totals from these inputs with the same rules
+    // as the local invoice calculator.
+    const lines = posDatabase.getInvoiceItems(invoice.id);
+    const document = {
+      customer,
+      docstatus: INVOICE_DOCSTATUS[invoice.status] ?? 0,
+      items: lines.map((line) => {
+        const item = {
+          item_code: line.item_sku,
+          qty: line.qty,
+          price_list_rate: line.price_list_rate,
+          discount_percentage: line.discount_percentage,
+          discount_amount: line.discount_amount,
+          rate: line.rate,
+        };
+        if (line.warehouse) {
+          item.warehouse = line.warehouse;
+        }
+        if (line.pricing_rule) {
+          item.pricing_rules = JSON.stringify([line.pricing_rule]);
+        }
+        return item;
+      }),
+      taxes: posDatabase.getInvoiceTaxes(invoice.id).map((tax) => ({
+        charge_type: tax.charge_type,
+        account_head: tax.account_head,
+        description: tax.description,
+        rate: tax.rate,
+        row_id: tax.row_id,
+        included_in_print_rate: tax.included_in_print_rate,
+      })),
+      apply_discount_on: invoice.apply_discount_on,
+      additional_discount_percentage: invoice.additional_discount_percentage,
+      discount_amount: invoice.discount_amount,
+      disable_rounded_total: invoice.disable_rounded_total,
+    };
+    if (invoice.taxes_and_charges) {
+      document.taxes_and_charges = invoice.taxes_and_charges;
+    }
+    // Lines sold from a warehouse were taken out of the local stock ledger;
+    // ERPNext has to move the same stock for the next Bin to reconcile them.
+    if (lines.some((line) => line.warehouse)) {
+      document.update_stock = 1;
+    }
+
+    if (invoice.is_return) {
+      const returnAgainst = posDatabase.getServerName('sales_invoices', invoice.return_against);
+      if (!returnAgainst) {
+        throw new Error(
+          `Original of ${entry.doctype} ${invoice.name} was never created in ERPNext`
+        );
+      }
+      document.is_return = 1;
+      document.return_against = returnAgainst;
+    }
+
+    // Redeemed points are not a payment in ERPNext but a deduction on the
+    // invoice, booked against the loyalty program's expense account.
+    const payments = posDatabase.getInvoicePayments(invoice.id);
+    const redemptions = payments.filter((payment) => payment.loyalty_points);
+    if (redemptions.length > 0) {
+      const customerRow = posDatabase.getCustomer(invoice.customer_id);
+      const program = posDatabase.getCustomerLoyaltyProgram(
+        customerRow,
+        invoice.created_at.slice(0, 10)
+      );
+      if (!program) {
+        throw new Error(`Loyalty program of ${entry.doctype} ${invoice.name} is not known`);
+      }
+      document.redeem_loyalty_points = 1;
+      document.loyalty_program = program.name;
+      document.loyalty_points = redemptions.reduce(
+        (sum, payment) => sum + payment.loyalty_points,
+        0
+      );
+      document.loyalty_amount = redemptions.reduce((sum, payment) => sum + payment.amount, 0);
+      document.loyalty_redemption_account = program.expense_account;
+      document.loyalty_redemption_cost_center = program.cost_center;
+    }
+
+    // Paid at the till: ERPNext books the payments with the invoice itself.
+    const tendered = payments.filter((payment) => !payment.loyalty_points);
+    if (tendered.length > 0) {
+      document.is_pos = 1;
+      document.payments = tendered.map((payment) => ({
+        mode_of_payment: payment.mode_of_payment,
+        amount: payment.amount,
+        reference_no: payment.reference,
+      }));
+      if (this.posProfile) {
+        document.pos_profile = this.posProfile;
+      }
+    }
+    return document;
+  }
+
+  buildShiftFields(shift) {
+    const company =
+      shift.company || posDatabase.getMasterDataRecord('POS Profile', shift.pos_profile)?.company;
+    if (!company) {
+      throw new Error(`Company of POS Profile ${shift.pos_profile} is not known until it syncs`);
+    }
+    return { company, pos_profile: shift.pos_profile, user: shift.cashier };
+  }
+
+  requireRow(entry, row) {
+    if (!row) {
+      throw new Error(`Local ${entry.doctype} ${entry.local_id} no longer exists`);
+    }
+    return row;
+  }
+
+  completeEntry(entry, responseData, request = null) {
+    const document = responseData?.data;
+    // Later invoice updates depend on whether ERPNext holds a draft.
+    const docstatus = document?.docstatus ?? request?.docstatus ?? request?.body?.docstatus ?? null;
+
+    posDatabase.transaction(() => {
+      posDatabase.updateSyncEntry(entry.id, 'completed');
+
+      let linked = false;
+      if (entry.operation === 'CREATE' && document?.name) {
+        linked = posDatabase.linkServerRecord(
+          entry.local_table,
+          entry.local_id,
+          document.name,
+          document.modified || null
+        );
+
+        if (!linked) {
+          // Deleted locally while the create was in flight.
+          posDatabase.enqueueSync(entry.local_table, entry.local_id, 'DELETE', {
+            name: document.name,
+          });
+        }
+      }
+      if (entry.local_table === 'sales_invoices' && (linked || entry.operation === 'UPDATE')) {
+        posDatabase.setInvoiceSyncTime(entry.local_id, docstatus);
+      }
+    });
+
+    logger.info(MODULE, 'Outbox entry sent', {
+      id: entry.id,
+      doctype: entry.doctype,
+      operation: entry.operation,
+      serverName: document?.name,
+    });
+    this.emit('entry-completed', { id: entry.id, doctype: entry.doctype, name: document?.name });
+  }
+
+  retryEntry(entry, message) {
+    if (entry.retry_count + 1 >= this.maxRetries) {
+      return this.failEntry(entry, message);
+    }
+
+    const delay = Math.min(
+      this.baseRetryDelay * Math.pow(2, entry.retry_count),
+      this.maxRetryDelay
+    );
+    posDatabase.updateSyncEntry(entry.id, 'pending', {
+      errorMessage: message,
+      nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+      retry: true,
+    });
+
+    logger.warn(MODULE, 'Outbox entry will be retried', {
+      id: entry.id,
+      doctype: entry.doctype,
+      retryCount: entry.retry_count + 1,
+      delay,
+      error: message,
+    });
+    return 'retry';
+  }
+
+  failEntry(entry, message) {
+    posDatabase.updateSyncEntry(entry.id, 'failed', { errorMessage: message });
+
+    logger.error(MODULE, 'Outbox entry failed', {
+      id: entry.id,
+      doctype: entry.doctype,
+      operation: entry.operation,
+      error: message,
+    });
+    this.emit('entry-failed', { id: entry.id, doctype: entry.doctype, error: message });
+    return 'failed';
+  }
+
+  getErrorMessage(response) {
+    const data = response.data;
+    const detail = typeof data === 'string' ? data : data?.exception || data?.message;
+    return detail ? `HTTP ${response.status}: ${detail}` : `HTTP ${response.status}`;
+  }
+
+  getStatus() {
+    return {
+      running: !!this.timer,
+      dispatching: !!this.currentDispatch,
+      ...posDatabase.getSyncQueueStats(),
+    };
+  }
+}
+
+export const outboxDispatcher = new OutboxDispatcher();
@@ -23,6 +23,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
       'config-updated',
       'sync-state-changed',
       'sync-progress',
+      'connectivity-changed',
+      'master-data-progress',
       'toggle-admin-dashboard',
     ];
     if (validChannels.includes(channel)) {
@@ -32,7 +34,13 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
   // Remove listener
   removeAllListeners: (channel) => {
-    const validChannels = ['config-updated', 'sync-state-changed', 'sync-progress'];
+    const validChannels = [
+      'config-updated',
+      'sync-state-changed',
+      'sync-progress',
+      'connectivity-changed',
+      'master-data-progress',
+    ];
     if (validChannels.includes(channel)) {
       ipcRenderer.removeAllListeners(channel);
     }
@@ -49,6 +57,8 @@ contextBridge.exposeInMainWorld('offlineInterceptor', {
 
   clearCredentials: () => ipcRenderer.invoke('interceptor-clear-credentials'),
 
+  rotateCredentialKey: () => ipcRenderer.invoke('interceptor-rotate-credential-key'),
+
   // Queue management
   getQueueStatus: () => ipcRenderer.invoke('interceptor-get-queue-status'),
 
@@ -56,9 +66,17 @@ contextBridge.exposeInMainWorld('offlineInterceptor', {
 
   removeRequest: (id) => ipcRenderer.invoke('interceptor-remove-request', id),
 
+  retryRequest: (id) => ipcRenderer.invoke('interceptor-retry-request', id),
+
+  getRequestDependencies: (id) => ipcRenderer.invoke('interceptor-get-request-dependencies', id),
+
   // Online/offline status
   setOnlineStatus: (isOnline) => ipcRenderer.invoke('interceptor-set-online-status', isOnline),
 
+  getConnectivityStatus: () => ipcRenderer.invoke('interceptor-get-connectivity-status'),
+
+  checkConnectivity: () => ipcRenderer.invoke('interceptor-check-connectivity'),
+
   // Maintenance
   clearOldRequests: (days = 7) => ipcRenderer.invoke('interceptor-clear-old-requests', days),
 
@@ -73,4 +91,88 @@ contextBridge.exposeInMainWorld('offlineInterceptor', {
 
   resolveConflict: (conflictId, resolution) =>
     ipcRenderer.invoke('interceptor-resolve-conflict', conflictId, resolution),
+
+  // Response cache settings
+  getCacheSettings: () => ipcRenderer.invoke('interceptor-get-cache-settings'),
+
+  updateCacheSettings: (settings) =>
+    ipcRenderer.invoke('interceptor-update-cache-settings', settings),
+
+  // Master data prefetch
+  syncMasterData: () => ipcRenderer.invoke('interceptor-sync-master-data'),
+
+  getMasterDataStatus: () => ipcRenderer.invoke('interceptor-get-master-data-status'),
+
+  // Outbox of local business writes
+  dispatchOutbox: () => ipcRenderer.invoke('interceptor-dispatch-outbox'),
+
+  getOutboxStatus: () => ipcRenderer.invoke('interceptor-get-outbox-status'),
+
+  // Database backups
+  listBackups: () => ipcRenderer.invoke('db-list-backups'),
+
+  createBackup: () => ipcRenderer.invoke('db-create-backup'),
+
+  restoreBackup: (fileName) => ipcRenderer.invoke('db-restore-backup', fileName),
+
+  // Scheduled encrypted backups
+  getBackupSchedule: () => ipcRenderer.invoke('db-get-backup-schedule'),
+
+  updateBackupSchedule: (settings) => ipcRenderer.invoke('db-update-backup-schedule', settings),
+
+  exportBackup: () => ipcRenderer.invoke('db-export-backup'),
+
+  chooseExportDirectory: () => ipcRenderer.invoke('db-choose-export-directory'),
+
+  chooseExportFile: () => ipcRenderer.invoke('db-choose-export-file'),
+
+  inspectExport: (filePath, passphrase) =>
+    ipcRenderer.invoke('db-inspect-export', filePath, passphrase),
+
+  importExport: (filePath, passphrase) =>
+    ipcRenderer.invoke('db-import-export', filePath, passphrase),
+
+  // Local stock
+  getStockAvailability: (itemCode, warehouse = null) =>
+    ipcRenderer.invoke('db-get-stock-availability', itemCode, warehouse),
+
+  getInvoiceStockShortages: (invoiceId) =>
+    ipcRenderer.invoke('db-get-invoice-stock-shortages', invoiceId),
+
+  // Price lists and pricing rules
+  getItemPricing: (itemId, options = {}) =>
+    ipcRenderer.invoke('db-get-item-pricing', itemId, options),
+
+  // Loyalty points
+  getLoyaltyBalance: (customerId) => ipcRenderer.invoke('db-get-loyalty-balance', customerId),
+
+  redeemLoyaltyPoints: (invoiceId, points) =>
+    ipcRenderer.invoke('db-redeem-loyalty-points', invoiceId, points),
+
+  // Gift cards and store credit
+  getGiftCard: (code) => ipcRenderer.invoke('db-get-gift-card', code),
+
+  getGiftCardHistory: (code) => ipcRenderer.invoke('db-get-gift-card-history', code),
+
+  issueGiftCard: (code, amount, options = {}) =>
+    ipcRenderer.invoke('db-issue-gift-card', code, amount, options),
+
+  issueStoreCredit: (invoiceId, code, options = {}) =>
+    ipcRenderer.invoke('db-issue-store-credit', invoiceId, code, options),
+
+  redeemGiftCard: (invoiceId, code, amount) =>
+    ipcRenderer.invoke('db-redeem-gift-card', invoiceId, code, amount),
+
+  // Typeahead search
+  searchItems: (text, options = {}) => ipcRenderer.invoke('db-search-items', text, options),
+
+  searchCustomers: (text, options = {}) => ipcRenderer.invoke('db-search-customers', text, options),
+
+  // Barcode scanning
+  resolveBarcode: (barcode, qty = 1) => ipcRenderer.invoke('db-resolve-barcode', barcode, qty),
+
+  getScaleBarcodeTemplates: () => ipcRenderer.invoke('db-get-scale-barcode-templates'),
+
+  updateScaleBarcodeTemplates: (settings) =>
+    ipcRenderer.invoke('db-update-scale-barcode-templates', settings),
 });
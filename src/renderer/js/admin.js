@@ -92,6 +92,31 @@ class AdminDashboard {
                 <button id="clear-credentials" class="btn btn-warning">Clear</button>
               </div>
             </div>
+            <div class="settings-section">
+              <h3>Database Backups</h3>
+              <button id="create-backup" class="btn btn-primary">Back Up Now</button>
+              <div id="backup-list" class="list-container">Loading backups...</div>
+            </div>
+            <div class="settings-section">
+              <h3>Scheduled Backups</h3>
+              <div class="credential-form">
+                <input type="text" id="backup-destination" placeholder="Destination Folder">
+                <button id="choose-backup-destination" class="btn btn-secondary">Choose...</button>
+                <input type="time" id="backup-time">
+                <input type="number" id="backup-retention" min="1" placeholder="Backups to Keep">
+                <button id="save-backup-schedule" class="btn btn-primary">Save</button>
+                <button id="export-backup" class="btn btn-secondary">Export Now</button>
+              </div>
+              <div id="backup-schedule-status"></div>
+            </div>
+            <div class="settings-section">
+              <h3>Import Backup</h3>
+              <div class="credential-form">
+                <input type="password" id="import-passphrase" placeholder="Backup Passphrase">
+                <button id="import-backup" class="btn btn-warning">Import...</button>
+              </div>
+              <div id="import-summary"></div>
+            </div>
             <div class="settings-section">
               <h3>Maintenance</h3>
               <button id="clear-old-requests" class="btn btn-warning">Clear Old Requests</button>
@@ -163,6 +188,31 @@ class AdminDashboard {
       clearCredentialsBtn.addEventListener('click', () => this.clearCredentials());
     }
 
+    const createBackupBtn = document.getElementById('create-backup');
+    if (createBackupBtn) {
+      createBackupBtn.addEventListener('click', () => this.createBackup());
+    }
+
+    const chooseDestinationBtn = document.getElementById('choose-backup-destination');
+    if (chooseDestinationBtn) {
+      chooseDestinationBtn.addEventListener('click', () => this.chooseBackupDestination());
+    }
+
+    const saveScheduleBtn = document.getElementById('save-backup-schedule');
+    if (saveScheduleBtn) {
+      saveScheduleBtn.addEventListener('click', () => this.saveBackupSchedule());
+    }
+
+    const exportBackupBtn = document.getElementById('export-backup');
+    if (exportBackupBtn) {
+      exportBackupBtn.addEventListener('click', () => this.exportBackup());
+    }
+
+    const importBackupBtn = document.getElementById('import-backup');
+    if (importBackupBtn) {
+      importBackupBtn.addEventListener('click', () => this.importBackup());
+    }
+
     const clearOldRequestsBtn = document.getElementById('clear-old-requests');
     if (clearOldRequestsBtn) {
       clearOldRequestsBtn.addEventListener('click', () => this.clearOldRequests());
@@ -172,6 +222,11 @@ class AdminDashboard {
     window.electronAPI.on('sync-state-changed', (state) => {
       this.updateSyncStatus(state);
     });
+
+    // Listen for server connectivity changes
+    window.electronAPI.on('connectivity-changed', () => {
+      this.updateOnlineStatus();
+    });
   }
 
   /**
@@ -204,6 +259,10 @@ class AdminDashboard {
     case 'conflicts':
       this.refreshConflicts();
       break;
+    case 'settings':
+      this.refreshBackups();
+      this.refreshBackupSchedule();
+      break;
     }
   }
 
@@ -305,21 +364,40 @@ class AdminDashboard {
     statsElement.innerHTML = `
       <ul>
         <li><strong>Pending:</strong> ${queueStats.pending || 0}</li>
+        <li><strong>Blocked:</strong> ${queueStats.blocked || 0}</li>
         <li><strong>Completed:</strong> ${queueStats.completed || 0}</li>
         <li><strong>Failed:</strong> ${queueStats.failed || 0}</li>
         <li><strong>Total:</strong> ${queueStats.total || 0}</li>
       </ul>
+      ${
+  queueStats.lanes
+    ? `<p><strong>Pending by lane:</strong> critical ${queueStats.lanes.critical || 0},
+         normal ${queueStats.lanes.normal || 0}, background ${queueStats.lanes.background || 0}</p>`
+    : ''
+}
     `;
   }
 
   /**
    * Update online status display
    */
-  updateOnlineStatus() {
+  async updateOnlineStatus() {
     const onlineElement = document.getElementById('online-status');
     if (!onlineElement) return;
 
     const isOnline = navigator.onLine;
+    let connectivity = null;
+    try {
+      connectivity = await window.offlineInterceptor.getConnectivityStatus();
+    } catch (error) {
+      console.error('Failed to get connectivity status:', error);
+    }
+
+    const serverOnline = connectivity?.isOnline;
+    const lastProbe = connectivity?.lastProbeAt
+      ? new Date(connectivity.lastProbeAt).toLocaleString()
+      : 'Never';
+
     onlineElement.innerHTML = `
       <div class="status-item">
         <strong>Browser:</strong> 
@@ -327,6 +405,16 @@ class AdminDashboard {
           ${isOnline ? 'ONLINE' : 'OFFLINE'}
         </span>
       </div>
+      <div class="status-item">
+        <strong>ERPNext Server:</strong>
+        <span class="status-${serverOnline ? 'online' : 'offline'}">
+          ${serverOnline ? 'ONLINE' : 'OFFLINE'}
+        </span>
+      </div>
+      <div class="status-item">
+        <strong>Last Check:</strong> ${lastProbe}
+      </div>
+      ${connectivity?.lastProbeError ? `<div class="error">Error: ${connectivity.lastProbeError}</div>` : ''}
     `;
   }
 
@@ -375,12 +463,26 @@ class AdminDashboard {
           <div class="detail-row">
             <strong>Created:</strong> ${new Date(request.created_at).toLocaleString()}
           </div>
+          <div class="detail-row">
+            <strong>Priority:</strong> ${request.priority || 'normal'}
+          </div>
           <div class="detail-row">
             <strong>Retries:</strong> ${request.retry_count}
           </div>
+          ${
+  request.depends_on && request.depends_on.length
+    ? `<div class="detail-row"><strong>Waits for:</strong> #${request.depends_on.join(', #')}</div>`
+    : ''
+}
           ${request.error_message ? `<div class="error">Error: ${request.error_message}</div>` : ''}
         </div>
         <div class="request-actions">
+          ${
+  request.status === 'blocked'
+    ? `<button onclick="adminDashboard.retryRequest('${request.id}')" 
+                  class="btn btn-sm btn-warning">Retry</button>`
+    : ''
+}
           <button onclick="adminDashboard.removeRequest('${request.id}')" 
                   class="btn btn-sm btn-danger">Remove</button>
         </div>
@@ -407,6 +509,25 @@ class AdminDashboard {
     }
   }
 
+  /**
+   * Re-queue a blocked or failed request
+   * @param {string} requestId - Request ID to retry
+   */
+  async retryRequest(requestId) {
+    try {
+      const result = await window.offlineInterceptor.retryRequest(Number(requestId));
+      this.refreshQueue();
+      if (result.success) {
+        this.showSuccess('Request re-queued');
+      } else {
+        this.showError('queue', 'Request could not be re-queued');
+      }
+    } catch (error) {
+      console.error('Failed to retry request:', error);
+      this.showError('queue', 'Failed to retry request');
+    }
+  }
+
   /**
    * Refresh conflicts data
    */
@@ -594,6 +715,255 @@ class AdminDashboard {
     }
   }
 
+  /**
+   * Refresh database backups data
+   */
+  async refreshBackups() {
+    try {
+      const result = await window.offlineInterceptor.listBackups();
+      this.displayBackups(result.backups);
+    } catch (error) {
+      console.error('Failed to refresh backups:', error);
+      this.showError('settings', 'Failed to load backups');
+    }
+  }
+
+  /**
+   * Display database backups in the UI
+   * @param {Array} backups - Backup list, newest first
+   */
+  displayBackups(backups) {
+    const backupsElement = document.getElementById('backup-list');
+    if (!backupsElement) return;
+
+    if (!backups || backups.length === 0) {
+      backupsElement.innerHTML = '<p>No backups found.</p>';
+      return;
+    }
+
+    const backupHtml = backups
+      .map(
+        (backup) => `
+      <div class="request-item">
+        <div class="request-header">
+          <span class="url">${backup.reason}</span>
+        </div>
+        <div class="request-details">
+          <div class="detail-row">
+            <strong>Created:</strong> ${new Date(backup.createdAt).toLocaleString()}
+          </div>
+          <div class="detail-row">
+            <strong>Schema:</strong> ${backup.schemaVersion || 'unknown'}
+          </div>
+          <div class="detail-row">
+            <strong>Size:</strong> ${(backup.size / 1024).toFixed(1)} KB
+          </div>
+        </div>
+        <div class="request-actions">
+          <button onclick="adminDashboard.restoreBackup('${backup.fileName}')" 
+                  class="btn btn-sm btn-warning">Restore</button>
+        </div>
+      </div>
+    `
+      )
+      .join('');
+
+    backupsElement.innerHTML = backupHtml;
+  }
+
+  /**
+   * Create a database backup
+   */
+  async createBackup() {
+    try {
+      const result = await window.offlineInterceptor.createBackup();
+      if (!result.success) {
+        this.showError('settings', `Failed to create backup: ${result.error}`);
+        return;
+      }
+
+      this.showSuccess('Backup created successfully');
+      this.refreshBackups();
+    } catch (error) {
+      console.error('Failed to create backup:', error);
+      this.showError('settings', 'Failed to create backup');
+    }
+  }
+
+  /**
+   * Restore the database from a backup
+   * @param {string} fileName - Backup file name
+   */
+  async restoreBackup(fileName) {
+    if (!confirm('Restore this backup? Changes made since it was taken will be lost.')) {
+      return;
+    }
+
+    try {
+      const result = await window.offlineInterceptor.restoreBackup(fileName);
+      if (!result.success) {
+        this.showError('settings', `Failed to restore backup: ${result.error}`);
+        return;
+      }
+
+      this.showSuccess('Backup restored successfully');
+      this.refreshBackups();
+    } catch (error) {
+      console.error('Failed to restore backup:', error);
+      this.showError('settings', 'Failed to restore backup');
+    }
+  }
+
+  /**
+   * Refresh the backup schedule settings and last run
+   */
+  async refreshBackupSchedule() {
+    try {
+      const schedule = await window.offlineInterceptor.getBackupSchedule();
+      this.displayBackupSchedule(schedule);
+    } catch (error) {
+      console.error('Failed to refresh backup schedule:', error);
+      this.showError('settings', 'Failed to load backup schedule');
+    }
+  }
+
+  /**
+   * Display the backup schedule in the UI
+   * @param {Object} schedule - Backup schedule status
+   */
+  displayBackupSchedule(schedule) {
+    if (!schedule) return;
+
+    const destinationInput = document.getElementById('backup-destination');
+    const timeInput = document.getElementById('backup-time');
+    const retentionInput = document.getElementById('backup-retention');
+    if (destinationInput) destinationInput.value = schedule.destination;
+    if (timeInput) timeInput.value = schedule.time;
+    if (retentionInput) retentionInput.value = schedule.retention;
+
+    const statusElement = document.getElementById('backup-schedule-status');
+    if (!statusElement) return;
+
+    statusElement.innerHTML = `
+      <div class="status-item">
+        <span>Next Backup:</span>
+        <span>${schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : 'Not scheduled'}</span>
+      </div>
+      <div class="status-item">
+        <span>Last Backup:</span>
+        <span>${schedule.lastSuccessAt ? `${new Date(schedule.lastSuccessAt).toLocaleString()} (${schedule.lastFile})` : 'Never'}</span>
+      </div>
+      ${schedule.passphraseSet ? '' : '<div class="error">Set DB_EXPORT_PASSPHRASE in .env to enable scheduled backups.</div>'}
+      ${schedule.lastError ? `<div class="error">Last error: ${schedule.lastError}</div>` : ''}
+    `;
+  }
+
+  /**
+   * Choose the backup destination folder
+   */
+  async chooseBackupDestination() {
+    const destination = await window.offlineInterceptor.chooseExportDirectory();
+    const destinationInput = document.getElementById('backup-destination');
+    if (destination && destinationInput) {
+      destinationInput.value = destination;
+    }
+  }
+
+  /**
+   * Save the backup schedule
+   */
+  async saveBackupSchedule() {
+    try {
+      const result = await window.offlineInterceptor.updateBackupSchedule({
+        destination: document.getElementById('backup-destination')?.value || '',
+        time: document.getElementById('backup-time')?.value,
+        retention: parseInt(document.getElementById('backup-retention')?.value),
+      });
+      if (!result.success) {
+        this.showError('settings', `Failed to save backup schedule: ${result.error}`);
+        return;
+      }
+
+      this.showSuccess('Backup schedule saved');
+      this.displayBackupSchedule(result.schedule);
+    } catch (error) {
+      console.error('Failed to save backup schedule:', error);
+      this.showError('settings', 'Failed to save backup schedule');
+    }
+  }
+
+  /**
+   * Export an encrypted backup to the destination folder now
+   */
+  async exportBackup() {
+    try {
+      const result = await window.offlineInterceptor.exportBackup();
+      if (!result.success) {
+        this.showError('settings', `Failed to export backup: ${result.error}`);
+        return;
+      }
+
+      this.showSuccess(`Backup exported to ${result.export.path}`);
+      this.refreshBackupSchedule();
+    } catch (error) {
+      console.error('Failed to export backup:', error);
+      this.showError('settings', 'Failed to export backup');
+    }
+  }
+
+  /**
+   * Import an encrypted backup after showing what it contains
+   */
+  async importBackup() {
+    try {
+      const passphraseInput = document.getElementById('import-passphrase');
+      const passphrase = passphraseInput?.value || '';
+      if (!passphrase) {
+        this.showError('settings', 'Please enter the backup passphrase');
+        return;
+      }
+
+      const filePath = await window.offlineInterceptor.chooseExportFile();
+      if (!filePath) return;
+
+      const inspected = await window.offlineInterceptor.inspectExport(filePath, passphrase);
+      if (!inspected.success) {
+        this.showError('settings', `Cannot import backup: ${inspected.error}`);
+        return;
+      }
+
+      const { manifest } = inspected;
+      const summary = [
+        `Backup: ${manifest.fileName}`,
+        `Created: ${new Date(manifest.createdAt).toLocaleString()}`,
+        `Schema version: ${manifest.schemaVersion}`,
+        ...Object.entries(manifest.stats).map(([table, count]) => `${table}: ${count} rows`),
+      ];
+
+      const summaryElement = document.getElementById('import-summary');
+      if (summaryElement) {
+        summaryElement.innerHTML = `<pre>${summary.join('\n')}</pre>`;
+      }
+
+      if (!confirm(`${summary.join('\n')}\n\nReplace the current database with this backup?`)) {
+        return;
+      }
+
+      const result = await window.offlineInterceptor.importExport(filePath, passphrase);
+      if (!result.success) {
+        this.showError('settings', `Failed to import backup: ${result.error}`);
+        return;
+      }
+
+      if (passphraseInput) passphraseInput.value = '';
+      this.showSuccess('Backup imported successfully');
+      this.refreshBackups();
+    } catch (error) {
+      console.error('Failed to import backup:', error);
+      this.showError('settings', 'Failed to import backup');
+    }
+  }
+
   /**
    * Start auto-refresh for active data
    */
@@ -0,0 +1,99 @@
+import { logger } from './logger.js';
+
+const MODULE = 'RequestPriority';
+
+export const PRIORITY_LANES = ['critical', 'normal', 'background'];
+export const DEFAULT_LANE = 'normal';
+
+const DEFAULT_RULES = [
+  {
+    lane: 'critical',
+    doctypes: ['Sales Invoice', 'POS Invoice', 'Payment Entry'],
+  },
+  {
+    lane: 'background',
+    doctypes: ['Error Log', 'Comment', 'Activity Log', 'Access Log'],
+  },
+  {
+    lane: 'background',
+    urlPattern: /\/api\/method\/[^?]*log/i,
+  },
+];
+
+class RequestPriority {
+  constructor() {
+    this.rules = [...DEFAULT_RULES];
+  }
+
+  isValidLane(lane) {
+    return PRIORITY_LANES.includes(lane);
+  }
+
+  extractDoctype(url) {
+    const match = /\/api\/resource\/([^/?#]+)/.exec(url || '');
+    if (!match) return null;
+
+    try {
+      return decodeURIComponent(match[1]);
+    } catch {
+      return match[1];
+    }
+  }
+
+  matchesRule(rule, method, url, doctype) {
+    if (rule.methods && !rule.methods.includes(method.toUpperCase())) {
+      return false;
+    }
+    if (rule.doctypes && !rule.doctypes.includes(doctype)) {
+      return false;
+    }
+    if (rule.urlPattern && !rule.urlPattern.test(url)) {
+      return false;
+    }
+    return true;
+  }
+
+  resolve(method, url, explicitLane = null) {
+    if (explicitLane) {
+      if (this.isValidLane(explicitLane)) {
+        return explicitLane;
+      }
+      logger.warn(MODULE, 'Ignoring unknown priority lane', { lane: explicitLane, url });
+    }
+
+    const doctype = this.extractDoctype(url);
+    const rule = this.rules.find((candidate) => this.matchesRule(candidate, method, url, doctype));
+
+    return rule ? rule.lane : DEFAULT_LANE;
+  }
+
+  addRule(rule) {
+    if (!rule || !this.isValidLane(rule.lane)) {
+      throw new Error(`Invalid priority lane: ${rule?.lane}`);
+    }
+    if (!rule.doctypes && !rule.urlPattern && !rule.methods) {
+      throw new Error('Priority rule must match on doctypes, urlPattern or methods');
+    }
+
+    // Custom rules take precedence over the defaults.
+    this.rules.unshift(rule);
+    logger.info(MODULE, 'Priority rule added', {
+      lane: rule.lane,
+      doctypes: rule.doctypes,
+      urlPattern: rule.urlPattern?.toString(),
+    });
+  }
+
+  resetRules() {
+    this.rules = [...DEFAULT_RULES];
+  }
+
+  getRules() {
+    return this.rules.map((rule) => ({
+      ...rule,
+      urlPattern: rule.urlPattern ? rule.urlPattern.toString() : undefined,
+    }));
+  }
+}
+
+export const requestPriority = new RequestPriority();
@@ -1,10 +1,18 @@
 import { EventEmitter } from 'events';
 import { offlineQueueManager } from './offlineQueueManager.js';
-import { httpInterceptor } from './httpInterceptor.js';
+import {
+  httpInterceptor,
+  IDEMPOTENCY_HEADER,
+  UNSENT_ERROR_CODES,
+  AMBIGUOUS_STATUSES,
+} from './httpInterceptor.js';
 import { conflictResolver } from './conflictResolver.js';
+import { PRIORITY_LANES } from './requestPriority.js';
+import { posDatabase } from './database/db.js';
 import { logger } from './logger.js';
 
 const MODULE = 'SyncEngine';
+const LOCAL_INVOICE_DOCTYPES = ['Sales Invoice', 'POS Invoice'];
 
 class SyncEngine extends EventEmitter {
   constructor() {
@@ -17,6 +25,9 @@ class SyncEngine extends EventEmitter {
     this.baseRetryDelay = 1000;
     this.maxRetryDelay = 300000;
     this.batchSize = 10;
+    // Slots per batch kept for lower lanes so a steady stream of critical
+    // requests cannot starve them indefinitely.
+    this.laneReservedSlots = { critical: 0, normal: 1, background: 1 };
     this.lastSyncTime = null;
     this.syncStats = {
       successCount: 0,
@@ -121,7 +132,7 @@ class SyncEngine extends EventEmitter {
       return;
     }
 
-    const requests = offlineQueueManager.getRequestsReadyForRetry();
+    const requests = this.getNextBatch();
 
     if (requests.length === 0) {
       if (this.syncState !== 'idle') {
@@ -141,7 +152,7 @@ class SyncEngine extends EventEmitter {
     try {
       logger.info(MODULE, 'Processing sync batch', { count: requests.length });
 
-      for (const request of requests.slice(0, this.batchSize)) {
+      for (const request of requests) {
         const result = await this.processRequest(request);
 
         if (result.success) {
@@ -154,7 +165,7 @@ class SyncEngine extends EventEmitter {
 
         this.emit('sync-progress', {
           processed: successCount + failureCount + conflictCount,
-          total: Math.min(requests.length, this.batchSize),
+          total: requests.length,
           successCount,
           failureCount,
           conflictCount,
@@ -187,6 +198,38 @@ class SyncEngine extends EventEmitter {
     }
   }
 
+  getNextBatch() {
+    const candidates = {};
+    PRIORITY_LANES.forEach((lane) => {
+      candidates[lane] = offlineQueueManager.getRequestsReadyForRetry({
+        lane,
+        limit: this.batchSize,
+      });
+    });
+
+    return this.selectBatch(candidates);
+  }
+
+  selectBatch(candidates) {
+    const quotas = {};
+    let remaining = this.batchSize;
+
+    PRIORITY_LANES.forEach((lane) => {
+      const available = candidates[lane]?.length || 0;
+      quotas[lane] = Math.min(this.laneReservedSlots[lane] || 0, available, remaining);
+      remaining -= quotas[lane];
+    });
+
+    PRIORITY_LANES.forEach((lane) => {
+      const available = candidates[lane]?.length || 0;
+      const extra = Math.min(available - quotas[lane], remaining);
+      quotas[lane] += extra;
+      remaining -= extra;
+    });
+
+    return PRIORITY_LANES.flatMap((lane) => (candidates[lane] || []).slice(0, quotas[lane]));
+  }
+
   async processRequest(request) {
     logger.debug(MODULE, 'Processing request', {
       id: request.id,
@@ -195,18 +238,43 @@ class SyncEngine extends EventEmitter {
       retryCount: request.retry_count,
     });
 
+    const wasAmbiguous = !!request.needs_verification;
+
     try {
-      const response = await httpInterceptor.executeRequest(request.method, request.url, {
-        headers: request.headers,
-        body: request.body,
+      if (wasAmbiguous) {
+        const existing = await this.findAppliedRequest(request);
+        if (existing) {
+          this.remapCreatedDocument(request, existing);
+          offlineQueueManager.updateRequestStatus(request.id, 'completed');
+          logger.info(MODULE, 'Request was already applied on the server', { id: request.id });
+          return { success: true };
+        }
+        offlineQueueManager.setNeedsVerification(request.id, false);
+      }
+
+      // Replays go straight to the server: routing them through executeRequest
+      // would re-queue a failed request and report it as accepted.
+      const response = await httpInterceptor.replayRequest(request.method, request.url, {
+        headers: this.buildReplayHeaders(request),
+        body: this.buildReplayBody(request),
       });
 
-      if (response.ok) {
+      const alreadyDeleted =
+        wasAmbiguous && request.method.toUpperCase() === 'DELETE' && response.status === 404;
+
+      if (response.ok || alreadyDeleted) {
+        // Remap before completing so dependents never become ready while they
+        // still refer to the temporary name.
+        this.remapCreatedDocument(request, response.data);
         offlineQueueManager.updateRequestStatus(request.id, 'completed');
         logger.info(MODULE, 'Request synced successfully', { id: request.id });
         return { success: true };
       }
 
+      if (request.idempotency_key && AMBIGUOUS_STATUSES.includes(response.status)) {
+        offlineQueueManager.setNeedsVerification(request.id, true);
+      }
+
       const conflictResult = await conflictResolver.handleConflict(request, response);
 
       if (conflictResult) {
@@ -245,6 +313,10 @@ class SyncEngine extends EventEmitter {
         error: error.message,
       });
 
+      if (request.idempotency_key && !UNSENT_ERROR_CODES.includes(error.code)) {
+        offlineQueueManager.setNeedsVerification(request.id, true);
+      }
+
       if (request.retry_count >= this.maxRetries) {
         offlineQueueManager.updateRequestStatus(request.id, 'failed', error.message);
         return { success: false };
@@ -258,6 +330,90 @@ class SyncEngine extends EventEmitter {
     }
   }
 
+  getCreatedDoctype(request) {
+    if (request.method.toUpperCase() !== 'POST') return null;
+
+    const resource = offlineQueueManager.parseResourcePath(request.url);
+    return resource && !resource.name ? resource.doctype : null;
+  }
+
+  buildReplayHeaders(request) {
+    if (!request.idempotency_key) return request.headers;
+    return { ...request.headers, [IDEMPOTENCY_HEADER]: request.idempotency_key };
+  }
+
+  buildReplayBody(request) {
+    return httpInterceptor.addIdempotencyField(
+      request.method,
+      request.url,
+      request.body,
+      request.idempotency_key
+    );
+  }
+
+  async findAppliedRequest(request) {
+    const doctype = this.getCreatedDoctype(request);
+    if (!doctype || !request.idempotency_key) return null;
+
+    const lookupUrl = new URL(request.url);
+    lookupUrl.pathname = `/api/resource/${encodeURIComponent(doctype)}`;
+    lookupUrl.search = '';
+    lookupUrl.searchParams.set(
+      'filters',
+      JSON.stringify([[httpInterceptor.idempotencyField, '=', request.idempotency_key]])
+    );
+    lookupUrl.searchParams.set('fields', JSON.stringify(['name']));
+
+    const response = await httpInterceptor.replayRequest('GET', lookupUrl.toString(), {
+      headers: request.headers,
+    });
+
+    if (!response.ok) {
+      // Without a definite answer resending could post the document twice.
+      throw new Error(
+        `Could not verify whether request #${request.id} was applied: HTTP ${response.status}`
+      );
+    }
+
+    const match = response.data?.data?.[0];
+    logger.info(MODULE, 'Checked server for an earlier attempt', {
+      id: request.id,
+      doctype,
+      found: !!match,
+    });
+    return match ? { data: match } : null;
+  }
+
+  remapCreatedDocument(request, responseData) {
+    const doctype = this.getCreatedDoctype(request);
+    if (!doctype) return;
+
+    let tempName;
+    try {
+      const body = typeof request.body === 'string' ? JSON.parse(request.body) : request.body;
+      tempName = body?.name;
+    } catch {
+      return;
+    }
+
+    const serverName = responseData?.data?.name;
+    if (!tempName || !serverName || tempName === serverName) return;
+
+    offlineQueueManager.remapDocumentName(doctype, tempName, serverName, request.id);
+
+    if (LOCAL_INVOICE_DOCTYPES.includes(doctype)) {
+      try {
+        posDatabase.renameInvoice(tempName, serverName);
+      } catch (error) {
+        logger.warn(MODULE, 'Local invoice could not be renamed', {
+          tempName,
+          serverName,
+          error: error.message,
+        });
+      }
+    }
+  }
+
   forceSync() {
     logger.info(MODULE, 'Force sync requested');
     if (!this.isProcessing) {
@@ -299,11 +455,15 @@ class SyncEngine extends EventEmitter {
     if (config.batchSize) {
       this.batchSize = config.batchSize;
     }
+    if (config.laneReservedSlots) {
+      this.laneReservedSlots = { ...this.laneReservedSlots, ...config.laneReservedSlots };
+    }
 
     logger.info(MODULE, 'Configuration updated', {
       processingInterval: this.processingInterval,
       maxRetries: this.maxRetries,
       batchSize: this.batchSize,
+      laneReservedSlots: this.laneReservedSlots,
     });
 
     if (this.syncInterval) {